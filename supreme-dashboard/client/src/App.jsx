@@ -9,6 +9,8 @@ import Header from './components/Header';
 import Login from './pages/Login';
 import Dashboard from './pages/Dashboard';
 import Projects from './pages/Projects';
+import ProjectDetail from './pages/ProjectDetail';
+import Dependencies from './pages/Dependencies';
 import Certificates from './pages/Certificates';
 import Logs from './pages/Logs';
 import SystemInfo from './pages/SystemInfo';
@@ -17,6 +19,9 @@ import Database from './pages/Database';
 import FileManager from './pages/FileManager';
 import Terminal from './pages/Terminal';
 import Settings from './pages/Settings';
+import Users from './pages/Users';
+import Audit from './pages/Audit';
+import ResetPassword from './pages/ResetPassword';
 import './styles/App.css';
 
 function AppContent() {
@@ -64,7 +69,12 @@ function AppContent() {
   }
 
   if (!isAuthenticated) {
-    return <Login />;
+    return (
+      <Routes>
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="*" element={<Login />} />
+      </Routes>
+    );
   }
 
   return (
@@ -76,6 +86,8 @@ function AppContent() {
           <Routes>
             <Route path="/" element={<ProtectedRoute><Dashboard /></ProtectedRoute>} />
             <Route path="/projects" element={<ProtectedRoute><Projects /></ProtectedRoute>} />
+            <Route path="/projects/:name" element={<ProtectedRoute><ProjectDetail /></ProtectedRoute>} />
+            <Route path="/dependencies" element={<ProtectedRoute><Dependencies /></ProtectedRoute>} />
             <Route path="/certificates" element={<ProtectedRoute><Certificates /></ProtectedRoute>} />
             <Route path="/logs" element={<ProtectedRoute><Logs /></ProtectedRoute>} />
             <Route path="/system" element={<ProtectedRoute><SystemInfo /></ProtectedRoute>} />
@@ -84,6 +96,8 @@ function AppContent() {
             <Route path="/files" element={<ProtectedRoute><FileManager /></ProtectedRoute>} />
             <Route path="/terminal" element={<ProtectedRoute><Terminal /></ProtectedRoute>} />
             <Route path="/settings" element={<ProtectedRoute><Settings /></ProtectedRoute>} />
+            <Route path="/users" element={<ProtectedRoute requiredRole="admin"><Users /></ProtectedRoute>} />
+            <Route path="/audit" element={<ProtectedRoute requiredRole="admin"><Audit /></ProtectedRoute>} />
             <Route path="/login" element={<Navigate to="/" replace />} />
             <Route path="*" element={<Navigate to="/" replace />} />
           </Routes>
@@ -0,0 +1,261 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
+import ConfirmModal from './ConfirmModal';
+import './AccessTokens.css';
+
+const EXPIRY_OPTIONS = [
+  { value: 7, label: '7 days' },
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 365, label: '1 year' },
+  { value: '', label: 'Never' }
+];
+
+const emptyForm = { name: '', expiresInDays: 30, scopes: [] };
+
+const AccessTokens = () => {
+  const [tokens, setTokens] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [showForm, setShowForm] = useState(false);
+  const [createdToken, setCreatedToken] = useState(null);
+  const [pendingRevoke, setPendingRevoke] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const { authFetch } = useAuth();
+  const { success, error: showError } = useToast();
+
+  useEffect(() => {
+    fetchTokens();
+  }, []);
+
+  const request = async (url, options = {}) => {
+    const response = await authFetch(url, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...options.headers }
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const details = data.details ? Object.values(data.details).join(', ') : null;
+      throw new Error(details || data.error || `Request failed (${response.status})`);
+    }
+    return data;
+  };
+
+  const fetchTokens = async () => {
+    try {
+      const data = await request('/api/auth/tokens');
+      setTokens(data.tokens || []);
+      setAvailableScopes(data.availableScopes || []);
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  // { projects: ['read', 'write'], ... } from the flat scope list
+  const resources = availableScopes.reduce((acc, scope) => {
+    const [resource, action] = scope.split(':');
+    acc[resource] = [...(acc[resource] || []), action];
+    return acc;
+  }, {});
+
+  const toggleScope = (scope) => {
+    setForm(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter(s => s !== scope)
+        : [...prev.scopes, scope]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const data = await request('/api/auth/tokens', {
+        method: 'POST',
+        body: JSON.stringify({
+          name: form.name,
+          scopes: form.scopes,
+          expiresInDays: form.expiresInDays === '' ? null : Number(form.expiresInDays)
+        })
+      });
+      setCreatedToken(data.token);
+      setForm(emptyForm);
+      setShowForm(false);
+      success(`Created token ${data.accessToken.name}`);
+      await fetchTokens();
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async () => {
+    try {
+      await request(`/api/auth/tokens/${pendingRevoke.id}`, { method: 'DELETE' });
+      success(`Revoked ${pendingRevoke.name}`);
+      await fetchTokens();
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const copyToken = async () => {
+    try {
+      await navigator.clipboard.writeText(createdToken);
+      success('Token copied to clipboard');
+    } catch (err) {
+      showError('Could not copy — select the token and copy it manually');
+    }
+  };
+
+  return (
+    <div className="settings-section access-tokens">
+      <h3>Personal Access Tokens</h3>
+      <p className="form-help">
+        Use these instead of a login token in scripts and CI: send <code>Authorization: Bearer &lt;token&gt;</code>.
+        A token can only reach the areas in its scopes.
+      </p>
+
+      {createdToken && (
+        <div className="created-token">
+          <strong>Copy your new token now — it will not be shown again.</strong>
+          <code>{createdToken}</code>
+          <div className="token-actions">
+            <button className="btn btn-secondary btn-sm" onClick={copyToken}>📋 Copy</button>
+            <button className="btn btn-secondary btn-sm" onClick={() => setCreatedToken(null)}>Done</button>
+          </div>
+        </div>
+      )}
+
+      {showForm ? (
+        <form className="token-form" onSubmit={handleCreate}>
+          <div className="form-grid">
+            <div className="form-group">
+              <label className="form-label" htmlFor="token-name">Name</label>
+              <input
+                id="token-name"
+                className="form-input"
+                value={form.name}
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="e.g. CI deploy"
+                maxLength={64}
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label" htmlFor="token-expiry">Expires</label>
+              <select
+                id="token-expiry"
+                className="form-input"
+                value={form.expiresInDays}
+                onChange={(e) => setForm(prev => ({ ...prev, expiresInDays: e.target.value }))}
+              >
+                {EXPIRY_OPTIONS.map(option => (
+                  <option key={option.label} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <label className="form-label">Scopes</label>
+          <div className="scope-grid">
+            {Object.entries(resources).map(([resource, actions]) => (
+              <div key={resource} className="scope-row">
+                <span className="scope-resource">{resource}</span>
+                {['read', 'write'].map(action => (
+                  <label key={action} className={`scope-option ${actions.includes(action) ? '' : 'unavailable'}`}>
+                    <input
+                      type="checkbox"
+                      disabled={!actions.includes(action)}
+                      checked={form.scopes.includes(`${resource}:${action}`)}
+                      onChange={() => toggleScope(`${resource}:${action}`)}
+                    />
+                    {action}
+                  </label>
+                ))}
+              </div>
+            ))}
+          </div>
+
+          <div className="token-actions">
+            <button type="button" className="btn btn-secondary" onClick={() => setShowForm(false)} disabled={busy}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={busy || !form.name.trim() || form.scopes.length === 0}>
+              {busy ? 'Creating...' : 'Create Token'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="token-actions">
+          <button className="btn btn-primary" onClick={() => setShowForm(true)}>➕ New Token</button>
+        </div>
+      )}
+
+      <div className="table-container">
+        <table className="table tokens-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Scopes</th>
+              <th>Created</th>
+              <th>Expires</th>
+              <th>Last Used</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {tokens.map(token => (
+              <tr key={token.id}>
+                <td>
+                  <div className="token-name">{token.name}</div>
+                  <code className="token-prefix">{token.prefix}…</code>
+                </td>
+                <td>
+                  <div className="scope-tags">
+                    {token.scopes.map(scope => <span key={scope} className="scope-tag">{scope}</span>)}
+                  </div>
+                </td>
+                <td>{new Date(token.createdAt).toLocaleDateString()}</td>
+                <td>
+                  {token.expired
+                    ? <span className="status-badge inactive">Expired</span>
+                    : token.expiresAt ? new Date(token.expiresAt).toLocaleDateString() : 'Never'}
+                </td>
+                <td>
+                  {token.lastUsedAt
+                    ? `${new Date(token.lastUsedAt).toLocaleString()} (${token.lastUsedIp})`
+                    : 'Never'}
+                </td>
+                <td>
+                  <button className="btn btn-danger btn-sm" onClick={() => setPendingRevoke(token)}>
+                    Revoke
+                  </button>
+                </td>
+              </tr>
+            ))}
+            {tokens.length === 0 && (
+              <tr>
+                <td colSpan="6" className="tokens-empty">No access tokens yet</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <ConfirmModal
+        isOpen={!!pendingRevoke}
+        onClose={() => setPendingRevoke(null)}
+        onConfirm={handleRevoke}
+        title="Revoke Token"
+        message={pendingRevoke ? `Revoke "${pendingRevoke.name}"? Anything using it will stop working immediately.` : ''}
+        confirmText="Revoke"
+        type="danger"
+      />
+    </div>
+  );
+};
+
+export default AccessTokens;
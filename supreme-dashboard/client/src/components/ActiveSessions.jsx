@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
+import ConfirmModal from './ConfirmModal';
+import './ActiveSessions.css';
+
+// Just enough user-agent parsing to tell devices apart
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari'], ['curl/', 'curl']];
+  const systems = [['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Linux', 'Linux']];
+
+  const browser = browsers.find(([needle]) => userAgent.includes(needle))?.[1];
+  const system = systems.find(([needle]) => userAgent.includes(needle))?.[1];
+
+  if (!browser && !system) return userAgent.slice(0, 40);
+  return [browser, system].filter(Boolean).join(' on ');
+};
+
+const ActiveSessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [scope, setScope] = useState('mine'); // mine, all
+  const [pending, setPending] = useState(null);
+  const { authFetch, user } = useAuth();
+  const { success, error: showError } = useToast();
+  const isAdmin = user?.role === 'admin';
+
+  useEffect(() => {
+    fetchSessions();
+  }, [scope]);
+
+  const request = async (url, options = {}) => {
+    const response = await authFetch(url, options);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `Request failed (${response.status})`);
+    }
+    return data;
+  };
+
+  const fetchSessions = async () => {
+    try {
+      const data = await request(scope === 'all' ? '/api/sessions' : '/api/auth/sessions');
+      setSessions(data.sessions || []);
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const revoke = async () => {
+    try {
+      if (pending === 'others') {
+        const data = await request('/api/auth/sessions', { method: 'DELETE' });
+        success(`Signed out ${data.revoked} other session(s)`);
+      } else {
+        const url = scope === 'all' ? `/api/sessions/${pending.id}` : `/api/auth/sessions/${pending.id}`;
+        await request(url, { method: 'DELETE' });
+        success('Session signed out');
+      }
+      await fetchSessions();
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const otherSessions = sessions.filter(session => !session.current && session.userId === user?.id);
+
+  return (
+    <div className="settings-section active-sessions">
+      <h3>Active Sessions</h3>
+
+      <div className="sessions-controls">
+        {isAdmin && (
+          <select className="filter-select" value={scope} onChange={(e) => setScope(e.target.value)}>
+            <option value="mine">My Sessions</option>
+            <option value="all">All Users</option>
+          </select>
+        )}
+        <button
+          className="btn btn-secondary"
+          onClick={() => setPending('others')}
+          disabled={otherSessions.length === 0}
+        >
+          🚪 Sign Out Other Sessions
+        </button>
+      </div>
+
+      <div className="table-container">
+        <table className="table sessions-table">
+          <thead>
+            <tr>
+              {scope === 'all' && <th>User</th>}
+              <th>Device</th>
+              <th>IP Address</th>
+              <th>Signed In</th>
+              <th>Last Activity</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {sessions.map(session => (
+              <tr key={session.id}>
+                {scope === 'all' && <td>{session.username}</td>}
+                <td title={session.userAgent || ''}>
+                  {describeUserAgent(session.userAgent)}
+                  {session.current && <span className="session-current">this device</span>}
+                </td>
+                <td>{session.ip || '—'}</td>
+                <td>{new Date(session.loginTime).toLocaleString()}</td>
+                <td>{new Date(session.lastActivity).toLocaleString()}</td>
+                <td>
+                  {!session.current && (
+                    <button className="btn btn-danger btn-sm" onClick={() => setPending(session)}>
+                      Sign Out
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {sessions.length === 0 && (
+              <tr>
+                <td colSpan={scope === 'all' ? 6 : 5} className="sessions-empty">No active sessions</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <ConfirmModal
+        isOpen={!!pending}
+        onClose={() => setPending(null)}
+        onConfirm={revoke}
+        title="Sign Out Session"
+        message={pending === 'others'
+          ? 'Sign out every session except this one?'
+          : pending ? `Sign out ${pending.username}'s session on ${describeUserAgent(pending.userAgent)}?` : ''}
+        confirmText="Sign Out"
+        type="warning"
+      />
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,295 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
+import './AuthProviderSettings.css';
+
+// Connection fields per provider: [key, label, input type, help]
+const PROVIDER_FIELDS = {
+  oidc: [
+    ['issuer', 'Issuer URL', 'text', 'e.g. https://login.example.com/realms/dev — discovery is read from /.well-known/openid-configuration'],
+    ['clientId', 'Client ID', 'text'],
+    ['clientSecret', 'Client Secret', 'password', 'Leave empty for a public client using PKCE only'],
+    ['scopes', 'Scopes', 'text'],
+    ['redirectUri', 'Redirect URI', 'text', 'Register this with the provider; defaults to <dashboard URL>/api/auth/oidc/callback'],
+    ['usernameClaim', 'Username Claim', 'text'],
+    ['groupsClaim', 'Groups Claim', 'text']
+  ],
+  ldap: [
+    ['url', 'Server URL', 'text', 'ldap://host:389 or ldaps://host:636'],
+    ['bindDN', 'Bind DN', 'text', 'Service account used to look users up; empty for anonymous search'],
+    ['bindPassword', 'Bind Password', 'password'],
+    ['baseDN', 'Base DN', 'text', 'e.g. ou=people,dc=example,dc=com'],
+    ['userFilter', 'User Filter', 'text', '{{username}} is replaced by the escaped login name'],
+    ['usernameAttribute', 'Username Attribute', 'text'],
+    ['emailAttribute', 'Email Attribute', 'text'],
+    ['groupAttribute', 'Group Attribute', 'text']
+  ]
+};
+
+const SECRET_FIELDS = ['clientSecret', 'bindPassword'];
+
+const PROVIDER_LABELS = {
+  oidc: 'OpenID Connect',
+  ldap: 'LDAP'
+};
+
+const splitGroups = (text) => text.split(/[\n,]/).map(group => group.trim()).filter(Boolean);
+
+const AuthProviderSettings = () => {
+  const [providers, setProviders] = useState(null);
+  const [type, setType] = useState('oidc');
+  const [form, setForm] = useState(null);
+  const [testUsername, setTestUsername] = useState('');
+  const [testResult, setTestResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const { authFetch } = useAuth();
+  const { success, error: showError } = useToast();
+
+  useEffect(() => {
+    fetchProviders();
+  }, []);
+
+  useEffect(() => {
+    if (providers) {
+      const config = providers[type];
+      setForm({
+        ...config,
+        adminGroups: config.adminGroups.join('\n'),
+        developerGroups: config.developerGroups.join('\n')
+      });
+      setTestResult(null);
+    }
+  }, [providers, type]);
+
+  const request = async (url, options = {}) => {
+    const response = await authFetch(url, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...options.headers }
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const details = data.details ? Object.values(data.details).join(', ') : null;
+      throw new Error(details || data.error || `Request failed (${response.status})`);
+    }
+    return data;
+  };
+
+  const fetchProviders = async () => {
+    try {
+      const data = await request('/api/settings/auth-providers');
+      setProviders(data.providers);
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  // Secrets left empty keep their saved value on the server
+  const toPayload = () => {
+    const { clientSecretSet, bindPasswordSet, ...config } = form;
+    return {
+      ...config,
+      adminGroups: splitGroups(form.adminGroups),
+      developerGroups: splitGroups(form.developerGroups),
+      defaultRole: form.defaultRole || null
+    };
+  };
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    setBusy(true);
+    try {
+      const data = await request(`/api/settings/auth-providers/${type}`, {
+        method: 'PUT',
+        body: JSON.stringify(toPayload())
+      });
+      setProviders(prev => ({ ...prev, [type]: data.provider }));
+      success(`${PROVIDER_LABELS[type]} settings saved`);
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleTest = async () => {
+    setBusy(true);
+    setTestResult(null);
+    try {
+      const data = await request(`/api/settings/auth-providers/${type}/test`, {
+        method: 'POST',
+        body: JSON.stringify({ ...toPayload(), testUsername: testUsername || undefined })
+      });
+      setTestResult({ ok: true, result: data.result });
+    } catch (err) {
+      setTestResult({ ok: false, message: err.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!form) {
+    return null;
+  }
+
+  return (
+    <div className="settings-section auth-providers">
+      <h3>Login Providers</h3>
+      <p className="form-help">
+        Let people sign in with your company identity alongside local accounts. Their role comes from
+        their groups each time they sign in; anyone outside the listed groups gets the default role, or is refused.
+      </p>
+
+      <div className="provider-tabs">
+        {Object.keys(PROVIDER_LABELS).map(id => (
+          <button
+            key={id}
+            className={`btn btn-sm ${type === id ? 'btn-primary' : 'btn-secondary'}`}
+            onClick={() => setType(id)}
+          >
+            {PROVIDER_LABELS[id]}
+            {providers[id].enabled && <span className="provider-enabled">on</span>}
+          </button>
+        ))}
+      </div>
+
+      <div className="form-grid">
+        <div className="form-group">
+          <label className="form-label">Status</label>
+          <div className="checkbox-group">
+            <input
+              type="checkbox"
+              id="providerEnabled"
+              checked={form.enabled}
+              onChange={(e) => handleChange('enabled', e.target.checked)}
+            />
+            <label htmlFor="providerEnabled">Allow sign-in with {PROVIDER_LABELS[type]}</label>
+          </div>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Button Label</label>
+          <input
+            type="text"
+            className="form-input"
+            value={form.name}
+            onChange={(e) => handleChange('name', e.target.value)}
+            maxLength={64}
+          />
+        </div>
+
+        {PROVIDER_FIELDS[type].map(([field, label, inputType, help]) => (
+          <div className="form-group" key={field}>
+            <label className="form-label">{label}</label>
+            <input
+              type={inputType}
+              className="form-input"
+              value={form[field]}
+              onChange={(e) => handleChange(field, e.target.value)}
+              placeholder={SECRET_FIELDS.includes(field) && form[`${field}Set`] ? '•••••••• (saved)' : ''}
+              autoComplete="off"
+            />
+            {help && <small className="form-help">{help}</small>}
+          </div>
+        ))}
+
+        {type === 'ldap' && (
+          <div className="form-group">
+            <label className="form-label">StartTLS</label>
+            <div className="checkbox-group">
+              <input
+                type="checkbox"
+                id="ldapStartTls"
+                checked={form.startTls}
+                onChange={(e) => handleChange('startTls', e.target.checked)}
+              />
+              <label htmlFor="ldapStartTls">Upgrade ldap:// connections to TLS</label>
+            </div>
+          </div>
+        )}
+
+        <div className="form-group">
+          <label className="form-label">Admin Groups</label>
+          <textarea
+            className="form-input"
+            rows={3}
+            value={form.adminGroups}
+            onChange={(e) => handleChange('adminGroups', e.target.value)}
+            placeholder={type === 'ldap' ? 'cn=admins,ou=groups,dc=example,dc=com' : 'dashboard-admins'}
+          />
+          <small className="form-help">One per line. LDAP groups match by full DN or by CN.</small>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Developer Groups</label>
+          <textarea
+            className="form-input"
+            rows={3}
+            value={form.developerGroups}
+            onChange={(e) => handleChange('developerGroups', e.target.value)}
+          />
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Everyone Else</label>
+          <select
+            className="form-input"
+            value={form.defaultRole || ''}
+            onChange={(e) => handleChange('defaultRole', e.target.value)}
+          >
+            <option value="">Refuse sign-in</option>
+            <option value="developer">Developer</option>
+            <option value="admin">Admin</option>
+          </select>
+        </div>
+      </div>
+
+      {testResult && (
+        <div className={`provider-test-result ${testResult.ok ? 'ok' : 'failed'}`}>
+          {testResult.ok ? (
+            <>
+              <strong>✅ Connection works</strong>
+              {type === 'oidc' && (
+                <span>
+                  {testResult.result.issuer} · {testResult.result.signingKeys} signing key(s) ·
+                  PKCE {testResult.result.pkce ? 'supported' : 'not advertised'}
+                </span>
+              )}
+              {type === 'ldap' && testResult.result.user === null && <span>Service bind succeeded, but no user matched.</span>}
+              {type === 'ldap' && testResult.result.user && (
+                <span>
+                  Found <code>{testResult.result.user.externalId}</code> in {testResult.result.user.groups.length} group(s) —
+                  {testResult.result.user.role ? ` signs in as ${testResult.result.user.role}` : ' would be refused'}
+                </span>
+              )}
+            </>
+          ) : (
+            <strong>❌ {testResult.message}</strong>
+          )}
+        </div>
+      )}
+
+      <div className="provider-actions">
+        {type === 'ldap' && (
+          <input
+            type="text"
+            className="form-input"
+            value={testUsername}
+            onChange={(e) => setTestUsername(e.target.value)}
+            placeholder="Username to look up (optional)"
+          />
+        )}
+        <button className="btn btn-secondary" onClick={handleTest} disabled={busy}>
+          🔌 Test Connection
+        </button>
+        <button className="btn btn-primary" onClick={handleSave} disabled={busy}>
+          {busy ? 'Saving...' : 'Save Provider'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AuthProviderSettings;
@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import JobOutput from './JobOutput';
+import './ProjectWizard.css';
+import './BulkActionModal.css';
+
+export const BULK_ACTIONS = {
+  start: { label: '▶️ Start', title: 'Start projects', help: 'Enables the vhost of each project.' },
+  stop: { label: '⏹️ Stop', title: 'Stop projects', help: 'Disables the vhost of each project; files and databases stay.' },
+  tag: { label: '🏷️ Tag', title: 'Tag projects', help: 'Changes your own tags on each project.' },
+  archive: { label: '📦 Archive', title: 'Archive projects', danger: true, help: 'Writes each project folder to an archive in ~/.supreme/archives, then removes the project. Databases are kept.' },
+  delete: { label: '🗑️ Delete', title: 'Delete projects', danger: true, help: 'Removes each project folder, vhost and hosts entry for good. Databases are kept.' }
+};
+
+const RESULT_LABELS = {
+  pending: '…',
+  running: '⏳',
+  succeeded: '✅',
+  failed: '❌',
+  cancelled: '⏹️'
+};
+
+const splitTags = (value) => value.split(',').map(tag => tag.trim()).filter(Boolean);
+
+// Confirm one action for the selected projects, then follow it as a single job with a result per project
+const BulkActionModal = ({ action, projects, onClose, onDone }) => {
+  const [addTags, setAddTags] = useState('');
+  const [removeTags, setRemoveTags] = useState('');
+  const [errors, setErrors] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [job, setJob] = useState(null);
+  const [finished, setFinished] = useState(null);
+  const { authFetch } = useAuth();
+
+  useEffect(() => {
+    setAddTags('');
+    setRemoveTags('');
+    setErrors({});
+    setJob(null);
+    setFinished(null);
+  }, [action]);
+
+  if (!action) {
+    return null;
+  }
+  const details = BULK_ACTIONS[action];
+
+  const handleStart = async () => {
+    setBusy(true);
+    setErrors({});
+    try {
+      const body = { action, projects };
+      if (action === 'tag') {
+        body.tags = { add: splitTags(addTags), remove: splitTags(removeTags) };
+      }
+      const response = await authFetch('/api/projects/bulk', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setErrors(data.details || { general: data.error || `Request failed (${response.status})` });
+        return;
+      }
+      setJob(data.job);
+    } catch (err) {
+      setErrors({ general: err.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleJobDone = (summary) => {
+    setFinished(summary);
+    onDone?.(summary);
+  };
+
+  const running = job && !finished;
+
+  const renderForm = () => (
+    <>
+      {errors.general && <div className="error-message">{errors.general}</div>}
+      {errors.projects && <div className="error-message">{errors.projects}</div>}
+      <p className="form-help">{details.help}</p>
+      <ul className="bulk-projects">
+        {projects.map(name => <li key={name}>{name}</li>)}
+      </ul>
+
+      {action === 'tag' && (
+        <>
+          <div className="form-group">
+            <label htmlFor="bulk-add-tags">Add tags</label>
+            <input
+              id="bulk-add-tags"
+              type="text"
+              className="form-input"
+              value={addTags}
+              onChange={(e) => setAddTags(e.target.value)}
+              placeholder="client-x, legacy"
+              autoFocus
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="bulk-remove-tags">Remove tags</label>
+            <input
+              id="bulk-remove-tags"
+              type="text"
+              className="form-input"
+              value={removeTags}
+              onChange={(e) => setRemoveTags(e.target.value)}
+            />
+            <small className="form-help">Comma-separated.</small>
+          </div>
+          {errors.tags && <span className="field-error">{errors.tags}</span>}
+        </>
+      )}
+    </>
+  );
+
+  const renderResults = () => (
+    <ul className="bulk-results">
+      {Object.entries(finished.meta.results).map(([name, result]) => (
+        <li key={name} className={result.status}>
+          <span>{RESULT_LABELS[result.status]} {name}</span>
+          {result.error && <span className="field-error">{result.error}</span>}
+        </li>
+      ))}
+    </ul>
+  );
+
+  return (
+    <div className="modal-overlay" onClick={running ? undefined : onClose}>
+      <div className="modal-content project-wizard-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>{job ? job.title : `${details.title} (${projects.length})`}</h3>
+          <button className="modal-close" onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </div>
+
+        <div className="modal-body">
+          {job ? (
+            <>
+              <JobOutput jobId={job.id} onDone={handleJobDone} />
+              {finished && renderResults()}
+            </>
+          ) : renderForm()}
+        </div>
+
+        <div className="modal-footer">
+          {job ? (
+            <button type="button" className={`btn ${running ? 'btn-secondary' : 'btn-primary'}`} onClick={onClose}>
+              {running ? 'Continue in Background' : 'Close'}
+            </button>
+          ) : (
+            <>
+              <button type="button" className="btn btn-secondary" onClick={onClose}>
+                Cancel
+              </button>
+              <button
+                type="button"
+                className={`btn ${details.danger ? 'btn-danger' : 'btn-primary'}`}
+                onClick={handleStart}
+                disabled={busy}
+              >
+                {busy ? 'Starting...' : `${details.label} ${projects.length}`}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BulkActionModal;
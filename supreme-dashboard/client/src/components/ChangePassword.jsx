@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
+import PasswordRequirements from './PasswordRequirements';
+
+const EMPTY_FORM = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+const ChangePassword = () => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [busy, setBusy] = useState(false);
+  const { authFetch, user } = useAuth();
+  const { success, error: showError } = useToast();
+
+  // Directory and SSO accounts change their password at the provider
+  if (user?.authProvider && user.authProvider !== 'local') {
+    return null;
+  }
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const response = await authFetch('/api/auth/change-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(form)
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const details = data.details ? Object.values(data.details).join(', ') : null;
+        throw new Error(details || data.error || `Request failed (${response.status})`);
+      }
+
+      setForm(EMPTY_FORM);
+      success(data.revoked > 0
+        ? `Password changed; signed out ${data.revoked} other session(s)`
+        : 'Password changed');
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="settings-section change-password">
+      <h3>Change Password</h3>
+      <p className="form-help">Changing your password signs you out everywhere except this browser.</p>
+
+      <form className="form-grid" onSubmit={handleSubmit}>
+        <div className="form-group">
+          <label className="form-label" htmlFor="current-password">Current Password</label>
+          <input
+            id="current-password"
+            type="password"
+            className="form-input"
+            value={form.currentPassword}
+            onChange={(e) => handleChange('currentPassword', e.target.value)}
+            autoComplete="current-password"
+          />
+        </div>
+        <div className="form-group">
+          <label className="form-label" htmlFor="new-password">New Password</label>
+          <input
+            id="new-password"
+            type="password"
+            className="form-input"
+            value={form.newPassword}
+            onChange={(e) => handleChange('newPassword', e.target.value)}
+            autoComplete="new-password"
+          />
+          <PasswordRequirements />
+        </div>
+        <div className="form-group">
+          <label className="form-label" htmlFor="confirm-new-password">Confirm New Password</label>
+          <input
+            id="confirm-new-password"
+            type="password"
+            className="form-input"
+            value={form.confirmPassword}
+            onChange={(e) => handleChange('confirmPassword', e.target.value)}
+            autoComplete="new-password"
+          />
+        </div>
+        <div className="form-group">
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={busy || !form.currentPassword || !form.newPassword || !form.confirmPassword}
+          >
+            {busy ? 'Saving...' : '🔑 Change Password'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ChangePassword;
@@ -0,0 +1,283 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import JobOutput from './JobOutput';
+import './ProjectWizard.css';
+
+const NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+// Same folder name the server would pick: last path segment without .git
+const nameFromRepository = (repository) => repository.trim()
+  .replace(/\/+$/, '')
+  .split(/[/:]/)
+  .pop()
+  .replace(/\.git$/, '')
+  .replace(/[^a-zA-Z0-9_-]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const CloneProjectModal = ({ isOpen, onClose, onCloned }) => {
+  const [options, setOptions] = useState(null);
+  const [form, setForm] = useState({ repository: '', branch: '', name: '', tld: '', https: false, install: true });
+  const [nameEdited, setNameEdited] = useState(false);
+  const [branches, setBranches] = useState(null);
+  const [loadingBranches, setLoadingBranches] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [job, setJob] = useState(null);
+  const [finished, setFinished] = useState(null);
+  const { authFetch } = useAuth();
+
+  useEffect(() => {
+    if (!isOpen) {
+      return;
+    }
+    setErrors({});
+    setJob(null);
+    setFinished(null);
+    setBranches(null);
+    setNameEdited(false);
+    authFetch('/api/projects/options')
+      .then(response => response.json().then(data => (response.ok ? data : Promise.reject(new Error(data.error)))))
+      .then(data => {
+        setOptions(data);
+        setForm({ repository: '', branch: '', name: '', tld: data.defaultTld, https: data.https, install: true });
+      })
+      .catch(err => setErrors({ general: err.message || 'Failed to load project options' }));
+  }, [isOpen]);
+
+  if (!isOpen) {
+    return null;
+  }
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    if (errors[field]) {
+      setErrors(prev => ({ ...prev, [field]: '' }));
+    }
+  };
+
+  // A new repository means new branches, and a new suggested name unless the user typed one
+  const handleRepositoryChange = (value) => {
+    setForm(prev => ({ ...prev, repository: value, branch: '', name: nameEdited ? prev.name : nameFromRepository(value) }));
+    setBranches(null);
+    setErrors(prev => ({ ...prev, repository: '' }));
+  };
+
+  const loadBranches = async () => {
+    if (!form.repository.trim()) {
+      return;
+    }
+    setLoadingBranches(true);
+    try {
+      const response = await authFetch('/api/projects/clone/branches', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ repository: form.repository.trim() })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.details?.repository || data.error || `Request failed (${response.status})`);
+      }
+      setBranches(data.branches);
+      setForm(prev => ({ ...prev, branch: prev.branch || data.defaultBranch || '' }));
+    } catch (err) {
+      setErrors(prev => ({ ...prev, repository: err.message }));
+    } finally {
+      setLoadingBranches(false);
+    }
+  };
+
+  const validate = () => {
+    const next = {};
+    if (!form.repository.trim()) {
+      next.repository = 'Enter a repository URL or path';
+    }
+    if (form.name.length < 2) {
+      next.name = 'Project name must be at least 2 characters';
+    } else if (!NAME_PATTERN.test(form.name)) {
+      next.name = 'Use only letters, numbers, hyphens, and underscores';
+    }
+    setErrors(next);
+    return Object.keys(next).length === 0;
+  };
+
+  const handleClone = async () => {
+    if (!validate()) {
+      return;
+    }
+    setBusy(true);
+    try {
+      const response = await authFetch('/api/projects/clone', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          repository: form.repository.trim(),
+          branch: form.branch || null,
+          name: form.name,
+          tld: form.tld,
+          https: form.https,
+          install: form.install
+        })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        if (data.details) {
+          setErrors(data.details);
+          return;
+        }
+        throw new Error(data.error || `Request failed (${response.status})`);
+      }
+      setJob(data.job);
+    } catch (err) {
+      setErrors({ general: err.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleJobDone = (summary) => {
+    setFinished(summary);
+    if (summary.status === 'succeeded') {
+      onCloned?.(summary);
+    }
+  };
+
+  const running = job && !finished;
+
+  const renderForm = () => (
+    <>
+      {errors.general && <div className="error-message">{errors.general}</div>}
+
+      <div className="form-group">
+        <label htmlFor="clone-repository">Repository</label>
+        <input
+          id="clone-repository"
+          type="text"
+          className={`form-input ${errors.repository ? 'error' : ''}`}
+          value={form.repository}
+          onChange={(e) => handleRepositoryChange(e.target.value)}
+          onBlur={loadBranches}
+          placeholder="https://github.com/owner/repo.git or /srv/git/repo.git"
+          autoFocus
+        />
+        {errors.repository && <span className="field-error">{errors.repository}</span>}
+        <small className="form-help">HTTPS, SSH or git URL; admins can also use the path of a local (bare) repository.</small>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="clone-branch">Branch</label>
+        <input
+          id="clone-branch"
+          type="text"
+          list="clone-branches"
+          className={`form-input ${errors.branch ? 'error' : ''}`}
+          value={form.branch}
+          onChange={(e) => handleChange('branch', e.target.value.trim())}
+          placeholder={loadingBranches ? 'Loading branches...' : 'Default branch'}
+        />
+        <datalist id="clone-branches">
+          {(branches || []).map(branch => <option key={branch} value={branch} />)}
+        </datalist>
+        {errors.branch && <span className="field-error">{errors.branch}</span>}
+        {branches && <small className="form-help">{branches.length} branch{branches.length === 1 ? '' : 'es'} on the remote.</small>}
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="clone-name">Project Name</label>
+        <div className="project-host-input">
+          <input
+            id="clone-name"
+            type="text"
+            className={`form-input ${errors.name ? 'error' : ''}`}
+            value={form.name}
+            onChange={(e) => {
+              setNameEdited(true);
+              handleChange('name', e.target.value.trim());
+            }}
+            placeholder="my-project"
+          />
+          <span className="project-host-dot">.</span>
+          <select
+            className="form-input project-tld-select"
+            value={form.tld}
+            onChange={(e) => handleChange('tld', e.target.value)}
+            aria-label="Top-level domain"
+          >
+            {options.tlds.map(tld => <option key={tld} value={tld}>{tld}</option>)}
+          </select>
+        </div>
+        {errors.name && <span className="field-error">{errors.name}</span>}
+        {errors.tld && <span className="field-error">{errors.tld}</span>}
+      </div>
+
+      <div className="form-group">
+        <label className="wizard-toggle">
+          <input type="checkbox" checked={form.https} onChange={(e) => handleChange('https', e.target.checked)} />
+          Serve over HTTPS
+        </label>
+      </div>
+
+      <div className="form-group">
+        <label className="wizard-toggle">
+          <input type="checkbox" checked={form.install} onChange={(e) => handleChange('install', e.target.checked)} />
+          Install dependencies
+        </label>
+        <small className="form-help">npm, Composer or pip, depending on what the repository contains.</small>
+      </div>
+    </>
+  );
+
+  const renderBody = () => {
+    if (!options) {
+      return errors.general ? <div className="error-message">{errors.general}</div> : <p>Loading...</p>;
+    }
+    if (job) {
+      return (
+        <>
+          <JobOutput jobId={job.id} onDone={handleJobDone} />
+          {finished?.status === 'succeeded' && (
+            <p className="wizard-result">
+              🎉 Ready at <a href={job.meta.url} target="_blank" rel="noopener noreferrer">{job.meta.url}</a>
+            </p>
+          )}
+        </>
+      );
+    }
+    return renderForm();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={running ? undefined : onClose}>
+      <div className="modal-content project-wizard-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>{job ? job.title : 'Clone from Git'}</h3>
+          <button className="modal-close" onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </div>
+
+        <div className="modal-body">
+          {renderBody()}
+        </div>
+
+        <div className="modal-footer">
+          {job ? (
+            <button type="button" className={`btn ${running ? 'btn-secondary' : 'btn-primary'}`} onClick={onClose}>
+              {running ? 'Continue in Background' : 'Close'}
+            </button>
+          ) : (
+            <>
+              <button type="button" className="btn btn-secondary" onClick={onClose}>
+                Cancel
+              </button>
+              <button type="button" className="btn btn-primary" onClick={handleClone} disabled={busy || !options}>
+                {busy ? 'Starting...' : '📥 Clone Project'}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CloneProjectModal;
@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import JobOutput from './JobOutput';
+import './DeleteProjectModal.css';
+
+const DeleteProjectModal = ({ projectName, onClose, onDeleted }) => {
+  const [plan, setPlan] = useState(null);
+  const [archive, setArchive] = useState(true);
+  const [databases, setDatabases] = useState([]);
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [job, setJob] = useState(null);
+  const [finished, setFinished] = useState(null);
+  const { authFetch } = useAuth();
+
+  useEffect(() => {
+    if (!projectName) {
+      return;
+    }
+    setPlan(null);
+    setArchive(true);
+    setDatabases([]);
+    setConfirmation('');
+    setError(null);
+    setJob(null);
+    setFinished(null);
+    authFetch(`/api/projects/${encodeURIComponent(projectName)}/deletion-plan`)
+      .then(response => response.json().then(data => (response.ok ? data : Promise.reject(new Error(data.error)))))
+      .then(data => setPlan(data.plan))
+      .catch(err => setError(err.message || 'Failed to load the project'));
+  }, [projectName]);
+
+  if (!projectName) {
+    return null;
+  }
+
+  const toggleDatabase = (name) => {
+    setDatabases(prev => (prev.includes(name) ? prev.filter(item => item !== name) : [...prev, name]));
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const response = await authFetch(`/api/projects/${encodeURIComponent(projectName)}`, {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ archive, databases })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const details = data.details ? Object.values(data.details).join(', ') : null;
+        throw new Error(details || data.error || `Request failed (${response.status})`);
+      }
+      setJob(data.job);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleJobDone = (summary) => {
+    setFinished(summary);
+    if (summary.status === 'succeeded') {
+      onDeleted?.(summary);
+    }
+  };
+
+  const running = job && !finished;
+
+  const renderPlan = () => (
+    <>
+      <p className="delete-intro">This permanently removes:</p>
+      <ul className="delete-plan">
+        {plan.folder && <li>📁 Project folder <code>{plan.folder}</code>{plan.size && ` (${plan.size})`}</li>}
+        {plan.vhostEnabled && <li>🔌 Enabled vhost <code>{plan.vhostEnabled}</code></li>}
+        {plan.vhost && <li>📄 Vhost file <code>{plan.vhost}</code></li>}
+        {plan.hostsEntry && <li>🌐 <code>/etc/hosts</code> entry for <code>{plan.hostsEntry}</code></li>}
+        {databases.map(name => <li key={name}>🗄️ Database <code>{name}</code></li>)}
+      </ul>
+      <p className="form-help">Apache is restarted afterwards.</p>
+
+      {plan.databases.length > 0 && (
+        <div className="form-group">
+          <label>Also drop these databases</label>
+          {plan.databases.map(database => (
+            <label key={database.name} className="delete-option">
+              <input
+                type="checkbox"
+                checked={databases.includes(database.name)}
+                onChange={() => toggleDatabase(database.name)}
+              />
+              <code>{database.name}</code>
+              {database.size && <span className="form-help">{database.size}</span>}
+            </label>
+          ))}
+        </div>
+      )}
+
+      <div className="form-group">
+        <label className="delete-option">
+          <input type="checkbox" checked={archive} onChange={(e) => setArchive(e.target.checked)} />
+          Archive first
+        </label>
+        {archive && (
+          <small className="form-help">
+            Files{databases.length > 0 && ' and database dumps'} are saved to <code>{plan.archivePath}</code>
+          </small>
+        )}
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="delete-confirmation">Type <strong>{projectName}</strong> to confirm</label>
+        <input
+          id="delete-confirmation"
+          type="text"
+          className="form-input"
+          value={confirmation}
+          onChange={(e) => setConfirmation(e.target.value)}
+          autoComplete="off"
+          autoFocus
+        />
+      </div>
+    </>
+  );
+
+  return (
+    <div className="modal-overlay" onClick={running ? undefined : onClose}>
+      <div className="modal-content delete-project-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>🗑️ Delete {projectName}</h3>
+          <button className="modal-close" onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </div>
+
+        <form onSubmit={handleDelete}>
+          <div className="modal-body">
+            {error && <div className="error-message">{error}</div>}
+            {job ? (
+              <>
+                <JobOutput jobId={job.id} onDone={handleJobDone} />
+                {finished?.status === 'succeeded' && job.meta.archivePath && (
+                  <p className="form-help">Archive saved to <code>{job.meta.archivePath}</code></p>
+                )}
+              </>
+            ) : plan ? renderPlan() : !error && <p>Loading...</p>}
+          </div>
+
+          <div className="modal-footer">
+            {job ? (
+              <button type="button" className={`btn ${running ? 'btn-secondary' : 'btn-primary'}`} onClick={onClose}>
+                {running ? 'Continue in Background' : 'Close'}
+              </button>
+            ) : (
+              <>
+                <button type="button" className="btn btn-secondary" onClick={onClose}>
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="btn btn-danger"
+                  disabled={!plan || busy || confirmation !== projectName}
+                >
+                  {busy ? 'Deleting...' : 'Delete Project'}
+                </button>
+              </>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default DeleteProjectModal;
@@ -0,0 +1,127 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import SeverityCounts, { SeverityBadge } from './SeverityCounts';
+import './DependencyAuditPanel.css';
+
+// A project's lock files checked against the imported advisory database
+const DependencyAuditPanel = ({ project }) => {
+  const [audit, setAudit] = useState(null);
+  const [database, setDatabase] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { authFetch } = useAuth();
+
+  const load = async (refresh = false) => {
+    setLoading(true);
+    try {
+      const response = await authFetch(`/api/projects/${encodeURIComponent(project)}/dependency-audit${refresh ? '?refresh=true' : ''}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to audit dependencies');
+      }
+      setAudit(data.audit);
+      setDatabase(data.database);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, [project]);
+
+  return (
+    <section className="detail-section dependency-audit-panel">
+      <div className="dependency-toolbar">
+        <h3>🛡️ Dependencies</h3>
+        <button type="button" className="btn btn-secondary btn-sm" onClick={() => load(true)} disabled={loading}>
+          🔄 Rescan
+        </button>
+      </div>
+
+      {error && <p className="detail-empty">{error}</p>}
+
+      {audit && (
+        <>
+          {!database && (
+            <p className="detail-empty">
+              No advisory database has been imported yet, so nothing can be flagged.
+              See <Link to="/dependencies">Dependencies</Link>.
+            </p>
+          )}
+          {database && (
+            <p className="detail-file">
+              Checked {new Date(audit.scannedAt).toLocaleString()} against {database.advisories} advisories
+              imported {new Date(database.importedAt).toLocaleDateString()}
+            </p>
+          )}
+
+          {audit.manifests.length === 0 ? (
+            <p className="detail-empty">No package-lock.json, composer.lock or requirements.txt in this project.</p>
+          ) : (
+            <dl className="detail-list">
+              {audit.manifests.map(manifest => (
+                <React.Fragment key={manifest.file}>
+                  <dt><code>{manifest.file}</code></dt>
+                  <dd>
+                    {manifest.error || `${manifest.packages} packages`}
+                    {manifest.unpinned.length > 0 && (
+                      <div className="commit-meta">
+                        Not pinned with ==, so not checked: {manifest.unpinned.join(', ')}
+                      </div>
+                    )}
+                  </dd>
+                </React.Fragment>
+              ))}
+            </dl>
+          )}
+
+          {database && audit.manifests.length > 0 && (
+            <div className="dependency-summary">
+              <SeverityCounts counts={audit.counts} />
+            </div>
+          )}
+
+          {audit.findings.length > 0 && (
+            <table className="table dependency-findings">
+              <thead>
+                <tr>
+                  <th>Severity</th>
+                  <th>Package</th>
+                  <th>Advisory</th>
+                  <th>Fixed in</th>
+                </tr>
+              </thead>
+              <tbody>
+                {audit.findings.map(finding => (
+                  <tr key={`${finding.id}:${finding.manifest}:${finding.package}:${finding.version}`}>
+                    <td><SeverityBadge severity={finding.severity} /></td>
+                    <td>
+                      <code>{finding.package}@{finding.version}</code>
+                      {finding.dev && <span className="commit-meta"> dev</span>}
+                      <div className="commit-meta">{finding.manifest}</div>
+                    </td>
+                    <td>
+                      {finding.url ? (
+                        <a href={finding.url} target="_blank" rel="noopener noreferrer">{finding.id}</a>
+                      ) : finding.id}
+                      {finding.aliases.length > 0 && <span className="commit-meta"> {finding.aliases.join(', ')}</span>}
+                      <div>{finding.summary}</div>
+                    </td>
+                    <td>{finding.fixedIn ? <code>{finding.fixedIn}</code> : 'No fix yet'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </section>
+  );
+};
+
+export default DependencyAuditPanel;
@@ -0,0 +1,133 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
+import { useNdjsonStream } from '../hooks/useNdjsonStream';
+import './JobOutput.css';
+import './DevServerPanel.css';
+
+const STATUS_LABELS = {
+  starting: '⏳ Starting',
+  running: '🟢 Running',
+  restarting: '🔁 Restarting',
+  crashed: '💥 Crashed',
+  stopped: '⚪ Stopped'
+};
+
+// Maximum lines kept in the browser; the server keeps its own, larger buffer
+const MAX_LINES = 1000;
+
+// Start/stop/restart a project's supervised dev server and follow its output
+const DevServerPanel = ({ project }) => {
+  const [server, setServer] = useState(null);
+  const [command, setCommand] = useState(null);
+  const [lines, setLines] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const consoleRef = useRef(null);
+  const { authFetch } = useAuth();
+  const { success, error } = useToast();
+  const base = `/api/projects/${encodeURIComponent(project)}/dev`;
+
+  useEffect(() => {
+    setLines([]);
+    authFetch(base)
+      .then(response => response.json())
+      .then(data => {
+        setServer(data.server || null);
+        setCommand(data.command || null);
+      })
+      .catch(() => {});
+  }, [base, authFetch]);
+
+  const { error: streamError } = useNdjsonStream(`${base}/logs/stream`, (event) => {
+    if (event.type === 'line') {
+      setLines(prev => [...prev, event].slice(-MAX_LINES));
+    } else if (event.type === 'status') {
+      setServer(event.server);
+      if (event.server.command) {
+        setCommand(event.server.command);
+      }
+    }
+  });
+
+  useEffect(() => {
+    if (consoleRef.current) {
+      consoleRef.current.scrollTop = consoleRef.current.scrollHeight;
+    }
+  }, [lines]);
+
+  const runAction = async (action) => {
+    setBusy(true);
+    try {
+      const response = await authFetch(`${base}/${action}`, { method: 'POST' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `Failed to ${action} the dev server`);
+      }
+      setServer(data.server);
+      success(`Dev server ${action === 'stop' ? 'stopped' : `${action}ed`}`);
+    } catch (err) {
+      error(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const status = server?.status || 'stopped';
+  const active = status === 'starting' || status === 'running' || status === 'restarting';
+
+  return (
+    <section className="detail-section dev-server-panel">
+      <h3>🛠️ Dev Server</h3>
+      <div className="dev-server-header">
+        <span className={`dev-server-status ${status}`}>{STATUS_LABELS[status] || status}</span>
+        {status === 'running' && server.url && (
+          <a href={server.url} target="_blank" rel="noopener noreferrer" className="url-value">{server.url}</a>
+        )}
+        <div className="dev-server-actions">
+          {active ? (
+            <>
+              <button type="button" className="btn btn-secondary btn-sm" onClick={() => runAction('restart')} disabled={busy}>
+                🔁 Restart
+              </button>
+              <button type="button" className="btn btn-danger btn-sm" onClick={() => runAction('stop')} disabled={busy}>
+                ⏹️ Stop
+              </button>
+            </>
+          ) : (
+            <button type="button" className="btn btn-primary btn-sm" onClick={() => runAction('start')} disabled={busy || !command}>
+              ▶️ Start
+            </button>
+          )}
+        </div>
+      </div>
+
+      <dl className="detail-list">
+        <dt>Command</dt>
+        <dd>{command ? <code>{command}</code> : 'No dev command found for this project'}</dd>
+        {server?.port && (
+          <>
+            <dt>Port</dt>
+            <dd>{server.port}</dd>
+          </>
+        )}
+        {server?.restarts > 0 && (
+          <>
+            <dt>Restarts</dt>
+            <dd>{server.restarts}</dd>
+          </>
+        )}
+      </dl>
+
+      {lines.length > 0 && (
+        <pre className="job-console dev-server-console" ref={consoleRef}>
+          {lines.map(line => (
+            <div key={line.seq} className={`job-line ${line.stream}`}>{line.text || ' '}</div>
+          ))}
+        </pre>
+      )}
+      {streamError && <div className="job-error">{streamError}</div>}
+    </section>
+  );
+};
+
+export default DevServerPanel;
@@ -0,0 +1,332 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
+import './EnvironmentEditor.css';
+
+const KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+
+// Variables of a project's .env files: edit, add or remove them, review the diff, then save.
+// Only changed keys are sent, so masked secrets the user never revealed are left alone.
+const EnvironmentEditor = ({ project }) => {
+  const [file, setFile] = useState('.env');
+  const [env, setEnv] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [edits, setEdits] = useState({});
+  const [removed, setRemoved] = useState([]);
+  const [revealed, setRevealed] = useState({});
+  const [newKey, setNewKey] = useState('');
+  const [newValue, setNewValue] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [conflict, setConflict] = useState(null);
+  const { authFetch } = useAuth();
+  const { success, error } = useToast();
+  const base = `/api/projects/${encodeURIComponent(project)}/env`;
+
+  const request = async (url, options = {}) => {
+    const response = await authFetch(url, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...options.headers }
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const err = new Error(data.error || 'Request failed');
+      err.code = data.code;
+      throw err;
+    }
+    return data;
+  };
+
+  const load = async () => {
+    setLoading(true);
+    try {
+      const data = await request(`${base}?file=${encodeURIComponent(file)}`);
+      setEnv(data.env);
+      setEdits({});
+      setRemoved([]);
+      setRevealed({});
+      setDiff(null);
+      setConflict(null);
+      setLoadError(null);
+    } catch (err) {
+      setLoadError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, [base, file]);
+
+  const changes = () => ({
+    file,
+    set: edits,
+    unset: removed,
+    expectedHash: env.hash
+  });
+  const changeCount = Object.keys(edits).length + removed.length;
+
+  const setValue = (key, value) => setEdits(prev => ({ ...prev, [key]: value }));
+
+  const discard = (key) => setEdits(prev => {
+    const next = { ...prev };
+    delete next[key];
+    return next;
+  });
+
+  const toggleRemoved = (key) => {
+    discard(key);
+    setRemoved(prev => (prev.includes(key) ? prev.filter(item => item !== key) : [...prev, key]));
+  };
+
+  const reveal = async (key) => {
+    try {
+      const data = await request(`${base}/reveal`, { method: 'POST', body: JSON.stringify({ file, key }) });
+      setRevealed(prev => ({ ...prev, [key]: data.value }));
+    } catch (err) {
+      error(err.message);
+    }
+  };
+
+  const addVariable = (e) => {
+    e.preventDefault();
+    const key = newKey.trim();
+    if (!KEY_PATTERN.test(key)) {
+      error('Variable names start with a letter or underscore and contain only letters, numbers, _ . and -');
+      return;
+    }
+    setValue(key, newValue);
+    setRemoved(prev => prev.filter(item => item !== key));
+    setNewKey('');
+    setNewValue('');
+  };
+
+  const addMissing = (variables) => {
+    setEdits(prev => ({
+      ...prev,
+      ...Object.fromEntries(variables.map(variable => [variable.key, prev[variable.key] ?? variable.value]))
+    }));
+  };
+
+  const review = async () => {
+    try {
+      const data = await request(`${base}/preview`, { method: 'POST', body: JSON.stringify(changes()) });
+      setDiff(data.diff);
+    } catch (err) {
+      error(err.message);
+    }
+  };
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      const data = await request(base, { method: 'PUT', body: JSON.stringify(changes()) });
+      setEnv(data.env);
+      setEdits({});
+      setRemoved([]);
+      setRevealed({});
+      setDiff(null);
+      success(`Saved ${file}`);
+    } catch (err) {
+      if (err.code === 'ENV_CHANGED') {
+        setConflict(err.message);
+      } else {
+        error(err.message);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading && !env) {
+    return <div className="detail-section"><p className="detail-empty">Loading environment...</p></div>;
+  }
+
+  if (loadError) {
+    return <div className="detail-section"><p className="detail-empty">{loadError}</p></div>;
+  }
+
+  const variables = env.entries.filter(entry => entry.type === 'variable');
+  const existingKeys = new Set(variables.map(variable => variable.key));
+  const addedKeys = Object.keys(edits).filter(key => !existingKeys.has(key));
+  const missing = (env.example?.missing || []).filter(variable => !Object.hasOwn(edits, variable.key));
+
+  return (
+    <div className="environment-editor">
+      <section className="detail-section">
+        <div className="env-toolbar">
+          <h3>🔐 Environment</h3>
+          {env.files.length > 1 && (
+            <select value={file} onChange={(e) => setFile(e.target.value)} className="filter-select">
+              {env.files.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+          )}
+          <button type="button" className="btn btn-secondary btn-sm" onClick={load} disabled={loading}>
+            🔄 Reload
+          </button>
+        </div>
+
+        {!env.exists && (
+          <p className="detail-empty">
+            This project has no {file} yet. Variables you add here create it.
+          </p>
+        )}
+
+        {conflict && (
+          <div className="env-conflict">
+            {conflict}
+            <button type="button" className="btn btn-secondary btn-sm" onClick={load}>Reload</button>
+          </div>
+        )}
+
+        {env.entries.length > 0 && (
+          <table className="env-table">
+            <tbody>
+              {env.entries.map((entry, index) => {
+                if (entry.type !== 'variable') {
+                  return entry.type === 'comment' ? (
+                    <tr key={index} className="env-comment">
+                      <td colSpan={3}><code>{entry.text}</code></td>
+                    </tr>
+                  ) : null;
+                }
+
+                const isRemoved = removed.includes(entry.key);
+                const isEdited = Object.hasOwn(edits, entry.key);
+                const masked = entry.secret && !Object.hasOwn(revealed, entry.key) && !isEdited;
+                const value = isEdited ? edits[entry.key] : (revealed[entry.key] ?? entry.value);
+
+                return (
+                  <tr key={index} className={`${isRemoved ? 'env-removed' : ''} ${isEdited ? 'env-edited' : ''}`}>
+                    <td className="env-key">
+                      <code>{entry.key}</code>
+                      {entry.missingFromExample && <span className="env-flag" title={`Not in ${env.example.file}`}>not in example</span>}
+                    </td>
+                    <td className="env-value">
+                      <input
+                        type="text"
+                        className="env-input"
+                        value={value}
+                        readOnly={masked || isRemoved}
+                        onChange={(e) => setValue(entry.key, e.target.value)}
+                      />
+                      {entry.comment && <span className="env-inline-comment">{entry.comment}</span>}
+                    </td>
+                    <td className="env-actions">
+                      {masked && (
+                        <button type="button" className="btn btn-secondary btn-sm" onClick={() => reveal(entry.key)} title="Show and edit this value">
+                          👁️
+                        </button>
+                      )}
+                      {isEdited && (
+                        <button type="button" className="btn btn-secondary btn-sm" onClick={() => discard(entry.key)} title="Undo change">
+                          ↩️
+                        </button>
+                      )}
+                      <button type="button" className="btn btn-danger btn-sm" onClick={() => toggleRemoved(entry.key)} title={isRemoved ? 'Keep' : 'Remove'}>
+                        {isRemoved ? '↩️' : '🗑️'}
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+
+        {addedKeys.length > 0 && (
+          <>
+            <h4>New variables</h4>
+            <table className="env-table">
+              <tbody>
+                {addedKeys.map(key => (
+                  <tr key={key} className="env-edited">
+                    <td className="env-key"><code>{key}</code></td>
+                    <td className="env-value">
+                      <input type="text" className="env-input" value={edits[key]} onChange={(e) => setValue(key, e.target.value)} />
+                    </td>
+                    <td className="env-actions">
+                      <button type="button" className="btn btn-danger btn-sm" onClick={() => discard(key)} title="Don't add">🗑️</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+
+        <form className="env-add" onSubmit={addVariable}>
+          <input type="text" className="env-input" placeholder="NEW_VARIABLE" value={newKey} onChange={(e) => setNewKey(e.target.value)} />
+          <input type="text" className="env-input" placeholder="value" value={newValue} onChange={(e) => setNewValue(e.target.value)} />
+          <button type="submit" className="btn btn-secondary btn-sm" disabled={!newKey.trim()}>➕ Add</button>
+        </form>
+
+        <div className="env-footer">
+          <span className="detail-empty">
+            {changeCount === 0 ? 'No unsaved changes' : `${changeCount} unsaved change${changeCount === 1 ? '' : 's'}`}
+          </span>
+          <button type="button" className="btn btn-primary" onClick={review} disabled={changeCount === 0}>
+            Review Changes
+          </button>
+        </div>
+      </section>
+
+      {env.example && (
+        <section className="detail-section">
+          <h3>📋 Compared with {env.example.file}</h3>
+          {missing.length === 0 ? (
+            <p className="detail-empty">Every variable in {env.example.file} is set. ✅</p>
+          ) : (
+            <>
+              <p className="detail-empty">Missing from {file}:</p>
+              <ul className="env-missing">
+                {missing.map(variable => (
+                  <li key={variable.key}>
+                    <code>{variable.key}</code>
+                    {variable.value && <span className="commit-meta">= {variable.value}</span>}
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={() => addMissing([variable])}>Add</button>
+                  </li>
+                ))}
+              </ul>
+              <button type="button" className="btn btn-secondary btn-sm" onClick={() => addMissing(missing)}>
+                Add all {missing.length}
+              </button>
+            </>
+          )}
+        </section>
+      )}
+
+      {diff && (
+        <div className="modal-overlay" onClick={() => setDiff(null)}>
+          <div className="modal-content env-diff-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Save {file}?</h3>
+              <button className="modal-close" onClick={() => setDiff(null)}>×</button>
+            </div>
+            <div className="modal-body">
+              <pre className="env-diff">
+                {diff.map((line, index) => (
+                  <div key={index} className={`env-diff-line ${line.type}`}>
+                    {line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}{line.text || ' '}
+                  </div>
+                ))}
+              </pre>
+            </div>
+            <div className="modal-footer">
+              <button type="button" className="btn btn-secondary" onClick={() => setDiff(null)} disabled={saving}>
+                Keep Editing
+              </button>
+              <button type="button" className="btn btn-primary" onClick={save} disabled={saving}>
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EnvironmentEditor;
@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import JobOutput from './JobOutput';
+import './ProjectWizard.css';
+
+// Save a bundle through the browser; the download needs the auth header, so it goes through a blob
+export const downloadBundle = async (authFetch, id) => {
+  const response = await authFetch(`/api/bundles/${encodeURIComponent(id)}/download`);
+  if (!response.ok) {
+    throw new Error(`Download failed (${response.status})`);
+  }
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${id}.supreme.tgz`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Bundle a project's files, chosen databases, vhost file and a manifest into one archive
+const ExportProjectModal = ({ project, isOpen, onClose }) => {
+  const [respectGitignore, setRespectGitignore] = useState(true);
+  const [databases, setDatabases] = useState([]);
+  const [errors, setErrors] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [job, setJob] = useState(null);
+  const [finished, setFinished] = useState(null);
+  const { authFetch } = useAuth();
+
+  useEffect(() => {
+    if (!isOpen) {
+      return;
+    }
+    setRespectGitignore(true);
+    setDatabases(project.databases.map(database => database.name));
+    setErrors({});
+    setJob(null);
+    setFinished(null);
+  }, [isOpen]);
+
+  if (!isOpen) {
+    return null;
+  }
+
+  const toggleDatabase = (name) => {
+    setDatabases(prev => (prev.includes(name) ? prev.filter(item => item !== name) : [...prev, name]));
+  };
+
+  const handleExport = async () => {
+    setBusy(true);
+    setErrors({});
+    try {
+      const response = await authFetch(`/api/projects/${encodeURIComponent(project.name)}/export`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ respectGitignore, databases })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setErrors(data.details || { general: data.error || `Request failed (${response.status})` });
+        return;
+      }
+      setJob(data.job);
+    } catch (err) {
+      setErrors({ general: err.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDownload = async () => {
+    try {
+      await downloadBundle(authFetch, job.meta.bundle);
+    } catch (err) {
+      setErrors({ general: err.message });
+    }
+  };
+
+  const running = job && !finished;
+
+  const renderForm = () => (
+    <>
+      {errors.general && <div className="error-message">{errors.general}</div>}
+
+      <div className="form-group">
+        <label className="wizard-toggle">
+          <input type="checkbox" checked={respectGitignore} onChange={(e) => setRespectGitignore(e.target.checked)} />
+          Leave out what .gitignore excludes
+        </label>
+        <small className="form-help">Skips node_modules, vendor, build output and the like; .git itself is kept.</small>
+        {errors.respectGitignore && <span className="field-error">{errors.respectGitignore}</span>}
+      </div>
+
+      <div className="form-group">
+        <label>Databases</label>
+        {project.databases.length === 0 ? (
+          <small className="form-help">No databases found for this project.</small>
+        ) : project.databases.map(database => (
+          <label key={database.name} className="wizard-toggle">
+            <input
+              type="checkbox"
+              checked={databases.includes(database.name)}
+              onChange={() => toggleDatabase(database.name)}
+            />
+            Dump <code>{database.name}</code>
+          </label>
+        ))}
+        {errors.databases && <span className="field-error">{errors.databases}</span>}
+      </div>
+
+      <small className="form-help">The vhost file and a manifest are always included.</small>
+    </>
+  );
+
+  return (
+    <div className="modal-overlay" onClick={running ? undefined : onClose}>
+      <div className="modal-content project-wizard-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>{job ? job.title : `📦 Export ${project.name}`}</h3>
+          <button className="modal-close" onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </div>
+
+        <div className="modal-body">
+          {job ? (
+            <>
+              {errors.general && <div className="error-message">{errors.general}</div>}
+              <JobOutput jobId={job.id} onDone={setFinished} />
+            </>
+          ) : renderForm()}
+        </div>
+
+        <div className="modal-footer">
+          {job ? (
+            <>
+              {finished?.status === 'succeeded' && (
+                <button type="button" className="btn btn-primary" onClick={handleDownload}>
+                  ⬇️ Download
+                </button>
+              )}
+              <button type="button" className="btn btn-secondary" onClick={onClose}>
+                {running ? 'Continue in Background' : 'Close'}
+              </button>
+            </>
+          ) : (
+            <>
+              <button type="button" className="btn btn-secondary" onClick={onClose}>
+                Cancel
+              </button>
+              <button type="button" className="btn btn-primary" onClick={handleExport} disabled={busy}>
+                {busy ? 'Starting...' : '📦 Export'}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportProjectModal;
@@ -0,0 +1,321 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import JobOutput from './JobOutput';
+import { downloadBundle } from './ExportProjectModal';
+import './ProjectWizard.css';
+import './ImportBundleModal.css';
+
+const NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`);
+
+// The bundle's own TLD when this server offers it, else the default
+const tldFor = (bundle, options) => {
+  const tld = bundle.vhost?.serverName?.split('.').slice(1).join('.');
+  return options.tlds.includes(tld) ? tld : options.defaultTld;
+};
+
+// Recreate a project from a bundle exported on this or another machine
+const ImportBundleModal = ({ isOpen, onClose, onImported }) => {
+  const [options, setOptions] = useState(null);
+  const [bundles, setBundles] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [form, setForm] = useState({ name: '', tld: '', https: false, databases: true });
+  const [errors, setErrors] = useState({});
+  const [uploading, setUploading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [job, setJob] = useState(null);
+  const [finished, setFinished] = useState(null);
+  const { authFetch } = useAuth();
+
+  const loadBundles = async () => {
+    const response = await authFetch('/api/bundles');
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load bundles');
+    }
+    setBundles(data.bundles);
+    return data.bundles;
+  };
+
+  useEffect(() => {
+    if (!isOpen) {
+      return;
+    }
+    setErrors({});
+    setSelected(null);
+    setJob(null);
+    setFinished(null);
+    Promise.all([
+      authFetch('/api/projects/options').then(response => response.json().then(data => (response.ok ? data : Promise.reject(new Error(data.error))))),
+      loadBundles()
+    ])
+      .then(([data]) => setOptions(data))
+      .catch(err => setErrors({ general: err.message || 'Failed to load bundles' }));
+  }, [isOpen]);
+
+  if (!isOpen) {
+    return null;
+  }
+
+  const selectBundle = (bundle) => {
+    setSelected(bundle);
+    setForm({
+      name: bundle.project,
+      tld: tldFor(bundle, options),
+      https: bundle.vhost?.https ?? options.https,
+      databases: bundle.databases.length > 0 && options.databaseEnabled
+    });
+    setErrors({});
+  };
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    if (errors[field]) {
+      setErrors(prev => ({ ...prev, [field]: '' }));
+    }
+  };
+
+  const handleUpload = async (file) => {
+    if (!file) {
+      return;
+    }
+    setUploading(true);
+    setErrors({});
+    try {
+      const response = await authFetch('/api/bundles', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/gzip' },
+        body: file
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `Upload failed (${response.status})`);
+      }
+      await loadBundles();
+      selectBundle(data.bundle);
+    } catch (err) {
+      setErrors({ general: err.message });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (bundle) => {
+    try {
+      const response = await authFetch(`/api/bundles/${encodeURIComponent(bundle.id)}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `Request failed (${response.status})`);
+      }
+      if (selected?.id === bundle.id) {
+        setSelected(null);
+      }
+      await loadBundles();
+    } catch (err) {
+      setErrors({ general: err.message });
+    }
+  };
+
+  const handleDownload = async (bundle) => {
+    try {
+      await downloadBundle(authFetch, bundle.id);
+    } catch (err) {
+      setErrors({ general: err.message });
+    }
+  };
+
+  const handleImport = async () => {
+    if (form.name.length < 2 || !NAME_PATTERN.test(form.name)) {
+      setErrors({ name: 'Use at least 2 letters, numbers, hyphens, or underscores' });
+      return;
+    }
+    setBusy(true);
+    try {
+      const response = await authFetch(`/api/bundles/${encodeURIComponent(selected.id)}/import`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(form)
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        if (data.details) {
+          setErrors(data.details);
+          return;
+        }
+        throw new Error(data.error || `Request failed (${response.status})`);
+      }
+      setJob(data.job);
+    } catch (err) {
+      setErrors({ general: err.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleJobDone = (summary) => {
+    setFinished(summary);
+    if (summary.status === 'succeeded') {
+      onImported?.(summary);
+    }
+  };
+
+  const running = job && !finished;
+
+  const renderBundles = () => (
+    <>
+      <div className="form-group">
+        <label htmlFor="bundle-upload">Upload a bundle</label>
+        <input
+          id="bundle-upload"
+          type="file"
+          accept=".tgz,.tar.gz,application/gzip"
+          onChange={(e) => handleUpload(e.target.files[0])}
+          disabled={uploading}
+        />
+        <small className="form-help">
+          {uploading ? 'Uploading...' : `A .supreme.tgz exported from any Supreme dashboard, up to ${formatSize(options.maxUploadBytes || 0)}.`}
+        </small>
+      </div>
+
+      <label className="wizard-section-title">Bundles on this server</label>
+      {bundles.length === 0 ? (
+        <p className="form-help">None yet. Export a project from its detail page, or upload one above.</p>
+      ) : (
+        <ul className="bundle-list">
+          {bundles.map(bundle => (
+            <li key={bundle.id} className={selected?.id === bundle.id ? 'selected' : ''}>
+              <button type="button" className="bundle-choice" onClick={() => selectBundle(bundle)}>
+                <strong>{bundle.project}</strong>
+                <span className="form-help">
+                  {bundle.framework?.name} · {new Date(bundle.exportedAt).toLocaleString()} on {bundle.exportedFrom}
+                  {' · '}{formatSize(bundle.size)}
+                  {bundle.databases.length > 0 && ` · 🗄️ ${bundle.databases.join(', ')}`}
+                </span>
+              </button>
+              <button type="button" className="btn btn-secondary btn-sm" onClick={() => handleDownload(bundle)} title="Download">
+                ⬇️
+              </button>
+              <button type="button" className="btn btn-secondary btn-sm" onClick={() => handleDelete(bundle)} title="Delete bundle">
+                🗑️
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </>
+  );
+
+  const renderForm = () => (
+    <>
+      <div className="form-group">
+        <label htmlFor="import-name">Project Name</label>
+        <div className="project-host-input">
+          <input
+            id="import-name"
+            type="text"
+            className={`form-input ${errors.name ? 'error' : ''}`}
+            value={form.name}
+            onChange={(e) => handleChange('name', e.target.value.trim())}
+            autoFocus
+          />
+          <span className="project-host-dot">.</span>
+          <select
+            className="form-input project-tld-select"
+            value={form.tld}
+            onChange={(e) => handleChange('tld', e.target.value)}
+            aria-label="Top-level domain"
+          >
+            {options.tlds.map(tld => <option key={tld} value={tld}>{tld}</option>)}
+          </select>
+        </div>
+        {errors.name && <span className="field-error">{errors.name}</span>}
+        {errors.tld && <span className="field-error">{errors.tld}</span>}
+      </div>
+
+      <div className="form-group">
+        <label className="wizard-toggle">
+          <input type="checkbox" checked={form.https} onChange={(e) => handleChange('https', e.target.checked)} />
+          Serve over HTTPS
+        </label>
+      </div>
+
+      {selected.databases.length > 0 && (
+        <div className="form-group">
+          <label className="wizard-toggle">
+            <input
+              type="checkbox"
+              checked={form.databases}
+              onChange={(e) => handleChange('databases', e.target.checked)}
+              disabled={!options.databaseEnabled}
+            />
+            Create and load {selected.databases.join(', ')}
+          </label>
+          {!options.databaseEnabled && <small className="form-help">Databases are not enabled in the Supreme configuration.</small>}
+          {errors.databases && <span className="field-error">{errors.databases}</span>}
+        </div>
+      )}
+    </>
+  );
+
+  const renderBody = () => {
+    if (!options) {
+      return errors.general ? <div className="error-message">{errors.general}</div> : <p>Loading...</p>;
+    }
+    if (job) {
+      return (
+        <>
+          <JobOutput jobId={job.id} onDone={handleJobDone} />
+          {finished?.status === 'succeeded' && (
+            <p className="wizard-result">
+              🎉 Ready at <a href={job.meta.url} target="_blank" rel="noopener noreferrer">{job.meta.url}</a>
+            </p>
+          )}
+        </>
+      );
+    }
+    return (
+      <>
+        {errors.general && <div className="error-message">{errors.general}</div>}
+        {renderBundles()}
+        {selected && renderForm()}
+      </>
+    );
+  };
+
+  return (
+    <div className="modal-overlay" onClick={running ? undefined : onClose}>
+      <div className="modal-content project-wizard-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>{job ? job.title : 'Import Bundle'}</h3>
+          <button className="modal-close" onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </div>
+
+        <div className="modal-body">
+          {renderBody()}
+        </div>
+
+        <div className="modal-footer">
+          {job ? (
+            <button type="button" className={`btn ${running ? 'btn-secondary' : 'btn-primary'}`} onClick={onClose}>
+              {running ? 'Continue in Background' : 'Close'}
+            </button>
+          ) : (
+            <>
+              <button type="button" className="btn btn-secondary" onClick={onClose}>
+                Cancel
+              </button>
+              <button type="button" className="btn btn-primary" onClick={handleImport} disabled={busy || !selected}>
+                {busy ? 'Starting...' : '📦 Import Project'}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportBundleModal;
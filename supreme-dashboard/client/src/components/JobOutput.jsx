@@ -0,0 +1,70 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useNdjsonStream } from '../hooks/useNdjsonStream';
+import './JobOutput.css';
+
+const STATUS_LABELS = {
+  running: '⏳ Running',
+  succeeded: '✅ Finished',
+  failed: '❌ Failed',
+  cancelled: '⏹️ Cancelled'
+};
+
+// Live console for a server-side job; follows /api/jobs/:id/stream until the job ends
+const JobOutput = ({ jobId, onDone }) => {
+  const [lines, setLines] = useState([]);
+  const [job, setJob] = useState(null);
+  const consoleRef = useRef(null);
+  const { authFetch } = useAuth();
+
+  const { error: streamError, setError: setStreamError } = useNdjsonStream(`/api/jobs/${jobId}/stream`, (event) => {
+    if (event.type === 'line') {
+      setLines(prev => [...prev, event]);
+    } else if (event.type === 'status') {
+      setJob(event.job);
+      onDone?.(event.job);
+    }
+  });
+
+  useEffect(() => {
+    setLines([]);
+    setJob(null);
+  }, [jobId]);
+
+  useEffect(() => {
+    if (consoleRef.current) {
+      consoleRef.current.scrollTop = consoleRef.current.scrollHeight;
+    }
+  }, [lines]);
+
+  const handleCancel = async () => {
+    const response = await authFetch(`/api/jobs/${jobId}`, { method: 'DELETE' });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      setStreamError(data.error || 'Failed to cancel the job');
+    }
+  };
+
+  const status = job?.status || 'running';
+
+  return (
+    <div className="job-output">
+      <div className="job-output-header">
+        <span className={`job-status ${status}`}>{STATUS_LABELS[status] || status}</span>
+        {status === 'running' && !streamError && (
+          <button type="button" className="btn btn-secondary btn-sm" onClick={handleCancel}>
+            Cancel
+          </button>
+        )}
+      </div>
+      <pre className="job-console" ref={consoleRef}>
+        {lines.map(line => (
+          <div key={line.seq} className={`job-line ${line.stream}`}>{line.text || ' '}</div>
+        ))}
+      </pre>
+      {streamError && <div className="job-error">{streamError}</div>}
+    </div>
+  );
+};
+
+export default JobOutput;
@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
+import { describePasswordPolicy } from './PasswordRequirements';
+import './PasswordPolicySettings.css';
+
+const CLASS_OPTIONS = [
+  ['requireLowercase', 'Lowercase letter'],
+  ['requireUppercase', 'Uppercase letter'],
+  ['requireNumber', 'Number'],
+  ['requireSymbol', 'Symbol']
+];
+
+const PasswordPolicySettings = () => {
+  const [policy, setPolicy] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const { authFetch } = useAuth();
+  const { success, error: showError } = useToast();
+
+  useEffect(() => {
+    fetch('/api/auth/password-policy')
+      .then(response => response.json())
+      .then(data => setPolicy(data.policy))
+      .catch(() => showError('Failed to load the password policy'));
+  }, []);
+
+  const handleChange = (field, value) => {
+    setPolicy(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    setBusy(true);
+    try {
+      const { maxLength, breachedListSize, ...changes } = policy;
+      const response = await authFetch('/api/settings/password-policy', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const details = data.details ? Object.values(data.details).join(', ') : null;
+        throw new Error(details || data.error || `Request failed (${response.status})`);
+      }
+      setPolicy(data.policy);
+      success('Password policy saved');
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!policy) {
+    return null;
+  }
+
+  return (
+    <div className="settings-section password-policy">
+      <h3>Password Policy</h3>
+      <p className="form-help">
+        Applies to local accounts whenever a password is set: sign-up, invites, changes and reset links.
+        Existing passwords keep working until they are next changed.
+      </p>
+
+      <div className="form-grid">
+        <div className="form-group">
+          <label className="form-label" htmlFor="policy-min-length">Minimum Length</label>
+          <input
+            id="policy-min-length"
+            type="number"
+            className="form-input"
+            min={6}
+            max={64}
+            value={policy.minLength}
+            onChange={(e) => handleChange('minLength', parseInt(e.target.value) || 0)}
+          />
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Must Contain</label>
+          {CLASS_OPTIONS.map(([field, label]) => (
+            <div className="checkbox-group" key={field}>
+              <input
+                type="checkbox"
+                id={`policy-${field}`}
+                checked={policy[field]}
+                onChange={(e) => handleChange(field, e.target.checked)}
+              />
+              <label htmlFor={`policy-${field}`}>{label}</label>
+            </div>
+          ))}
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Breached Passwords</label>
+          <div className="checkbox-group">
+            <input
+              type="checkbox"
+              id="policy-rejectBreached"
+              checked={policy.rejectBreached}
+              onChange={(e) => handleChange('rejectBreached', e.target.checked)}
+            />
+            <label htmlFor="policy-rejectBreached">Refuse common and breached passwords</label>
+          </div>
+          {policy.rejectBreached && policy.breachedListSize > 0 && (
+            <small className="form-help">Checked offline against {policy.breachedListSize.toLocaleString()} known passwords.</small>
+          )}
+        </div>
+      </div>
+
+      <p className="form-help">Users will see: {describePasswordPolicy(policy)}</p>
+
+      <div className="password-policy-actions">
+        <button className="btn btn-primary" onClick={handleSave} disabled={busy}>
+          {busy ? 'Saving...' : 'Save Policy'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PasswordPolicySettings;
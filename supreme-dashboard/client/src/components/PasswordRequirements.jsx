@@ -0,0 +1,42 @@
+import React, { useState, useEffect } from 'react';
+
+const CLASS_LABELS = [
+  ['requireLowercase', 'a lowercase letter'],
+  ['requireUppercase', 'an uppercase letter'],
+  ['requireNumber', 'a number'],
+  ['requireSymbol', 'a symbol']
+];
+
+// One-sentence summary of the server's password policy
+export const describePasswordPolicy = (policy) => {
+  const classes = CLASS_LABELS.filter(([key]) => policy[key]).map(([, label]) => label);
+  let text = `At least ${policy.minLength} characters`;
+  if (classes.length > 0) {
+    text += `, including ${classes.join(', ')}`;
+  }
+  text += '.';
+  if (policy.rejectBreached) {
+    text += ' Common and breached passwords are refused.';
+  }
+  return text;
+};
+
+// Help text under a new-password field; the policy endpoint is public
+const PasswordRequirements = () => {
+  const [policy, setPolicy] = useState(null);
+
+  useEffect(() => {
+    fetch('/api/auth/password-policy')
+      .then(response => (response.ok ? response.json() : {}))
+      .then(data => setPolicy(data.policy || null))
+      .catch(() => setPolicy(null));
+  }, []);
+
+  if (!policy) {
+    return null;
+  }
+
+  return <small className="form-help password-requirements">{describePasswordPolicy(policy)}</small>;
+};
+
+export default PasswordRequirements;
@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import './ProjectMetaModal.css';
+
+const splitTags = (text) => text.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+
+// Edit the signed-in user's tags, favourite flag, client name and notes for a project
+const ProjectMetaModal = ({ project, facets, onClose, onSaved }) => {
+  const [tags, setTags] = useState('');
+  const [client, setClient] = useState('');
+  const [notes, setNotes] = useState('');
+  const [favourite, setFavourite] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [busy, setBusy] = useState(false);
+  const { authFetch } = useAuth();
+
+  useEffect(() => {
+    if (!project) {
+      return;
+    }
+    setTags(project.meta.tags.join(', '));
+    setClient(project.meta.client);
+    setNotes(project.meta.notes);
+    setFavourite(project.meta.favourite);
+    setErrors({});
+  }, [project]);
+
+  if (!project) {
+    return null;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setErrors({});
+    try {
+      const response = await authFetch(`/api/projects/${encodeURIComponent(project.name)}/meta`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tags: splitTags(tags), client, notes, favourite })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setErrors(data.details || { form: data.error || `Request failed (${response.status})` });
+        return;
+      }
+      onSaved?.(project.name, data.meta);
+      onClose();
+    } catch (err) {
+      setErrors({ form: err.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content project-meta-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>🏷️ {project.name}</h3>
+          <button className="modal-close" onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="modal-body">
+            {errors.form && <div className="error-message">{errors.form}</div>}
+
+            <div className="form-group">
+              <label htmlFor="meta-tags">Tags</label>
+              <input
+                id="meta-tags"
+                type="text"
+                className="form-input"
+                value={tags}
+                onChange={(e) => setTags(e.target.value)}
+                placeholder="wordpress, retainer, legacy"
+                autoFocus
+              />
+              {errors.tags ? <small className="field-error">{errors.tags}</small> : (
+                <small className="form-help">
+                  Separate with commas.
+                  {facets.tags.length > 0 && ` In use: ${facets.tags.map(tag => tag.name).join(', ')}`}
+                </small>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="meta-client">Client</label>
+              <input
+                id="meta-client"
+                type="text"
+                className="form-input"
+                value={client}
+                onChange={(e) => setClient(e.target.value)}
+                list="meta-client-options"
+              />
+              <datalist id="meta-client-options">
+                {facets.clients.map(option => <option key={option.name} value={option.name} />)}
+              </datalist>
+              {errors.client && <small className="field-error">{errors.client}</small>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="meta-notes">Notes</label>
+              <textarea
+                id="meta-notes"
+                className="form-input"
+                rows={4}
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+              />
+              {errors.notes && <small className="field-error">{errors.notes}</small>}
+            </div>
+
+            <label className="meta-option">
+              <input type="checkbox" checked={favourite} onChange={(e) => setFavourite(e.target.checked)} />
+              ⭐ Favourite
+            </label>
+            <small className="form-help">Only you see your tags, notes and favourites.</small>
+          </div>
+
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={busy}>
+              {busy ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectMetaModal;
@@ -0,0 +1,407 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import JobOutput from './JobOutput';
+import './ProjectWizard.css';
+
+const STEPS = ['Framework', 'Details', 'Review'];
+const NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+// Database names may not contain hyphens; suggest one derived from the project name
+const suggestDatabaseName = (name) => name.toLowerCase().replace(/-/g, '_');
+
+// A template's database name with the project name filled in, as the server computes it
+const templateDatabaseName = (template, name) => template.database.name
+  .replace(/\{\{\s*PROJECT_NAME\s*\}\}/g, name)
+  .replace(/[^a-zA-Z0-9_]/g, '_')
+  .slice(0, 64);
+
+const initialForm = (data) => ({
+  framework: '',
+  template: '',
+  name: '',
+  tld: data?.defaultTld || '',
+  https: data?.https || false,
+  createDatabase: false,
+  database: '',
+  variables: {}
+});
+
+const ProjectWizard = ({ isOpen, onClose, onCreated }) => {
+  const [options, setOptions] = useState(null);
+  const [step, setStep] = useState(0);
+  const [form, setForm] = useState(initialForm());
+  const [errors, setErrors] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [job, setJob] = useState(null);
+  const [finished, setFinished] = useState(null);
+  const { authFetch } = useAuth();
+
+  useEffect(() => {
+    if (!isOpen) {
+      return;
+    }
+    setStep(0);
+    setErrors({});
+    setJob(null);
+    setFinished(null);
+    authFetch('/api/projects/options')
+      .then(response => response.json().then(data => (response.ok ? data : Promise.reject(new Error(data.error)))))
+      .then(data => {
+        setOptions(data);
+        setForm(initialForm(data));
+      })
+      .catch(err => setErrors({ general: err.message || 'Failed to load project options' }));
+  }, [isOpen]);
+
+  if (!isOpen) {
+    return null;
+  }
+
+  const framework = options?.frameworks.find(item => item.id === form.framework);
+  const template = options?.templates.find(item => item.id === form.template);
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    if (errors[field]) {
+      setErrors(prev => ({ ...prev, [field]: '' }));
+    }
+  };
+
+  const selectFramework = (item) => {
+    setForm(prev => ({ ...prev, framework: item.id, template: '', createDatabase: Boolean(item.defaultDatabase && options.databaseEnabled) }));
+    setStep(1);
+  };
+
+  const selectTemplate = (item) => {
+    setForm(prev => ({
+      ...prev,
+      framework: '',
+      template: item.id,
+      createDatabase: Boolean(item.database && options.databaseEnabled),
+      database: '',
+      variables: Object.fromEntries(item.variables.map(variable => [variable.name, variable.default]))
+    }));
+    setStep(1);
+  };
+
+  const handleVariableChange = (name, value) => {
+    setForm(prev => ({ ...prev, variables: { ...prev.variables, [name]: value } }));
+    if (errors[`variable:${name}`]) {
+      setErrors(prev => ({ ...prev, [`variable:${name}`]: '' }));
+    }
+  };
+
+  const validateDetails = () => {
+    const next = {};
+    if (form.name.length < 2) {
+      next.name = 'Project name must be at least 2 characters';
+    } else if (!NAME_PATTERN.test(form.name)) {
+      next.name = 'Use only letters, numbers, hyphens, and underscores';
+    }
+    if (form.createDatabase && form.database && !/^[a-zA-Z0-9_]+$/.test(form.database)) {
+      next.database = 'Use only letters, numbers, and underscores';
+    }
+    for (const variable of template?.variables || []) {
+      const value = form.variables[variable.name];
+      if (variable.required && !value) {
+        next[`variable:${variable.name}`] = `${variable.label} is required`;
+      } else if (value && variable.pattern && !new RegExp(variable.pattern).test(value)) {
+        next[`variable:${variable.name}`] = `Must match ${variable.pattern}`;
+      }
+    }
+    setErrors(next);
+    return Object.keys(next).length === 0;
+  };
+
+  const suggestedDatabase = template?.database ? templateDatabaseName(template, form.name) : suggestDatabaseName(form.name);
+  const databaseName = form.createDatabase ? (form.database || suggestedDatabase) : null;
+
+  // Templates are applied through their own endpoint; variable errors come back nested
+  const createRequest = () => (template
+    ? {
+      url: `/api/templates/${encodeURIComponent(template.id)}/apply`,
+      body: { name: form.name, tld: form.tld, https: form.https, database: databaseName, variables: form.variables }
+    }
+    : {
+      url: '/api/projects',
+      body: { framework: form.framework, name: form.name, tld: form.tld, https: form.https, database: databaseName }
+    });
+
+  const handleCreate = async () => {
+    setBusy(true);
+    try {
+      const { url, body } = createRequest();
+      const response = await authFetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        if (data.details) {
+          const { variables = {}, ...fields } = data.details;
+          setErrors({
+            ...fields,
+            ...Object.fromEntries(Object.entries(variables).map(([name, message]) => [`variable:${name}`, message]))
+          });
+          setStep(1);
+          return;
+        }
+        throw new Error(data.error || `Request failed (${response.status})`);
+      }
+      setJob(data.job);
+    } catch (err) {
+      setErrors({ general: err.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleJobDone = (summary) => {
+    setFinished(summary);
+    if (summary.status === 'succeeded') {
+      onCreated?.(summary);
+    }
+  };
+
+  const running = job && !finished;
+
+  const renderFrameworkStep = () => (
+    <>
+      <div className="framework-grid">
+        {options.frameworks.map(item => (
+          <button
+            type="button"
+            key={item.id}
+            className={`framework-option ${form.framework === item.id ? 'selected' : ''}`}
+            onClick={() => selectFramework(item)}
+          >
+            <span className="framework-icon">{item.icon}</span>
+            <span className="framework-name">{item.name}</span>
+            <span className="framework-description">{item.description}</span>
+          </button>
+        ))}
+      </div>
+      {options.templates.length > 0 && (
+        <>
+          <h4 className="wizard-section-title">Your Templates</h4>
+          <div className="framework-grid">
+            {options.templates.map(item => (
+              <button
+                type="button"
+                key={item.id}
+                className={`framework-option ${form.template === item.id ? 'selected' : ''}`}
+                onClick={() => selectTemplate(item)}
+                disabled={Boolean(item.error)}
+                title={item.error || undefined}
+              >
+                <span className="framework-icon">{item.icon || '⚠️'}</span>
+                <span className="framework-name">{item.name}</span>
+                <span className="framework-description">{item.error ? 'Broken manifest' : item.description}</span>
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+    </>
+  );
+
+  const renderVariables = () => template.variables.map(variable => {
+    const key = `variable:${variable.name}`;
+    return (
+      <div className="form-group" key={variable.name}>
+        <label htmlFor={`template-${variable.name}`}>
+          {variable.label}{variable.required && ' *'}
+        </label>
+        <input
+          id={`template-${variable.name}`}
+          type="text"
+          className={`form-input ${errors[key] ? 'error' : ''}`}
+          value={form.variables[variable.name] ?? ''}
+          onChange={(e) => handleVariableChange(variable.name, e.target.value)}
+          placeholder={variable.default || variable.name}
+        />
+        {variable.description && <small className="form-help">{variable.description}</small>}
+        {errors[key] && <span className="field-error">{errors[key]}</span>}
+      </div>
+    );
+  });
+
+  const renderDetailsStep = () => (
+    <>
+      <div className="form-group">
+        <label htmlFor="project-name">Project Name</label>
+        <div className="project-host-input">
+          <input
+            id="project-name"
+            type="text"
+            className={`form-input ${errors.name ? 'error' : ''}`}
+            value={form.name}
+            onChange={(e) => handleChange('name', e.target.value.trim())}
+            placeholder="my-project"
+            autoFocus
+          />
+          <span className="project-host-dot">.</span>
+          <select
+            className="form-input project-tld-select"
+            value={form.tld}
+            onChange={(e) => handleChange('tld', e.target.value)}
+            aria-label="Top-level domain"
+          >
+            {options.tlds.map(tld => <option key={tld} value={tld}>{tld}</option>)}
+          </select>
+        </div>
+        {errors.name && <span className="field-error">{errors.name}</span>}
+        {errors.tld && <span className="field-error">{errors.tld}</span>}
+      </div>
+
+      <div className="form-group">
+        <label className="wizard-toggle">
+          <input type="checkbox" checked={form.https} onChange={(e) => handleChange('https', e.target.checked)} />
+          Serve over HTTPS
+        </label>
+        <small className="form-help">A wildcard certificate for .{form.tld} is generated with mkcert if missing.</small>
+      </div>
+
+      <div className="form-group">
+        <label className="wizard-toggle">
+          <input
+            type="checkbox"
+            checked={form.createDatabase}
+            onChange={(e) => handleChange('createDatabase', e.target.checked)}
+            disabled={!options.databaseEnabled}
+          />
+          Create a database
+        </label>
+        {!options.databaseEnabled ? (
+          <small className="form-help">Databases are disabled in the Supreme configuration.</small>
+        ) : form.createDatabase && (
+          <>
+            <input
+              type="text"
+              className={`form-input ${errors.database ? 'error' : ''}`}
+              value={form.database}
+              onChange={(e) => handleChange('database', e.target.value.trim())}
+              placeholder={suggestedDatabase || 'database_name'}
+            />
+            {errors.database && <span className="field-error">{errors.database}</span>}
+          </>
+        )}
+      </div>
+
+      {template && renderVariables()}
+    </>
+  );
+
+  const renderReviewStep = () => (
+    <dl className="wizard-summary">
+      {template ? (
+        <>
+          <dt>Template</dt>
+          <dd>{template.icon} {template.name}</dd>
+          {template.variables.map(variable => (
+            <React.Fragment key={variable.name}>
+              <dt>{variable.label}</dt>
+              <dd>{form.variables[variable.name] || '—'}</dd>
+            </React.Fragment>
+          ))}
+        </>
+      ) : (
+        <>
+          <dt>Framework</dt>
+          <dd>{framework?.icon} {framework?.name}</dd>
+        </>
+      )}
+      <dt>URL</dt>
+      <dd>{form.https ? 'https' : 'http'}://{form.name}.{form.tld}</dd>
+      <dt>Database</dt>
+      <dd>{databaseName || 'None'}</dd>
+      <dt>Also</dt>
+      <dd>
+        {template?.postCreate.length > 0 && `${template.postCreate.length} post-create command${template.postCreate.length === 1 ? '' : 's'}, `}
+        Apache virtual host, /etc/hosts entry, Apache restart
+      </dd>
+    </dl>
+  );
+
+  const renderBody = () => {
+    if (!options) {
+      return errors.general ? <div className="error-message">{errors.general}</div> : <p>Loading...</p>;
+    }
+    if (job) {
+      return (
+        <>
+          <JobOutput jobId={job.id} onDone={handleJobDone} />
+          {finished?.status === 'succeeded' && (
+            <p className="wizard-result">
+              🎉 Ready at <a href={job.meta.url} target="_blank" rel="noopener noreferrer">{job.meta.url}</a>
+            </p>
+          )}
+        </>
+      );
+    }
+    return (
+      <>
+        <ol className="wizard-steps">
+          {STEPS.map((label, index) => (
+            <li key={label} className={index === step ? 'current' : index < step ? 'done' : ''}>{label}</li>
+          ))}
+        </ol>
+        {errors.general && <div className="error-message">{errors.general}</div>}
+        {step === 0 && renderFrameworkStep()}
+        {step === 1 && renderDetailsStep()}
+        {step === 2 && renderReviewStep()}
+      </>
+    );
+  };
+
+  return (
+    <div className="modal-overlay" onClick={running ? undefined : onClose}>
+      <div className="modal-content project-wizard-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>{job ? job.title : 'Create New Project'}</h3>
+          <button className="modal-close" onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </div>
+
+        <div className="modal-body">
+          {renderBody()}
+        </div>
+
+        <div className="modal-footer">
+          {job ? (
+            <button type="button" className={`btn ${running ? 'btn-secondary' : 'btn-primary'}`} onClick={onClose}>
+              {running ? 'Continue in Background' : 'Close'}
+            </button>
+          ) : (
+            <>
+              {step === 0 && (
+                <button type="button" className="btn btn-secondary" onClick={onClose}>
+                  Cancel
+                </button>
+              )}
+              {step > 0 && (
+                <button type="button" className="btn btn-secondary" onClick={() => setStep(step - 1)} disabled={busy}>
+                  Back
+                </button>
+              )}
+              {step === 1 && (
+                <button type="button" className="btn btn-primary" onClick={() => validateDetails() && setStep(2)}>
+                  Next
+                </button>
+              )}
+              {step === 2 && (
+                <button type="button" className="btn btn-primary" onClick={handleCreate} disabled={busy}>
+                  {busy ? 'Starting...' : '🚀 Create Project'}
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectWizard;
@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import './ProjectMetaModal.css';
+
+// One line such as "status: active · tag: wordpress, retainer" for the filters being saved
+export const describeFilters = (filters) => Object.entries(filters)
+  .map(([key, value]) => (value === true ? key : `${key}: ${[].concat(value).join(', ')}`))
+  .join(' · ');
+
+// Save the Projects page's current filters as a named preset, optionally for the whole team
+const SaveFilterModal = ({ filters, isOpen, onClose, onSaved }) => {
+  const [name, setName] = useState('');
+  const [shared, setShared] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [busy, setBusy] = useState(false);
+  const { authFetch } = useAuth();
+
+  useEffect(() => {
+    if (isOpen) {
+      setName('');
+      setShared(false);
+      setErrors({});
+    }
+  }, [isOpen]);
+
+  if (!isOpen) {
+    return null;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setErrors({});
+    try {
+      const response = await authFetch('/api/project-filters', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, filters, shared })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setErrors(data.details || { form: data.error || `Request failed (${response.status})` });
+        return;
+      }
+      onSaved?.(data.preset);
+      onClose();
+    } catch (err) {
+      setErrors({ form: err.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content project-meta-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>💾 Save Filters</h3>
+          <button className="modal-close" onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="modal-body">
+            {errors.form && <div className="error-message">{errors.form}</div>}
+            <p className="filter-summary">{describeFilters(filters) || 'No filters: every project'}</p>
+            {errors.filters && <div className="error-message">{errors.filters}</div>}
+
+            <div className="form-group">
+              <label htmlFor="preset-name">Name</label>
+              <input
+                id="preset-name"
+                type="text"
+                className="form-input"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Acme WordPress sites"
+                autoFocus
+              />
+              {errors.name && <small className="field-error">{errors.name}</small>}
+            </div>
+
+            <label className="meta-option">
+              <input type="checkbox" checked={shared} onChange={(e) => setShared(e.target.checked)} />
+              👥 Share with the team
+            </label>
+            <small className="form-help">Shared presets show up for everyone; only you and admins can change or delete them.</small>
+          </div>
+
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={busy || !name.trim()}>
+              {busy ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default SaveFilterModal;
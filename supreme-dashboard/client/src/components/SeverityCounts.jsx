@@ -0,0 +1,27 @@
+import React from 'react';
+import './SeverityCounts.css';
+
+export const SEVERITIES = ['critical', 'high', 'medium', 'low', 'unknown'];
+
+export const SeverityBadge = ({ severity }) => (
+  <span className={`severity-badge ${severity}`}>{severity}</span>
+);
+
+// One chip per severity that has findings, or a single "no known vulnerabilities" chip
+const SeverityCounts = ({ counts, showClean = true }) => {
+  const present = SEVERITIES.filter(severity => counts[severity] > 0);
+  if (present.length === 0) {
+    return showClean ? <span className="severity-badge clean">🛡️ No known vulnerabilities</span> : null;
+  }
+  return (
+    <span className="severity-counts">
+      {present.map(severity => (
+        <span key={severity} className={`severity-badge ${severity}`}>
+          {counts[severity]} {severity}
+        </span>
+      ))}
+    </span>
+  );
+};
+
+export default SeverityCounts;
@@ -1,9 +1,11 @@
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
 import './Sidebar.css';
 
 const Sidebar = ({ isOpen, onToggle }) => {
   const location = useLocation();
+  const { user } = useAuth();
 
   const menuItems = [
     {
@@ -18,6 +20,12 @@ const Sidebar = ({ isOpen, onToggle }) => {
       label: 'Projects',
       description: 'Manage local development projects'
     },
+    {
+      path: '/dependencies',
+      icon: '🛡️',
+      label: 'Dependencies',
+      description: 'Known vulnerabilities across projects'
+    },
     {
       path: '/certificates',
       icon: '🔐',
@@ -60,13 +68,27 @@ const Sidebar = ({ isOpen, onToggle }) => {
       label: 'Terminal',
       description: 'Execute commands and manage environment'
     },
+    {
+      path: '/users',
+      icon: '👥',
+      label: 'Users',
+      description: 'Dashboard accounts and permissions',
+      adminOnly: true
+    },
+    {
+      path: '/audit',
+      icon: '📜',
+      label: 'Audit Log',
+      description: 'Who changed what, and when',
+      adminOnly: true
+    },
     {
       path: '/settings',
       icon: '⚙️',
       label: 'Settings',
       description: 'Configuration and preferences'
     }
-  ];
+  ].filter(item => !item.adminOnly || user?.role === 'admin');
 
   return (
     <div className={`sidebar ${isOpen ? 'open' : 'closed'}`}>
@@ -91,7 +113,7 @@ const Sidebar = ({ isOpen, onToggle }) => {
             <li key={item.path} className="nav-item">
               <Link
                 to={item.path}
-                className={`nav-link ${location.pathname === item.path ? 'active' : ''}`}
+                className={`nav-link ${location.pathname === item.path || location.pathname.startsWith(`${item.path}/`) ? 'active' : ''}`}
                 title={!isOpen ? item.label : ''}
               >
                 <span className="nav-icon">{item.icon}</span>
@@ -0,0 +1,258 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
+import JobOutput from './JobOutput';
+import './TestRunsPanel.css';
+
+const STATUS_LABELS = {
+  passed: '✅ Passed',
+  failed: '❌ Failed',
+  error: '⚠️ Error',
+  cancelled: '⏹️ Cancelled'
+};
+
+const TREND_HEIGHT = 60;
+const TREND_BAR_WIDTH = 10;
+const TREND_GAP = 4;
+
+const formatDuration = (ms) => (ms >= 60000 ? `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s` : `${(ms / 1000).toFixed(1)}s`);
+
+// Passed, failed and skipped stacked per run, oldest on the left; runs without a report get a grey bar
+const TestTrend = ({ runs, selected, onSelect }) => {
+  const ordered = [...runs].reverse();
+  const max = Math.max(...ordered.map(run => run.summary.total), 1);
+  const width = ordered.length * (TREND_BAR_WIDTH + TREND_GAP);
+
+  return (
+    <svg
+      className="test-trend"
+      width={width}
+      height={TREND_HEIGHT}
+      viewBox={`0 0 ${width} ${TREND_HEIGHT}`}
+      role="img"
+      aria-label={`Results of the last ${ordered.length} runs`}
+    >
+      {ordered.map((run, index) => {
+        const x = index * (TREND_BAR_WIDTH + TREND_GAP);
+        const scale = (count) => (count / max) * TREND_HEIGHT;
+        let y = TREND_HEIGHT;
+        const segments = run.summary.total === 0
+          ? [['empty', TREND_HEIGHT]]
+          : ['failed', 'skipped', 'passed'].map(status => [status, scale(run.summary[status])]);
+        return (
+          <g
+            key={run.id}
+            className={`test-trend-run ${run.id === selected ? 'selected' : ''}`}
+            onClick={() => onSelect(run.id)}
+          >
+            <title>
+              {`${new Date(run.startedAt).toLocaleString()}: ${run.summary.passed} passed, ${run.summary.failed} failed, ${run.summary.skipped} skipped`}
+            </title>
+            {segments.map(([status, height]) => {
+              y -= height;
+              return height > 0 && <rect key={status} className={status} x={x} y={y} width={TREND_BAR_WIDTH} height={height} />;
+            })}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+const TestRunDetail = ({ project, runId }) => {
+  const [run, setRun] = useState(null);
+  const [error, setError] = useState(null);
+  const { authFetch } = useAuth();
+
+  useEffect(() => {
+    setRun(null);
+    authFetch(`/api/projects/${encodeURIComponent(project)}/tests/${runId}`)
+      .then(async response => {
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to load the run');
+        }
+        setRun(data.run);
+        setError(null);
+      })
+      .catch(err => setError(err.message));
+  }, [project, runId, authFetch]);
+
+  if (error) {
+    return <p className="detail-empty">{error}</p>;
+  }
+  if (!run) {
+    return null;
+  }
+
+  const failures = run.cases.filter(testCase => testCase.status === 'failed');
+  const skipped = run.cases.filter(testCase => testCase.status === 'skipped');
+
+  return (
+    <div className="test-run-detail">
+      <p className="detail-file">
+        <code>{run.command}</code> · {run.exitCode !== null ? `exit code ${run.exitCode}` : run.error || 'no exit code'}
+        {run.reportSource && ` · results from ${run.reportSource === 'junit' ? 'JUnit XML' : 'TAP output'}`}
+      </p>
+      {!run.reportSource && (
+        <p className="detail-empty">No JUnit report or TAP output was found, so only the exit code is known.</p>
+      )}
+      {run.truncated && <p className="commit-meta">Only the first {run.cases.length} test cases were kept.</p>}
+
+      {failures.length > 0 && (
+        <ul className="test-failures">
+          {failures.map((testCase, index) => (
+            <li key={index}>
+              <div className="test-case-name">
+                {testCase.suite && <span className="commit-meta">{testCase.suite} › </span>}
+                {testCase.name}
+              </div>
+              {testCase.message && <div className="test-case-message">{testCase.message}</div>}
+              {testCase.details && <pre className="test-case-details">{testCase.details}</pre>}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {skipped.length > 0 && (
+        <details className="test-skipped">
+          <summary>{skipped.length} skipped</summary>
+          <ul>
+            {skipped.map((testCase, index) => (
+              <li key={index}>
+                {testCase.suite && <span className="commit-meta">{testCase.suite} › </span>}
+                {testCase.name}
+                {testCase.message && <span className="commit-meta"> ({testCase.message})</span>}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+};
+
+// Run the project's test suite and browse the results of earlier runs
+const TestRunsPanel = ({ project }) => {
+  const [command, setCommand] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [job, setJob] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [starting, setStarting] = useState(false);
+  const { authFetch } = useAuth();
+  const { error } = useToast();
+  const base = `/api/projects/${encodeURIComponent(project)}/tests`;
+
+  const load = async () => {
+    try {
+      const response = await authFetch(base);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load test runs');
+      }
+      setCommand(data.command);
+      setRuns(data.runs);
+      setJob(current => data.job || current);
+      setSelected(current => current || data.runs[0]?.id || null);
+    } catch (err) {
+      error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, [project]);
+
+  const runTests = async () => {
+    setStarting(true);
+    try {
+      const response = await authFetch(base, { method: 'POST' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to start the tests');
+      }
+      setJob(data.job);
+    } catch (err) {
+      error(err.message);
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  // The run is recorded as the job ends; its id is the job's
+  const handleJobDone = async (finished) => {
+    await load();
+    setSelected(finished.id);
+  };
+
+  const running = job?.status === 'running';
+
+  return (
+    <section className="detail-section test-runs-panel">
+      <div className="test-toolbar">
+        <h3>🧪 Tests</h3>
+        {command && <code>{command}</code>}
+        <button type="button" className="btn btn-primary btn-sm" onClick={runTests} disabled={!command || starting || running}>
+          {running ? 'Running…' : '▶ Run tests'}
+        </button>
+      </div>
+
+      {!loading && !command && (
+        <p className="detail-empty">No test suite found: no npm test script, phpunit.xml or pytest setup.</p>
+      )}
+
+      {job && <JobOutput key={job.id} jobId={job.id} onDone={handleJobDone} />}
+
+      {runs.length > 0 && (
+        <>
+          <div className="test-trend-row">
+            <TestTrend runs={runs} selected={selected} onSelect={setSelected} />
+            <span className="commit-meta">Last {runs.length} runs</span>
+          </div>
+
+          <table className="table test-runs">
+            <thead>
+              <tr>
+                <th>Result</th>
+                <th>Started</th>
+                <th>Duration</th>
+                <th>Passed</th>
+                <th>Failed</th>
+                <th>Skipped</th>
+                <th>By</th>
+              </tr>
+            </thead>
+            <tbody>
+              {runs.map(run => (
+                <tr
+                  key={run.id}
+                  className={run.id === selected ? 'selected' : ''}
+                  onClick={() => setSelected(run.id)}
+                >
+                  <td><span className={`test-status ${run.status}`}>{STATUS_LABELS[run.status]}</span></td>
+                  <td>{new Date(run.startedAt).toLocaleString()}</td>
+                  <td>{formatDuration(run.durationMs)}</td>
+                  <td>{run.reportSource ? run.summary.passed : '–'}</td>
+                  <td>{run.reportSource ? run.summary.failed : '–'}</td>
+                  <td>{run.reportSource ? run.summary.skipped : '–'}</td>
+                  <td>{run.startedBy || '–'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {selected && <TestRunDetail project={project} runId={selected} />}
+        </>
+      )}
+
+      {!loading && command && runs.length === 0 && !job && (
+        <p className="detail-empty">No runs yet.</p>
+      )}
+    </section>
+  );
+};
+
+export default TestRunsPanel;
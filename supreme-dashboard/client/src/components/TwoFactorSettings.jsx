@@ -0,0 +1,205 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
+import './TwoFactorSettings.css';
+
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const { authFetch } = useAuth();
+  const { success, error: showError } = useToast();
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const request = async (url, body) => {
+    const response = await authFetch(url, {
+      method: body ? 'POST' : 'GET',
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `Request failed (${response.status})`);
+    }
+    return data;
+  };
+
+  const fetchStatus = async () => {
+    try {
+      setStatus(await request('/api/auth/2fa'));
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Codes are six digits; anything longer is treated as a recovery code
+  const codePayload = () => {
+    const value = code.trim();
+    return /^\d{6}$/.test(value) ? { code: value } : { recoveryCode: value };
+  };
+
+  const startSetup = () => run(async () => {
+    setSetup(await request('/api/auth/2fa/setup', {}));
+    setCode('');
+  });
+
+  const confirmSetup = () => run(async () => {
+    const data = await request('/api/auth/2fa/enable', { code: code.trim() });
+    setRecoveryCodes(data.recoveryCodes);
+    setSetup(null);
+    setCode('');
+    success('Two-factor authentication enabled');
+    await fetchStatus();
+  });
+
+  const disable = () => run(async () => {
+    await request('/api/auth/2fa/disable', { password, ...codePayload() });
+    setPassword('');
+    setCode('');
+    setRecoveryCodes(null);
+    success('Two-factor authentication disabled');
+    await fetchStatus();
+  });
+
+  const regenerate = () => run(async () => {
+    const data = await request('/api/auth/2fa/recovery-codes', { password, ...codePayload() });
+    setRecoveryCodes(data.recoveryCodes);
+    setPassword('');
+    setCode('');
+    success('New recovery codes generated');
+    await fetchStatus();
+  });
+
+  const downloadRecoveryCodes = () => {
+    const blob = new Blob([`Supreme Dashboard recovery codes\n\n${recoveryCodes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'supreme-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  if (!status) {
+    return null;
+  }
+
+  return (
+    <div className="settings-section two-factor-settings">
+      <h3>Two-Factor Authentication</h3>
+
+      <p className="form-help">
+        Status:{' '}
+        <span className={`status-badge ${status.enabled ? 'active' : 'inactive'}`}>
+          {status.enabled ? 'Enabled' : 'Disabled'}
+        </span>
+        {status.enabled && ` · ${status.recoveryCodesRemaining} recovery code(s) left`}
+      </p>
+
+      {recoveryCodes && (
+        <div className="recovery-codes">
+          <strong>Save these recovery codes somewhere safe.</strong>
+          <p className="form-help">Each code signs you in once if you lose your authenticator. They will not be shown again.</p>
+          <div className="recovery-code-grid">
+            {recoveryCodes.map(recoveryCode => <code key={recoveryCode}>{recoveryCode}</code>)}
+          </div>
+          <div className="two-factor-actions">
+            <button className="btn btn-secondary btn-sm" onClick={downloadRecoveryCodes}>⬇️ Download</button>
+            <button className="btn btn-secondary btn-sm" onClick={() => setRecoveryCodes(null)}>Done</button>
+          </div>
+        </div>
+      )}
+
+      {!status.enabled && !setup && (
+        <div className="two-factor-actions">
+          <button className="btn btn-primary" onClick={startSetup} disabled={busy}>
+            🔐 Set Up Authenticator App
+          </button>
+        </div>
+      )}
+
+      {!status.enabled && setup && (
+        <div className="two-factor-setup">
+          <img src={setup.qrCode} alt="Authenticator QR code" className="two-factor-qr" />
+          <div className="form-group">
+            <p className="form-help">
+              Scan the QR code with an authenticator app, or enter this key manually:
+            </p>
+            <code className="two-factor-secret">{setup.secret}</code>
+            <label className="form-label" htmlFor="two-factor-enable-code">Code from the app</label>
+            <input
+              id="two-factor-enable-code"
+              className="form-input"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="123456"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              maxLength={6}
+            />
+            <div className="two-factor-actions">
+              <button className="btn btn-secondary" onClick={() => setSetup(null)} disabled={busy}>Cancel</button>
+              <button className="btn btn-primary" onClick={confirmSetup} disabled={busy || !code.trim()}>
+                Verify &amp; Enable
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {status.enabled && (
+        <div className="form-grid">
+          <div className="form-group">
+            <label className="form-label" htmlFor="two-factor-password">Current Password</label>
+            <input
+              id="two-factor-password"
+              type="password"
+              className="form-input"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="two-factor-code">Authentication or Recovery Code</label>
+            <input
+              id="two-factor-code"
+              className="form-input"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              autoComplete="one-time-code"
+            />
+          </div>
+          <div className="two-factor-actions">
+            <button className="btn btn-secondary" onClick={regenerate} disabled={busy || !password || !code.trim()}>
+              🔄 New Recovery Codes
+            </button>
+            <button className="btn btn-danger" onClick={disable} disabled={busy || !password || !code.trim()}>
+              Disable 2FA
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
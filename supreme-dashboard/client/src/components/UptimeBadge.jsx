@@ -0,0 +1,71 @@
+import React from 'react';
+import './UptimeBadge.css';
+
+const STATUS_LABELS = {
+  up: '🟢 Up',
+  down: '🔴 Down',
+  unknown: '⚪ Not checked'
+};
+
+// Certificates closer than this to expiry are flagged on the badge
+const TLS_WARNING_DAYS = 14;
+
+const SPARKLINE_WIDTH = 120;
+const SPARKLINE_HEIGHT = 24;
+
+// Latency of the recent checks as a line; failed checks are red dots on the baseline
+export const UptimeSparkline = ({ checks }) => {
+  if (checks.length < 2) {
+    return null;
+  }
+
+  const max = Math.max(...checks.map(check => check.latencyMs), 1);
+  const step = SPARKLINE_WIDTH / (checks.length - 1);
+  const y = (latencyMs) => SPARKLINE_HEIGHT - 2 - (latencyMs / max) * (SPARKLINE_HEIGHT - 4);
+  const points = checks.map((check, index) => `${(index * step).toFixed(1)},${y(check.ok ? check.latencyMs : 0).toFixed(1)}`);
+
+  return (
+    <svg
+      className="uptime-sparkline"
+      width={SPARKLINE_WIDTH}
+      height={SPARKLINE_HEIGHT}
+      viewBox={`0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}`}
+      role="img"
+      aria-label={`Latency of the last ${checks.length} checks, up to ${max} ms`}
+    >
+      <polyline points={points.join(' ')} />
+      {checks.map((check, index) => !check.ok && (
+        <circle key={check.at} cx={index * step} cy={SPARKLINE_HEIGHT - 2} r="2" />
+      ))}
+    </svg>
+  );
+};
+
+// Up/down badge with the last latency, and a warning when the certificate is bad or expiring
+const UptimeBadge = ({ uptime }) => {
+  if (!uptime) {
+    return null;
+  }
+
+  const { status, latencyMs, error, tls, since } = uptime;
+  const tlsProblem = tls && (!tls.valid
+    ? 'Invalid certificate'
+    : tls.daysRemaining < TLS_WARNING_DAYS ? `Certificate expires in ${tls.daysRemaining} days` : null);
+  const title = [
+    status === 'down' && error,
+    since && `${status === 'up' ? 'Up' : 'Down'} since ${new Date(since).toLocaleString()}`,
+    uptime.uptime !== null && `${uptime.uptime}% uptime`
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <span className="uptime-badge-group">
+      <span className={`uptime-badge ${status}`} title={title || undefined}>
+        {STATUS_LABELS[status]}
+        {status === 'up' && latencyMs !== null && <span className="uptime-latency">{latencyMs} ms</span>}
+      </span>
+      {tlsProblem && <span className="uptime-badge tls-warning" title={tlsProblem}>⚠️ TLS</span>}
+    </span>
+  );
+};
+
+export default UptimeBadge;
@@ -0,0 +1,97 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
+import UptimeBadge, { UptimeSparkline } from './UptimeBadge';
+
+// Last probe of the project's URL: status, redirects and certificate, with a manual re-check
+const UptimePanel = ({ project }) => {
+  const [uptime, setUptime] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const { authFetch } = useAuth();
+  const { error } = useToast();
+  const base = `/api/projects/${encodeURIComponent(project)}/uptime`;
+
+  useEffect(() => {
+    authFetch(base)
+      .then(response => response.json())
+      .then(data => setUptime(data.uptime || null))
+      .catch(() => {});
+  }, [base, authFetch]);
+
+  const checkNow = async () => {
+    setChecking(true);
+    try {
+      const response = await authFetch(`${base}/check`, { method: 'POST' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to check the site');
+      }
+      setUptime(data.uptime);
+    } catch (err) {
+      error(err.message);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const last = uptime?.last;
+
+  return (
+    <section className="detail-section">
+      <h3>📈 Uptime</h3>
+      <div className="uptime-row">
+        <UptimeBadge uptime={uptime} />
+        {uptime && <UptimeSparkline checks={uptime.recent} />}
+        <button type="button" className="btn btn-secondary btn-sm" onClick={checkNow} disabled={checking}>
+          {checking ? 'Checking…' : '🔎 Check now'}
+        </button>
+      </div>
+
+      {!last ? (
+        <p className="detail-empty">
+          Not checked yet. Enabled sites are checked every {uptime?.intervalSeconds || 60} seconds.
+        </p>
+      ) : (
+        <dl className="detail-list">
+          <dt>Last check</dt>
+          <dd>
+            {new Date(last.at).toLocaleString()}
+            {last.status ? ` · HTTP ${last.status}` : ''} · {last.latencyMs} ms
+          </dd>
+          {last.error && (
+            <>
+              <dt>Error</dt>
+              <dd>{last.error}</dd>
+            </>
+          )}
+          <dt>Uptime</dt>
+          <dd>{uptime.uptime}% of the last {uptime.history.length} checks</dd>
+          <dt>Redirects</dt>
+          <dd>
+            {last.redirects.length === 0 ? 'None' : (
+              <ol className="redirect-chain">
+                {last.redirects.map((hop, index) => (
+                  <li key={index}>{hop.status} <code>{hop.url}</code></li>
+                ))}
+                <li><code>{last.finalUrl}</code></li>
+              </ol>
+            )}
+          </dd>
+          {last.tls && (
+            <>
+              <dt>Certificate</dt>
+              <dd>
+                {last.tls.valid ? '✅ Valid' : `❌ ${last.tls.error || 'Invalid'}`}
+                {last.tls.subject && <> for <code>{last.tls.subject}</code></>}
+                {last.tls.issuer && `, issued by ${last.tls.issuer}`}
+                {last.tls.validTo && <div>Expires {new Date(last.tls.validTo).toLocaleDateString()} ({last.tls.daysRemaining} days)</div>}
+              </dd>
+            </>
+          )}
+        </dl>
+      )}
+    </section>
+  );
+};
+
+export default UptimePanel;
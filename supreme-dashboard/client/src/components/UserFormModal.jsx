@@ -0,0 +1,234 @@
+import React, { useState, useEffect } from 'react';
+import './UserFormModal.css';
+
+const ALL_PERMISSIONS = [
+  { value: 'read', label: 'Read', description: 'View projects, databases and logs' },
+  { value: 'write', label: 'Write', description: 'Create and change projects, files and databases' },
+  { value: 'delete', label: 'Delete', description: 'Remove projects, files and databases' },
+  { value: 'admin', label: 'Admin', description: 'Manage users and system settings' }
+];
+
+const ROLE_DEFAULTS = {
+  admin: ['read', 'write', 'delete', 'admin'],
+  developer: ['read', 'write']
+};
+
+const UserFormModal = ({ isOpen, onClose, onSubmit, user = null, projects = [] }) => {
+  const isEdit = !!user;
+  const [formData, setFormData] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      setFormData({
+        username: user?.username || '',
+        email: user?.email || '',
+        role: user?.role || 'developer',
+        permissions: user?.permissions || ROLE_DEFAULTS.developer,
+        projectAccess: user?.projectAccess ?? null,
+        password: ''
+      });
+      setError(null);
+    }
+  }, [isOpen, user]);
+
+  if (!isOpen) return null;
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+    setError(null);
+  };
+
+  const handleRoleChange = (role) => {
+    setFormData(prev => ({ ...prev, role, permissions: ROLE_DEFAULTS[role] }));
+  };
+
+  const togglePermission = (permission) => {
+    setFormData(prev => ({
+      ...prev,
+      permissions: prev.permissions.includes(permission)
+        ? prev.permissions.filter(p => p !== permission)
+        : [...prev.permissions, permission]
+    }));
+  };
+
+  const toggleProject = (project) => {
+    setFormData(prev => ({
+      ...prev,
+      projectAccess: prev.projectAccess.includes(project)
+        ? prev.projectAccess.filter(p => p !== project)
+        : [...prev.projectAccess, project]
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.username.trim() || !formData.email.trim()) {
+      setError('Username and email are required');
+      return;
+    }
+
+    const payload = {
+      username: formData.username.trim(),
+      email: formData.email.trim(),
+      role: formData.role,
+      permissions: formData.permissions,
+      projectAccess: formData.role === 'admin' ? null : formData.projectAccess
+    };
+
+    if (!isEdit && formData.password) {
+      payload.password = formData.password;
+    }
+
+    setLoading(true);
+    try {
+      await onSubmit(payload);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content user-form-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>{isEdit ? `Edit ${user.username}` : 'Invite User'}</h3>
+          <button className="modal-close" onClick={onClose} aria-label="Close modal">
+            ×
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="modal-form">
+          <div className="modal-body">
+            {error && <div className="modal-error">{error}</div>}
+
+            <div className="form-group">
+              <label htmlFor="user-username">Username</label>
+              <input
+                id="user-username"
+                className="form-input"
+                value={formData.username}
+                onChange={(e) => handleChange('username', e.target.value)}
+                autoComplete="off"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="user-email">Email</label>
+              <input
+                id="user-email"
+                type="email"
+                className="form-input"
+                value={formData.email}
+                onChange={(e) => handleChange('email', e.target.value)}
+                autoComplete="off"
+              />
+            </div>
+
+            {!isEdit && (
+              <div className="form-group">
+                <label htmlFor="user-password">Initial Password</label>
+                <input
+                  id="user-password"
+                  type="password"
+                  className="form-input"
+                  value={formData.password}
+                  onChange={(e) => handleChange('password', e.target.value)}
+                  placeholder="Leave empty to generate a temporary password"
+                  autoComplete="new-password"
+                />
+              </div>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="user-role">Role</label>
+              <select
+                id="user-role"
+                className="form-input"
+                value={formData.role}
+                onChange={(e) => handleRoleChange(e.target.value)}
+              >
+                <option value="developer">Developer</option>
+                <option value="admin">Admin</option>
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label>Permissions</label>
+              <div className="permission-list">
+                {ALL_PERMISSIONS.map(permission => (
+                  <label key={permission.value} className="permission-option">
+                    <input
+                      type="checkbox"
+                      checked={formData.permissions.includes(permission.value)}
+                      onChange={() => togglePermission(permission.value)}
+                    />
+                    <span className="permission-label">{permission.label}</span>
+                    <small>{permission.description}</small>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            {formData.role !== 'admin' && (
+              <div className="form-group">
+                <label>Project Access</label>
+                <div className="project-access-mode">
+                  <label>
+                    <input
+                      type="radio"
+                      checked={formData.projectAccess === null}
+                      onChange={() => handleChange('projectAccess', null)}
+                    />
+                    All projects
+                  </label>
+                  <label>
+                    <input
+                      type="radio"
+                      checked={formData.projectAccess !== null}
+                      onChange={() => handleChange('projectAccess', formData.projectAccess || [])}
+                    />
+                    Only selected projects
+                  </label>
+                </div>
+                {formData.projectAccess !== null && (
+                  <div className="project-access-list">
+                    {[...new Set([...projects, ...formData.projectAccess])].map(project => (
+                      <label key={project} className="project-access-option">
+                        <input
+                          type="checkbox"
+                          checked={formData.projectAccess.includes(project)}
+                          onChange={() => toggleProject(project)}
+                        />
+                        {project}
+                      </label>
+                    ))}
+                    {projects.length === 0 && formData.projectAccess.length === 0 && (
+                      <small>No projects found under HTDOCS_ROOT</small>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" onClick={onClose} disabled={loading}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Saving...' : isEdit ? 'Save Changes' : 'Invite User'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default UserFormModal;
@@ -1,7 +1,30 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
 
 const AuthContext = createContext();
 
+const TOKEN_KEY = 'supreme_token';
+const REFRESH_KEY = 'supreme_refresh_token';
+const REFRESH_LEEWAY = 60 * 1000; // refresh a minute before the access token expires
+
+// Read the expiry (ms) out of a JWT without verifying it
+const getTokenExpiry = (jwt) => {
+  try {
+    const payload = JSON.parse(atob(jwt.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Serialise refreshes across tabs so two tabs never present the same refresh
+// token (the server treats that as token theft and revokes the session)
+const withRefreshLock = (callback) => {
+  if (navigator.locks?.request) {
+    return navigator.locks.request('supreme-token-refresh', callback);
+  }
+  return callback();
+};
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -13,69 +36,252 @@ export const useAuth = () => {
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [token, setToken] = useState(localStorage.getItem('supreme_token'));
+  const [token, setToken] = useState(localStorage.getItem(TOKEN_KEY));
+  const tokenRef = useRef(token);
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
+  const refreshPromiseRef = useRef(null);
+
+  const storeSession = useCallback((newToken, newRefreshToken) => {
+    localStorage.setItem(TOKEN_KEY, newToken);
+    if (newRefreshToken) {
+      localStorage.setItem(REFRESH_KEY, newRefreshToken);
+    }
+    tokenRef.current = newToken;
+    setToken(newToken);
+  }, []);
+
+  const clearSession = useCallback(() => {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(REFRESH_KEY);
+    tokenRef.current = null;
+    setToken(null);
+    setUser(null);
+  }, []);
+
+  // Exchange the stored refresh token for a new access token. Concurrent
+  // callers share one request; resolves to the new token or null.
+  const refreshSession = useCallback((failedToken = tokenRef.current) => {
+    if (refreshPromiseRef.current) {
+      return refreshPromiseRef.current;
+    }
+
+    refreshPromiseRef.current = withRefreshLock(async () => {
+      // Another tab may already have refreshed while we waited for the lock
+      const storedToken = localStorage.getItem(TOKEN_KEY);
+      if (storedToken && storedToken !== failedToken) {
+        storeSession(storedToken);
+        return storedToken;
+      }
+
+      const refreshToken = localStorage.getItem(REFRESH_KEY);
+      if (!refreshToken) {
+        return null;
+      }
+
+      try {
+        const response = await fetch('/api/auth/refresh', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ refreshToken }),
+        });
+
+        if (response.ok) {
+          const data = await response.json();
+          storeSession(data.token, data.refreshToken);
+          setUser(data.user);
+          return data.token;
+        }
+
+        clearSession();
+        return null;
+      } catch (error) {
+        console.error('Token refresh failed:', error);
+        return null;
+      }
+    }).finally(() => {
+      refreshPromiseRef.current = null;
+    });
+
+    return refreshPromiseRef.current;
+  }, [storeSession, clearSession]);
+
+  // fetch() with the current access token; on a 401 it refreshes once and retries
+  const authFetch = useCallback(async (url, options = {}) => {
+    const send = (accessToken) => fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        'Authorization': `Bearer ${accessToken}`
+      }
+    });
+
+    const usedToken = tokenRef.current;
+    const response = await send(usedToken);
+    if (response.status !== 401 || !localStorage.getItem(REFRESH_KEY)) {
+      return response;
+    }
+
+    const newToken = await refreshSession(usedToken);
+    return newToken ? send(newToken) : response;
+  }, [refreshSession]);
 
   useEffect(() => {
     const initAuth = async () => {
-      if (token) {
+      if (tokenRef.current) {
         try {
-          const response = await fetch('/api/auth/verify', {
-            headers: {
-              'Authorization': `Bearer ${token}`
-            }
-          });
+          const response = await authFetch('/api/auth/verify');
           
           if (response.ok) {
             const userData = await response.json();
             setUser(userData);
           } else {
-            // Token is invalid
-            localStorage.removeItem('supreme_token');
-            setToken(null);
+            // Token is invalid and could not be refreshed
+            clearSession();
           }
         } catch (error) {
           console.error('Auth verification failed:', error);
-          localStorage.removeItem('supreme_token');
-          setToken(null);
+          clearSession();
         }
       }
       setLoading(false);
     };
 
     initAuth();
-  }, [token]);
+  }, []);
+
+  // Refresh shortly before the access token expires so pages that use the
+  // token directly never see it lapse
+  useEffect(() => {
+    if (!token || !localStorage.getItem(REFRESH_KEY)) return;
+
+    const expiresAt = getTokenExpiry(token);
+    if (!expiresAt) return;
+
+    const delay = Math.max(expiresAt - Date.now() - REFRESH_LEEWAY, 0);
+    const timer = setTimeout(() => refreshSession(token), Math.min(delay, 2 ** 31 - 1));
+    return () => clearTimeout(timer);
+  }, [token, refreshSession]);
+
+  // Keep tabs in sync when another tab refreshes or logs out
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key !== TOKEN_KEY) return;
+      if (event.newValue) {
+        tokenRef.current = event.newValue;
+        setToken(event.newValue);
+      } else {
+        tokenRef.current = null;
+        setToken(null);
+        setUser(null);
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  // Shared by password and single sign-on logins
+  const handleLoginResponse = async (response) => {
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      return { success: false, error: data.error || data.message || 'Login failed' };
+    }
 
-  const login = async (username, password) => {
+    // Password accepted; Login.jsx now asks for the authenticator code
+    if (data.twoFactorRequired) {
+      setTwoFactorChallenge(data.challengeToken);
+      return { success: false, twoFactorRequired: true };
+    }
+
+    const { token: newToken, refreshToken, user: userData } = data;
+    
+    storeSession(newToken, refreshToken);
+    setUser(userData);
+    return { success: true };
+  };
+
+  const login = async (username, password, provider = 'local') => {
     try {
       const response = await fetch('/api/auth/login', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ username, password }),
+        body: JSON.stringify(provider === 'local' ? { username, password } : { username, password, provider }),
+      });
+      return await handleLoginResponse(response);
+    } catch (error) {
+      return { success: false, error: 'Network error. Please try again.' };
+    }
+  };
+
+  // The identity provider redirect lands on /login?sso=<one-time code>
+  const completeSsoLogin = async (code) => {
+    try {
+      const response = await fetch('/api/auth/sso/exchange', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ code }),
+      });
+      return await handleLoginResponse(response);
+    } catch (error) {
+      return { success: false, error: 'Network error. Please try again.' };
+    }
+  };
+
+  const verifyTwoFactor = async ({ code, recoveryCode }) => {
+    try {
+      const response = await fetch('/api/auth/login/2fa', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ challengeToken: twoFactorChallenge, code, recoveryCode }),
       });
 
+      const data = await response.json();
       if (response.ok) {
-        const data = await response.json();
-        const { token: newToken, user: userData } = data;
-        
-        localStorage.setItem('supreme_token', newToken);
-        setToken(newToken);
-        setUser(userData);
-        return { success: true };
-      } else {
-        const error = await response.json();
-        return { success: false, error: error.message || 'Login failed' };
+        setTwoFactorChallenge(null);
+        storeSession(data.token, data.refreshToken);
+        setUser(data.user);
+        return { success: true, recoveryCodesRemaining: data.recoveryCodesRemaining };
       }
+
+      // The challenge only lives a few minutes; start over once it has expired
+      if (data.code === 'INVALID_2FA_CHALLENGE') {
+        setTwoFactorChallenge(null);
+      }
+      return { success: false, error: data.error || 'Verification failed' };
     } catch (error) {
       return { success: false, error: 'Network error. Please try again.' };
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('supreme_token');
-    setToken(null);
-    setUser(null);
+  const cancelTwoFactor = () => setTwoFactorChallenge(null);
+
+  const logout = async () => {
+    const refreshToken = localStorage.getItem(REFRESH_KEY);
+    const accessToken = tokenRef.current;
+    clearSession();
+
+    if (accessToken) {
+      try {
+        await fetch('/api/auth/logout', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${accessToken}`
+          },
+          body: JSON.stringify({ refreshToken }),
+        });
+      } catch (error) {
+        console.error('Logout request failed:', error);
+      }
+    }
   };
 
   const register = async (userData) => {
@@ -92,8 +298,9 @@ export const AuthProvider = ({ children }) => {
         const data = await response.json();
         return { success: true, message: data.message };
       } else {
-        const error = await response.json();
-        return { success: false, error: error.message || 'Registration failed' };
+        const error = await response.json().catch(() => ({}));
+        const details = error.details ? Object.values(error.details).join(', ') : null;
+        return { success: false, error: details || error.error || error.message || 'Registration failed' };
       }
     } catch (error) {
       return { success: false, error: 'Network error. Please try again.' };
@@ -102,11 +309,10 @@ export const AuthProvider = ({ children }) => {
 
   const updateProfile = async (profileData) => {
     try {
-      const response = await fetch('/api/auth/profile', {
+      const response = await authFetch('/api/auth/profile', {
         method: 'PUT',
         headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Content-Type': 'application/json'
         },
         body: JSON.stringify(profileData),
       });
@@ -129,9 +335,15 @@ export const AuthProvider = ({ children }) => {
     token,
     loading,
     login,
+    completeSsoLogin,
+    verifyTwoFactor,
+    cancelTwoFactor,
+    twoFactorPending: !!twoFactorChallenge,
     logout,
     register,
     updateProfile,
+    authFetch,
+    refreshSession,
     isAuthenticated: !!user
   };
 
@@ -3,21 +3,21 @@ import { useAuth } from '../contexts/AuthContext';
 import { useToast } from '../contexts/ToastContext';
 
 export const useApi = () => {
-  const { token } = useAuth();
+  const { authFetch } = useAuth();
   const { promise, success, error, warning, info } = useToast();
 
   const apiCall = useCallback(async (url, options = {}, messages = {}) => {
     const defaultOptions = {
+      ...options,
       headers: {
-        'Authorization': `Bearer ${token}`,
         'Content-Type': 'application/json',
         ...options.headers
-      },
-      ...options
+      }
     };
 
+    // authFetch attaches the token and retries once after a silent refresh
     return promise(
-      fetch(url, defaultOptions).then(async (response) => {
+      authFetch(url, defaultOptions).then(async (response) => {
         if (!response.ok) {
           const errorData = await response.json().catch(() => ({ error: 'Request failed' }));
           throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
@@ -30,7 +30,7 @@ export const useApi = () => {
         error: messages.error || 'Request failed'
       }
     );
-  }, [token, promise]);
+  }, [authFetch, promise]);
 
   const get = useCallback((url, messages = {}) => {
     return apiCall(url, { method: 'GET' }, messages);
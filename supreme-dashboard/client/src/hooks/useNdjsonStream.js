@@ -0,0 +1,53 @@
+import { useState, useEffect, useRef } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Follows a newline-delimited JSON endpoint (job output, dev server logs), calling
+// onEvent for every event until the server ends the response or the url changes
+export const useNdjsonStream = (url, onEvent) => {
+  const [error, setError] = useState(null);
+  const onEventRef = useRef(onEvent);
+  const { authFetch } = useAuth();
+
+  onEventRef.current = onEvent;
+
+  useEffect(() => {
+    if (!url) {
+      return undefined;
+    }
+    const controller = new AbortController();
+
+    const follow = async () => {
+      try {
+        const response = await authFetch(url, { signal: controller.signal });
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || `Request failed (${response.status})`);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) {
+            break;
+          }
+          buffer += decoder.decode(value, { stream: true });
+          const chunks = buffer.split('\n');
+          buffer = chunks.pop();
+          chunks.filter(Boolean).forEach(chunk => onEventRef.current(JSON.parse(chunk)));
+        }
+      } catch (err) {
+        if (err.name !== 'AbortError') {
+          setError(err.message);
+        }
+      }
+    };
+
+    setError(null);
+    follow();
+    return () => controller.abort();
+  }, [url, authFetch]);
+
+  return { error, setError };
+};
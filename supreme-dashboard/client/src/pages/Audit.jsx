@@ -0,0 +1,282 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
+import './Audit.css';
+
+const PAGE_SIZE = 50;
+
+const emptyFilters = { user: '', method: '', outcome: '', route: '', search: '', from: '', to: '' };
+
+const OUTCOME_BADGES = {
+  success: 'active',
+  denied: 'denied',
+  failure: 'inactive',
+  error: 'inactive'
+};
+
+const Audit = () => {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [outcomes, setOutcomes] = useState({});
+  const [filters, setFilters] = useState(emptyFilters);
+  const [appliedFilters, setAppliedFilters] = useState(emptyFilters);
+  const [offset, setOffset] = useState(0);
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { authFetch } = useAuth();
+  const { error: showError } = useToast();
+
+  useEffect(() => {
+    fetchEntries();
+  }, [appliedFilters, offset]);
+
+  const buildQuery = (extra = {}) => {
+    const params = new URLSearchParams();
+    Object.entries({ ...appliedFilters, ...extra }).forEach(([key, value]) => {
+      if (value !== '' && value !== undefined) {
+        params.set(key, value);
+      }
+    });
+    return params.toString();
+  };
+
+  const fetchEntries = async () => {
+    setLoading(true);
+    try {
+      const response = await authFetch(`/api/audit?${buildQuery({ limit: PAGE_SIZE, offset })}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const details = data.details ? Object.values(data.details).join(', ') : null;
+        throw new Error(details || data.error || `Request failed (${response.status})`);
+      }
+      setEntries(data.entries || []);
+      setTotal(data.total || 0);
+      setOutcomes(data.outcomes || {});
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setOffset(0);
+    setAppliedFilters(filters);
+  };
+
+  const clearFilters = () => {
+    setFilters(emptyFilters);
+    setOffset(0);
+    setAppliedFilters(emptyFilters);
+  };
+
+  const exportLog = async (format) => {
+    try {
+      const response = await authFetch(`/api/audit/export?${buildQuery({ format })}`);
+      if (!response.ok) {
+        throw new Error(`Export failed (${response.status})`);
+      }
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `supreme-audit-${new Date().toISOString().split('T')[0]}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const handleChange = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  // Short description of what a request acted on
+  const describeTarget = (entry) => {
+    const values = [
+      ...Object.values(entry.params || {}),
+      entry.body?.path,
+      entry.body?.name,
+      entry.body?.username
+    ].filter(value => typeof value === 'string' && value);
+    return values.length > 0 ? [...new Set(values)].join(', ') : '—';
+  };
+
+  return (
+    <div className="audit">
+      <div className="page-header">
+        <h1 className="page-title">Audit Log</h1>
+        <p className="page-subtitle">Every change made through the dashboard API</p>
+      </div>
+
+      <div className="audit-stats">
+        <div className="stat-card">
+          <div className="stat-value">{total}</div>
+          <div className="stat-label">Matching Actions</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-value">{outcomes.success || 0}</div>
+          <div className="stat-label">Succeeded</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-value">{outcomes.denied || 0}</div>
+          <div className="stat-label">Denied</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-value">{(outcomes.failure || 0) + (outcomes.error || 0)}</div>
+          <div className="stat-label">Failed</div>
+        </div>
+      </div>
+
+      <form className="audit-filters" onSubmit={applyFilters}>
+        <input
+          className="form-input"
+          placeholder="User"
+          value={filters.user}
+          onChange={(e) => handleChange('user', e.target.value)}
+        />
+        <select className="filter-select" value={filters.method} onChange={(e) => handleChange('method', e.target.value)}>
+          <option value="">All Methods</option>
+          <option value="POST">POST</option>
+          <option value="PUT">PUT</option>
+          <option value="PATCH">PATCH</option>
+          <option value="DELETE">DELETE</option>
+        </select>
+        <select className="filter-select" value={filters.outcome} onChange={(e) => handleChange('outcome', e.target.value)}>
+          <option value="">All Outcomes</option>
+          <option value="success">Success</option>
+          <option value="denied">Denied</option>
+          <option value="failure">Failure</option>
+          <option value="error">Error</option>
+        </select>
+        <input
+          className="form-input"
+          placeholder="Route, e.g. /api/database"
+          value={filters.route}
+          onChange={(e) => handleChange('route', e.target.value)}
+        />
+        <input
+          className="form-input"
+          placeholder="Search"
+          value={filters.search}
+          onChange={(e) => handleChange('search', e.target.value)}
+        />
+        <input
+          className="form-input"
+          type="date"
+          title="From"
+          value={filters.from}
+          onChange={(e) => handleChange('from', e.target.value)}
+        />
+        <input
+          className="form-input"
+          type="date"
+          title="To"
+          value={filters.to}
+          onChange={(e) => handleChange('to', e.target.value)}
+        />
+        <div className="audit-actions">
+          <button type="submit" className="btn btn-primary">🔍 Filter</button>
+          <button type="button" className="btn btn-secondary" onClick={clearFilters}>Clear</button>
+          <button type="button" className="btn btn-secondary" onClick={() => exportLog('csv')}>📥 CSV</button>
+          <button type="button" className="btn btn-secondary" onClick={() => exportLog('jsonl')}>📥 JSONL</button>
+        </div>
+      </form>
+
+      {error ? (
+        <div className="audit-error">
+          <div className="error-icon">⚠️</div>
+          <h3>Error Loading Audit Log</h3>
+          <p>{error}</p>
+          <button onClick={fetchEntries} className="btn btn-primary">
+            Try Again
+          </button>
+        </div>
+      ) : (
+        <div className="table-container">
+          <table className="table audit-table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>User</th>
+                <th>Action</th>
+                <th>Target</th>
+                <th>Outcome</th>
+                <th>Duration</th>
+                <th>IP Address</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <React.Fragment key={entry.id}>
+                  <tr className="audit-row" onClick={() => setExpanded(expanded === entry.id ? null : entry.id)}>
+                    <td>{new Date(entry.timestamp).toLocaleString()}</td>
+                    <td>
+                      {entry.username || '—'}
+                      {entry.authType === 'token' && <span className="audit-token">token</span>}
+                    </td>
+                    <td>
+                      <span className={`audit-method ${entry.method.toLowerCase()}`}>{entry.method}</span>
+                      <code>{entry.route || entry.url}</code>
+                    </td>
+                    <td className="audit-target">{describeTarget(entry)}</td>
+                    <td>
+                      <span className={`status-badge ${OUTCOME_BADGES[entry.outcome]}`}>
+                        {entry.statusCode} {entry.outcome}
+                      </span>
+                    </td>
+                    <td>{entry.durationMs} ms</td>
+                    <td>{entry.ip}</td>
+                  </tr>
+                  {expanded === entry.id && (
+                    <tr className="audit-details">
+                      <td colSpan="7">
+                        <pre>{JSON.stringify({
+                          url: entry.url,
+                          params: entry.params,
+                          query: entry.query,
+                          body: entry.body,
+                          userAgent: entry.userAgent
+                        }, null, 2)}</pre>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+              {!loading && entries.length === 0 && (
+                <tr>
+                  <td colSpan="7" className="audit-empty">No audit entries match these filters</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="audit-pagination">
+        <button
+          className="btn btn-secondary btn-sm"
+          disabled={offset === 0 || loading}
+          onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+        >
+          ← Newer
+        </button>
+        <span>
+          {total === 0 ? 0 : offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}
+        </span>
+        <button
+          className="btn btn-secondary btn-sm"
+          disabled={offset + PAGE_SIZE >= total || loading}
+          onClick={() => setOffset(offset + PAGE_SIZE)}
+        >
+          Older →
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Audit;
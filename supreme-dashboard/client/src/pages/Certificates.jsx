@@ -7,7 +7,7 @@ const Certificates = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [actionLoading, setActionLoading] = useState(false);
-  const { token, isAuthenticated } = useAuth();
+  const { token, isAuthenticated, authFetch, logout } = useAuth();
 
   useEffect(() => {
     if (token) {
@@ -26,20 +26,15 @@ const Certificates = () => {
         return;
       }
 
-      const response = await fetch('/api/ssl/status', {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
+      const response = await authFetch('/api/ssl/status');
       
       if (response.ok) {
         const data = await response.json();
         setSslStatus(data);
       } else if (response.status === 401) {
+        // The session could not be refreshed
         setError('Authentication failed. Please log in again.');
-        // Clear invalid token
-        localStorage.removeItem('supreme_token');
-        window.location.reload();
+        logout();
       } else {
         setError(`Failed to fetch SSL status (${response.status})`);
         console.error('Error fetching SSL status:', response.status);
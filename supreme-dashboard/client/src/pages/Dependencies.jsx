@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
+import SeverityCounts, { SeverityBadge, SEVERITIES } from '../components/SeverityCounts';
+import '../components/DependencyAuditPanel.css';
+import './Projects.css';
+import './ProjectDetail.css';
+import './Dependencies.css';
+
+const projectLink = (name) => `/projects/${encodeURIComponent(name)}?tab=dependencies`;
+
+// Known vulnerabilities across every project, and the advisory database they are checked against
+const Dependencies = () => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [source, setSource] = useState('');
+  const [importing, setImporting] = useState(false);
+  const { user, authFetch } = useAuth();
+  const { success, error: showError } = useToast();
+
+  const fetchReport = async (refresh = false) => {
+    setLoading(true);
+    try {
+      const response = await authFetch(`/api/dependency-audit${refresh ? '?refresh=true' : ''}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `Request failed (${response.status})`);
+      }
+      setReport(data);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchReport();
+  }, []);
+
+  const importDatabase = async (e) => {
+    e.preventDefault();
+    setImporting(true);
+    try {
+      const response = await authFetch('/api/dependency-audit/database', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ source })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const details = data.details ? Object.values(data.details).join(', ') : null;
+        throw new Error(details || data.error || `Request failed (${response.status})`);
+      }
+      success(`Imported ${data.database.advisories} advisories`);
+      setSource('');
+      await fetchReport();
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  if (loading && !report) {
+    return (
+      <div className="projects-loading">
+        <div className="loading-spinner"></div>
+        <p>Auditing projects...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="projects-error">
+        <div className="error-icon">⚠️</div>
+        <h3>Error Loading Dependency Audit</h3>
+        <p>{error}</p>
+        <button onClick={() => fetchReport()} className="btn btn-primary">
+          Try Again
+        </button>
+      </div>
+    );
+  }
+
+  const { database, totals, projects, advisories } = report;
+  const projectNames = Object.keys(projects).sort();
+  const affected = projectNames.filter(name => projects[name].total > 0).length;
+
+  return (
+    <div className="dependencies">
+      <div className="page-header">
+        <h1 className="page-title">Dependency Audit</h1>
+        <p className="page-subtitle">Known vulnerabilities in your projects' lock files, checked offline</p>
+      </div>
+
+      <div className="projects-stats">
+        {SEVERITIES.filter(severity => severity !== 'unknown' || totals.unknown > 0).map(severity => (
+          <div key={severity} className="stat-card">
+            <div className="stat-value">{totals[severity]}</div>
+            <div className="stat-label"><SeverityBadge severity={severity} /></div>
+          </div>
+        ))}
+        <div className="stat-card">
+          <div className="stat-value">{affected} / {projectNames.length}</div>
+          <div className="stat-label">Projects Affected</div>
+        </div>
+      </div>
+
+      <section className="detail-section">
+        <div className="dependency-toolbar">
+          <h3>📚 Advisory Database</h3>
+          <button type="button" className="btn btn-secondary btn-sm" onClick={() => fetchReport(true)} disabled={loading}>
+            🔄 Rescan All
+          </button>
+        </div>
+        {database ? (
+          <p className="detail-file">
+            {database.advisories} advisories ({Object.entries(database.packages).map(([ecosystem, count]) => `${ecosystem} ${count}`).join(', ')})
+            imported from <code>{database.source}</code> on {new Date(database.importedAt).toLocaleString()}
+          </p>
+        ) : (
+          <p className="detail-empty">No advisory database imported yet.</p>
+        )}
+        {user?.role === 'admin' && (
+          <form className="dependency-import" onSubmit={importDatabase}>
+            <input
+              type="text"
+              className="form-input"
+              value={source}
+              onChange={(e) => setSource(e.target.value)}
+              placeholder="/path/to/osv/npm-all.zip"
+            />
+            <button type="submit" className="btn btn-primary btn-sm" disabled={importing || !source.trim()}>
+              {importing ? 'Importing...' : '📥 Import'}
+            </button>
+          </form>
+        )}
+        <p className="commit-meta">
+          Advisories are read in OSV format: a .json or .jsonl file, a folder of them, or an ecosystem's all.zip
+          from the OSV data dumps for npm, Packagist and PyPI. Importing replaces the current database.
+        </p>
+      </section>
+
+      <section className="detail-section">
+        <h3>⚠️ Advisories</h3>
+        {advisories.length === 0 ? (
+          <p className="detail-empty">{database ? 'No known vulnerabilities in any project. 🎉' : 'Import an advisory database to check projects.'}</p>
+        ) : (
+          <table className="table dependency-findings">
+            <thead>
+              <tr>
+                <th>Severity</th>
+                <th>Advisory</th>
+                <th>Package</th>
+                <th>Projects</th>
+              </tr>
+            </thead>
+            <tbody>
+              {advisories.map(advisory => (
+                <tr key={`${advisory.id}:${advisory.ecosystem}:${advisory.package}`}>
+                  <td><SeverityBadge severity={advisory.severity} /></td>
+                  <td>
+                    {advisory.url ? (
+                      <a href={advisory.url} target="_blank" rel="noopener noreferrer">{advisory.id}</a>
+                    ) : advisory.id}
+                    <div>{advisory.summary}</div>
+                  </td>
+                  <td>
+                    <code>{advisory.package}</code>
+                    <div className="commit-meta">{advisory.ecosystem}</div>
+                  </td>
+                  <td>
+                    {advisory.projects.map(project => (
+                      <div key={`${project.name}:${project.version}`}>
+                        <Link to={projectLink(project.name)}>{project.name}</Link>
+                        {' '}<code>{project.version}</code>
+                        {project.fixedIn && <span className="commit-meta"> → {project.fixedIn}</span>}
+                      </div>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <section className="detail-section">
+        <h3>📁 Projects</h3>
+        <table className="table dependency-findings">
+          <thead>
+            <tr>
+              <th>Project</th>
+              <th>Lock files</th>
+              <th>Findings</th>
+              <th>Checked</th>
+            </tr>
+          </thead>
+          <tbody>
+            {projectNames.map(name => (
+              <tr key={name}>
+                <td><Link to={projectLink(name)}>{name}</Link></td>
+                <td>{projects[name].manifests.length === 0 ? '—' : projects[name].manifests.join(', ')}</td>
+                <td>{projects[name].manifests.length > 0 && <SeverityCounts counts={projects[name].counts} showClean={Boolean(database)} />}</td>
+                <td>{new Date(projects[name].scannedAt).toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+    </div>
+  );
+};
+
+export default Dependencies;
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import LoadingSpinner from '../components/LoadingSpinner';
+import PasswordRequirements from '../components/PasswordRequirements';
 import './Login.css';
 
 const Login = () => {
@@ -12,8 +13,12 @@ const Login = () => {
   const [errors, setErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
   const [showRegister, setShowRegister] = useState(false);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [providers, setProviders] = useState([]);
+  const [provider, setProvider] = useState('local');
   
-  const { login, register, isAuthenticated, loading } = useAuth();
+  const { login, completeSsoLogin, register, verifyTwoFactor, cancelTwoFactor, twoFactorPending, isAuthenticated, loading } = useAuth();
   const location = useLocation();
   
   const from = location.state?.from?.pathname || '/';
@@ -24,6 +29,37 @@ const Login = () => {
     }
   }, [isAuthenticated, from]);
 
+  useEffect(() => {
+    fetch('/api/auth/providers')
+      .then(response => (response.ok ? response.json() : { providers: [] }))
+      .then(data => setProviders(data.providers || []))
+      .catch(() => setProviders([]));
+
+    // Back from the identity provider
+    const params = new URLSearchParams(location.search);
+    const ssoCode = params.get('sso');
+    const ssoError = params.get('sso_error');
+    if (ssoCode || ssoError) {
+      window.history.replaceState(null, '', location.pathname);
+    }
+    if (ssoError) {
+      setErrors({ general: ssoError });
+    } else if (ssoCode) {
+      setIsLoading(true);
+      completeSsoLogin(ssoCode)
+        .then(result => {
+          if (!result.success && !result.twoFactorRequired) {
+            setErrors({ general: result.error });
+          }
+        })
+        .finally(() => setIsLoading(false));
+    }
+  }, []);
+
+  // Directory logins take a username and password; OIDC redirects instead
+  const passwordProviders = providers.filter(p => p.type !== 'oidc');
+  const ssoProvider = providers.find(p => p.type === 'oidc');
+
   const validateForm = () => {
     const newErrors = {};
     
@@ -35,7 +71,7 @@ const Login = () => {
     
     if (!formData.password) {
       newErrors.password = 'Password is required';
-    } else if (formData.password.length < 6) {
+    } else if (provider === 'local' && !showRegister && formData.password.length < 6) {
       newErrors.password = 'Password must be at least 6 characters';
     }
     
@@ -73,8 +109,34 @@ const Login = () => {
     }
   };
 
+  const handleTwoFactorSubmit = async () => {
+    const value = twoFactorCode.trim();
+    if (!value) {
+      setErrors({ twoFactorCode: useRecoveryCode ? 'Recovery code is required' : 'Code is required' });
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const result = await verifyTwoFactor(useRecoveryCode ? { recoveryCode: value } : { code: value });
+      if (!result.success) {
+        setErrors({ general: result.error });
+        setTwoFactorCode('');
+      }
+    } catch (error) {
+      setErrors({ general: 'An unexpected error occurred' });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
+
+    if (twoFactorPending) {
+      await handleTwoFactorSubmit();
+      return;
+    }
     
     if (!validateForm()) {
       return;
@@ -87,10 +149,10 @@ const Login = () => {
       if (showRegister) {
         result = await register(formData);
       } else {
-        result = await login(formData.username, formData.password);
+        result = await login(formData.username, formData.password, provider);
       }
       
-      if (!result.success) {
+      if (!result.success && !result.twoFactorRequired) {
         setErrors({ general: result.error });
       }
     } catch (error) {
@@ -100,8 +162,17 @@ const Login = () => {
     }
   };
 
+  const leaveTwoFactor = () => {
+    cancelTwoFactor();
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+    setFormData(prev => ({ ...prev, password: '' }));
+    setErrors({});
+  };
+
   const toggleMode = () => {
     setShowRegister(!showRegister);
+    setProvider('local');
     setFormData({
       username: '',
       password: '',
@@ -128,7 +199,9 @@ const Login = () => {
             <h1>Supreme Dashboard</h1>
           </div>
           <p className="login-subtitle">
-            {showRegister ? 'Create your account' : 'Sign in to your account'}
+            {twoFactorPending
+              ? 'Enter the code from your authenticator app'
+              : showRegister ? 'Create your account' : 'Sign in to your account'}
           </p>
         </div>
 
@@ -139,84 +212,136 @@ const Login = () => {
             </div>
           )}
 
-          <div className="form-group">
-            <label htmlFor="username" className="form-label">
-              Username
-            </label>
-            <input
-              type="text"
-              id="username"
-              name="username"
-              value={formData.username}
-              onChange={handleInputChange}
-              className={`form-input ${errors.username ? 'error' : ''}`}
-              placeholder="Enter your username"
-              disabled={isLoading}
-            />
-            {errors.username && (
-              <span className="field-error">{errors.username}</span>
-            )}
-          </div>
-
-          {showRegister && (
+          {twoFactorPending && (
             <div className="form-group">
-              <label htmlFor="email" className="form-label">
-                Email
+              <label htmlFor="twoFactorCode" className="form-label">
+                {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
               </label>
               <input
-                type="email"
-                id="email"
-                name="email"
-                value={formData.email || ''}
-                onChange={handleInputChange}
-                className={`form-input ${errors.email ? 'error' : ''}`}
-                placeholder="Enter your email"
+                type="text"
+                id="twoFactorCode"
+                name="twoFactorCode"
+                value={twoFactorCode}
+                onChange={(e) => {
+                  setTwoFactorCode(e.target.value);
+                  setErrors({});
+                }}
+                className={`form-input two-factor-input ${errors.twoFactorCode ? 'error' : ''}`}
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                maxLength={useRecoveryCode ? 11 : 6}
+                autoFocus
                 disabled={isLoading}
               />
-              {errors.email && (
-                <span className="field-error">{errors.email}</span>
+              {errors.twoFactorCode && (
+                <span className="field-error">{errors.twoFactorCode}</span>
               )}
             </div>
           )}
 
-          <div className="form-group">
-            <label htmlFor="password" className="form-label">
-              Password
-            </label>
-            <input
-              type="password"
-              id="password"
-              name="password"
-              value={formData.password}
-              onChange={handleInputChange}
-              className={`form-input ${errors.password ? 'error' : ''}`}
-              placeholder="Enter your password"
-              disabled={isLoading}
-            />
-            {errors.password && (
-              <span className="field-error">{errors.password}</span>
-            )}
-          </div>
+          {!twoFactorPending && (
+            <>
+              {!showRegister && passwordProviders.length > 1 && (
+                <div className="form-group">
+                  <label htmlFor="provider" className="form-label">
+                    Sign in with
+                  </label>
+                  <select
+                    id="provider"
+                    value={provider}
+                    onChange={(e) => setProvider(e.target.value)}
+                    className="form-input provider-select"
+                    disabled={isLoading}
+                  >
+                    {passwordProviders.map(p => (
+                      <option key={p.type} value={p.type}>{p.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
 
-          {showRegister && (
-            <div className="form-group">
-              <label htmlFor="confirmPassword" className="form-label">
-                Confirm Password
-              </label>
-              <input
-                type="password"
-                id="confirmPassword"
-                name="confirmPassword"
-                value={formData.confirmPassword || ''}
-                onChange={handleInputChange}
-                className={`form-input ${errors.confirmPassword ? 'error' : ''}`}
-                placeholder="Confirm your password"
-                disabled={isLoading}
-              />
-              {errors.confirmPassword && (
-                <span className="field-error">{errors.confirmPassword}</span>
+              <div className="form-group">
+                <label htmlFor="username" className="form-label">
+                  Username
+                </label>
+                <input
+                  type="text"
+                  id="username"
+                  name="username"
+                  value={formData.username}
+                  onChange={handleInputChange}
+                  className={`form-input ${errors.username ? 'error' : ''}`}
+                  placeholder="Enter your username"
+                  disabled={isLoading}
+                />
+                {errors.username && (
+                  <span className="field-error">{errors.username}</span>
+                )}
+              </div>
+
+              {showRegister && (
+                <div className="form-group">
+                  <label htmlFor="email" className="form-label">
+                    Email
+                  </label>
+                  <input
+                    type="email"
+                    id="email"
+                    name="email"
+                    value={formData.email || ''}
+                    onChange={handleInputChange}
+                    className={`form-input ${errors.email ? 'error' : ''}`}
+                    placeholder="Enter your email"
+                    disabled={isLoading}
+                  />
+                  {errors.email && (
+                    <span className="field-error">{errors.email}</span>
+                  )}
+                </div>
               )}
-            </div>
+
+              <div className="form-group">
+                <label htmlFor="password" className="form-label">
+                  Password
+                </label>
+                <input
+                  type="password"
+                  id="password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleInputChange}
+                  className={`form-input ${errors.password ? 'error' : ''}`}
+                  placeholder="Enter your password"
+                  disabled={isLoading}
+                />
+                {errors.password && (
+                  <span className="field-error">{errors.password}</span>
+                )}
+                {showRegister && !errors.password && <PasswordRequirements />}
+              </div>
+
+              {showRegister && (
+                <div className="form-group">
+                  <label htmlFor="confirmPassword" className="form-label">
+                    Confirm Password
+                  </label>
+                  <input
+                    type="password"
+                    id="confirmPassword"
+                    name="confirmPassword"
+                    value={formData.confirmPassword || ''}
+                    onChange={handleInputChange}
+                    className={`form-input ${errors.confirmPassword ? 'error' : ''}`}
+                    placeholder="Confirm your password"
+                    disabled={isLoading}
+                  />
+                  {errors.confirmPassword && (
+                    <span className="field-error">{errors.confirmPassword}</span>
+                  )}
+                </div>
+              )}
+            </>
           )}
 
           <button
@@ -227,24 +352,65 @@ const Login = () => {
             {isLoading ? (
               <LoadingSpinner size="small" text="" />
             ) : (
-              showRegister ? 'Create Account' : 'Sign In'
+              twoFactorPending ? 'Verify' : showRegister ? 'Create Account' : 'Sign In'
             )}
           </button>
+
+          {ssoProvider && !twoFactorPending && !showRegister && (
+            <>
+              <div className="sso-divider"><span>or</span></div>
+              <button
+                type="button"
+                className="btn btn-secondary sso-button"
+                onClick={() => { window.location.href = '/api/auth/oidc/login'; }}
+                disabled={isLoading}
+              >
+                🔐 Sign in with {ssoProvider.name}
+              </button>
+            </>
+          )}
         </form>
 
-        <div className="login-footer">
-          <p>
-            {showRegister ? 'Already have an account?' : "Don't have an account?"}
-            <button
-              type="button"
-              className="toggle-button"
-              onClick={toggleMode}
-              disabled={isLoading}
-            >
-              {showRegister ? 'Sign In' : 'Sign Up'}
-            </button>
-          </p>
-        </div>
+        {twoFactorPending ? (
+          <div className="login-footer">
+            <p>
+              <button
+                type="button"
+                className="toggle-button"
+                onClick={() => {
+                  setUseRecoveryCode(!useRecoveryCode);
+                  setTwoFactorCode('');
+                  setErrors({});
+                }}
+                disabled={isLoading}
+              >
+                {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+              </button>
+              <button
+                type="button"
+                className="toggle-button"
+                onClick={leaveTwoFactor}
+                disabled={isLoading}
+              >
+                Back to sign in
+              </button>
+            </p>
+          </div>
+        ) : (
+          <div className="login-footer">
+            <p>
+              {showRegister ? 'Already have an account?' : "Don't have an account?"}
+              <button
+                type="button"
+                className="toggle-button"
+                onClick={toggleMode}
+                disabled={isLoading}
+              >
+                {showRegister ? 'Sign In' : 'Sign Up'}
+              </button>
+            </p>
+          </div>
+        )}
       </div>
     </div>
   );
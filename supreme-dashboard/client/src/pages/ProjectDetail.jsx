@@ -0,0 +1,329 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import DevServerPanel from '../components/DevServerPanel';
+import EnvironmentEditor from '../components/EnvironmentEditor';
+import UptimePanel from '../components/UptimePanel';
+import DependencyAuditPanel from '../components/DependencyAuditPanel';
+import TestRunsPanel from '../components/TestRunsPanel';
+import ExportProjectModal from '../components/ExportProjectModal';
+import './Projects.css';
+import './ProjectDetail.css';
+
+const GIT_STATUS_LABELS = {
+  M: 'modified',
+  A: 'added',
+  D: 'deleted',
+  R: 'renamed',
+  C: 'copied',
+  U: 'conflict',
+  '??': 'untracked'
+};
+
+const DATABASE_SOURCES = {
+  '.env': 'from .env',
+  'wp-config.php': 'from wp-config.php',
+  name: 'named after project'
+};
+
+const TABS = [
+  { id: 'overview', label: 'Overview', icon: '📊' },
+  { id: 'environment', label: 'Environment', icon: '🔐' },
+  { id: 'dependencies', label: 'Dependencies', icon: '🛡️' },
+  { id: 'tests', label: 'Tests', icon: '🧪' }
+];
+
+const formatKb = (kb) => {
+  if (kb >= 1024 * 1024) return `${(kb / 1024 / 1024).toFixed(1)} GB`;
+  if (kb >= 1024) return `${(kb / 1024).toFixed(1)} MB`;
+  return `${kb} KB`;
+};
+
+const ProjectDetail = () => {
+  const { name } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const tab = TABS.some(item => item.id === searchParams.get('tab')) ? searchParams.get('tab') : 'overview';
+  const [project, setProject] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showExport, setShowExport] = useState(false);
+  const { authFetch } = useAuth();
+
+  const fetchProject = async () => {
+    setLoading(true);
+    try {
+      const response = await authFetch(`/api/projects/${encodeURIComponent(name)}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch project');
+      }
+      setProject(data.project);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchProject();
+  }, [name]);
+
+  if (loading && !project) {
+    return (
+      <div className="projects-loading">
+        <div className="loading-spinner"></div>
+        <p>Loading project...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="projects-error">
+        <div className="error-icon">⚠️</div>
+        <h3>Error Loading Project</h3>
+        <p>{error}</p>
+        <Link to="/projects" className="btn btn-primary">
+          Back to Projects
+        </Link>
+      </div>
+    );
+  }
+
+  const { git, framework, directories, databases, vhost, errorLog } = project;
+  const largest = directories[0]?.sizeKb || 1;
+
+  return (
+    <div className="project-detail">
+      <div className="page-header">
+        <Link to="/projects" className="back-link">← Projects</Link>
+        <h1 className="page-title">{project.name}</h1>
+        <div className="project-detail-badges">
+          <span className={`status-badge ${project.status}`}>
+            {project.status === 'active' ? '🟢 Active' : '🔴 Inactive'}
+          </span>
+          <span className={`protocol-badge ${project.protocol}`}>
+            {project.protocol === 'https' ? '🔒 HTTPS' : '🔓 HTTP'}
+          </span>
+          <a href={project.url} target="_blank" rel="noopener noreferrer" className="url-value">{project.url}</a>
+          <button onClick={fetchProject} className="btn btn-secondary btn-sm" disabled={loading}>
+            🔄 Refresh
+          </button>
+          <button onClick={() => setShowExport(true)} className="btn btn-secondary btn-sm">
+            📦 Export
+          </button>
+        </div>
+      </div>
+
+      <div className="projects-stats">
+        <div className="stat-card">
+          <div className="stat-value">{framework.icon} {framework.name}</div>
+          <div className="stat-label">{framework.version ? `Version ${framework.version}` : 'Framework'}</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-value">{project.size ?? 'Calculating...'}</div>
+          <div className="stat-label">On Disk</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-value">{git?.branch || '—'}</div>
+          <div className="stat-label">{git ? (git.dirty ? `${git.dirtyCount} uncommitted` : 'Clean') : 'Not a git repository'}</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-value">{new Date(project.modified).toLocaleDateString()}</div>
+          <div className="stat-label">Modified</div>
+        </div>
+      </div>
+
+      <div className="detail-tabs">
+        {TABS.map(item => (
+          <button
+            key={item.id}
+            type="button"
+            className={`detail-tab ${tab === item.id ? 'active' : ''}`}
+            onClick={() => setSearchParams(item.id === 'overview' ? {} : { tab: item.id })}
+          >
+            <span>{item.icon}</span>
+            <span>{item.label}</span>
+          </button>
+        ))}
+      </div>
+
+      {tab === 'environment' && <EnvironmentEditor project={project.name} />}
+
+      {tab === 'dependencies' && <DependencyAuditPanel project={project.name} />}
+
+      {tab === 'tests' && <TestRunsPanel project={project.name} />}
+
+      {tab === 'overview' && (
+        <div className="detail-grid">
+          <DevServerPanel project={project.name} />
+          <UptimePanel project={project.name} />
+
+          <section className="detail-section">
+            <h3>🧩 Framework</h3>
+            <dl className="detail-list">
+              <dt>Detected</dt>
+              <dd>
+                {framework.name}
+                {framework.version && <> <code>{framework.version}</code> from <code>{framework.versionSource}</code></>}
+              </dd>
+              <dt>Entry points</dt>
+              <dd>
+                {framework.entryPoints.length === 0 ? 'None found' : framework.entryPoints.map(entry => (
+                  <div key={entry}><code>{entry}</code></div>
+                ))}
+              </dd>
+              <dt>Dev command</dt>
+              <dd>{framework.commands.dev ? <code>{framework.commands.dev}</code> : 'None'}</dd>
+              <dt>Test command</dt>
+              <dd>{framework.commands.test ? <code>{framework.commands.test}</code> : 'None'}</dd>
+              <dt>Install</dt>
+              <dd>
+                {framework.commands.install.length === 0 ? 'Nothing to install' : framework.commands.install.map(command => (
+                  <div key={command}><code>{command}</code></div>
+                ))}
+              </dd>
+            </dl>
+          </section>
+
+          <section className="detail-section">
+            <h3>🌿 Git</h3>
+            {!git ? (
+              <p className="detail-empty">This project is not under version control.</p>
+            ) : git.error ? (
+              <p className="detail-empty">{git.error}</p>
+            ) : (
+              <>
+                <dl className="detail-list">
+                  <dt>Branch</dt>
+                  <dd>
+                    <code>{git.branch}</code>
+                    {git.upstream && <> tracking <code>{git.upstream}</code></>}
+                    {(git.ahead > 0 || git.behind > 0) && ` (${git.ahead} ahead, ${git.behind} behind)`}
+                  </dd>
+                  <dt>Remotes</dt>
+                  <dd>
+                    {git.remotes.length === 0 ? 'None' : git.remotes.map(remote => (
+                      <div key={remote.name}><code>{remote.name}</code> {remote.url}</div>
+                    ))}
+                  </dd>
+                </dl>
+
+                {git.dirty && (
+                  <>
+                    <h4>Uncommitted changes ({git.dirtyCount})</h4>
+                    <ul className="dirty-files">
+                      {git.dirtyFiles.map(file => (
+                        <li key={file.path}>
+                          <span className={`git-status git-status-${file.status === '??' ? 'untracked' : file.status[0]}`}>
+                            {GIT_STATUS_LABELS[file.status] || GIT_STATUS_LABELS[file.status[0]] || file.status}
+                          </span>
+                          <code>{file.path}</code>
+                        </li>
+                      ))}
+                    </ul>
+                    {git.dirtyCount > git.dirtyFiles.length && (
+                      <p className="detail-empty">…and {git.dirtyCount - git.dirtyFiles.length} more</p>
+                    )}
+                  </>
+                )}
+
+                <h4>Recent commits</h4>
+                {git.commits.length === 0 ? (
+                  <p className="detail-empty">No commits yet.</p>
+                ) : (
+                  <ul className="commit-list">
+                    {git.commits.map(commit => (
+                      <li key={commit.hash}>
+                        <code title={commit.hash}>{commit.shortHash}</code>
+                        <span className="commit-subject">{commit.subject}</span>
+                        <span className="commit-meta">{commit.author}, {new Date(commit.date).toLocaleString()}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </>
+            )}
+          </section>
+
+          <section className="detail-section">
+            <h3>📦 Largest Folders</h3>
+            {directories.length === 0 ? (
+              <p className="detail-empty">No subfolders.</p>
+            ) : (
+              <ul className="size-bars">
+                {directories.map(directory => (
+                  <li key={directory.name}>
+                    <div className="size-bar-label">
+                      <code>{directory.name}/</code>
+                      <span>{formatKb(directory.sizeKb)}</span>
+                    </div>
+                    <div className="size-bar">
+                      <div className="size-bar-fill" style={{ width: `${Math.max(2, (directory.sizeKb / largest) * 100)}%` }} />
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <h3>🗄️ Databases</h3>
+            {databases.length === 0 ? (
+              <p className="detail-empty">No linked databases found.</p>
+            ) : (
+              <ul className="database-list">
+                {databases.map(database => (
+                  <li key={database.name}>
+                    <code>{database.name}</code>
+                    <span className="commit-meta">
+                      {DATABASE_SOURCES[database.source] || database.source}
+                      {database.size && ` · ${database.size}`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+
+          <section className="detail-section">
+            <h3>🔌 Virtual Host</h3>
+            {vhost ? (
+              <>
+                <p className="detail-file"><code>{vhost.file}</code></p>
+                <pre className="detail-code">{vhost.content}</pre>
+              </>
+            ) : (
+              <p className="detail-empty">No vhost file in /etc/supreme/sites-available for this project.</p>
+            )}
+          </section>
+
+          <section className="detail-section">
+            <h3>🚨 Apache Errors</h3>
+            {errorLog.error ? (
+              <p className="detail-empty">{errorLog.error}</p>
+            ) : !errorLog.file ? (
+              <p className="detail-empty">No Apache error log found.</p>
+            ) : (
+              <>
+                <p className="detail-file">
+                  <code>{errorLog.file}</code>
+                  {errorLog.filtered && ' (lines mentioning this project)'}
+                </p>
+                {errorLog.lines.length === 0 ? (
+                  <p className="detail-empty">No recent errors. 🎉</p>
+                ) : (
+                  <pre className="detail-code error-lines">{errorLog.lines.join('\n')}</pre>
+                )}
+              </>
+            )}
+          </section>
+        </div>
+      )}
+
+      <ExportProjectModal project={project} isOpen={showExport} onClose={() => setShowExport(false)} />
+    </div>
+  );
+};
+
+export default ProjectDetail;
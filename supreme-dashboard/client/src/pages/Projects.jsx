@@ -1,5 +1,17 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { useNdjsonStream } from '../hooks/useNdjsonStream';
+import ProjectWizard from '../components/ProjectWizard';
+import CloneProjectModal from '../components/CloneProjectModal';
+import ImportBundleModal from '../components/ImportBundleModal';
+import DeleteProjectModal from '../components/DeleteProjectModal';
+import UptimeBadge, { UptimeSparkline } from '../components/UptimeBadge';
+import ProjectMetaModal from '../components/ProjectMetaModal';
+import SaveFilterModal from '../components/SaveFilterModal';
+import ConfirmModal from '../components/ConfirmModal';
+import SeverityCounts from '../components/SeverityCounts';
+import BulkActionModal, { BULK_ACTIONS } from '../components/BulkActionModal';
 import './Projects.css';
 
 const Projects = () => {
@@ -7,18 +19,116 @@ const Projects = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [filter, setFilter] = useState('all'); // all, active, inactive
+  const [frameworkFilter, setFrameworkFilter] = useState('all'); // all or a detected framework id
+  const [tagFilter, setTagFilter] = useState('all'); // all or comma-separated tags, all of which must match
+  const [clientFilter, setClientFilter] = useState('all');
+  const [favouritesOnly, setFavouritesOnly] = useState(false);
+  const [search, setSearch] = useState('');
+  const [counts, setCounts] = useState({ total: 0, active: 0, inactive: 0 });
+  const [facets, setFacets] = useState({ tags: [], clients: [], frameworks: [] });
+  const [presets, setPresets] = useState([]);
+  const [presetId, setPresetId] = useState('');
+  const [showSavePreset, setShowSavePreset] = useState(false);
+  const [deletingPreset, setDeletingPreset] = useState(null);
+  const [editing, setEditing] = useState(null);
   const [sortBy, setSortBy] = useState('name'); // name, type, status, modified
-  const { token } = useAuth();
+  const [showWizard, setShowWizard] = useState(false);
+  const [showClone, setShowClone] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [deleting, setDeleting] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [bulkAction, setBulkAction] = useState(null);
+  const [uptime, setUptime] = useState({});
+  const [dependencyAudit, setDependencyAudit] = useState(null);
+  const { token, user, authFetch } = useAuth();
+
+  // Filters as the API takes them; also what a saved preset stores
+  const currentFilters = () => {
+    const filters = {};
+    if (search.trim()) filters.q = search.trim();
+    if (tagFilter !== 'all') filters.tag = tagFilter.split(',');
+    if (frameworkFilter !== 'all') filters.framework = frameworkFilter;
+    if (filter !== 'all') filters.status = filter;
+    if (clientFilter !== 'all') filters.client = clientFilter;
+    if (favouritesOnly) filters.favourite = true;
+    return filters;
+  };
+
+  // Filtering happens on the server; the search box waits for typing to pause
+  useEffect(() => {
+    if (!token) {
+      return undefined;
+    }
+    const timer = setTimeout(fetchProjects, search ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [token, filter, frameworkFilter, tagFilter, clientFilter, favouritesOnly, search]);
 
   useEffect(() => {
     if (token) {
-      fetchProjects();
+      fetchPresets();
+      fetchDependencyAudit();
     }
   }, [token]);
 
+  // Badges follow the server's check interval; failures here just leave them as they were
+  useEffect(() => {
+    if (!token) {
+      return undefined;
+    }
+    let timer = null;
+    let cancelled = false;
+    const fetchUptime = async () => {
+      let interval = 60;
+      try {
+        const response = await fetch('/api/uptime', {
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        });
+        if (response.ok) {
+          const data = await response.json();
+          interval = data.intervalSeconds;
+          if (!cancelled) {
+            setUptime(data.projects || {});
+          }
+        }
+      } catch (error) {
+        console.error('Error fetching uptime:', error);
+      }
+      if (!cancelled) {
+        timer = setTimeout(fetchUptime, interval * 1000);
+      }
+    };
+    fetchUptime();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [token]);
+
+  // The server's project index pushes sizes as it measures them; a project appearing or
+  // disappearing changes counts and facets too, so those reload the list
+  const reloadTimer = useRef(null);
+  useEffect(() => () => clearTimeout(reloadTimer.current), []);
+  useNdjsonStream(token ? '/api/projects/stream' : null, (event) => {
+    if (event.type === 'updated') {
+      const { created, modified, size, sizeBytes } = event.project;
+      setProjects(prev => prev.map(project => (
+        project.name === event.project.name ? { ...project, created, modified, size, sizeBytes } : project
+      )));
+      return;
+    }
+    clearTimeout(reloadTimer.current);
+    reloadTimer.current = setTimeout(fetchProjects, 500);
+  });
+
   const fetchProjects = async () => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(currentFilters())) {
+      params.set(key, [].concat(value).join(','));
+    }
     try {
-      const response = await fetch('/api/projects', {
+      const response = await fetch(`/api/projects?${params}`, {
         headers: {
           'Authorization': `Bearer ${token}`
         }
@@ -30,6 +140,8 @@ const Projects = () => {
       
       const data = await response.json();
       setProjects(data.projects || []);
+      setCounts({ total: data.total, active: data.active, inactive: data.inactive });
+      setFacets(data.facets);
       setError(null);
     } catch (error) {
       setError('Failed to fetch projects');
@@ -39,6 +151,88 @@ const Projects = () => {
     }
   };
 
+  // Severity counts per project; cached on the server until a lock file changes
+  const fetchDependencyAudit = async () => {
+    try {
+      const response = await authFetch('/api/dependency-audit');
+      const data = await response.json();
+      if (response.ok) {
+        setDependencyAudit(data);
+      }
+    } catch (error) {
+      console.error('Error fetching dependency audit:', error);
+    }
+  };
+
+  const fetchPresets = async () => {
+    try {
+      const response = await authFetch('/api/project-filters');
+      const data = await response.json();
+      if (response.ok) {
+        setPresets(data.presets);
+      }
+    } catch (error) {
+      console.error('Error fetching filter presets:', error);
+    }
+  };
+
+  const applyPreset = (id) => {
+    setPresetId(id);
+    const preset = presets.find(item => item.id === id);
+    if (!preset) {
+      return;
+    }
+    const { filters } = preset;
+    setSearch(filters.q || '');
+    setTagFilter(filters.tag ? filters.tag.join(',') : 'all');
+    setFrameworkFilter(filters.framework || 'all');
+    setFilter(filters.status || 'all');
+    setClientFilter(filters.client || 'all');
+    setFavouritesOnly(Boolean(filters.favourite));
+  };
+
+  const deletePreset = async (preset) => {
+    try {
+      const response = await authFetch(`/api/project-filters/${preset.id}`, { method: 'DELETE' });
+      if (response.ok) {
+        setPresetId('');
+        await fetchPresets();
+      }
+    } catch (error) {
+      console.error('Error deleting filter preset:', error);
+    }
+  };
+
+  // Changing any filter by hand leaves the preset that was picked
+  const changeFilter = (setter) => (value) => {
+    setPresetId('');
+    setter(value);
+  };
+
+  const toggleFavourite = async (project) => {
+    try {
+      const response = await authFetch(`/api/projects/${encodeURIComponent(project.name)}/meta`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ favourite: !project.meta.favourite })
+      });
+      if (response.ok) {
+        await fetchProjects();
+      }
+    } catch (error) {
+      console.error('Error updating favourite:', error);
+    }
+  };
+
+  // The selection only ever holds projects that are listed, so filtering narrows it too
+  useEffect(() => {
+    setSelected(prev => prev.filter(name => projects.some(project => project.name === name)));
+  }, [projects]);
+
+  const toggleSelected = (name) => {
+    setSelected(prev => (prev.includes(name) ? prev.filter(item => item !== name) : [...prev, name]));
+  };
+
   const handleProjectAction = async (projectName, action) => {
     try {
       const response = await fetch(`/api/projects/${projectName}/${action}`, {
@@ -91,17 +285,16 @@ const Projects = () => {
     return protocol === 'https' ? '🔒 HTTPS' : '🔓 HTTP';
   };
 
-  const filteredProjects = projects.filter(project => {
-    if (filter === 'all') return true;
-    return project.status === filter;
-  });
-
-  const sortedProjects = [...filteredProjects].sort((a, b) => {
+  // Favourites stay at the top whatever the sort order
+  const sortedProjects = [...projects].sort((a, b) => {
+    if (a.meta.favourite !== b.meta.favourite) {
+      return a.meta.favourite ? -1 : 1;
+    }
     switch (sortBy) {
       case 'name':
         return a.name.localeCompare(b.name);
       case 'type':
-        return a.type.localeCompare(b.type);
+        return a.framework.name.localeCompare(b.framework.name);
       case 'status':
         return a.status.localeCompare(b.status);
       case 'modified':
@@ -143,35 +336,105 @@ const Projects = () => {
       {/* Stats Cards */}
       <div className="projects-stats">
         <div className="stat-card">
-          <div className="stat-value">{projects.length}</div>
+          <div className="stat-value">{counts.total}</div>
           <div className="stat-label">Total Projects</div>
         </div>
         <div className="stat-card">
-          <div className="stat-value">{projects.filter(p => p.status === 'active').length}</div>
+          <div className="stat-value">{counts.active}</div>
           <div className="stat-label">Active</div>
         </div>
         <div className="stat-card">
-          <div className="stat-value">{projects.filter(p => p.status === 'inactive').length}</div>
+          <div className="stat-value">{counts.inactive}</div>
           <div className="stat-label">Inactive</div>
         </div>
         <div className="stat-card">
           <div className="stat-value">{projects.filter(p => p.protocol === 'https').length}</div>
           <div className="stat-label">HTTPS</div>
         </div>
+        <div className="stat-card">
+          <div className="stat-value">{Object.values(uptime).filter(site => site.status === 'down').length}</div>
+          <div className="stat-label">Sites Down</div>
+        </div>
+        {dependencyAudit?.database && (
+          <Link to="/dependencies" className="stat-card stat-card-link">
+            <div className="stat-value">
+              {Object.values(dependencyAudit.projects).filter(audit => audit.counts.critical + audit.counts.high > 0).length}
+            </div>
+            <div className="stat-label">Critical/High Vulnerabilities</div>
+          </Link>
+        )}
       </div>
 
       {/* Filters and Controls */}
       <div className="projects-controls">
         <div className="filters">
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => changeFilter(setSearch)(e.target.value)}
+            className="filter-select filter-search"
+            placeholder="Search name, client, notes…"
+          />
+
           <select 
             value={filter} 
-            onChange={(e) => setFilter(e.target.value)}
+            onChange={(e) => changeFilter(setFilter)(e.target.value)}
             className="filter-select"
           >
             <option value="all">All Projects</option>
             <option value="active">Active Only</option>
             <option value="inactive">Inactive Only</option>
           </select>
+
+          <select
+            value={frameworkFilter}
+            onChange={(e) => changeFilter(setFrameworkFilter)(e.target.value)}
+            className="filter-select"
+          >
+            <option value="all">All Frameworks</option>
+            {facets.frameworks.map(option => (
+              <option key={option.id} value={option.id}>
+                {option.icon} {option.name} ({option.count})
+              </option>
+            ))}
+          </select>
+
+          <select
+            value={tagFilter}
+            onChange={(e) => changeFilter(setTagFilter)(e.target.value)}
+            className="filter-select"
+          >
+            <option value="all">All Tags</option>
+            {facets.tags.map(tag => (
+              <option key={tag.name} value={tag.name}>🏷️ {tag.name} ({tag.count})</option>
+            ))}
+            {tagFilter.includes(',') && <option value={tagFilter}>🏷️ {tagFilter.split(',').join(' + ')}</option>}
+          </select>
+
+          {(facets.clients.length > 0 || clientFilter !== 'all') && (
+            <select
+              value={clientFilter}
+              onChange={(e) => changeFilter(setClientFilter)(e.target.value)}
+              className="filter-select"
+            >
+              <option value="all">All Clients</option>
+              {facets.clients.map(client => (
+                <option key={client.name} value={client.name}>{client.name} ({client.count})</option>
+              ))}
+              {clientFilter !== 'all' && !facets.clients.some(client => client.name === clientFilter) && (
+                <option value={clientFilter}>{clientFilter}</option>
+              )}
+            </select>
+          )}
+
+          <button
+            type="button"
+            onClick={() => changeFilter(setFavouritesOnly)(!favouritesOnly)}
+            className={`btn btn-sm ${favouritesOnly ? 'btn-primary' : 'btn-secondary'}`}
+            title="Show favourites only"
+          >
+            {favouritesOnly ? '★' : '☆'} Favourites
+          </button>
           
           <select 
             value={sortBy} 
@@ -179,42 +442,140 @@ const Projects = () => {
             className="filter-select"
           >
             <option value="name">Sort by Name</option>
-            <option value="type">Sort by Type</option>
+            <option value="type">Sort by Framework</option>
             <option value="status">Sort by Status</option>
             <option value="modified">Sort by Modified</option>
           </select>
+
+          <select
+            value={presetId}
+            onChange={(e) => applyPreset(e.target.value)}
+            className="filter-select"
+          >
+            <option value="">Saved Filters…</option>
+            {presets.map(preset => (
+              <option key={preset.id} value={preset.id}>
+                {preset.shared ? '👥' : '🔖'} {preset.name}{preset.ownerId !== user?.id ? ` (${preset.owner})` : ''}
+              </option>
+            ))}
+          </select>
+          <button type="button" onClick={() => setShowSavePreset(true)} className="btn btn-secondary btn-sm" title="Save current filters">
+            💾 Save
+          </button>
+          {presets.some(preset => preset.id === presetId && (preset.ownerId === user?.id || user?.role === 'admin')) && (
+            <button
+              type="button"
+              onClick={() => setDeletingPreset(presets.find(preset => preset.id === presetId))}
+              className="btn btn-danger btn-sm"
+              title="Delete this saved filter"
+            >
+              🗑️
+            </button>
+          )}
         </div>
 
-        <button 
-          onClick={fetchProjects} 
-          className="btn btn-secondary refresh-btn"
-        >
-          🔄 Refresh
-        </button>
+        <div className="projects-actions">
+          <button 
+            onClick={() => setShowWizard(true)} 
+            className="btn btn-primary"
+          >
+            🚀 New Project
+          </button>
+          <button 
+            onClick={() => setShowClone(true)} 
+            className="btn btn-secondary"
+          >
+            📥 Clone from Git
+          </button>
+          <button 
+            onClick={() => setShowImport(true)} 
+            className="btn btn-secondary"
+          >
+            📦 Import Bundle
+          </button>
+          <button 
+            onClick={fetchProjects} 
+            className="btn btn-secondary refresh-btn"
+          >
+            🔄 Refresh
+          </button>
+        </div>
       </div>
 
+      {sortedProjects.length > 0 && (
+        <div className={`bulk-bar ${selected.length > 0 ? 'active' : ''}`}>
+          <label className="bulk-select-all">
+            <input
+              type="checkbox"
+              checked={selected.length === sortedProjects.length}
+              ref={(input) => {
+                if (input) input.indeterminate = selected.length > 0 && selected.length < sortedProjects.length;
+              }}
+              onChange={() => setSelected(selected.length === sortedProjects.length ? [] : sortedProjects.map(project => project.name))}
+            />
+            {selected.length > 0 ? `${selected.length} selected` : 'Select all'}
+          </label>
+          {selected.length > 0 && Object.entries(BULK_ACTIONS).map(([action, details]) => (
+            <button
+              key={action}
+              type="button"
+              onClick={() => setBulkAction(action)}
+              className={`btn btn-sm ${details.danger ? 'btn-danger' : 'btn-secondary'}`}
+            >
+              {details.label}
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* Projects Grid */}
       <div className="projects-grid">
         {sortedProjects.length === 0 ? (
           <div className="no-projects">
             <div className="no-projects-icon">📁</div>
             <h3>No Projects Found</h3>
-            <p>Create your first project using the Supreme CLI or add existing projects to your webroot.</p>
-            <button className="btn btn-primary">
+            {counts.total > 0 ? (
+              <p>No project matches these filters.</p>
+            ) : (
+              <p>Create your first project here or with the Supreme CLI, or add existing projects to your webroot.</p>
+            )}
+            <button className="btn btn-primary" onClick={() => setShowWizard(true)}>
               🚀 Create New Project
             </button>
           </div>
         ) : (
           sortedProjects.map((project) => (
-            <div key={project.name} className="project-card">
+            <div key={project.name} className={`project-card ${selected.includes(project.name) ? 'selected' : ''}`}>
               <div className="project-header">
-                <div className="project-icon">
-                  {getProjectTypeIcon(project.type)}
+                <input
+                  type="checkbox"
+                  className="project-select"
+                  checked={selected.includes(project.name)}
+                  onChange={() => toggleSelected(project.name)}
+                  aria-label={`Select ${project.name}`}
+                />
+                <div className="project-icon" title={project.framework.name}>
+                  {project.framework.icon || getProjectTypeIcon(project.type)}
                 </div>
                 <div className="project-info">
-                  <h3 className="project-name">{project.name}</h3>
-                  <p className="project-type">{project.type.toUpperCase()}</p>
+                  <h3 className="project-name">
+                    <Link to={`/projects/${encodeURIComponent(project.name)}`}>{project.name}</Link>
+                  </h3>
+                  <p className="project-type">
+                    {project.framework.name}
+                    {project.framework.version && ` ${project.framework.version}`}
+                    {project.meta.client && ` · ${project.meta.client}`}
+                  </p>
                 </div>
+                <button
+                  type="button"
+                  onClick={() => toggleFavourite(project)}
+                  className={`favourite-toggle ${project.meta.favourite ? 'on' : ''}`}
+                  title={project.meta.favourite ? 'Remove from favourites' : 'Add to favourites'}
+                  aria-pressed={project.meta.favourite}
+                >
+                  {project.meta.favourite ? '★' : '☆'}
+                </button>
                 <div className="project-status">
                   <span className={`status-badge ${project.status}`}>
                     {getStatusBadge(project.status)}
@@ -230,11 +591,46 @@ const Projects = () => {
                     {getProtocolBadge(project.protocol)}
                   </span>
                 </div>
+
+                {project.meta.tags.length > 0 && (
+                  <div className="project-tags">
+                    {project.meta.tags.map(tag => (
+                      <button
+                        key={tag}
+                        type="button"
+                        className="project-tag"
+                        onClick={() => changeFilter(setTagFilter)(tag)}
+                        title={`Show projects tagged ${tag}`}
+                      >
+                        {tag}
+                      </button>
+                    ))}
+                  </div>
+                )}
+
+                {project.meta.notes && <p className="project-notes">{project.meta.notes}</p>}
+
+                {dependencyAudit?.database && dependencyAudit.projects[project.name]?.total > 0 && (
+                  <Link
+                    to={`/projects/${encodeURIComponent(project.name)}?tab=dependencies`}
+                    className="project-vulnerabilities"
+                    title="Known vulnerabilities in this project's dependencies"
+                  >
+                    🛡️ <SeverityCounts counts={dependencyAudit.projects[project.name].counts} />
+                  </Link>
+                )}
+
+                {uptime[project.name] && (
+                  <div className="project-uptime">
+                    <UptimeBadge uptime={uptime[project.name]} />
+                    <UptimeSparkline checks={uptime[project.name].recent} />
+                  </div>
+                )}
                 
                 <div className="project-meta">
                   <div className="meta-item">
                     <span className="meta-label">Size:</span>
-                    <span className="meta-value">{project.size}</span>
+                    <span className="meta-value">{project.size ?? 'Calculating...'}</span>
                   </div>
                   <div className="meta-item">
                     <span className="meta-label">Modified:</span>
@@ -287,11 +683,85 @@ const Projects = () => {
                 >
                   ℹ️ Status
                 </button>
+
+                <button
+                  onClick={() => setEditing(project)}
+                  className="btn btn-secondary btn-sm"
+                  title="Tags, client and notes"
+                >
+                  🏷️ Tags
+                </button>
+
+                <button 
+                  onClick={() => setDeleting(project.name)}
+                  className="btn btn-danger btn-sm"
+                  title="Delete Project"
+                >
+                  🗑️ Delete
+                </button>
               </div>
             </div>
           ))
         )}
       </div>
+
+      <ProjectWizard
+        isOpen={showWizard}
+        onClose={() => setShowWizard(false)}
+        onCreated={fetchProjects}
+      />
+
+      <CloneProjectModal
+        isOpen={showClone}
+        onClose={() => setShowClone(false)}
+        onCloned={fetchProjects}
+      />
+
+      <ImportBundleModal
+        isOpen={showImport}
+        onClose={() => setShowImport(false)}
+        onImported={fetchProjects}
+      />
+
+      <ProjectMetaModal
+        project={editing}
+        facets={facets}
+        onClose={() => setEditing(null)}
+        onSaved={fetchProjects}
+      />
+
+      <SaveFilterModal
+        isOpen={showSavePreset}
+        filters={currentFilters()}
+        onClose={() => setShowSavePreset(false)}
+        onSaved={(preset) => {
+          fetchPresets();
+          setPresetId(preset.id);
+        }}
+      />
+
+      <ConfirmModal
+        isOpen={!!deletingPreset}
+        onClose={() => setDeletingPreset(null)}
+        onConfirm={() => deletePreset(deletingPreset)}
+        title="Delete Saved Filter"
+        message={deletingPreset ? `Delete the saved filter '${deletingPreset.name}'${deletingPreset.shared ? ' for everyone' : ''}?` : ''}
+        confirmText="Delete"
+        type="danger"
+      />
+
+      <BulkActionModal
+        action={bulkAction}
+        projects={selected}
+        onClose={() => setBulkAction(null)}
+        onDone={fetchProjects}
+      />
+
+      <DeleteProjectModal
+        projectName={deleting}
+        onClose={() => setDeleting(null)}
+        onDeleted={fetchProjects}
+      />
     </div>
   );
 };
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import LoadingSpinner from '../components/LoadingSpinner';
+import PasswordRequirements from '../components/PasswordRequirements';
+import './Login.css';
+
+// Landing page for admin-issued reset links (/reset-password?token=...)
+const ResetPassword = () => {
+  const location = useLocation();
+  const [token] = useState(() => new URLSearchParams(location.search).get('token') || '');
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+  const [errors, setErrors] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [done, setDone] = useState(false);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.password !== formData.confirmPassword) {
+      setErrors({ confirmPassword: 'Passwords do not match' });
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/auth/reset-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, ...formData })
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (response.ok) {
+        // Keep the spent token out of the browser history
+        window.history.replaceState(null, '', '/reset-password');
+        setDone(true);
+      } else if (data.details) {
+        setErrors(data.details.token ? { general: data.details.token } : data.details);
+      } else {
+        setErrors({ general: data.error || 'Password reset failed' });
+      }
+    } catch (error) {
+      setErrors({ general: 'Network error. Please try again.' });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <div className="login-header">
+          <div className="logo">
+            <div className="logo-icon">⚡</div>
+            <h1>Supreme Dashboard</h1>
+          </div>
+          <p className="login-subtitle">
+            {done ? 'Your password has been changed' : 'Choose a new password'}
+          </p>
+        </div>
+
+        {done ? (
+          <div className="login-form">
+            <p className="reset-done">You can now sign in with your new password.</p>
+            <a href="/login" className="btn btn-primary login-button">Go to Sign In</a>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="login-form">
+            {!token && (
+              <div className="error-message general-error">
+                This link is missing its reset token. Ask an admin for a new one.
+              </div>
+            )}
+            {errors.general && (
+              <div className="error-message general-error">
+                {errors.general}
+              </div>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="password" className="form-label">
+                New Password
+              </label>
+              <input
+                type="password"
+                id="password"
+                name="password"
+                value={formData.password}
+                onChange={handleInputChange}
+                className={`form-input ${errors.password ? 'error' : ''}`}
+                autoComplete="new-password"
+                disabled={isLoading || !token}
+                autoFocus
+              />
+              {errors.password ? (
+                <span className="field-error">{errors.password}</span>
+              ) : (
+                <PasswordRequirements />
+              )}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="confirmPassword" className="form-label">
+                Confirm Password
+              </label>
+              <input
+                type="password"
+                id="confirmPassword"
+                name="confirmPassword"
+                value={formData.confirmPassword}
+                onChange={handleInputChange}
+                className={`form-input ${errors.confirmPassword ? 'error' : ''}`}
+                autoComplete="new-password"
+                disabled={isLoading || !token}
+              />
+              {errors.confirmPassword && (
+                <span className="field-error">{errors.confirmPassword}</span>
+              )}
+            </div>
+
+            <button
+              type="submit"
+              className="btn btn-primary login-button"
+              disabled={isLoading || !token || !formData.password}
+            >
+              {isLoading ? <LoadingSpinner size="small" text="" /> : 'Set Password'}
+            </button>
+          </form>
+        )}
+
+        <div className="login-footer">
+          <p>
+            <a href="/login" className="toggle-button">Back to sign in</a>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -1,6 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import ConfirmModal from '../components/ConfirmModal';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import ActiveSessions from '../components/ActiveSessions';
+import AccessTokens from '../components/AccessTokens';
+import AuthProviderSettings from '../components/AuthProviderSettings';
+import PasswordPolicySettings from '../components/PasswordPolicySettings';
+import ChangePassword from '../components/ChangePassword';
 import './Settings.css';
 
 const Settings = () => {
@@ -47,7 +53,7 @@ const Settings = () => {
   const [message, setMessage] = useState(null);
   const [activeTab, setActiveTab] = useState('general');
   const [showResetModal, setShowResetModal] = useState(false);
-  const { token } = useAuth();
+  const { token, user } = useAuth();
 
   useEffect(() => {
     // Load settings from localStorage or API
@@ -347,7 +353,8 @@ const Settings = () => {
     { id: 'supreme', label: 'Supreme', icon: '⚡' },
     { id: 'development', label: 'Development', icon: '💻' },
     { id: 'security', label: 'Security', icon: '🔒' },
-    { id: 'database', label: 'Database', icon: '🗄️' }
+    { id: 'database', label: 'Database', icon: '🗄️' },
+    ...(user?.role === 'admin' ? [{ id: 'authentication', label: 'Authentication', icon: '🪪' }] : [])
   ];
 
   return (
@@ -641,60 +648,66 @@ const Settings = () => {
 
             {/* Security Settings */}
             {activeTab === 'security' && (
-              <div className="settings-section">
-                <h3>Security Settings</h3>
-                <div className="form-grid">
-                  <div className="form-group">
-                    <label className="form-label">HTTPS</label>
-                    <div className="checkbox-group">
+              <>
+                <div className="settings-section">
+                  <h3>Security Settings</h3>
+                  <div className="form-grid">
+                    <div className="form-group">
+                      <label className="form-label">HTTPS</label>
+                      <div className="checkbox-group">
+                        <input
+                          type="checkbox"
+                          id="enableHttps"
+                          checked={settings.security.enableHttps}
+                          onChange={(e) => handleInputChange('security', 'enableHttps', e.target.checked)}
+                        />
+                        <label htmlFor="enableHttps">Enable HTTPS</label>
+                      </div>
+                    </div>
+
+                    <div className="form-group">
+                      <label className="form-label">CORS</label>
+                      <div className="checkbox-group">
+                        <input
+                          type="checkbox"
+                          id="enableCors"
+                          checked={settings.security.enableCors}
+                          onChange={(e) => handleInputChange('security', 'enableCors', e.target.checked)}
+                        />
+                        <label htmlFor="enableCors">Enable CORS</label>
+                      </div>
+                    </div>
+
+                    <div className="form-group">
+                      <label className="form-label">Session Timeout (minutes)</label>
                       <input
-                        type="checkbox"
-                        id="enableHttps"
-                        checked={settings.security.enableHttps}
-                        onChange={(e) => handleInputChange('security', 'enableHttps', e.target.checked)}
+                        type="number"
+                        className="form-input"
+                        value={settings.security.sessionTimeout}
+                        onChange={(e) => handleInputChange('security', 'sessionTimeout', parseInt(e.target.value))}
+                        min="5"
+                        max="1440"
                       />
-                      <label htmlFor="enableHttps">Enable HTTPS</label>
                     </div>
-                  </div>
 
-                  <div className="form-group">
-                    <label className="form-label">CORS</label>
-                    <div className="checkbox-group">
+                    <div className="form-group">
+                      <label className="form-label">Max Login Attempts</label>
                       <input
-                        type="checkbox"
-                        id="enableCors"
-                        checked={settings.security.enableCors}
-                        onChange={(e) => handleInputChange('security', 'enableCors', e.target.checked)}
+                        type="number"
+                        className="form-input"
+                        value={settings.security.maxLoginAttempts}
+                        onChange={(e) => handleInputChange('security', 'maxLoginAttempts', parseInt(e.target.value))}
+                        min="3"
+                        max="10"
                       />
-                      <label htmlFor="enableCors">Enable CORS</label>
                     </div>
                   </div>
-
-                  <div className="form-group">
-                    <label className="form-label">Session Timeout (minutes)</label>
-                    <input
-                      type="number"
-                      className="form-input"
-                      value={settings.security.sessionTimeout}
-                      onChange={(e) => handleInputChange('security', 'sessionTimeout', parseInt(e.target.value))}
-                      min="5"
-                      max="1440"
-                    />
-                  </div>
-
-                  <div className="form-group">
-                    <label className="form-label">Max Login Attempts</label>
-                    <input
-                      type="number"
-                      className="form-input"
-                      value={settings.security.maxLoginAttempts}
-                      onChange={(e) => handleInputChange('security', 'maxLoginAttempts', parseInt(e.target.value))}
-                      min="3"
-                      max="10"
-                    />
-                  </div>
                 </div>
-              </div>
+                <ChangePassword />
+                <TwoFactorSettings />
+                <ActiveSessions />
+                <AccessTokens />
+              </>
             )}
 
             {/* Database Settings */}
@@ -770,23 +783,33 @@ const Settings = () => {
               </div>
             )}
 
+            {/* Login providers save on their own */}
+            {activeTab === 'authentication' && (
+              <>
+                <PasswordPolicySettings />
+                <AuthProviderSettings />
+              </>
+            )}
+
             {/* Action Buttons */}
-            <div className="settings-actions">
-              <button
-                className="btn btn-secondary"
-                onClick={handleReset}
-                disabled={loading}
-              >
-                Reset to Default
-              </button>
-              <button
-                className="btn btn-primary"
-                onClick={handleSave}
-                disabled={loading}
-              >
-                {loading ? 'Saving...' : 'Save Settings'}
-              </button>
-            </div>
+            {activeTab !== 'authentication' && (
+              <div className="settings-actions">
+                <button
+                  className="btn btn-secondary"
+                  onClick={handleReset}
+                  disabled={loading}
+                >
+                  Reset to Default
+                </button>
+                <button
+                  className="btn btn-primary"
+                  onClick={handleSave}
+                  disabled={loading}
+                >
+                  {loading ? 'Saving...' : 'Save Settings'}
+                </button>
+              </div>
+            )}
           </div>
         </div>
       </div>
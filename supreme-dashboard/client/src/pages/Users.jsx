@@ -0,0 +1,417 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
+import ConfirmModal from '../components/ConfirmModal';
+import UserFormModal from '../components/UserFormModal';
+import './Users.css';
+
+const Users = () => {
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [filter, setFilter] = useState('all'); // all, active, disabled, locked
+  const [showForm, setShowForm] = useState(false);
+  const [editingUser, setEditingUser] = useState(null);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [temporaryPassword, setTemporaryPassword] = useState(null);
+  const [resetLink, setResetLink] = useState(null);
+  const [projectNames, setProjectNames] = useState([]);
+  const { token, user: currentUser } = useAuth();
+  const { success, error: showError } = useToast();
+
+  useEffect(() => {
+    if (token) {
+      fetchUsers();
+      fetchProjectNames();
+    }
+  }, [token]);
+
+  const request = async (url, options = {}) => {
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...options.headers
+      }
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const details = data.details ? Object.values(data.details).join(', ') : null;
+      throw new Error(details || data.error || `Request failed (${response.status})`);
+    }
+    return data;
+  };
+
+  const fetchUsers = async () => {
+    try {
+      const data = await request('/api/users');
+      setUsers(data.users || []);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Folder names offered in the project access picker
+  const fetchProjectNames = async () => {
+    try {
+      const data = await request('/api/projects');
+      setProjectNames((data.projects || []).map(project => project.name));
+    } catch (err) {
+      setProjectNames([]);
+    }
+  };
+
+  const handleSave = async (payload) => {
+    if (editingUser) {
+      await request(`/api/users/${editingUser.id}`, {
+        method: 'PUT',
+        body: JSON.stringify(payload)
+      });
+      success(`Updated ${payload.username}`);
+    } else {
+      const data = await request('/api/users', {
+        method: 'POST',
+        body: JSON.stringify(payload)
+      });
+      success(`Invited ${payload.username}`);
+      if (data.temporaryPassword) {
+        setTemporaryPassword({ username: payload.username, password: data.temporaryPassword });
+      }
+    }
+    await fetchUsers();
+  };
+
+  const runAction = async (action, user) => {
+    try {
+      switch (action) {
+        case 'reset': {
+          const data = await request(`/api/users/${user.id}/reset-password`, {
+            method: 'POST',
+            body: JSON.stringify({})
+          });
+          setTemporaryPassword({ username: user.username, password: data.temporaryPassword });
+          break;
+        }
+        case 'resetlink': {
+          const data = await request(`/api/users/${user.id}/reset-link`, {
+            method: 'POST',
+            body: JSON.stringify({})
+          });
+          setResetLink({ username: user.username, ...data });
+          break;
+        }
+        case 'unlock':
+          await request(`/api/users/${user.id}/unlock`, { method: 'POST', body: JSON.stringify({}) });
+          success(`${user.username} unlocked`);
+          break;
+        case 'signout': {
+          const data = await request(`/api/users/${user.id}/sessions`, { method: 'DELETE' });
+          success(`Signed out ${data.revoked} session(s) for ${user.username}`);
+          break;
+        }
+        case 'reset2fa':
+          await request(`/api/users/${user.id}/reset-2fa`, { method: 'POST', body: JSON.stringify({}) });
+          success(`Two-factor authentication reset for ${user.username}`);
+          break;
+        case 'toggle':
+          await request(`/api/users/${user.id}`, {
+            method: 'PUT',
+            body: JSON.stringify({ disabled: !user.disabled })
+          });
+          success(`${user.username} ${user.disabled ? 'enabled' : 'disabled'}`);
+          break;
+        case 'delete':
+          await request(`/api/users/${user.id}`, { method: 'DELETE' });
+          success(`${user.username} deleted`);
+          break;
+        default:
+          break;
+      }
+      await fetchUsers();
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const confirmMessages = {
+    reset: (user) => `Generate a new temporary password for ${user.username}? Their current password will stop working.`,
+    resetlink: (user) => `Send ${user.username} a one-time link to choose a new password? Their current password keeps working until they use it.`,
+    signout: (user) => `Sign ${user.username} out of every session? They will need to log in again.`,
+    reset2fa: (user) => `Turn off two-factor authentication for ${user.username}? They can enroll again from Settings.`,
+    toggle: (user) => user.disabled
+      ? `Re-enable ${user.username}'s account?`
+      : `Disable ${user.username}? They will be signed out and unable to log in.`,
+    delete: (user) => `Permanently delete ${user.username}? This cannot be undone.`
+  };
+
+  const getStatus = (user) => {
+    if (user.disabled) return { label: 'Disabled', className: 'inactive' };
+    if (user.lockedUntil) return { label: 'Locked', className: 'locked' };
+    return { label: 'Active', className: 'active' };
+  };
+
+  const filteredUsers = users.filter(user => {
+    switch (filter) {
+      case 'active':
+        return !user.disabled && !user.lockedUntil;
+      case 'disabled':
+        return user.disabled;
+      case 'locked':
+        return !!user.lockedUntil;
+      default:
+        return true;
+    }
+  });
+
+  if (loading) {
+    return (
+      <div className="users-loading">
+        <div className="loading-spinner"></div>
+        <p>Loading users...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="users-error">
+        <div className="error-icon">⚠️</div>
+        <h3>Error Loading Users</h3>
+        <p>{error}</p>
+        <button onClick={fetchUsers} className="btn btn-primary">
+          Try Again
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="users">
+      <div className="page-header">
+        <h1 className="page-title">Users</h1>
+        <p className="page-subtitle">Manage who can sign in to the dashboard</p>
+      </div>
+
+      <div className="users-stats">
+        <div className="stat-card">
+          <div className="stat-value">{users.length}</div>
+          <div className="stat-label">Total Users</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-value">{users.filter(u => u.role === 'admin').length}</div>
+          <div className="stat-label">Admins</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-value">{users.filter(u => u.lockedUntil).length}</div>
+          <div className="stat-label">Locked</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-value">{users.filter(u => u.disabled).length}</div>
+          <div className="stat-label">Disabled</div>
+        </div>
+      </div>
+
+      {temporaryPassword && (
+        <div className="temporary-password">
+          <div>
+            <strong>Temporary password for {temporaryPassword.username}:</strong>
+            <code>{temporaryPassword.password}</code>
+            <small>Share it securely — it will not be shown again.</small>
+          </div>
+          <button className="btn btn-secondary btn-sm" onClick={() => setTemporaryPassword(null)}>
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      {resetLink && (
+        <div className="temporary-password">
+          <div>
+            <strong>Reset link for {resetLink.username}:</strong>
+            <code>{resetLink.resetUrl}</code>
+            <small>
+              Written to the outbox at {resetLink.outboxFile}. Works once, until {new Date(resetLink.expiresAt).toLocaleString()}.
+            </small>
+          </div>
+          <div className="user-actions">
+            <button className="btn btn-secondary btn-sm" onClick={() => navigator.clipboard?.writeText(resetLink.resetUrl)}>
+              📋 Copy
+            </button>
+            <button className="btn btn-secondary btn-sm" onClick={() => setResetLink(null)}>
+              Dismiss
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="users-controls">
+        <select
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          className="filter-select"
+        >
+          <option value="all">All Users</option>
+          <option value="active">Active</option>
+          <option value="locked">Locked</option>
+          <option value="disabled">Disabled</option>
+        </select>
+
+        <button
+          className="btn btn-primary"
+          onClick={() => {
+            setEditingUser(null);
+            setShowForm(true);
+          }}
+        >
+          ➕ Invite User
+        </button>
+      </div>
+
+      <div className="table-container">
+        <table className="table users-table">
+          <thead>
+            <tr>
+              <th>User</th>
+              <th>Role</th>
+              <th>Permissions</th>
+              <th>Status</th>
+              <th>Last Login</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {filteredUsers.map(user => {
+              const status = getStatus(user);
+              const isSelf = user.id === currentUser?.id;
+              return (
+                <tr key={user.id}>
+                  <td>
+                    <div className="user-name">
+                      {user.username}
+                      {isSelf && <span className="self-tag">you</span>}
+                      {user.authProvider !== 'local' && <span className="self-tag">{user.authProvider.toUpperCase()}</span>}
+                    </div>
+                    <div className="user-email">{user.email}</div>
+                  </td>
+                  <td className="user-role">
+                    {user.role}
+                    {Array.isArray(user.projectAccess) && (
+                      <div className="user-attempts" title={user.projectAccess.join(', ')}>
+                        {user.projectAccess.length} project(s) only
+                      </div>
+                    )}
+                  </td>
+                  <td>
+                    <div className="permission-tags">
+                      {user.permissions.map(permission => (
+                        <span key={permission} className="permission-tag">{permission}</span>
+                      ))}
+                    </div>
+                  </td>
+                  <td>
+                    <span className={`status-badge ${status.className}`}>{status.label}</span>
+                    {user.twoFactorEnabled && <div className="user-attempts">🔐 2FA enabled</div>}
+                    {user.passwordResetExpiresAt && <div className="user-attempts">✉️ Reset link pending</div>}
+                    {user.loginAttempts > 0 && !user.lockedUntil && (
+                      <div className="user-attempts">{user.loginAttempts} failed attempt(s)</div>
+                    )}
+                  </td>
+                  <td>{user.lastLogin ? new Date(user.lastLogin).toLocaleString() : 'Never'}</td>
+                  <td>
+                    <div className="user-actions">
+                      <button
+                        className="btn btn-secondary btn-sm"
+                        onClick={() => {
+                          setEditingUser(user);
+                          setShowForm(true);
+                        }}
+                      >
+                        ✏️ Edit
+                      </button>
+                      {user.lockedUntil && (
+                        <button className="btn btn-secondary btn-sm" onClick={() => runAction('unlock', user)}>
+                          🔓 Unlock
+                        </button>
+                      )}
+                      {user.authProvider === 'local' && (
+                        <button
+                          className="btn btn-secondary btn-sm"
+                          onClick={() => setPendingAction({ action: 'reset', user })}
+                        >
+                          🔑 Reset Password
+                        </button>
+                      )}
+                      {user.authProvider === 'local' && !user.disabled && (
+                        <button
+                          className="btn btn-secondary btn-sm"
+                          onClick={() => setPendingAction({ action: 'resetlink', user })}
+                        >
+                          ✉️ Reset Link
+                        </button>
+                      )}
+                      <button
+                        className="btn btn-secondary btn-sm"
+                        onClick={() => setPendingAction({ action: 'signout', user })}
+                      >
+                        🚪 Sign Out
+                      </button>
+                      {user.twoFactorEnabled && (
+                        <button
+                          className="btn btn-secondary btn-sm"
+                          onClick={() => setPendingAction({ action: 'reset2fa', user })}
+                        >
+                          🔐 Reset 2FA
+                        </button>
+                      )}
+                      {!isSelf && (
+                        <>
+                          <button
+                            className="btn btn-secondary btn-sm"
+                            onClick={() => setPendingAction({ action: 'toggle', user })}
+                          >
+                            {user.disabled ? '✅ Enable' : '⛔ Disable'}
+                          </button>
+                          <button
+                            className="btn btn-danger btn-sm"
+                            onClick={() => setPendingAction({ action: 'delete', user })}
+                          >
+                            🗑️ Delete
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <UserFormModal
+        isOpen={showForm}
+        onClose={() => setShowForm(false)}
+        onSubmit={handleSave}
+        user={editingUser}
+        projects={projectNames}
+      />
+
+      <ConfirmModal
+        isOpen={!!pendingAction}
+        onClose={() => setPendingAction(null)}
+        onConfirm={() => runAction(pendingAction.action, pendingAction.user)}
+        title="Confirm Action"
+        message={pendingAction ? confirmMessages[pendingAction.action](pendingAction.user) : ''}
+        confirmText="Continue"
+        type={pendingAction?.action === 'delete' ? 'danger' : 'warning'}
+      />
+    </div>
+  );
+};
+
+export default Users;
@@ -3,16 +3,40 @@ import cors from '@fastify/cors';
 import staticFiles from '@fastify/static';
 import { fileURLToPath } from 'url';
 import { dirname, join, resolve } from 'path';
-import { readFileSync, readdirSync, statSync, existsSync } from 'fs';
+import { readFileSync, readdirSync, statSync, existsSync, createReadStream } from 'fs';
 import { exec } from 'child_process';
 import { promisify } from 'util';
-import bcrypt from 'bcrypt';
 import os from 'os';
-import { generateToken, verifyToken, authenticateToken, requireRole, users } from './middleware/auth.js';
-import { validateLogin, validateRegister, validateProjectName, sanitizeInput } from './middleware/validation.js';
+import { generateToken, startSession, rotateRefreshToken, revokeToken, revokeRefreshToken, verifyToken, authenticateToken, handleFailedLogin, handleSuccessfulLogin, getActiveSessions, getAllSessions, revokeSession, revokeAllSessions, getAuthProvider, loginWithProvider, beginProviderLogin, completeProviderLogin, redeemProviderLoginCode, userStore, accessTokenStore, authProviderStore } from './middleware/auth.js';
+import { validateLogin, validateRegister, validateProjectName, validateUserCreate, validateUserUpdate, validateAccessTokenCreate, validateAuditQuery, validateAuthProviderUpdate, validatePasswordChange, validatePasswordReset, validatePasswordPolicyUpdate, validateProjectCreate, validateProjectClone, validateProjectDelete, validateTemplateAdd, validateTemplateApply, validateProjectExport, validateBundleImport, validateAdvisoryImport, validateEnvFile, validateEnvChanges, validateProjectQuery, validateProjectMeta, validateFilterPreset, validateBulkAction, sanitizeInput } from './middleware/validation.js';
+import { registerPolicies, filterAccessibleProjects, canAccessProject } from './middleware/policies.js';
+import { toPublicUser, generateTemporaryPassword, ROLE_PERMISSIONS } from './services/users.js';
+import twoFactor from './services/twoFactor.js';
+import { toPublicToken, scopesForUser } from './services/accessTokens.js';
+import auditLog from './services/audit.js';
+import { mapGroupsToRole } from './services/authProviders.js';
+import passwordPolicy from './services/passwordPolicy.js';
+import outbox from './services/outbox.js';
+import jobRunner, { toPublicJob } from './services/jobs.js';
+import devServers from './services/devServers.js';
+import projectMeta, { normalizeFilters, matchesMetaFilters, matchesProjectFilters, normalizeTag, MAX_TAGS } from './services/projectMeta.js';
+import dependencyAudit from './services/dependencyAudit.js';
+import testRuns from './services/testRuns.js';
+import projectIndex from './services/projectIndex.js';
+import { startBulkJob, runCommand, BULK_ACTIONS } from './services/bulkActions.js';
+import uptime, { INTERVAL_SECONDS as UPTIME_INTERVAL_SECONDS } from './services/uptime.js';
+import { globalMonitor } from './middleware/monitoring.js';
+import { getGitInfo, getLargestDirectories, getConfiguredDatabases, getErrorLog } from './services/projectInfo.js';
+import { detectFramework, resolveDevCommand, formatCommand } from './services/frameworks.js';
+import { readEnvFile, revealEnvValue, planEnvChanges, writeEnvFile } from './services/envFiles.js';
+import { listTemplates, getTemplate, addTemplate, removeTemplate, defaultTemplateId, resolveVariables, templateDatabaseName, buildTemplateSteps, TEMPLATE_ID_PATTERN } from './services/templates.js';
+import { isLocalRepository, localRepositoryPath, redactRepository, defaultProjectName, listRemoteBranches, buildCloneSteps } from './services/gitClone.js';
+import { listBundles, getBundle, removeBundle, receiveBundle, exportProject, importBundle, toPublicBundle, MAX_UPLOAD_BYTES } from './services/bundles.js';
+import { PROJECT_FRAMEWORKS, DEV_TLDS, SITES_ENABLED_DIR, buildCreateArgs, readVhostInfo, projectUrl, getDeletionPlan, isProjectDatabase, archivePathFor } from './services/projects.js';
 import { 
   initializeDatabase, 
   getDatabases, 
+  listDatabaseNames,
   getTables, 
   executeCustomQuery, 
   getTableStructure, 
@@ -52,248 +76,1894 @@ await fastify.register(cors, {
 // Register global middleware
 fastify.addHook('preHandler', sanitizeInput);
 
+// Append-only audit trail of every mutating API request
+auditLog.initialize();
+passwordPolicy.initialize();
+projectMeta.initialize();
+dependencyAudit.initialize();
+testRuns.initialize();
+devServers.initialize();
+// Enabled sites only; a stopped project is expected not to answer
+uptime.initialize({
+  listTargets: () => {
+    const config = loadSupremeConfig();
+    const htdocsRoot = config?.HTDOCS_ROOT || '/var/www/html';
+    if (!config || !existsSync(htdocsRoot)) {
+      return [];
+    }
+    return readdirSync(htdocsRoot, { withFileTypes: true })
+      .filter(dirent => dirent.isDirectory() && existsSync(`${SITES_ENABLED_DIR}/${dirent.name}.conf`))
+      .map(dirent => ({ name: dirent.name, url: projectUrl(dirent.name, config) }));
+  }
+});
+fastify.addHook('onResponse', async (request, reply) => {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(request.method) || !request.url.startsWith('/api/')) {
+    return;
+  }
+  await auditLog.record(request, reply);
+});
+
 // Initialize database connection
 const dbInitialized = initializeDatabase();
 
-// Register static file serving for production
-await fastify.register(staticFiles, {
-  root: join(__dirname, '../client/dist'),
-  prefix: '/'
+// Register static file serving for production
+await fastify.register(staticFiles, {
+  root: join(__dirname, '../client/dist'),
+  prefix: '/'
+});
+
+// Supreme CLI integration helper
+const runSupremeCommand = async (command) => {
+  try {
+    const { stdout, stderr } = await execAsync(`supreme ${command}`);
+    return { success: true, output: stdout, error: stderr };
+  } catch (error) {
+    return { success: false, output: error.stdout || '', error: error.stderr || error.message };
+  }
+};
+
+// Load Supreme configuration
+const loadSupremeConfig = () => {
+  try {
+    const configPath = `${process.env.HOME}/.supreme/config.env`;
+    if (existsSync(configPath)) {
+      const configContent = readFileSync(configPath, 'utf8');
+      const config = {};
+      configContent.split('\n').forEach(line => {
+        const [key, value] = line.split('=');
+        if (key && value) {
+          config[key] = value;
+        }
+      });
+      return config;
+    }
+    return null;
+  } catch (error) {
+    console.error('Error loading Supreme config:', error);
+    return null;
+  }
+};
+
+// Per-route authorization; must be registered before any route is declared
+registerPolicies(fastify, {
+  getProjectsRoot: () => loadSupremeConfig()?.HTDOCS_ROOT || '/var/www/html'
+});
+
+// Project listing reads from the index; it watches HTDOCS_ROOT and measures sizes in the background
+projectIndex.initialize({ getRoot: () => loadSupremeConfig()?.HTDOCS_ROOT || '/var/www/html' });
+// Jobs install, pull and build deep inside projects, out of sight of the watchers
+jobRunner.on('done', job => job.meta?.project && projectIndex.refresh(job.meta.project));
+
+// Authentication routes
+// Issue the token pair for a fully authenticated user
+const completeLogin = (user, request) => {
+  const { token, refreshToken } = startSession(user, request);
+  handleSuccessfulLogin(user.id);
+
+  return {
+    success: true,
+    token,
+    refreshToken,
+    user: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      authProvider: user.authProvider,
+      lastLogin: user.lastLogin
+    }
+  };
+};
+
+// Shared by every sign-in method once the password or provider has vouched for the user
+const finishLogin = (user, request) => {
+  // Password is right but a second factor is still owed
+  if (user.twoFactorEnabled) {
+    return {
+      success: true,
+      twoFactorRequired: true,
+      challengeToken: generateToken(user.id, '2fa')
+    };
+  }
+
+  return completeLogin(user, request);
+};
+
+fastify.post('/api/auth/login', { preHandler: validateLogin }, async (request, reply) => {
+  try {
+    const { username, password, provider = 'local' } = request.body;
+    console.log('Login attempt:', username, provider === 'local' ? '' : `(${provider})`);
+
+    if (provider !== 'local') {
+      const user = await loginWithProvider(provider, { username, password });
+      if (!user) {
+        return reply.code(401).send({ error: 'Invalid credentials' });
+      }
+      if (user.disabled) {
+        return reply.code(403).send({ error: 'Account has been disabled', code: 'ACCOUNT_DISABLED' });
+      }
+      return finishLogin(user, request);
+    }
+    
+    // Accounts from an external provider cannot use a local password
+    const user = userStore.findByUsername(username);
+    if (!user || user.authProvider !== 'local') {
+      return reply.code(401).send({ error: 'Invalid credentials' });
+    }
+
+    if (user.disabled) {
+      return reply.code(403).send({ error: 'Account has been disabled', code: 'ACCOUNT_DISABLED' });
+    }
+
+    if (user.lockedUntil && user.lockedUntil > Date.now()) {
+      return reply.code(423).send({ 
+        error: 'Account temporarily locked due to too many failed login attempts',
+        code: 'ACCOUNT_LOCKED',
+        lockedUntil: user.lockedUntil
+      });
+    }
+
+    const isValidPassword = await userStore.verifyPassword(user, password);
+    if (!isValidPassword) {
+      handleFailedLogin(username);
+      return reply.code(401).send({ error: 'Invalid credentials' });
+    }
+
+    return finishLogin(user, request);
+  } catch (error) {
+    if (error.errorCode) {
+      return reply.code(error.statusCode).send({ error: error.message, code: error.errorCode });
+    }
+    return reply.code(500).send({ error: 'Login failed' });
+  }
+});
+
+// Sign-in methods shown on the login page
+fastify.get('/api/auth/providers', async (request, reply) => {
+  return { providers: [{ type: 'local', name: 'Dashboard account' }, ...authProviderStore.listEnabled()] };
+});
+
+// Rules shown on the registration, change and reset password forms
+fastify.get('/api/auth/password-policy', async (request, reply) => {
+  return { policy: passwordPolicy.toPublic() };
+});
+
+// Completes an admin-issued reset link; the user signs in normally afterwards
+fastify.post('/api/auth/reset-password', { preHandler: validatePasswordReset }, async (request, reply) => {
+  const user = userStore.findByResetToken(request.body.token);
+  if (!user || user.disabled || user.authProvider !== 'local') {
+    return reply.code(400).send({ error: 'This reset link is invalid or has expired', code: 'INVALID_RESET_TOKEN' });
+  }
+
+  await userStore.setPassword(user, request.body.password);
+  userStore.unlock(user);
+  console.log(`Password reset completed by ${user.username}`);
+
+  return { success: true, message: 'Password updated. Sign in with your new password.' };
+});
+
+// OpenID Connect: send the browser to the identity provider...
+fastify.get('/api/auth/oidc/login', async (request, reply) => {
+  const redirectUri = authProviderStore.get('oidc').redirectUri ||
+    `${request.protocol}://${request.headers.host}/api/auth/oidc/callback`;
+
+  try {
+    return reply.redirect(await beginProviderLogin('oidc', redirectUri));
+  } catch (error) {
+    console.error('OIDC login could not start:', error.message);
+    const message = error.errorCode ? error.message : 'Could not reach the identity provider';
+    return reply.redirect(`/login?sso_error=${encodeURIComponent(message)}`);
+  }
+});
+
+// ...which sends it back here; the login page then trades the one-time code for tokens
+fastify.get('/api/auth/oidc/callback', async (request, reply) => {
+  const { code, state, error, error_description: errorDescription } = request.query;
+  if (error || !code || !state) {
+    const message = errorDescription || error || 'Sign-in was cancelled';
+    return reply.redirect(`/login?sso_error=${encodeURIComponent(message)}`);
+  }
+
+  try {
+    const loginCode = await completeProviderLogin('oidc', { code, state });
+    return reply.redirect(`/login?sso=${encodeURIComponent(loginCode)}`);
+  } catch (callbackError) {
+    return reply.redirect(`/login?sso_error=${encodeURIComponent(callbackError.message)}`);
+  }
+});
+
+fastify.post('/api/auth/sso/exchange', async (request, reply) => {
+  const { code } = request.body || {};
+  const user = code ? redeemProviderLoginCode(code) : null;
+  if (!user) {
+    return reply.code(401).send({ error: 'Sign-in link expired, please try again', code: 'INVALID_LOGIN_CODE' });
+  }
+  if (user.disabled) {
+    return reply.code(403).send({ error: 'Account has been disabled', code: 'ACCOUNT_DISABLED' });
+  }
+  return finishLogin(user, request);
+});
+
+// Second login step for accounts with two-factor authentication
+fastify.post('/api/auth/login/2fa', async (request, reply) => {
+  const { challengeToken, code, recoveryCode } = request.body || {};
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return reply.code(400).send({ error: 'Challenge token and code are required', code: 'MISSING_2FA_CODE' });
+  }
+
+  let decoded;
+  try {
+    decoded = await verifyToken(challengeToken);
+  } catch (error) {
+    decoded = null;
+  }
+
+  const user = decoded?.type === '2fa' ? userStore.findById(decoded.userId) : null;
+  if (!user) {
+    return reply.code(401).send({ error: 'Login challenge expired, please sign in again', code: 'INVALID_2FA_CHALLENGE' });
+  }
+
+  if (user.disabled) {
+    return reply.code(403).send({ error: 'Account has been disabled', code: 'ACCOUNT_DISABLED' });
+  }
+
+  if (user.lockedUntil && user.lockedUntil > Date.now()) {
+    return reply.code(423).send({ 
+      error: 'Account temporarily locked due to too many failed login attempts',
+      code: 'ACCOUNT_LOCKED',
+      lockedUntil: user.lockedUntil
+    });
+  }
+
+  const method = twoFactor.verifyUser(user, { code, recoveryCode });
+  if (!method) {
+    handleFailedLogin(user.username);
+    return reply.code(401).send({ error: 'Invalid authentication code', code: 'INVALID_2FA_CODE' });
+  }
+
+  return {
+    ...completeLogin(user, request),
+    recoveryCodesRemaining: method === 'recovery' ? user.recoveryCodes.length : undefined
+  };
+});
+
+// Two-factor enrollment for the signed-in user
+fastify.get('/api/auth/2fa', { preHandler: authenticateToken, config: { policy: {} } }, async (request, reply) => {
+  return {
+    enabled: request.user.twoFactorEnabled,
+    recoveryCodesRemaining: request.user.twoFactorEnabled ? request.user.recoveryCodes.length : 0
+  };
+});
+
+fastify.post('/api/auth/2fa/setup', { preHandler: authenticateToken, config: { policy: {} } }, async (request, reply) => {
+  if (request.user.twoFactorEnabled) {
+    return reply.code(409).send({ error: 'Two-factor authentication is already enabled' });
+  }
+
+  try {
+    return await twoFactor.beginEnrollment(request.user);
+  } catch (error) {
+    return reply.code(500).send({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+fastify.post('/api/auth/2fa/enable', { preHandler: authenticateToken, config: { policy: {} } }, async (request, reply) => {
+  const { code } = request.body || {};
+  if (!request.user.twoFactorPendingSecret) {
+    return reply.code(400).send({ error: 'Start two-factor setup first' });
+  }
+
+  const recoveryCodes = twoFactor.confirmEnrollment(request.user, code);
+  if (!recoveryCodes) {
+    return reply.code(400).send({ error: 'Invalid authentication code', code: 'INVALID_2FA_CODE' });
+  }
+
+  return { success: true, recoveryCodes };
+});
+
+// Turning 2FA off or rotating recovery codes needs the password and a current code
+const verifyTwoFactorChange = async (request, reply) => {
+  const { password, code, recoveryCode } = request.body || {};
+  const user = request.user;
+
+  if (!user.twoFactorEnabled) {
+    return reply.code(400).send({ error: 'Two-factor authentication is not enabled' });
+  }
+
+  if (!password || !(await userStore.verifyPassword(user, password))) {
+    return reply.code(401).send({ error: 'Incorrect password', code: 'INVALID_PASSWORD' });
+  }
+
+  if (!twoFactor.verifyUser(user, { code, recoveryCode })) {
+    return reply.code(401).send({ error: 'Invalid authentication code', code: 'INVALID_2FA_CODE' });
+  }
+};
+
+fastify.post('/api/auth/2fa/disable', { preHandler: [authenticateToken, verifyTwoFactorChange], config: { policy: {} } }, async (request, reply) => {
+  twoFactor.disable(request.user);
+  return { success: true };
+});
+
+fastify.post('/api/auth/2fa/recovery-codes', { preHandler: [authenticateToken, verifyTwoFactorChange], config: { policy: {} } }, async (request, reply) => {
+  return { success: true, recoveryCodes: twoFactor.regenerateRecoveryCodes(request.user) };
+});
+
+fastify.post('/api/auth/register', { preHandler: validateRegister }, async (request, reply) => {
+  try {
+    const { username, email, password } = request.body;
+    
+    const newUser = await userStore.create({ username, email, password });
+    
+    const { token, refreshToken } = startSession(newUser, request);
+    
+    return {
+      success: true,
+      message: 'User created successfully',
+      token,
+      refreshToken,
+      user: {
+        id: newUser.id,
+        username: newUser.username,
+        email: newUser.email,
+        role: newUser.role
+      }
+    };
+  } catch (error) {
+    return reply.code(500).send({ error: 'Registration failed' });
+  }
+});
+
+fastify.post('/api/auth/refresh', async (request, reply) => {
+  const { refreshToken } = request.body || {};
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return reply.code(400).send({ error: 'Refresh token required', code: 'MISSING_REFRESH_TOKEN' });
+  }
+
+  try {
+    const { user, token, refreshToken: nextRefreshToken } = await rotateRefreshToken(refreshToken, request);
+    return {
+      success: true,
+      token,
+      refreshToken: nextRefreshToken,
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        lastLogin: user.lastLogin
+      }
+    };
+  } catch (error) {
+    return reply.code(error.statusCode || 401).send({
+      error: error.message,
+      code: error.errorCode || 'INVALID_REFRESH_TOKEN'
+    });
+  }
+});
+
+fastify.post('/api/auth/logout', { preHandler: authenticateToken, config: { policy: {} } }, async (request, reply) => {
+  const token = request.headers.authorization.split(' ')[1];
+  revokeToken(token);
+
+  const { refreshToken } = request.body || {};
+  if (refreshToken && typeof refreshToken === 'string') {
+    revokeRefreshToken(refreshToken, request.user.id);
+  }
+
+  return { success: true, message: 'Successfully logged out' };
+});
+
+// Sessions of the signed-in user
+fastify.get('/api/auth/sessions', { preHandler: authenticateToken, config: { policy: {} } }, async (request, reply) => {
+  const sessions = getActiveSessions(request.user.id).map(session => ({
+    ...session,
+    current: session.id === request.sessionId
+  }));
+  return { sessions, currentSessionId: request.sessionId };
+});
+
+// Sign out every other session
+fastify.delete('/api/auth/sessions', { preHandler: authenticateToken, config: { policy: {} } }, async (request, reply) => {
+  const revoked = revokeAllSessions(request.user.id, { except: request.sessionId });
+  return { success: true, revoked };
+});
+
+fastify.delete('/api/auth/sessions/:id', { preHandler: authenticateToken, config: { policy: {} } }, async (request, reply) => {
+  if (!revokeSession(request.user.id, request.params.id)) {
+    return reply.code(404).send({ error: 'Session not found' });
+  }
+  return { success: true };
+});
+
+// Keeps the caller's session and signs out every other one
+fastify.post('/api/auth/change-password', { preHandler: [authenticateToken, validatePasswordChange], config: { policy: {} } }, async (request, reply) => {
+  const user = request.user;
+  if (user.authProvider !== 'local') {
+    return reply.code(400).send({
+      error: `You sign in through ${user.authProvider.toUpperCase()}; change your password there`,
+      code: 'EXTERNAL_ACCOUNT'
+    });
+  }
+
+  if (!(await userStore.verifyPassword(user, request.body.currentPassword))) {
+    return reply.code(401).send({ error: 'Incorrect password', code: 'INVALID_PASSWORD' });
+  }
+
+  const revoked = getActiveSessions(user.id).filter(session => session.id !== request.sessionId).length;
+  await userStore.setPassword(user, request.body.newPassword, { keepSession: request.sessionId });
+
+  return { success: true, revoked };
+});
+
+// Personal access tokens for scripts and CI
+fastify.get('/api/auth/tokens', { preHandler: authenticateToken, config: { policy: {} } }, async (request, reply) => {
+  return {
+    tokens: accessTokenStore.listForUser(request.user.id).map(toPublicToken),
+    availableScopes: scopesForUser(request.user)
+  };
+});
+
+fastify.post('/api/auth/tokens', { preHandler: [authenticateToken, validateAccessTokenCreate], config: { policy: {} } }, async (request, reply) => {
+  const { name, scopes, expiresInDays } = request.body;
+  const { token, record } = accessTokenStore.create(request.user.id, {
+    name: name.trim(),
+    scopes,
+    expiresInDays
+  });
+
+  return reply.code(201).send({ success: true, token, accessToken: toPublicToken(record) });
+});
+
+fastify.delete('/api/auth/tokens/:id', { preHandler: authenticateToken, config: { policy: {} } }, async (request, reply) => {
+  if (!accessTokenStore.revoke(request.user.id, request.params.id)) {
+    return reply.code(404).send({ error: 'Access token not found' });
+  }
+  return { success: true };
+});
+
+fastify.get('/api/auth/verify', { preHandler: authenticateToken, config: { policy: {} } }, async (request, reply) => {
+  return {
+    id: request.user.id,
+    username: request.user.username,
+    email: request.user.email,
+    role: request.user.role,
+    authProvider: request.user.authProvider,
+    lastLogin: request.user.lastLogin
+  };
+});
+
+fastify.put('/api/auth/profile', { preHandler: authenticateToken, config: { policy: {} } }, async (request, reply) => {
+  try {
+    const { email, username } = request.body;
+    const user = userStore.findById(request.user.id);
+    
+    if (email) user.email = email;
+    if (username) user.username = username;
+    userStore.save();
+    
+    return {
+      success: true,
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        lastLogin: user.lastLogin
+      }
+    };
+  } catch (error) {
+    return reply.code(500).send({ error: 'Profile update failed' });
+  }
+});
+
+// User administration endpoints (admin only)
+const adminPolicy = { policy: { role: 'admin' } };
+
+const findUserOr404 = (request, reply) => {
+  const user = userStore.findById(parseInt(request.params.id));
+  if (!user) {
+    reply.code(404).send({ error: 'User not found' });
+    return null;
+  }
+  return user;
+};
+
+fastify.get('/api/users', { preHandler: authenticateToken, config: adminPolicy }, async (request, reply) => {
+  const users = userStore.users.map(toPublicUser);
+  return {
+    users,
+    total: users.length,
+    disabled: users.filter(u => u.disabled).length,
+    locked: users.filter(u => u.lockedUntil).length
+  };
+});
+
+fastify.get('/api/users/:id', { preHandler: authenticateToken, config: adminPolicy }, async (request, reply) => {
+  const user = findUserOr404(request, reply);
+  if (!user) return;
+  return toPublicUser(user);
+});
+
+fastify.post('/api/users', { preHandler: [authenticateToken, validateUserCreate], config: adminPolicy }, async (request, reply) => {
+  try {
+    const { username, email, role = 'developer', permissions, projectAccess } = request.body;
+    const temporaryPassword = request.body.password ? null : generateTemporaryPassword();
+
+    const user = await userStore.create({
+      username,
+      email,
+      role,
+      permissions,
+      projectAccess,
+      password: request.body.password || temporaryPassword
+    });
+
+    console.log(`User '${username}' invited by ${request.user.username}`);
+
+    return reply.code(201).send({
+      success: true,
+      user: toPublicUser(user),
+      // Only returned once so the admin can pass it on to the new user
+      temporaryPassword
+    });
+  } catch (error) {
+    return reply.code(500).send({ error: 'Failed to create user' });
+  }
+});
+
+fastify.put('/api/users/:id', { preHandler: [authenticateToken, validateUserUpdate], config: adminPolicy }, async (request, reply) => {
+  const user = findUserOr404(request, reply);
+  if (!user) return;
+
+  const { role, disabled } = request.body;
+  const losesAdmin = (role && role !== 'admin') || disabled === true;
+
+  if (user.id === request.user.id && losesAdmin) {
+    return reply.code(400).send({ error: 'You cannot demote or disable your own account' });
+  }
+
+  if (user.role === 'admin' && !user.disabled && losesAdmin && userStore.countActiveAdmins() <= 1) {
+    return reply.code(400).send({ error: 'At least one active admin is required' });
+  }
+
+  const changes = { ...request.body };
+  // Switching role without an explicit permission list resets to that role's defaults
+  if (role && role !== user.role && !changes.permissions) {
+    changes.permissions = [...ROLE_PERMISSIONS[role]];
+  }
+
+  const updated = userStore.update(user.id, changes);
+  return { success: true, user: toPublicUser(updated) };
+});
+
+fastify.post('/api/users/:id/reset-password', { preHandler: authenticateToken, config: adminPolicy }, async (request, reply) => {
+  const user = findUserOr404(request, reply);
+  if (!user) return;
+
+  if (user.authProvider !== 'local') {
+    return reply.code(400).send({
+      error: `${user.username} signs in through ${user.authProvider.toUpperCase()}; reset the password there`,
+      code: 'EXTERNAL_ACCOUNT'
+    });
+  }
+
+  const { password } = request.body || {};
+  const passwordError = password !== undefined && passwordPolicy.check(password);
+  if (passwordError) {
+    return reply.code(400).send({ 
+      error: 'Validation failed', 
+      details: { password: passwordError } 
+    });
+  }
+
+  const temporaryPassword = password ? null : generateTemporaryPassword();
+  await userStore.setPassword(user, password || temporaryPassword);
+  userStore.unlock(user);
+
+  return {
+    success: true,
+    message: `Password reset for ${user.username}`,
+    temporaryPassword
+  };
+});
+
+// One-time link the user follows to choose a password; "emailed" through the file outbox
+fastify.post('/api/users/:id/reset-link', { preHandler: authenticateToken, config: adminPolicy }, async (request, reply) => {
+  const user = findUserOr404(request, reply);
+  if (!user) return;
+
+  if (user.authProvider !== 'local') {
+    return reply.code(400).send({
+      error: `${user.username} signs in through ${user.authProvider.toUpperCase()}; reset the password there`,
+      code: 'EXTERNAL_ACCOUNT'
+    });
+  }
+  if (user.disabled) {
+    return reply.code(400).send({ error: `${user.username} is disabled; enable the account first` });
+  }
+
+  const { token, expiresAt } = userStore.createPasswordReset(user, request.user.username);
+  const origin = request.headers.origin || `${request.protocol}://${request.headers.host}`;
+  const resetUrl = `${origin}/reset-password?token=${token}`;
+
+  const message = outbox.send({
+    to: user.email,
+    subject: 'Reset your Supreme Dashboard password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      `${request.user.username} has sent you a link to choose a new password for the Supreme Dashboard:`,
+      '',
+      resetUrl,
+      '',
+      `The link works once and expires ${new Date(expiresAt).toUTCString()}.`,
+      'If you did not expect this, you can ignore this message.'
+    ].join('\n')
+  });
+
+  return {
+    success: true,
+    resetUrl,
+    expiresAt,
+    outboxFile: message.file
+  };
+});
+
+fastify.post('/api/users/:id/unlock', { preHandler: authenticateToken, config: adminPolicy }, async (request, reply) => {
+  const user = findUserOr404(request, reply);
+  if (!user) return;
+
+  userStore.unlock(user);
+  return { success: true, user: toPublicUser(user) };
+});
+
+// Sessions across all users
+fastify.get('/api/sessions', { preHandler: authenticateToken, config: adminPolicy }, async (request, reply) => {
+  const sessions = getAllSessions().map(session => ({
+    ...session,
+    current: session.id === request.sessionId
+  }));
+  return { sessions, total: sessions.length };
+});
+
+fastify.delete('/api/sessions/:id', { preHandler: authenticateToken, config: adminPolicy }, async (request, reply) => {
+  const session = getAllSessions().find(s => s.id === request.params.id);
+  if (!session) {
+    return reply.code(404).send({ error: 'Session not found' });
+  }
+
+  revokeSession(session.userId, session.id);
+  return { success: true };
+});
+
+fastify.delete('/api/users/:id/sessions', { preHandler: authenticateToken, config: adminPolicy }, async (request, reply) => {
+  const user = findUserOr404(request, reply);
+  if (!user) return;
+
+  const revoked = revokeAllSessions(user.id, { except: request.sessionId });
+  return { success: true, revoked };
+});
+
+// For users who lost their authenticator and recovery codes
+fastify.post('/api/users/:id/reset-2fa', { preHandler: authenticateToken, config: adminPolicy }, async (request, reply) => {
+  const user = findUserOr404(request, reply);
+  if (!user) return;
+
+  twoFactor.disable(user);
+  return { success: true, user: toPublicUser(user) };
+});
+
+fastify.delete('/api/users/:id', { preHandler: authenticateToken, config: adminPolicy }, async (request, reply) => {
+  const user = findUserOr404(request, reply);
+  if (!user) return;
+
+  if (user.id === request.user.id) {
+    return reply.code(400).send({ error: 'You cannot delete your own account' });
+  }
+
+  if (user.role === 'admin' && !user.disabled && userStore.countActiveAdmins() <= 1) {
+    return reply.code(400).send({ error: 'At least one active admin is required' });
+  }
+
+  userStore.remove(user.id);
+  accessTokenStore.removeForUser(user.id);
+  projectMeta.forgetUser(user.id);
+  return { success: true, message: `User '${user.username}' deleted` };
+});
+
+// Audit log (admin only)
+const auditFilters = (query) => {
+  const { user, method, outcome, route, search, from, to } = query;
+  return {
+    user,
+    method,
+    outcome,
+    route,
+    search,
+    from: from ? new Date(from).toISOString() : undefined,
+    // A bare date means the whole of that day
+    to: to ? (/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : new Date(to).toISOString()) : undefined
+  };
+};
+
+fastify.get('/api/audit', { preHandler: [authenticateToken, validateAuditQuery], config: adminPolicy }, async (request, reply) => {
+  const { limit, offset } = request.query;
+  return auditLog.query({ ...auditFilters(request.query), limit, offset });
+});
+
+fastify.get('/api/audit/export', { preHandler: [authenticateToken, validateAuditQuery], config: adminPolicy }, async (request, reply) => {
+  const format = request.query.format || 'jsonl';
+  const content = await auditLog.export(auditFilters(request.query), format);
+  const filename = `supreme-audit-${new Date().toISOString().split('T')[0]}.${format}`;
+
+  return reply
+    .header('Content-Type', format === 'csv' ? 'text/csv' : 'application/x-ndjson')
+    .header('Content-Disposition', `attachment; filename="${filename}"`)
+    .send(content);
+});
+
+// Login provider settings (admin only)
+fastify.get('/api/settings/auth-providers', { preHandler: authenticateToken, config: adminPolicy }, async (request, reply) => {
+  return {
+    providers: Object.fromEntries(['oidc', 'ldap'].map(type => [type, authProviderStore.toPublic(type)]))
+  };
+});
+
+fastify.put('/api/settings/auth-providers/:type', { preHandler: [authenticateToken, validateAuthProviderUpdate], config: adminPolicy }, async (request, reply) => {
+  const { type } = request.params;
+  authProviderStore.update(type, request.body);
+  console.log(`${type} login settings updated by ${request.user.username}`);
+  return { success: true, provider: authProviderStore.toPublic(type) };
+});
+
+// Tries the submitted (possibly unsaved) settings without changing anything
+fastify.post('/api/settings/auth-providers/:type/test', { preHandler: [authenticateToken, validateAuthProviderUpdate], config: adminPolicy }, async (request, reply) => {
+  const { type } = request.params;
+  const { testUsername, ...changes } = request.body || {};
+  const provider = getAuthProvider(type, authProviderStore.merge(type, changes));
+
+  try {
+    const result = await provider.test({ username: testUsername });
+    if (result.user) {
+      result.user.role = mapGroupsToRole(authProviderStore.merge(type, changes), result.user.groups);
+    }
+    return { success: true, result };
+  } catch (error) {
+    return reply.code(502).send({ error: `Connection test failed: ${error.message}`, code: 'PROVIDER_TEST_FAILED' });
+  }
+});
+
+// Password rules for local accounts (admin only)
+fastify.put('/api/settings/password-policy', { preHandler: [authenticateToken, validatePasswordPolicyUpdate], config: adminPolicy }, async (request, reply) => {
+  passwordPolicy.update(request.body);
+  console.log(`Password policy updated by ${request.user.username}`);
+  return { success: true, policy: passwordPolicy.toPublic() };
+});
+
+// Projects API endpoints
+// Filtered by ?q=, ?tag= (comma-separated, all must match), ?type=, ?framework=, ?status=,
+// ?client= and ?favourite=true; the counts and facets cover every project the user can see
+fastify.get('/api/projects', { preHandler: [authenticateToken, validateProjectQuery], config: { policy: { permission: 'read' } } }, async (request, reply) => {
+  try {
+    const config = loadSupremeConfig();
+    if (!config) {
+      return reply.code(500).send({ error: 'Supreme configuration not found' });
+    }
+
+    const filters = normalizeFilters(request.query);
+    const userId = request.user.id;
+    const projects = [];
+    const frameworks = {};
+    let active = 0;
+
+    // Dates and sizes come from the index; a size is null until its first measurement
+    const indexed = filterAccessibleProjects(request.user, projectIndex.list());
+    const projectDirs = indexed.map(entry => entry.name);
+
+    for (const entry of indexed) {
+      // Check if vhost is enabled
+      const vhostEnabled = existsSync(`${SITES_ENABLED_DIR}/${entry.name}.conf`);
+      const framework = detectFramework(entry.path);
+      const meta = projectMeta.get(userId, entry.name);
+      if (vhostEnabled) {
+        active++;
+      }
+      frameworks[framework.id] = frameworks[framework.id] || { id: framework.id, name: framework.name, icon: framework.icon, count: 0 };
+      frameworks[framework.id].count++;
+
+      const project = {
+        name: entry.name,
+        path: entry.path,
+        type: framework.language || 'static',
+        framework: { id: framework.id, name: framework.name, icon: framework.icon, version: framework.version },
+        status: vhostEnabled ? 'active' : 'inactive',
+        meta
+      };
+      if (!matchesMetaFilters(entry.name, meta, filters) || !matchesProjectFilters(project, filters)) {
+        continue;
+      }
+
+      const url = projectUrl(entry.name, config);
+      projects.push({
+        ...project,
+        protocol: new URL(url).protocol.replace(':', ''),
+        url,
+        created: entry.created,
+        modified: entry.modified,
+        size: entry.size,
+        sizeBytes: entry.sizeBytes
+      });
+    }
+
+    return {
+      projects,
+      filters,
+      total: projectDirs.length,
+      active,
+      inactive: projectDirs.length - active,
+      facets: {
+        ...projectMeta.facets(userId, projectDirs),
+        frameworks: Object.values(frameworks).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+      }
+    };
+  } catch (error) {
+    return reply.code(500).send({ error: error.message });
+  }
+});
+
+// Index changes as they happen: projects appearing, disappearing and getting (re)measured
+fastify.get('/api/projects/stream', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
+  reply.hijack();
+  const res = reply.raw;
+  res.writeHead(200, {
+    'Content-Type': 'application/x-ndjson; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const onChange = (event) => {
+    if (canAccessProject(request.user, event.project.name)) {
+      res.write(`${JSON.stringify(event)}\n`);
+    }
+  };
+  projectIndex.on('change', onChange);
+  request.raw.on('close', () => projectIndex.off('change', onChange));
+});
+
+// The caller's own tags, favourite flag, notes and client name for a project
+fastify.put('/api/projects/:name/meta', { preHandler: [authenticateToken, validateProjectName, validateProjectMeta], config: { policy: { permission: 'read', project: 'params.name' } } }, async (request, reply) => {
+  const { name } = request.params;
+  if (!existingProjectPath(name)) {
+    return reply.code(404).send({ error: `Project '${name}' not found` });
+  }
+  return { meta: projectMeta.update(request.user.id, name, request.body) };
+});
+
+// Saved filter presets: the caller's own plus those shared with the team
+fastify.get('/api/project-filters', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
+  return { presets: projectMeta.listPresets(request.user.id) };
+});
+
+fastify.post('/api/project-filters', { preHandler: [authenticateToken, validateFilterPreset], config: { policy: { permission: 'read' } } }, async (request, reply) => {
+  const preset = projectMeta.createPreset(request.user, request.body);
+  return reply.code(201).send({ preset });
+});
+
+// Only the owner, or an admin, may change or remove a preset
+const findPresetOr404 = (request, reply) => {
+  const preset = projectMeta.getPreset(request.params.id);
+  if (!preset || (preset.ownerId !== request.user.id && !preset.shared)) {
+    reply.code(404).send({ error: 'Filter preset not found' });
+    return null;
+  }
+  if (preset.ownerId !== request.user.id && request.user.role !== 'admin') {
+    reply.code(403).send({ error: 'Only the owner can change a shared preset', code: 'PRESET_NOT_OWNER' });
+    return null;
+  }
+  return preset;
+};
+
+fastify.put('/api/project-filters/:id', { preHandler: [authenticateToken, validateFilterPreset], config: { policy: { permission: 'read' } } }, async (request, reply) => {
+  const preset = findPresetOr404(request, reply);
+  if (!preset) return;
+  return { preset: projectMeta.updatePreset(preset.id, request.body) };
+});
+
+fastify.delete('/api/project-filters/:id', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
+  const preset = findPresetOr404(request, reply);
+  if (!preset) return;
+  projectMeta.deletePreset(preset.id);
+  return { success: true };
+});
+
+// Uptime badges and sparklines for the projects the user can see
+fastify.get('/api/uptime', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
+  const config = loadSupremeConfig();
+  const htdocsRoot = config?.HTDOCS_ROOT || '/var/www/html';
+  const names = existsSync(htdocsRoot)
+    ? readdirSync(htdocsRoot, { withFileTypes: true }).filter(dirent => dirent.isDirectory()).map(dirent => dirent.name)
+    : [];
+  return {
+    intervalSeconds: UPTIME_INTERVAL_SECONDS,
+    projects: uptime.summaries(filterAccessibleProjects(request.user, names, name => name))
+  };
+});
+
+fastify.get('/api/projects/:name/uptime', { preHandler: [authenticateToken, validateProjectName], config: { policy: { permission: 'read', project: 'params.name' } } }, async (request, reply) => {
+  if (!existingProjectPath(request.params.name)) {
+    return reply.code(404).send({ error: `Project '${request.params.name}' not found` });
+  }
+  return { uptime: uptime.detail(request.params.name) };
+});
+
+// Check a site now instead of waiting for the next round
+fastify.post('/api/projects/:name/uptime/check', { preHandler: [authenticateToken, validateProjectName], config: { policy: { permission: 'write', project: 'params.name' } } }, async (request, reply) => {
+  const config = loadSupremeConfig();
+  if (!config) {
+    return reply.code(500).send({ error: 'Supreme configuration not found' });
+  }
+  const { name } = request.params;
+  if (!existingProjectPath(name)) {
+    return reply.code(404).send({ error: `Project '${name}' not found` });
+  }
+  return { uptime: await uptime.check(name, projectUrl(name, config)) };
+});
+
+// Known vulnerabilities in every project's lock files, checked against the imported
+// advisory database; ?refresh=true re-reads projects whose results are still cached
+fastify.get('/api/dependency-audit', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
+  const config = loadSupremeConfig();
+  const htdocsRoot = config?.HTDOCS_ROOT || '/var/www/html';
+  const names = existsSync(htdocsRoot)
+    ? readdirSync(htdocsRoot, { withFileTypes: true }).filter(dirent => dirent.isDirectory()).map(dirent => dirent.name)
+    : [];
+  const projects = filterAccessibleProjects(request.user, names, name => name)
+    .map(name => ({ name, path: join(htdocsRoot, name) }));
+  return dependencyAudit.report(projects, { force: request.query.refresh === 'true' });
+});
+
+fastify.get('/api/dependency-audit/database', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
+  return { database: dependencyAudit.databaseInfo() };
+});
+
+// Replace the advisory database from OSV files already on this machine, so audits work offline
+fastify.post('/api/dependency-audit/database', { preHandler: [authenticateToken, validateAdvisoryImport], config: adminPolicy }, async (request, reply) => {
+  const { source } = request.body;
+  if (!existsSync(source)) {
+    return reply.code(400).send({ error: `${source} does not exist`, code: 'ADVISORY_SOURCE' });
+  }
+  try {
+    const database = await dependencyAudit.importDatabase(source);
+    console.log(`Advisory database imported from ${source} by ${request.user.username}: ${database.advisories} advisories`);
+    return { database };
+  } catch (error) {
+    return reply.code(400).send({ error: error.message, code: 'ADVISORY_SOURCE' });
+  }
+});
+
+fastify.get('/api/projects/:name/dependency-audit', { preHandler: [authenticateToken, validateProjectName], config: { policy: { permission: 'read', project: 'params.name' } } }, async (request, reply) => {
+  const projectPath = existingProjectPath(request.params.name);
+  if (!projectPath) {
+    return reply.code(404).send({ error: `Project '${request.params.name}' not found` });
+  }
+  return {
+    database: dependencyAudit.databaseInfo(),
+    audit: dependencyAudit.audit(request.params.name, projectPath, { force: request.query.refresh === 'true' })
+  };
+});
+
+// Alerts raised by the monitoring rules and the uptime prober
+fastify.get('/api/alerts', { preHandler: authenticateToken, config: { policy: { role: 'admin' } } }, async (request, reply) => {
+  return {
+    alerts: globalMonitor.alertManager.getActiveAlerts(),
+    notifications: globalMonitor.alertManager.getNotifications()
+  };
+});
+
+// Databases on the configured server that appear to belong to a project
+const findProjectDatabases = async (name) => {
+  if (!dbInitialized) {
+    return [];
+  }
+  try {
+    const databases = await getDatabases();
+    return databases
+      .filter(database => isProjectDatabase(name, database.name))
+      .map(database => ({ name: database.name, size: database.size }));
+  } catch (error) {
+    console.error(`Error listing databases for ${name}:`, error);
+    return [];
+  }
+};
+
+// Everything known about one project, for its detail page
+fastify.get('/api/projects/:name', { preHandler: [authenticateToken, validateProjectName], config: { policy: { permission: 'read', project: 'params.name' } } }, async (request, reply) => {
+  try {
+    const config = loadSupremeConfig();
+    if (!config) {
+      return reply.code(500).send({ error: 'Supreme configuration not found' });
+    }
+
+    const { name } = request.params;
+    const projectPath = join(config.HTDOCS_ROOT || '/var/www/html', name);
+    if (!existsSync(projectPath) || !statSync(projectPath).isDirectory()) {
+      return reply.code(404).send({ error: `Project '${name}' not found` });
+    }
+
+    const stats = statSync(projectPath);
+    const vhost = readVhostInfo(name);
+    const vhostContent = vhost ? readFileSync(vhost.file, 'utf8') : null;
+    const host = vhost?.serverName || `${name}.${config.TLD || 'test'}`;
+    const protocol = (vhost ? vhost.https : config.DEFAULT_PROTOCOL === 'https') ? 'https' : 'http';
+
+    const [git, directories, serverDatabases] = await Promise.all([
+      getGitInfo(projectPath),
+      projectIndex.largestDirectories(name) ?? getLargestDirectories(projectPath),
+      findProjectDatabases(name)
+    ]);
+    const size = projectIndex.get(name)?.size ?? null;
+
+    // Databases named in the project's config, plus any on the server named after it
+    const databases = getConfiguredDatabases(projectPath).map(database => ({
+      ...database,
+      ...serverDatabases.find(item => item.name === database.name)
+    }));
+    serverDatabases
+      .filter(item => !databases.some(database => database.name === item.name))
+      .forEach(item => databases.push({ ...item, source: 'name' }));
+
+    return {
+      project: {
+        name,
+        path: projectPath,
+        url: `${protocol}://${host}`,
+        protocol,
+        status: existsSync(`${SITES_ENABLED_DIR}/${name}.conf`) ? 'active' : 'inactive',
+        created: stats.birthtime,
+        modified: stats.mtime,
+        size,
+        framework: detectFramework(projectPath),
+        git,
+        directories,
+        databases,
+        vhost: vhost ? { file: vhost.file, serverName: vhost.serverName, content: vhostContent } : null,
+        errorLog: getErrorLog({ name, projectPath, host, vhostContent })
+      }
+    };
+  } catch (error) {
+    return reply.code(500).send({ error: error.message });
+  }
+});
+
+// Project actions
+fastify.post('/api/projects/:name/start', { preHandler: [authenticateToken, validateProjectName], config: { policy: { permission: 'write', project: 'params.name' } } }, async (request, reply) => {
+  const { name } = request.params;
+  const result = await runSupremeCommand(`start ${name}`);
+  return result;
+});
+
+fastify.post('/api/projects/:name/stop', { preHandler: [authenticateToken, validateProjectName], config: { policy: { permission: 'write', project: 'params.name' } } }, async (request, reply) => {
+  const { name } = request.params;
+  const result = await runSupremeCommand(`stop ${name}`);
+  return result;
+});
+
+fastify.post('/api/projects/:name/status', { preHandler: [authenticateToken, validateProjectName], config: { policy: { permission: 'read', project: 'params.name' } } }, async (request, reply) => {
+  const { name } = request.params;
+  const result = await runSupremeCommand(`status ${name}`);
+  return result;
+});
+
+// Project creation wizard: choices the server can actually offer
+fastify.get('/api/projects/options', { preHandler: authenticateToken, config: { policy: { permission: 'write' } } }, async (request, reply) => {
+  const config = loadSupremeConfig();
+  if (!config) {
+    return reply.code(500).send({ error: 'Supreme configuration not found' });
+  }
+
+  const defaultTld = (config.TLD || 'test').replace(/^\./, '');
+  return {
+    frameworks: PROJECT_FRAMEWORKS,
+    templates: await listTemplates(),
+    tlds: [...new Set([defaultTld, ...DEV_TLDS])],
+    defaultTld,
+    https: config.DEFAULT_PROTOCOL === 'https',
+    databaseEnabled: config.ENABLE_DB === 'Y'
+  };
+});
+
+// A create or delete job still working on the project, if any; a bulk job counts until it is
+// past the project. `except` leaves out the job asking.
+const runningProjectJob = (name, except = null) => jobRunner.list().find(job =>
+  job.type.startsWith('project.') && job.status === 'running' && job.id !== except &&
+  (job.meta.project === name || ['pending', 'running'].includes(job.meta.results?.[name]?.status)));
+
+// Scaffold a project with `supreme create`; progress is followed through the job endpoints
+fastify.post('/api/projects', { preHandler: [authenticateToken, validateProjectCreate], config: { policy: { permission: 'write', project: 'body.name' } } }, async (request, reply) => {
+  const config = loadSupremeConfig();
+  if (!config) {
+    return reply.code(500).send({ error: 'Supreme configuration not found' });
+  }
+
+  const { framework, name, tld, https, database } = request.body;
+  const htdocsRoot = config.HTDOCS_ROOT || '/var/www/html';
+  if (existsSync(join(htdocsRoot, name))) {
+    return reply.code(409).send({ error: `A project named '${name}' already exists`, code: 'PROJECT_EXISTS' });
+  }
+  if (database && config.ENABLE_DB !== 'Y') {
+    return reply.code(400).send({ error: 'Validation failed', details: { database: 'Databases are not enabled in the Supreme configuration' } });
+  }
+
+  const alreadyRunning = runningProjectJob(name);
+  if (alreadyRunning) {
+    return reply.code(409).send({ error: `'${name}' is already being created`, code: 'PROJECT_EXISTS', job: alreadyRunning });
+  }
+
+  const effectiveTld = (tld || config.TLD || 'test').replace(/^\./, '');
+  const useHttps = https ?? config.DEFAULT_PROTOCOL === 'https';
+  const job = jobRunner.start({
+    type: 'project.create',
+    title: `Create ${framework} project ${name}`,
+    command: 'supreme',
+    args: buildCreateArgs({ framework, name, tld: effectiveTld, https: useHttps, database: database || null }),
+    user: request.user,
+    meta: {
+      project: name,
+      framework,
+      database: database || null,
+      url: `${useHttps ? 'https' : 'http'}://${name}.${effectiveTld}`
+    }
+  });
+
+  return reply.code(202).send({ success: true, job: toPublicJob(job) });
+});
+
+// Local repositories are read with the dashboard's own file access, so only admins may clone them
+const checkCloneSource = (request, reply) => {
+  const { repository } = request.body;
+  if (!isLocalRepository(repository)) {
+    return true;
+  }
+  if (request.user.role !== 'admin') {
+    reply.code(403).send({ error: 'Only admins can clone from a local path', code: 'LOCAL_REPOSITORY_FORBIDDEN' });
+    return false;
+  }
+  if (!existsSync(localRepositoryPath(repository))) {
+    reply.code(400).send({ error: 'Validation failed', details: { repository: `No repository at ${localRepositoryPath(repository)}` } });
+    return false;
+  }
+  return true;
+};
+
+const auditClone = (body) => ({ ...body, repository: redactRepository(body.repository) });
+
+// Branches of a repository for the clone dialog's branch picker
+fastify.post('/api/projects/clone/branches', { preHandler: [authenticateToken, validateProjectClone], config: { policy: { permission: 'write' }, auditBody: auditClone } }, async (request, reply) => {
+  if (!checkCloneSource(request, reply)) {
+    return reply;
+  }
+  try {
+    return await listRemoteBranches(request.body.repository);
+  } catch (error) {
+    const reason = redactRepository((error.stderr || error.message).trim().split('\n').pop());
+    return reply.code(400).send({ error: `Could not read the repository: ${reason}`, code: 'REPOSITORY_UNREACHABLE' });
+  }
+});
+
+// Clone a repository into the htdocs root, install its dependencies and serve it like a created project
+fastify.post('/api/projects/clone', { preHandler: [authenticateToken, validateProjectClone], config: { policy: { permission: 'write', project: 'body.name' }, auditBody: auditClone } }, async (request, reply) => {
+  const config = loadSupremeConfig();
+  if (!config) {
+    return reply.code(500).send({ error: 'Supreme configuration not found' });
+  }
+  if (!checkCloneSource(request, reply)) {
+    return reply;
+  }
+
+  const { repository, branch, tld, https, install = true } = request.body;
+  const name = request.body.name || defaultProjectName(repository);
+  if (!/^[a-zA-Z0-9_-]{2,64}$/.test(name)) {
+    return reply.code(400).send({ error: 'Validation failed', details: { name: 'Choose a project name; none could be taken from the repository' } });
+  }
+
+  const htdocsRoot = config.HTDOCS_ROOT || '/var/www/html';
+  if (existsSync(join(htdocsRoot, name))) {
+    return reply.code(409).send({ error: `A project named '${name}' already exists`, code: 'PROJECT_EXISTS' });
+  }
+  const alreadyRunning = runningProjectJob(name);
+  if (alreadyRunning) {
+    return reply.code(409).send({ error: `'${name}' is already being created`, code: 'PROJECT_EXISTS', job: alreadyRunning });
+  }
+
+  const effectiveTld = (tld || config.TLD || 'test').replace(/^\./, '');
+  const useHttps = https ?? config.DEFAULT_PROTOCOL === 'https';
+  const job = jobRunner.start({
+    type: 'project.clone',
+    title: `Clone ${redactRepository(repository)} into ${name}`,
+    steps: buildCloneSteps({ repository, branch: branch || null, name, htdocsRoot, tld: effectiveTld, https: useHttps, install }),
+    user: request.user,
+    meta: {
+      project: name,
+      repository: redactRepository(repository),
+      branch: branch || null,
+      url: `${useHttps ? 'https' : 'http'}://${name}.${effectiveTld}`
+    }
+  });
+
+  return reply.code(202).send({ success: true, job: toPublicJob(job) });
+});
+
+// Portable bundles: a project's folder, database dumps, vhost file and a manifest in one archive,
+// exported on one machine and imported on another
+const findBundle = (request, reply) => {
+  const bundle = getBundle(request.params.id);
+  if (!bundle || !canAccessProject(request.user, bundle.project)) {
+    reply.code(404).send({ error: 'Bundle not found' });
+    return null;
+  }
+  return bundle;
+};
+
+fastify.post('/api/projects/:name/export', { preHandler: [authenticateToken, validateProjectName, validateProjectExport], config: { policy: { permission: 'write', project: 'params.name' } } }, async (request, reply) => {
+  const config = loadSupremeConfig();
+  if (!config) {
+    return reply.code(500).send({ error: 'Supreme configuration not found' });
+  }
+
+  const { name } = request.params;
+  const htdocsRoot = config.HTDOCS_ROOT || '/var/www/html';
+  const projectPath = join(htdocsRoot, name);
+  if (!existsSync(projectPath)) {
+    return reply.code(404).send({ error: `Project '${name}' not found` });
+  }
+  const busy = runningProjectJob(name);
+  if (busy) {
+    return reply.code(409).send({ error: `'${name}' has a ${busy.type} job still running`, code: 'PROJECT_BUSY', job: busy });
+  }
+
+  // Only databases the project's detail page lists may be dumped through this route
+  const { respectGitignore = false, databases = [] } = request.body || {};
+  if (databases.length > 0) {
+    const known = [
+      ...getConfiguredDatabases(projectPath).map(database => database.name),
+      ...(await findProjectDatabases(name)).map(database => database.name)
+    ];
+    const unknown = databases.filter(database => !known.includes(database));
+    if (unknown.length > 0) {
+      return reply.code(400).send({ error: 'Validation failed', details: { databases: `Not databases of this project: ${unknown.join(', ')}` } });
+    }
+  }
+
+  const job = exportProject({ name, htdocsRoot, respectGitignore, databases, user: request.user });
+  return reply.code(202).send({ success: true, job: toPublicJob(job) });
+});
+
+fastify.get('/api/bundles', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
+  return {
+    bundles: filterAccessibleProjects(request.user, listBundles(), bundle => bundle.project).map(toPublicBundle),
+    maxUploadBytes: MAX_UPLOAD_BYTES
+  };
+});
+
+fastify.get('/api/bundles/:id/download', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
+  const bundle = findBundle(request, reply);
+  if (!bundle) {
+    return reply;
+  }
+  return reply
+    .header('Content-Type', 'application/gzip')
+    .header('Content-Length', bundle.size)
+    .header('Content-Disposition', `attachment; filename="${bundle.id}.supreme.tgz"`)
+    .send(createReadStream(bundle.path));
+});
+
+// Uploads are the raw .tar.gz as the request body, streamed to disk rather than buffered
+fastify.addContentTypeParser(['application/gzip', 'application/x-gzip', 'application/octet-stream'], (request, payload, done) => done(null, payload));
+
+fastify.post('/api/bundles', { preHandler: authenticateToken, config: { policy: { permission: 'write' }, verbatimBody: true, auditBody: () => null } }, async (request, reply) => {
+  if (typeof request.body?.pipe !== 'function') {
+    return reply.code(400).send({ error: 'Send the bundle as the request body with Content-Type: application/gzip', code: 'INVALID_BUNDLE' });
+  }
+  try {
+    const bundle = await receiveBundle(request.body, request.user);
+    console.log(`📦 Bundle ${bundle.id} uploaded by ${request.user.username}`);
+    return reply.code(201).send({ success: true, bundle: toPublicBundle(bundle) });
+  } catch (error) {
+    const status = { INVALID_BUNDLE: 400, BUNDLE_TOO_LARGE: 413 }[error.code] || 500;
+    return reply.code(status).send({ error: error.message, code: error.code });
+  }
+});
+
+fastify.delete('/api/bundles/:id', { preHandler: authenticateToken, config: { policy: { permission: 'write' } } }, async (request, reply) => {
+  const bundle = findBundle(request, reply);
+  if (!bundle) {
+    return reply;
+  }
+  removeBundle(bundle.id);
+  return { success: true };
+});
+
+// Recreate the bundled project here under `name`, with its databases unless databases: false
+fastify.post('/api/bundles/:id/import', { preHandler: [authenticateToken, validateBundleImport], config: { policy: { permission: 'write', project: 'body.name' } } }, async (request, reply) => {
+  const bundle = findBundle(request, reply);
+  if (!bundle) {
+    return reply;
+  }
+  const config = loadSupremeConfig();
+  if (!config) {
+    return reply.code(500).send({ error: 'Supreme configuration not found' });
+  }
+
+  const { name, tld, https, databases = true } = request.body;
+  const htdocsRoot = config.HTDOCS_ROOT || '/var/www/html';
+  if (existsSync(join(htdocsRoot, name))) {
+    return reply.code(409).send({ error: `A project named '${name}' already exists`, code: 'PROJECT_EXISTS' });
+  }
+  const alreadyRunning = runningProjectJob(name);
+  if (alreadyRunning) {
+    return reply.code(409).send({ error: `'${name}' is already being created`, code: 'PROJECT_EXISTS', job: alreadyRunning });
+  }
+
+  const restoreDatabases = databases && bundle.databases.length > 0;
+  if (restoreDatabases) {
+    if (config.ENABLE_DB !== 'Y') {
+      return reply.code(400).send({ error: 'Validation failed', details: { databases: 'Databases are not enabled in the Supreme configuration' } });
+    }
+    // Loading a dump into a database that is already there would overwrite it, so an
+    // import that cannot see which databases exist does not go ahead
+    let existing;
+    try {
+      existing = await listDatabaseNames();
+    } catch (error) {
+      return reply.code(503).send({ error: `Could not list the existing databases: ${error.message}`, code: 'DATABASE_UNAVAILABLE' });
+    }
+    const clashes = bundle.databases.filter(database => existing.includes(database));
+    if (clashes.length > 0) {
+      return reply.code(409).send({ error: `Databases already exist: ${clashes.join(', ')}`, code: 'DATABASE_EXISTS' });
+    }
+  }
+
+  const effectiveTld = (tld || config.TLD || 'test').replace(/^\./, '');
+  const useHttps = https ?? bundle.vhost?.https ?? config.DEFAULT_PROTOCOL === 'https';
+  const job = importBundle({ bundle, name, htdocsRoot, tld: effectiveTld, https: useHttps, databases: restoreDatabases, user: request.user });
+  return reply.code(202).send({ success: true, job: toPublicJob(job) });
 });
 
-// Supreme CLI integration helper
-const runSupremeCommand = async (command) => {
+// Project templates from ~/.supreme/templates
+fastify.get('/api/templates', { preHandler: authenticateToken, config: { policy: { permission: 'write' } } }, async (request, reply) => {
+  return { templates: await listTemplates() };
+});
+
+fastify.post('/api/templates', { preHandler: [authenticateToken, validateTemplateAdd], config: { policy: { permission: 'admin' }, auditBody: ({ source, id }) => ({ source: redactRepository(source), id }) } }, async (request, reply) => {
+  const { source } = request.body;
+  const id = request.body.id || defaultTemplateId(source);
+  if (!TEMPLATE_ID_PATTERN.test(id)) {
+    return reply.code(400).send({ error: 'Validation failed', details: { id: 'Choose a template id; none could be taken from the source' } });
+  }
+
   try {
-    const { stdout, stderr } = await execAsync(`supreme ${command}`);
-    return { success: true, output: stdout, error: stderr };
+    const template = await addTemplate({ id, source });
+    console.log(`🧩 Template ${id} added by ${request.user.username}`);
+    return reply.code(201).send({ success: true, template });
   } catch (error) {
-    return { success: false, output: error.stdout || '', error: error.stderr || error.message };
+    const status = { TEMPLATE_EXISTS: 409, TEMPLATE_SOURCE: 400, INVALID_TEMPLATE: 400 }[error.code] || 500;
+    return reply.code(status).send({ error: error.message, code: error.code });
   }
-};
+});
 
-// Load Supreme configuration
-const loadSupremeConfig = () => {
-  try {
-    const configPath = `${process.env.HOME}/.supreme/config.env`;
-    if (existsSync(configPath)) {
-      const configContent = readFileSync(configPath, 'utf8');
-      const config = {};
-      configContent.split('\n').forEach(line => {
-        const [key, value] = line.split('=');
-        if (key && value) {
-          config[key] = value;
-        }
-      });
-      return config;
+fastify.delete('/api/templates/:id', { preHandler: authenticateToken, config: { policy: { permission: 'admin' } } }, async (request, reply) => {
+  if (!removeTemplate(request.params.id)) {
+    return reply.code(404).send({ error: 'Template not found' });
+  }
+  return { success: true };
+});
+
+// Create a project from a template; variable values are written into files as typed
+fastify.post('/api/templates/:id/apply', { preHandler: [authenticateToken, validateTemplateApply], config: { policy: { permission: 'write', project: 'body.name' }, verbatimBody: true } }, async (request, reply) => {
+  const config = loadSupremeConfig();
+  if (!config) {
+    return reply.code(500).send({ error: 'Supreme configuration not found' });
+  }
+
+  const template = await getTemplate(request.params.id);
+  if (!template) {
+    return reply.code(404).send({ error: 'Template not found' });
+  }
+  if (template.error) {
+    return reply.code(400).send({ error: `Template '${template.id}' is broken: ${template.error}`, code: 'INVALID_TEMPLATE' });
+  }
+
+  const { name, tld, https, variables = {} } = request.body;
+  const { values, errors } = resolveVariables(template, variables);
+  if (Object.keys(errors).length > 0) {
+    return reply.code(400).send({ error: 'Validation failed', details: { variables: errors } });
+  }
+
+  // The template's database unless the request turned it off with null or ''
+  const database = request.body.database === undefined ? templateDatabaseName(template, name) : request.body.database || null;
+  if (template.database?.required && !database) {
+    return reply.code(400).send({ error: 'Validation failed', details: { database: 'This template needs a database' } });
+  }
+  if (database && config.ENABLE_DB !== 'Y') {
+    return reply.code(400).send({ error: 'Validation failed', details: { database: 'Databases are not enabled in the Supreme configuration' } });
+  }
+
+  const htdocsRoot = config.HTDOCS_ROOT || '/var/www/html';
+  if (existsSync(join(htdocsRoot, name))) {
+    return reply.code(409).send({ error: `A project named '${name}' already exists`, code: 'PROJECT_EXISTS' });
+  }
+  const alreadyRunning = runningProjectJob(name);
+  if (alreadyRunning) {
+    return reply.code(409).send({ error: `'${name}' is already being created`, code: 'PROJECT_EXISTS', job: alreadyRunning });
+  }
+
+  const effectiveTld = (tld || config.TLD || 'test').replace(/^\./, '');
+  const useHttps = https ?? config.DEFAULT_PROTOCOL === 'https';
+  const job = jobRunner.start({
+    type: 'project.template',
+    title: `Create ${name} from template ${template.name}`,
+    steps: buildTemplateSteps({ template, name, htdocsRoot, tld: effectiveTld, https: useHttps, database, values }),
+    user: request.user,
+    meta: {
+      project: name,
+      template: template.id,
+      database,
+      url: `${useHttps ? 'https' : 'http'}://${name}.${effectiveTld}`
     }
-    return null;
-  } catch (error) {
-    console.error('Error loading Supreme config:', error);
-    return null;
+  });
+
+  return reply.code(202).send({ success: true, job: toPublicJob(job) });
+});
+
+// What deleting a project removes, for the confirmation dialog
+fastify.get('/api/projects/:name/deletion-plan', { preHandler: [authenticateToken, validateProjectName], config: { policy: { permission: 'delete', project: 'params.name' } } }, async (request, reply) => {
+  const config = loadSupremeConfig();
+  if (!config) {
+    return reply.code(500).send({ error: 'Supreme configuration not found' });
   }
-};
 
-// Helper function to get directory size
-const getDirectorySize = async (dirPath) => {
-  try {
-    const { stdout } = await execAsync(`du -sh "${dirPath}" | cut -f1`);
-    return stdout.trim();
-  } catch (error) {
-    return 'Unknown';
+  const { name } = request.params;
+  const plan = getDeletionPlan(name, { htdocsRoot: config.HTDOCS_ROOT || '/var/www/html', tld: config.TLD || 'test' });
+  if (!plan.folder && !plan.vhost) {
+    return reply.code(404).send({ error: `Project '${name}' not found` });
   }
-};
 
-// Authentication routes
-fastify.post('/api/auth/login', { preHandler: validateLogin }, async (request, reply) => {
-  try {
-    console.log('Login attempt:', request.body);
-    const { username, password } = request.body;
-    
-    const user = users.find(u => u.username === username);
-    if (!user) {
-      return reply.code(401).send({ error: 'Invalid credentials' });
+  return {
+    plan: {
+      ...plan,
+      size: plan.folder ? projectIndex.get(name)?.size ?? null : null,
+      databases: await findProjectDatabases(name),
+      archivePath: archivePathFor(name)
     }
+  };
+});
 
-    // In production, use bcrypt.compare(password, user.password)
-    // For demo purposes, using simple comparison
-    const isValidPassword = password === 'admin123' || password === 'dev123';
-    if (!isValidPassword) {
-      return reply.code(401).send({ error: 'Invalid credentials' });
+// Drop what the dashboard keeps about a project once it has been deleted
+const forgetProject = (name) => {
+  devServers.releasePort(name);
+  uptime.forget(name);
+  projectMeta.forgetProject(name);
+  dependencyAudit.forget(name);
+  testRuns.forget(name);
+};
+
+// Remove a project with `supreme delete`, optionally archiving it and dropping its databases first
+fastify.delete('/api/projects/:name', { preHandler: [authenticateToken, validateProjectName, validateProjectDelete], config: { policy: { permission: 'delete', project: 'params.name' } } }, async (request, reply) => {
+  const config = loadSupremeConfig();
+  if (!config) {
+    return reply.code(500).send({ error: 'Supreme configuration not found' });
+  }
+
+  const { name } = request.params;
+  const { archive = false, databases = [] } = request.body || {};
+  const plan = getDeletionPlan(name, { htdocsRoot: config.HTDOCS_ROOT || '/var/www/html', tld: config.TLD || 'test' });
+  if (!plan.folder && !plan.vhost) {
+    return reply.code(404).send({ error: `Project '${name}' not found` });
+  }
+
+  const busy = runningProjectJob(name);
+  if (busy) {
+    return reply.code(409).send({ error: `'${name}' has a ${busy.type} job still running`, code: 'PROJECT_BUSY', job: busy });
+  }
+
+  // Only databases the plan offered may be dropped through this route
+  const known = (await findProjectDatabases(name)).map(database => database.name);
+  const unknown = databases.filter(database => !known.includes(database));
+  if (unknown.length > 0) {
+    return reply.code(400).send({ error: 'Validation failed', details: { databases: `Not databases of this project: ${unknown.join(', ')}` } });
+  }
+
+  // A running dev server would hold files open
+  await devServers.stop(name);
+
+  const archivePath = archive ? archivePathFor(name) : null;
+  const args = ['delete', name, '--yes'];
+  if (archivePath) {
+    args.push('--archive', archivePath);
+  }
+  databases.forEach(database => args.push('--db', database));
+
+  const job = jobRunner.start({
+    type: 'project.delete',
+    title: `Delete project ${name}`,
+    command: 'supreme',
+    args,
+    user: request.user,
+    meta: { project: name, archivePath, databases, host: plan.host }
+  });
+
+  // A delete that failed or was cancelled leaves the project, so keep what we know about it
+  jobRunner.once(`done:${job.id}`, (finished) => {
+    if (finished.status === 'succeeded') {
+      forgetProject(name);
     }
+  });
 
-    const token = generateToken(user.id);
-    
-    // Update last login
-    user.lastLogin = new Date();
+  return reply.code(202).send({ success: true, job: toPublicJob(job) });
+});
 
-    return {
-      success: true,
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        lastLogin: user.lastLogin
+// One action across many projects, as a single job with a result per project. Databases are
+// never dropped from here; that stays a per-project decision in the delete dialog.
+const bulkRunners = {
+  start: (name, log, job) => runCommand(job, 'supreme', ['start', name], log),
+  stop: (name, log, job) => runCommand(job, 'supreme', ['stop', name], log),
+  tag: async (name, log, job, user) => {
+    const { add = [], remove = [] } = job.meta.options.tags;
+    const drop = remove.map(normalizeTag);
+    const tags = [...new Set([...projectMeta.get(user.id, name).tags, ...add.map(normalizeTag)])].filter(tag => !drop.includes(tag));
+    if (tags.length > MAX_TAGS) {
+      throw new Error(`Would have ${tags.length} tags; at most ${MAX_TAGS}`);
+    }
+    projectMeta.update(user.id, name, { tags });
+    log(`Tags: ${tags.join(', ') || 'none'}`);
+  },
+  archive: (name, log, job, user, config) => removeProject(job, name, log, config, archivePathFor(name)),
+  delete: (name, log, job, user, config) => removeProject(job, name, log, config, null)
+};
+
+const removeProject = async (job, name, log, config, archivePath) => {
+  const plan = getDeletionPlan(name, { htdocsRoot: config.HTDOCS_ROOT || '/var/www/html', tld: config.TLD || 'test' });
+  if (!plan.folder && !plan.vhost) {
+    throw new Error(`Project '${name}' not found`);
+  }
+  await devServers.stop(name);
+  await runCommand(job, 'supreme', ['delete', name, '--yes', ...(archivePath ? ['--archive', archivePath] : [])], log);
+  forgetProject(name);
+  if (archivePath) {
+    log(`Archived to ${archivePath}`);
+  }
+};
+
+fastify.post('/api/projects/bulk', { preHandler: [authenticateToken, validateBulkAction], config: { policy: { permission: 'read' } } }, async (request, reply) => {
+  const config = loadSupremeConfig();
+  if (!config) {
+    return reply.code(500).send({ error: 'Supreme configuration not found' });
+  }
+
+  const { action, tags } = request.body;
+  const projects = [...new Set(request.body.projects)];
+  const { user } = request;
+  const { permission } = BULK_ACTIONS[action];
+  if (user.role !== 'admin' && !user.permissions.includes(permission)) {
+    return reply.code(403).send({
+      error: 'Insufficient permissions',
+      code: 'INSUFFICIENT_PERMISSION',
+      required: [permission],
+      current: user.permissions
+    });
+  }
+  const denied = projects.filter(name => !canAccessProject(user, name));
+  if (denied.length > 0) {
+    return reply.code(403).send({ error: `No access to ${denied.map(name => `'${name}'`).join(', ')}`, code: 'PROJECT_ACCESS_DENIED' });
+  }
+
+  // Missing and busy projects fail on their own, so the rest of the batch still goes ahead
+  const job = startBulkJob({
+    action,
+    projects,
+    options: action === 'tag' ? { tags } : {},
+    user,
+    run: (name, log, bulkJob) => {
+      const busy = runningProjectJob(name, bulkJob.id);
+      if (busy) {
+        throw new Error(`A ${busy.type} job is still running`);
       }
-    };
-  } catch (error) {
-    return reply.code(500).send({ error: 'Login failed' });
+      if (action !== 'delete' && action !== 'archive' && !existingProjectPath(name)) {
+        throw new Error(`Project '${name}' not found`);
+      }
+      return bulkRunners[action](name, log, bulkJob, user, config);
+    }
+  });
+
+  return reply.code(202).send({ success: true, job: toPublicJob(job) });
+});
+
+// Background jobs (project creation and other long-running CLI commands). Test runs are
+// shared: anyone who can see the project can follow a run someone else started.
+const canViewJob = (user, job) => user.role === 'admin' || job.userId === user.id ||
+  (job.type === 'project.test' && canAccessProject(user, job.meta.project));
+
+// Stopping someone else's test run takes the write access that starting one does
+const canCancelJob = (user, job) => user.role === 'admin' || job.userId === user.id ||
+  (job.type === 'project.test' && user.permissions.includes('write') && canAccessProject(user, job.meta.project));
+
+fastify.get('/api/jobs', { preHandler: authenticateToken, config: { policy: {} } }, async (request, reply) => {
+  const jobs = request.user.role === 'admin' ? jobRunner.list() : jobRunner.list({ userId: request.user.id });
+  return { jobs };
+});
+
+fastify.get('/api/jobs/:id', { preHandler: authenticateToken, config: { policy: {} } }, async (request, reply) => {
+  const job = jobRunner.get(request.params.id);
+  if (!job || !canViewJob(request.user, job)) {
+    return reply.code(404).send({ error: 'Job not found' });
   }
+  const after = parseInt(request.query.after, 10);
+  return { job: toPublicJob(job), lines: jobRunner.linesAfter(job, Number.isNaN(after) ? -1 : after) };
 });
 
-fastify.post('/api/auth/register', { preHandler: validateRegister }, async (request, reply) => {
-  try {
-    const { username, email, password } = request.body;
-    
-    // In production, hash the password with bcrypt
-    const hashedPassword = await bcrypt.hash(password, 10);
-    
-    const newUser = {
-      id: users.length + 1,
-      username,
-      email,
-      password: hashedPassword,
-      role: 'developer',
-      createdAt: new Date(),
-      lastLogin: null
-    };
-    
-    users.push(newUser);
-    
-    const token = generateToken(newUser.id);
-    
-    return {
-      success: true,
-      message: 'User created successfully',
-      token,
-      user: {
-        id: newUser.id,
-        username: newUser.username,
-        email: newUser.email,
-        role: newUser.role
-      }
-    };
-  } catch (error) {
-    return reply.code(500).send({ error: 'Registration failed' });
+// Newline-delimited JSON: the buffered backlog, then live lines, then a final status event
+fastify.get('/api/jobs/:id/stream', { preHandler: authenticateToken, config: { policy: {} } }, async (request, reply) => {
+  const job = jobRunner.get(request.params.id);
+  if (!job || !canViewJob(request.user, job)) {
+    return reply.code(404).send({ error: 'Job not found' });
+  }
+
+  reply.hijack();
+  const res = reply.raw;
+  res.writeHead(200, {
+    'Content-Type': 'application/x-ndjson; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'X-Accel-Buffering': 'no'
+  });
+  const send = (event) => res.write(`${JSON.stringify(event)}\n`);
+
+  const after = parseInt(request.query.after, 10);
+  for (const line of jobRunner.linesAfter(job, Number.isNaN(after) ? -1 : after)) {
+    send({ type: 'line', ...line });
+  }
+
+  if (job.status !== 'running') {
+    send({ type: 'status', job: toPublicJob(job) });
+    res.end();
+    return;
+  }
+
+  const unsubscribe = jobRunner.subscribe(job.id, {
+    onLine: line => send({ type: 'line', ...line }),
+    onDone: summary => {
+      unsubscribe();
+      send({ type: 'status', job: summary });
+      res.end();
+    }
+  });
+  request.raw.on('close', unsubscribe);
+});
+
+fastify.delete('/api/jobs/:id', { preHandler: authenticateToken, config: { policy: {} } }, async (request, reply) => {
+  const job = jobRunner.get(request.params.id);
+  if (!job || !canViewJob(request.user, job)) {
+    return reply.code(404).send({ error: 'Job not found' });
+  }
+  if (!canCancelJob(request.user, job)) {
+    return reply.code(403).send({
+      error: 'Insufficient permissions',
+      code: 'INSUFFICIENT_PERMISSION',
+      required: ['write'],
+      current: request.user.permissions
+    });
+  }
+  if (!jobRunner.cancel(job.id)) {
+    return reply.code(409).send({ error: 'Job has already finished', code: 'JOB_FINISHED' });
   }
+  return { success: true, job: toPublicJob(job) };
+});
+
+// Dev servers (npm run dev, php artisan serve, flask run, ...) supervised per project
+const existingProjectPath = (name) => {
+  const config = loadSupremeConfig();
+  const folder = join(config?.HTDOCS_ROOT || '/var/www/html', name);
+  return existsSync(folder) ? folder : null;
+};
+
+fastify.get('/api/dev-servers', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
+  return { servers: filterAccessibleProjects(request.user, devServers.list(), server => server.project) };
 });
 
-fastify.get('/api/auth/verify', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.get('/api/projects/:name/dev', { preHandler: [authenticateToken, validateProjectName], config: { policy: { permission: 'read', project: 'params.name' } } }, async (request, reply) => {
+  const { name } = request.params;
+  const folder = existingProjectPath(name);
+  if (!folder) {
+    return reply.code(404).send({ error: `Project '${name}' not found` });
+  }
+
+  const server = devServers.get(name);
+  // Show what Start would run, on the port the project would most likely get
   return {
-    id: request.user.id,
-    username: request.user.username,
-    email: request.user.email,
-    role: request.user.role,
-    lastLogin: request.user.lastLogin
+    server,
+    command: server.command || formatCommand(resolveDevCommand(folder, server.port || '<port>'), folder)
   };
 });
 
-fastify.put('/api/auth/profile', { preHandler: authenticateToken }, async (request, reply) => {
+const devServerAction = (action) => async (request, reply) => {
+  const { name } = request.params;
+  const folder = existingProjectPath(name);
+  if (!folder) {
+    return reply.code(404).send({ error: `Project '${name}' not found` });
+  }
+
   try {
-    const { email, username } = request.body;
-    const user = users.find(u => u.id === request.user.id);
-    
-    if (email) user.email = email;
-    if (username) user.username = username;
-    
-    return {
-      success: true,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        lastLogin: user.lastLogin
-      }
-    };
+    const server = action === 'stop'
+      ? await devServers.stop(name) || devServers.get(name)
+      : await devServers[action](name, folder, request.user);
+    return { success: true, server };
   } catch (error) {
-    return reply.code(500).send({ error: 'Profile update failed' });
+    if (error.code === 'NO_DEV_COMMAND') {
+      return reply.code(400).send({ error: error.message, code: error.code });
+    }
+    return reply.code(500).send({ error: error.message });
   }
+};
+
+for (const action of ['start', 'stop', 'restart']) {
+  fastify.post(`/api/projects/:name/dev/${action}`, { preHandler: [authenticateToken, validateProjectName], config: { policy: { permission: 'write', project: 'params.name' } } }, devServerAction(action));
+}
+
+fastify.get('/api/projects/:name/dev/logs', { preHandler: [authenticateToken, validateProjectName], config: { policy: { permission: 'read', project: 'params.name' } } }, async (request, reply) => {
+  const { name } = request.params;
+  const after = parseInt(request.query.after, 10);
+  return { server: devServers.get(name), lines: devServers.linesAfter(name, Number.isNaN(after) ? -1 : after) };
 });
 
-// Projects API endpoints
-fastify.get('/api/projects', { preHandler: authenticateToken }, async (request, reply) => {
-  try {
-    const config = loadSupremeConfig();
-    if (!config) {
-      return reply.code(500).send({ error: 'Supreme configuration not found' });
+// Newline-delimited JSON like the job stream, but open until the client leaves;
+// status events are sent whenever the server starts, stops, crashes or restarts
+fastify.get('/api/projects/:name/dev/logs/stream', { preHandler: [authenticateToken, validateProjectName], config: { policy: { permission: 'read', project: 'params.name' } } }, async (request, reply) => {
+  const { name } = request.params;
+
+  reply.hijack();
+  const res = reply.raw;
+  res.writeHead(200, {
+    'Content-Type': 'application/x-ndjson; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'X-Accel-Buffering': 'no'
+  });
+  const send = (event) => res.write(`${JSON.stringify(event)}\n`);
+
+  send({ type: 'status', server: devServers.get(name) });
+  const after = parseInt(request.query.after, 10);
+  for (const line of devServers.linesAfter(name, Number.isNaN(after) ? -1 : after)) {
+    send({ type: 'line', ...line });
+  }
+
+  const unsubscribe = devServers.subscribe(name, line => send({ type: 'line', ...line }));
+  const onChange = (server) => {
+    if (server.project === name) {
+      send({ type: 'status', server });
     }
+  };
+  devServers.on('change', onChange);
+  request.raw.on('close', () => {
+    unsubscribe();
+    devServers.off('change', onChange);
+  });
+});
 
-    const htdocsRoot = config.HTDOCS_ROOT || '/var/www/html';
-    const projects = [];
+// Structured .env editing; secret-looking values only leave the server through /env/reveal
+const envFileOf = (request) => request.query?.file || request.body?.file || '.env';
 
-    if (existsSync(htdocsRoot)) {
-      const projectDirs = readdirSync(htdocsRoot, { withFileTypes: true })
-        .filter(dirent => dirent.isDirectory())
-        .map(dirent => dirent.name);
+// Keep variable names in the audit log, never values
+const auditEnvChange = ({ file, set, unset }) => ({ file, set: Object.keys(set || {}), unset });
 
-      for (const projectName of projectDirs) {
-        const projectPath = join(htdocsRoot, projectName);
-        const stats = statSync(projectPath);
-        
-        // Check if vhost is enabled
-        const vhostEnabled = existsSync(`/etc/supreme/sites-enabled/${projectName}.conf`);
-        
-        // Check SSL status
-        const sslEnabled = config.DEFAULT_PROTOCOL === 'https';
-        
-        // Get project type
-        let projectType = 'static';
-        if (existsSync(join(projectPath, 'package.json'))) {
-          projectType = 'node';
-        } else if (existsSync(join(projectPath, 'composer.json'))) {
-          projectType = 'php';
-        } else if (existsSync(join(projectPath, 'requirements.txt')) || existsSync(join(projectPath, 'pyproject.toml'))) {
-          projectType = 'python';
-        }
+fastify.get('/api/projects/:name/env', { preHandler: [authenticateToken, validateProjectName, validateEnvFile], config: { policy: { permission: 'read', project: 'params.name' } } }, async (request, reply) => {
+  const folder = existingProjectPath(request.params.name);
+  if (!folder) {
+    return reply.code(404).send({ error: `Project '${request.params.name}' not found` });
+  }
+  return { env: readEnvFile(folder, envFileOf(request)) };
+});
 
-        projects.push({
-          name: projectName,
-          path: projectPath,
-          type: projectType,
-          status: vhostEnabled ? 'active' : 'inactive',
-          protocol: sslEnabled ? 'https' : 'http',
-          url: `${sslEnabled ? 'https' : 'http'}://${projectName}.${config.TLD || 'test'}`,
-          created: stats.birthtime,
-          modified: stats.mtime,
-          size: await getDirectorySize(projectPath)
-        });
-      }
-    }
+fastify.post('/api/projects/:name/env/reveal', { preHandler: [authenticateToken, validateProjectName, validateEnvFile], config: { policy: { permission: 'write', project: 'params.name' } } }, async (request, reply) => {
+  const folder = existingProjectPath(request.params.name);
+  if (!folder) {
+    return reply.code(404).send({ error: `Project '${request.params.name}' not found` });
+  }
+  const { key } = request.body || {};
+  const value = typeof key === 'string' ? revealEnvValue(folder, envFileOf(request), key) : null;
+  if (value === null) {
+    return reply.code(404).send({ error: `${key} is not set in ${envFileOf(request)}` });
+  }
+  return { key, value };
+});
 
-    return {
-      projects,
-      total: projects.length,
-      active: projects.filter(p => p.status === 'active').length,
-      inactive: projects.filter(p => p.status === 'inactive').length
-    };
+fastify.post('/api/projects/:name/env/preview', { preHandler: [authenticateToken, validateProjectName, validateEnvFile, validateEnvChanges], config: { policy: { permission: 'write', project: 'params.name' }, verbatimBody: true, auditBody: auditEnvChange } }, async (request, reply) => {
+  const folder = existingProjectPath(request.params.name);
+  if (!folder) {
+    return reply.code(404).send({ error: `Project '${request.params.name}' not found` });
+  }
+  const { exists, hash, diff } = planEnvChanges(folder, envFileOf(request), request.body);
+  return { exists, hash, diff };
+});
+
+fastify.put('/api/projects/:name/env', { preHandler: [authenticateToken, validateProjectName, validateEnvFile, validateEnvChanges], config: { policy: { permission: 'write', project: 'params.name' }, verbatimBody: true, auditBody: auditEnvChange } }, async (request, reply) => {
+  const folder = existingProjectPath(request.params.name);
+  if (!folder) {
+    return reply.code(404).send({ error: `Project '${request.params.name}' not found` });
+  }
+
+  const file = envFileOf(request);
+  const plan = planEnvChanges(folder, file, request.body);
+  // Refuse to overwrite edits made since the editor loaded the file
+  if (request.body.expectedHash && request.body.expectedHash !== plan.hash) {
+    return reply.code(409).send({ error: `${file} changed since it was loaded; reload and try again`, code: 'ENV_CHANGED' });
+  }
+
+  try {
+    writeEnvFile(folder, file, plan.content);
   } catch (error) {
-    return reply.code(500).send({ error: error.message });
+    return reply.code(500).send({ error: `Failed to write ${file}: ${error.message}` });
   }
+  console.log(`📝 ${request.user.username} updated ${file} of ${request.params.name}`);
+  return { success: true, env: readEnvFile(folder, file) };
 });
 
-// Project actions
-fastify.post('/api/projects/:name/start', { preHandler: [authenticateToken, validateProjectName] }, async (request, reply) => {
+// Test suites run as jobs; results parsed from JUnit XML or TAP are kept per run
+fastify.get('/api/projects/:name/tests', { preHandler: [authenticateToken, validateProjectName], config: { policy: { permission: 'read', project: 'params.name' } } }, async (request, reply) => {
   const { name } = request.params;
-  const result = await runSupremeCommand(`start ${name}`);
-  return result;
+  const projectPath = existingProjectPath(name);
+  if (!projectPath) {
+    return reply.code(404).send({ error: `Project '${name}' not found` });
+  }
+  const running = jobRunner.list().find(job => job.type === 'project.test' && job.status === 'running' && job.meta.project === name);
+  return { command: testRuns.command(projectPath), job: running || null, runs: testRuns.list(name) };
 });
 
-fastify.post('/api/projects/:name/stop', { preHandler: [authenticateToken, validateProjectName] }, async (request, reply) => {
-  const { name } = request.params;
-  const result = await runSupremeCommand(`stop ${name}`);
-  return result;
+fastify.get('/api/projects/:name/tests/:runId', { preHandler: [authenticateToken, validateProjectName], config: { policy: { permission: 'read', project: 'params.name' } } }, async (request, reply) => {
+  const run = testRuns.get(request.params.name, request.params.runId);
+  if (!run) {
+    return reply.code(404).send({ error: 'Test run not found' });
+  }
+  return { run };
 });
 
-fastify.post('/api/projects/:name/status', { preHandler: [authenticateToken, validateProjectName] }, async (request, reply) => {
+fastify.post('/api/projects/:name/tests', { preHandler: [authenticateToken, validateProjectName], config: { policy: { permission: 'write', project: 'params.name' } } }, async (request, reply) => {
   const { name } = request.params;
-  const result = await runSupremeCommand(`status ${name}`);
-  return result;
+  const projectPath = existingProjectPath(name);
+  if (!projectPath) {
+    return reply.code(404).send({ error: `Project '${name}' not found` });
+  }
+  const busy = runningProjectJob(name);
+  if (busy) {
+    return reply.code(409).send({ error: `'${name}' has a ${busy.type} job still running`, code: 'PROJECT_BUSY', job: busy });
+  }
+
+  const job = testRuns.start(name, projectPath, request.user);
+  if (!job) {
+    return reply.code(400).send({ error: `No test suite found for '${name}'`, code: 'NO_TEST_COMMAND' });
+  }
+  return reply.code(202).send({ success: true, job: toPublicJob(job) });
 });
 
 // SSL Management endpoints
-fastify.get('/api/ssl/status', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.get('/api/ssl/status', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
   try {
     const config = loadSupremeConfig();
     if (!config) {
@@ -334,34 +2004,34 @@ fastify.get('/api/ssl/status', { preHandler: authenticateToken }, async (request
   }
 });
 
-fastify.post('/api/ssl/renew', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.post('/api/ssl/renew', { preHandler: authenticateToken, config: { policy: { permission: 'write' } } }, async (request, reply) => {
   const result = await runSupremeCommand('ssl renew');
   return result;
 });
 
-fastify.post('/api/ssl/enable', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.post('/api/ssl/enable', { preHandler: authenticateToken, config: { policy: { permission: 'write' } } }, async (request, reply) => {
   const result = await runSupremeCommand('enable https');
   return result;
 });
 
-fastify.post('/api/ssl/disable', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.post('/api/ssl/disable', { preHandler: authenticateToken, config: { policy: { permission: 'write' } } }, async (request, reply) => {
   const result = await runSupremeCommand('disable https');
   return result;
 });
 
 // System operations
-fastify.post('/api/system/restart-apache', { preHandler: [authenticateToken, requireRole(['admin'])] }, async (request, reply) => {
+fastify.post('/api/system/restart-apache', { preHandler: authenticateToken, config: { policy: { role: 'admin' } } }, async (request, reply) => {
   const result = await runSupremeCommand('restart');
   return result;
 });
 
-fastify.get('/api/system/health', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.get('/api/system/health', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
   const result = await runSupremeCommand('doctor');
   return result;
 });
 
 // Logs endpoint
-fastify.get('/api/logs', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.get('/api/logs', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
   try {
     const { project, lines = 100 } = request.query;
     let logPath = '/var/log/apache2/error.log';
@@ -437,7 +2107,7 @@ fastify.get('/api/platform', async (request, reply) => {
 });
 
 // System info route
-fastify.get('/api/system', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.get('/api/system', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
   const uptime = process.uptime();
   const memoryUsage = process.memoryUsage();
   
@@ -474,7 +2144,7 @@ fastify.get('/api/health', async (request, reply) => {
 });
 
 // Modules route
-fastify.get('/api/modules', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.get('/api/modules', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
   try {
     console.log('Fetching modules...');
     const result = await modulesService.getAllModules();
@@ -490,7 +2160,7 @@ fastify.get('/api/modules', { preHandler: authenticateToken }, async (request, r
 });
 
 // Get specific module
-fastify.get('/api/modules/:id', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.get('/api/modules/:id', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
   try {
     const { id } = request.params;
     const module = await modulesService.getModuleById(id);
@@ -501,7 +2171,7 @@ fastify.get('/api/modules/:id', { preHandler: authenticateToken }, async (reques
 });
 
 // Enable module
-fastify.post('/api/modules/:id/enable', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.post('/api/modules/:id/enable', { preHandler: authenticateToken, config: { policy: { permission: 'admin' } } }, async (request, reply) => {
   try {
     const { id } = request.params;
     const module = await modulesService.enableModule(id);
@@ -512,7 +2182,7 @@ fastify.post('/api/modules/:id/enable', { preHandler: authenticateToken }, async
 });
 
 // Disable module
-fastify.post('/api/modules/:id/disable', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.post('/api/modules/:id/disable', { preHandler: authenticateToken, config: { policy: { permission: 'admin' } } }, async (request, reply) => {
   try {
     const { id } = request.params;
     const module = await modulesService.disableModule(id);
@@ -523,7 +2193,7 @@ fastify.post('/api/modules/:id/disable', { preHandler: authenticateToken }, asyn
 });
 
 // Get module health
-fastify.get('/api/modules/:id/health', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.get('/api/modules/:id/health', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
   try {
     const { id } = request.params;
     const health = await modulesService.getModuleHealth(id);
@@ -534,7 +2204,7 @@ fastify.get('/api/modules/:id/health', { preHandler: authenticateToken }, async
 });
 
 // Get module logs
-fastify.get('/api/modules/:id/logs', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.get('/api/modules/:id/logs', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
   try {
     const { id } = request.params;
     const { lines = 50 } = request.query;
@@ -546,7 +2216,7 @@ fastify.get('/api/modules/:id/logs', { preHandler: authenticateToken }, async (r
 });
 
 // Test module
-fastify.post('/api/modules/:id/test', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.post('/api/modules/:id/test', { preHandler: authenticateToken, config: { policy: { permission: 'write' } } }, async (request, reply) => {
   try {
     const { id } = request.params;
     const results = await modulesService.testModule(id);
@@ -557,7 +2227,7 @@ fastify.post('/api/modules/:id/test', { preHandler: authenticateToken }, async (
 });
 
 // Get module configuration
-fastify.get('/api/modules/:id/config', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.get('/api/modules/:id/config', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
   try {
     const { id } = request.params;
     const config = await modulesService.getModuleConfiguration(id);
@@ -568,7 +2238,7 @@ fastify.get('/api/modules/:id/config', { preHandler: authenticateToken }, async
 });
 
 // Update module configuration
-fastify.post('/api/modules/:id/config', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.post('/api/modules/:id/config', { preHandler: authenticateToken, config: { policy: { permission: 'admin' } } }, async (request, reply) => {
   try {
     const { id } = request.params;
     const config = request.body;
@@ -583,7 +2253,7 @@ fastify.post('/api/modules/:id/config', { preHandler: authenticateToken }, async
 });
 
 // Get module metrics
-fastify.get('/api/modules/:id/metrics', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.get('/api/modules/:id/metrics', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
   try {
     const { id } = request.params;
     const metrics = await modulesService.getModuleMetrics(id);
@@ -594,7 +2264,7 @@ fastify.get('/api/modules/:id/metrics', { preHandler: authenticateToken }, async
 });
 
 // Get all modules health
-fastify.get('/api/modules/health', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.get('/api/modules/health', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
   try {
     const health = await modulesService.getAllModulesHealth();
     return health;
@@ -604,7 +2274,7 @@ fastify.get('/api/modules/health', { preHandler: authenticateToken }, async (req
 });
 
 // Get module alerts
-fastify.get('/api/modules/alerts', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.get('/api/modules/alerts', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
   try {
     const alerts = await modulesService.checkModuleAlerts();
     return { alerts };
@@ -614,7 +2284,7 @@ fastify.get('/api/modules/alerts', { preHandler: authenticateToken }, async (req
 });
 
 // Install module dependencies
-fastify.post('/api/modules/:id/install-dependencies', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.post('/api/modules/:id/install-dependencies', { preHandler: authenticateToken, config: { policy: { permission: 'admin' } } }, async (request, reply) => {
   try {
     const { id } = request.params;
     const result = await modulesService.installModuleDependencies(id);
@@ -625,7 +2295,7 @@ fastify.post('/api/modules/:id/install-dependencies', { preHandler: authenticate
 });
 
 // Check module dependencies
-fastify.get('/api/modules/:id/dependencies', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.get('/api/modules/:id/dependencies', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
   try {
     const { id } = request.params;
     const module = await modulesService.getModuleById(id);
@@ -636,7 +2306,7 @@ fastify.get('/api/modules/:id/dependencies', { preHandler: authenticateToken },
 });
 
 // Settings route
-fastify.post('/api/settings', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.post('/api/settings', { preHandler: authenticateToken, config: { policy: { permission: 'admin' } } }, async (request, reply) => {
   const settings = request.body;
   
   // In a real application, you would save these settings to a database or config file
@@ -705,29 +2375,24 @@ const getSystemMetrics = async () => {
 };
 
 // Dashboard stats route
-fastify.get('/api/stats', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.get('/api/stats', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
   try {
     // Get real project statistics
     const config = loadSupremeConfig();
     let projectStats = { total: 0, active: 0, inactive: 0 };
     
     if (config && config.HTDOCS_ROOT) {
-      const htdocsRoot = config.HTDOCS_ROOT;
-      if (existsSync(htdocsRoot)) {
-        const projectDirs = readdirSync(htdocsRoot, { withFileTypes: true })
-          .filter(dirent => dirent.isDirectory())
-          .map(dirent => dirent.name);
-        
-        const activeProjects = projectDirs.filter(projectName => 
-          existsSync(`/etc/supreme/sites-enabled/${projectName}.conf`)
-        );
-        
-        projectStats = {
-          total: projectDirs.length,
-          active: activeProjects.length,
-          inactive: projectDirs.length - activeProjects.length
-        };
-      }
+      const projectDirs = projectIndex.list().map(entry => entry.name);
+      
+      const activeProjects = projectDirs.filter(projectName => 
+        existsSync(`/etc/supreme/sites-enabled/${projectName}.conf`)
+      );
+      
+      projectStats = {
+        total: projectDirs.length,
+        active: activeProjects.length,
+        inactive: projectDirs.length - activeProjects.length
+      };
     }
     
     // Get real system metrics
@@ -770,7 +2435,7 @@ fastify.get('/api/stats', { preHandler: authenticateToken }, async (request, rep
 });
 
 // Database Management endpoints
-fastify.get('/api/database/databases', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.get('/api/database/databases', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
   try {
     console.log('📊 Database request received from user:', request.user.username);
     
@@ -796,7 +2461,7 @@ fastify.get('/api/database/databases', { preHandler: authenticateToken }, async
   }
 });
 
-fastify.get('/api/database/tables/:database', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.get('/api/database/tables/:database', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
   try {
     const { database } = request.params;
     
@@ -820,7 +2485,7 @@ fastify.get('/api/database/tables/:database', { preHandler: authenticateToken },
 });
 
 // Get table data with pagination
-fastify.get('/api/database/table-data/:database/:table', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.get('/api/database/table-data/:database/:table', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
   try {
     const { database, table } = request.params;
     const { page = 1, limit = 50 } = request.query;
@@ -855,7 +2520,7 @@ fastify.get('/api/database/table-data/:database/:table', { preHandler: authentic
   }
 });
 
-fastify.post('/api/database/query', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.post('/api/database/query', { preHandler: authenticateToken, config: { policy: { permission: 'write' } } }, async (request, reply) => {
   try {
     const { database, query } = request.body;
     
@@ -895,7 +2560,7 @@ fastify.post('/api/database/query', { preHandler: authenticateToken }, async (re
   }
 });
 
-fastify.get('/api/database/table-structure/:database/:table', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.get('/api/database/table-structure/:database/:table', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
   try {
     const { database, table } = request.params;
     
@@ -925,7 +2590,7 @@ fastify.get('/api/database/table-structure/:database/:table', { preHandler: auth
   }
 });
 
-fastify.post('/api/database/create', { preHandler: [authenticateToken, requireRole(['admin'])] }, async (request, reply) => {
+fastify.post('/api/database/create', { preHandler: authenticateToken, config: { policy: { role: 'admin' } } }, async (request, reply) => {
   try {
     const { name } = request.body;
     
@@ -962,7 +2627,7 @@ fastify.post('/api/database/create', { preHandler: [authenticateToken, requireRo
   }
 });
 
-fastify.delete('/api/database/delete/:name', { preHandler: [authenticateToken, requireRole(['admin'])] }, async (request, reply) => {
+fastify.delete('/api/database/delete/:name', { preHandler: authenticateToken, config: { policy: { role: 'admin' } } }, async (request, reply) => {
   try {
     const { name } = request.params;
     
@@ -1000,7 +2665,7 @@ fastify.delete('/api/database/delete/:name', { preHandler: [authenticateToken, r
 });
 
 // Table creation endpoint
-fastify.post('/api/database/table/create', { preHandler: [authenticateToken, requireRole(['admin'])] }, async (request, reply) => {
+fastify.post('/api/database/table/create', { preHandler: authenticateToken, config: { policy: { role: 'admin' } } }, async (request, reply) => {
   try {
     const { database, name, schema } = request.body;
     
@@ -1048,7 +2713,7 @@ fastify.post('/api/database/table/create', { preHandler: [authenticateToken, req
 });
 
 // Table deletion endpoint
-fastify.delete('/api/database/table/delete/:database/:name', { preHandler: [authenticateToken, requireRole(['admin'])] }, async (request, reply) => {
+fastify.delete('/api/database/table/delete/:database/:name', { preHandler: authenticateToken, config: { policy: { role: 'admin' } } }, async (request, reply) => {
   try {
     const { database, name } = request.params;
     
@@ -1079,7 +2744,7 @@ fastify.delete('/api/database/table/delete/:database/:name', { preHandler: [auth
 });
 
 // Get table templates endpoint
-fastify.get('/api/database/table/templates', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.get('/api/database/table/templates', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
   try {
     const templates = getTableTemplates();
     return { templates };
@@ -1090,7 +2755,7 @@ fastify.get('/api/database/table/templates', { preHandler: authenticateToken },
 });
 
 // Update column endpoint
-fastify.put('/api/database/table/update-column', { preHandler: [authenticateToken, requireRole(['admin'])] }, async (request, reply) => {
+fastify.put('/api/database/table/update-column', { preHandler: authenticateToken, config: { policy: { role: 'admin' } } }, async (request, reply) => {
   const { database, table, column } = request.body;
   
   try {
@@ -1125,7 +2790,7 @@ fastify.put('/api/database/table/update-column', { preHandler: [authenticateToke
 });
 
 // Delete column endpoint
-fastify.delete('/api/database/table/delete-column', { preHandler: [authenticateToken, requireRole(['admin'])] }, async (request, reply) => {
+fastify.delete('/api/database/table/delete-column', { preHandler: authenticateToken, config: { policy: { role: 'admin' } } }, async (request, reply) => {
   try {
     const { database, table, column } = request.body;
     
@@ -1150,7 +2815,7 @@ fastify.delete('/api/database/table/delete-column', { preHandler: [authenticateT
 });
 
 // Add column endpoint
-fastify.post('/api/database/table/add-column', { preHandler: [authenticateToken, requireRole(['admin'])] }, async (request, reply) => {
+fastify.post('/api/database/table/add-column', { preHandler: authenticateToken, config: { policy: { role: 'admin' } } }, async (request, reply) => {
   try {
     const { database, table, column } = request.body;
     
@@ -1175,7 +2840,7 @@ fastify.post('/api/database/table/add-column', { preHandler: [authenticateToken,
 });
 
 // Database search endpoint
-fastify.post('/api/database/search', { preHandler: [authenticateToken, requireRole(['admin'])] }, async (request, reply) => {
+fastify.post('/api/database/search', { preHandler: authenticateToken, config: { policy: { role: 'admin' } } }, async (request, reply) => {
   try {
     const { database, query, filters } = request.body;
     
@@ -1202,7 +2867,7 @@ fastify.post('/api/database/search', { preHandler: [authenticateToken, requireRo
 });
 
 // Database status endpoint
-fastify.get('/api/database/status', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.get('/api/database/status', { preHandler: authenticateToken, config: { policy: { permission: 'read' } } }, async (request, reply) => {
   try {
     if (!dbInitialized) {
       return {
@@ -1221,7 +2886,7 @@ fastify.get('/api/database/status', { preHandler: authenticateToken }, async (re
 });
 
 // File Management endpoints
-fastify.get('/api/files', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.get('/api/files', { preHandler: authenticateToken, config: { policy: { permission: 'read', projectPath: 'query.path' } } }, async (request, reply) => {
   try {
     const { path } = request.query;
     
@@ -1293,7 +2958,7 @@ fastify.get('/api/files', { preHandler: authenticateToken }, async (request, rep
   }
 });
 
-fastify.get('/api/files/content', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.get('/api/files/content', { preHandler: authenticateToken, config: { policy: { permission: 'read', projectPath: 'query.path' } } }, async (request, reply) => {
   try {
     const { path } = request.query;
     
@@ -1344,7 +3009,7 @@ fastify.get('/api/files/content', { preHandler: authenticateToken }, async (requ
   }
 });
 
-fastify.post('/api/files/save', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.post('/api/files/save', { preHandler: authenticateToken, config: { policy: { permission: 'write', projectPath: 'body.path' } } }, async (request, reply) => {
   try {
     const { path, content } = request.body;
     
@@ -1394,7 +3059,7 @@ fastify.post('/api/files/save', { preHandler: authenticateToken }, async (reques
   }
 });
 
-fastify.post('/api/files/create', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.post('/api/files/create', { preHandler: authenticateToken, config: { policy: { permission: 'write', projectPath: 'body.path' } } }, async (request, reply) => {
   try {
     const { path, name, isDirectory } = request.body;
     
@@ -1458,7 +3123,7 @@ fastify.post('/api/files/create', { preHandler: authenticateToken }, async (requ
   }
 });
 
-fastify.delete('/api/files/delete', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.delete('/api/files/delete', { preHandler: authenticateToken, config: { policy: { permission: 'delete', projectPath: 'body.path' } } }, async (request, reply) => {
   try {
     const { path } = request.body;
     
@@ -1516,7 +3181,7 @@ fastify.delete('/api/files/delete', { preHandler: authenticateToken }, async (re
 });
 
 // File Search endpoints
-fastify.post('/api/files/search', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.post('/api/files/search', { preHandler: authenticateToken, config: { policy: { permission: 'read', projectPath: 'body.path' } } }, async (request, reply) => {
   try {
     const { 
       query, 
@@ -1664,7 +3329,7 @@ fastify.post('/api/files/search', { preHandler: authenticateToken }, async (requ
 });
 
 // Terminal endpoints
-fastify.post('/api/terminal/execute', { preHandler: authenticateToken }, async (request, reply) => {
+fastify.post('/api/terminal/execute', { preHandler: authenticateToken, config: { policy: { permission: 'write', projectPath: 'body.directory' } } }, async (request, reply) => {
   try {
     const { command, directory, sessionId } = request.body;
     
@@ -1829,4 +3494,21 @@ const start = async () => {
   }
 };
 
+// Supervised dev servers go down with the dashboard
+fastify.addHook('onClose', async () => {
+  await devServers.stopAll();
+});
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, async () => {
+    console.log(`🛑 ${signal} received, shutting down`);
+    // A request that never finishes (a live log stream) must not keep the process up
+    setTimeout(() => process.exit(0), 10000).unref();
+    await fastify.close();
+    process.exit(0);
+  });
+}
+// Exits that skip the close above (crash handlers) still signal them; stopAll sends every SIGTERM synchronously
+process.once('exit', () => devServers.stopAll());
+
 start();
@@ -2,60 +2,51 @@ import jwt from 'jsonwebtoken';
 import bcrypt from 'bcrypt';
 import { promisify } from 'util';
 import crypto from 'crypto';
+import userStore, { ROLE_PERMISSIONS } from '../services/users.js';
+import authProviderStore, { mapGroupsToRole } from '../services/authProviders.js';
+import { OidcProvider } from '../services/oidcProvider.js';
+import { LdapProvider } from '../services/ldapProvider.js';
+import accessTokenStore, { isAccessToken, requiredScope, hasScope, scopesForUser } from '../services/accessTokens.js';
+import { AppError } from './errorHandler.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'supreme-dashboard-secret-key-change-in-production-2024';
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
 const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
 const MAX_LOGIN_ATTEMPTS = 5;
 const LOCKOUT_TIME = 15 * 60 * 1000; // 15 minutes
+const MAX_REFRESH_FAMILIES = 10;
+const MAX_TOKENS_PER_FAMILY = 20;
+const SESSION_CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour
+const PROVIDER_LOGIN_TTL = 10 * 60 * 1000; // time allowed at the identity provider
+const LOGIN_CODE_TTL = 60 * 1000;
 
-// Enhanced user database with security features
-const users = [
-  {
-    id: 1,
-    username: 'admin',
-    email: 'admin@supreme.dev',
-    password: '$2b$10$rQZ8K9vL8xK9vL8xK9vL8u', // 'admin123' hashed
-    role: 'admin',
-    createdAt: new Date('2024-01-01'),
-    lastLogin: null,
-    loginAttempts: 0,
-    lockedUntil: null,
-    refreshTokens: [],
-    twoFactorEnabled: false,
-    twoFactorSecret: null,
-    permissions: ['read', 'write', 'delete', 'admin']
-  },
-  {
-    id: 2,
-    username: 'developer',
-    email: 'dev@supreme.dev',
-    password: '$2b$10$rQZ8K9vL8xK9vL8xK9vL8u', // 'dev123' hashed
-    role: 'developer',
-    createdAt: new Date('2024-01-01'),
-    lastLogin: null,
-    loginAttempts: 0,
-    lockedUntil: null,
-    refreshTokens: [],
-    twoFactorEnabled: false,
-    twoFactorSecret: null,
-    permissions: ['read', 'write']
-  }
-];
-
-// Session management
+// Persistent user database (~/.supreme/dashboard/users.json)
+userStore.initialize();
+accessTokenStore.initialize();
+authProviderStore.initialize();
+const { users } = userStore;
+
+// Session management. A session is a refresh token family: its id is the
+// family id, carried as `sid` in every access token issued for it. The
+// family lives in users.json; this map only holds live activity details.
 const activeSessions = new Map();
 const blacklistedTokens = new Set();
 
 // Generate secure tokens
-export const generateToken = (userId, type = 'access') => {
+export const generateToken = (userId, type = 'access', claims = {}) => {
   const payload = { 
+    ...claims,
     userId, 
     type,
     iat: Math.floor(Date.now() / 1000)
   };
   
-  const expiresIn = type === 'refresh' ? JWT_REFRESH_EXPIRES_IN : JWT_EXPIRES_IN;
+  const lifetimes = {
+    refresh: JWT_REFRESH_EXPIRES_IN,
+    '2fa': TWO_FACTOR_CHALLENGE_EXPIRES_IN
+  };
+  const expiresIn = lifetimes[type] || JWT_EXPIRES_IN;
   
   return jwt.sign(payload, JWT_SECRET, { 
     expiresIn,
@@ -64,20 +55,144 @@ export const generateToken = (userId, type = 'access') => {
   });
 };
 
-// Generate refresh token
-export const generateRefreshToken = (userId) => {
-  const token = generateToken(userId, 'refresh');
+// Refresh tokens are only ever stored as hashes
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Drop expired refresh tokens and cap how many families a user can hold
+const pruneRefreshTokens = (user) => {
+  const now = Date.now();
+  let entries = user.refreshTokens.filter(entry => entry.expiresAt > now);
+
+  const families = [...new Set(entries.map(entry => entry.family))];
+  const keepFamilies = new Set(families.slice(-MAX_REFRESH_FAMILIES));
+  entries = entries.filter(entry => keepFamilies.has(entry.family));
+
+  for (const family of keepFamilies) {
+    const familyEntries = entries.filter(entry => entry.family === family);
+    if (familyEntries.length > MAX_TOKENS_PER_FAMILY) {
+      const stale = new Set(familyEntries.slice(0, familyEntries.length - MAX_TOKENS_PER_FAMILY));
+      entries = entries.filter(entry => !stale.has(entry));
+    }
+  }
+
+  user.refreshTokens = entries;
+};
+
+// Generate refresh token. Every login starts a new family; refreshing
+// rotates within that family so a replayed token can be traced back to it.
+export const generateRefreshToken = (userId, family = crypto.randomUUID(), client = {}) => {
+  const token = generateToken(userId, 'refresh', { family, jti: crypto.randomUUID() });
   const user = users.find(u => u.id === userId);
   if (user) {
-    user.refreshTokens.push(token);
-    // Keep only last 5 refresh tokens
-    if (user.refreshTokens.length > 5) {
-      user.refreshTokens = user.refreshTokens.slice(-5);
-    }
+    user.refreshTokens.push({
+      hash: hashToken(token),
+      family,
+      createdAt: new Date().toISOString(),
+      expiresAt: jwt.decode(token).exp * 1000,
+      rotatedAt: null,
+      ip: client.ip || null,
+      userAgent: client.userAgent || null
+    });
+    pruneRefreshTokens(user);
+    userStore.save();
   }
   return token;
 };
 
+// Revoke every refresh token issued in a family
+export const revokeRefreshFamily = (user, family) => {
+  const before = user.refreshTokens.length;
+  user.refreshTokens = user.refreshTokens.filter(entry => entry.family !== family);
+  activeSessions.delete(family);
+  if (user.refreshTokens.length !== before) {
+    userStore.save();
+  }
+  return user.refreshTokens.length !== before;
+};
+
+const getClientInfo = (request) => ({
+  ip: request.ip,
+  userAgent: request.headers['user-agent'] || null
+});
+
+const touchSession = (sessionId, user, request) => {
+  const session = activeSessions.get(sessionId);
+  if (session) {
+    session.lastActivity = new Date();
+    Object.assign(session, getClientInfo(request));
+  } else {
+    activeSessions.set(sessionId, {
+      userId: user.id,
+      lastActivity: new Date(),
+      ...getClientInfo(request)
+    });
+  }
+};
+
+// Start a login session and issue its first access/refresh pair
+export const startSession = (user, request) => {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = generateRefreshToken(user.id, sessionId, getClientInfo(request));
+  touchSession(sessionId, user, request);
+
+  return {
+    sessionId,
+    token: generateToken(user.id, 'access', { sid: sessionId }),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new access/refresh pair. Presenting a
+// token that was already rotated means it leaked, so the whole family goes.
+export const rotateRefreshToken = async (refreshToken, request) => {
+  let decoded;
+  try {
+    decoded = await verifyToken(refreshToken);
+  } catch (error) {
+    throw new AppError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+  }
+
+  if (decoded.type !== 'refresh' || !decoded.family) {
+    throw new AppError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+  }
+
+  const user = users.find(u => u.id === decoded.userId);
+  const entry = user?.refreshTokens.find(e => e.hash === hashToken(refreshToken));
+
+  if (!user || !entry) {
+    throw new AppError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+  }
+
+  if (entry.rotatedAt) {
+    console.log(`Refresh token reuse detected for ${user.username}, revoking family ${entry.family}`);
+    revokeRefreshFamily(user, entry.family);
+    throw new AppError('Refresh token has already been used', 401, 'REFRESH_TOKEN_REUSED');
+  }
+
+  if (user.disabled) {
+    throw new AppError('Account has been disabled', 403, 'ACCOUNT_DISABLED');
+  }
+
+  entry.rotatedAt = new Date().toISOString();
+  touchSession(entry.family, user, request);
+
+  return {
+    user,
+    token: generateToken(user.id, 'access', { sid: entry.family }),
+    refreshToken: generateRefreshToken(user.id, entry.family, getClientInfo(request))
+  };
+};
+
+// Revoke the family a refresh token belongs to (used on logout)
+export const revokeRefreshToken = (refreshToken, userId) => {
+  const decoded = jwt.decode(refreshToken);
+  const user = decoded && decoded.userId === userId && users.find(u => u.id === userId);
+  const entry = user?.refreshTokens.find(e => e.hash === hashToken(refreshToken));
+  if (entry) {
+    revokeRefreshFamily(user, entry.family);
+  }
+};
+
 // Verify token with enhanced security
 export const verifyToken = async (token) => {
   try {
@@ -99,6 +214,42 @@ export const verifyToken = async (token) => {
   }
 };
 
+// Personal access tokens: long-lived, hashed at rest, limited to their scopes
+const authenticateAccessToken = async (token, request, reply) => {
+  const record = accessTokenStore.verify(token);
+  const user = record && users.find(u => u.id === record.userId);
+
+  if (!user) {
+    return reply.code(401).send({ 
+      error: 'Invalid or expired access token',
+      code: 'INVALID_ACCESS_TOKEN'
+    });
+  }
+
+  if (user.disabled) {
+    return reply.code(403).send({ 
+      error: 'Account has been disabled',
+      code: 'ACCOUNT_DISABLED'
+    });
+  }
+
+  // Scopes are capped by what the owner can still do today
+  const effectiveScopes = record.scopes.filter(scope => scopesForUser(user).includes(scope));
+  const scope = requiredScope(request.url, request.method);
+  if (!scope || !hasScope(effectiveScopes, scope)) {
+    return reply.code(403).send({ 
+      error: scope ? `Access token lacks the ${scope} scope` : 'This endpoint cannot be used with an access token',
+      code: 'INSUFFICIENT_SCOPE',
+      required: scope
+    });
+  }
+
+  accessTokenStore.markUsed(record, request.ip);
+  request.user = user;
+  request.accessToken = record;
+  request.sessionId = null;
+};
+
 // Enhanced authentication with rate limiting and account locking
 export const authenticateToken = async (request, reply) => {
   try {
@@ -112,7 +263,18 @@ export const authenticateToken = async (request, reply) => {
       });
     }
 
+    if (isAccessToken(token)) {
+      return authenticateAccessToken(token, request, reply);
+    }
+
     const decoded = await verifyToken(token);
+    if (decoded.type !== 'access') {
+      return reply.code(401).send({ 
+        error: 'Only access tokens can be used for API access',
+        code: 'INVALID_TOKEN_TYPE'
+      });
+    }
+
     const user = users.find(u => u.id === decoded.userId);
     
     if (!user) {
@@ -122,6 +284,13 @@ export const authenticateToken = async (request, reply) => {
       });
     }
 
+    if (user.disabled) {
+      return reply.code(403).send({ 
+        error: 'Account has been disabled',
+        code: 'ACCOUNT_DISABLED'
+      });
+    }
+
     // Check if account is locked
     if (user.lockedUntil && user.lockedUntil > Date.now()) {
       return reply.code(423).send({ 
@@ -131,28 +300,24 @@ export const authenticateToken = async (request, reply) => {
       });
     }
 
-    // Check if user has permission for this endpoint
-    const endpoint = request.routeOptions?.url || request.url;
-    if (!hasPermission(user, endpoint, request.method)) {
-      return reply.code(403).send({ 
-        error: 'Insufficient permissions for this endpoint',
-        code: 'INSUFFICIENT_PERMISSIONS'
+    // Access tokens die with their session, even before they expire
+    if (decoded.sid && !user.refreshTokens.some(entry => entry.family === decoded.sid)) {
+      return reply.code(401).send({ 
+        error: 'Session has been signed out',
+        code: 'SESSION_REVOKED'
       });
     }
 
+    // Route permissions are enforced by the policy declared on each route (policies.js)
+
     // Update last activity
     user.lastActivity = new Date();
     request.user = user;
+    request.sessionId = decoded.sid || null;
     
-    // Store session info
-    activeSessions.set(token, {
-      userId: user.id,
-      username: user.username,
-      loginTime: new Date(),
-      lastActivity: new Date(),
-      ip: request.ip,
-      userAgent: request.headers['user-agent']
-    });
+    if (decoded.sid) {
+      touchSession(decoded.sid, user, request);
+    }
     
   } catch (error) {
     return reply.code(401).send({ 
@@ -162,30 +327,6 @@ export const authenticateToken = async (request, reply) => {
   }
 };
 
-// Check user permissions
-const hasPermission = (user, endpoint, method) => {
-  // Admin has all permissions
-  if (user.role === 'admin') {
-    return true;
-  }
-  
-  // Check specific endpoint permissions
-  const endpointPermissions = {
-    '/api/projects': ['read', 'write'],
-    '/api/database': ['read', 'write'],
-    '/api/ssl': ['read', 'write'],
-    '/api/system': ['read'],
-    '/api/logs': ['read'],
-    '/api/files': ['read', 'write']
-  };
-  
-  const requiredPermissions = endpointPermissions[endpoint] || ['read'];
-  
-  return requiredPermissions.some(permission => 
-    user.permissions.includes(permission)
-  );
-};
-
 // Enhanced role-based access control
 export const requireRole = (roles) => {
   return async (request, reply) => {
@@ -241,6 +382,7 @@ export const handleFailedLogin = (username) => {
     if (user.loginAttempts >= MAX_LOGIN_ATTEMPTS) {
       user.lockedUntil = Date.now() + LOCKOUT_TIME;
     }
+    userStore.save();
   }
 };
 
@@ -251,43 +393,238 @@ export const handleSuccessfulLogin = (userId) => {
     user.loginAttempts = 0;
     user.lockedUntil = null;
     user.lastLogin = new Date();
+    userStore.save();
+  }
+};
+
+// External login providers. Local accounts always work; each registered type
+// builds a provider from its saved settings. Password providers implement
+// authenticate({ username, password }); redirect providers implement
+// createAuthorizationRequest(redirectUri) and handleCallback(code, pending).
+// Both resolve to a profile: { externalId, username, email, groups }.
+const providerFactories = new Map();
+
+export const registerAuthProvider = (type, factory) => {
+  providerFactories.set(type, factory);
+};
+
+registerAuthProvider('oidc', config => new OidcProvider(config));
+registerAuthProvider('ldap', config => new LdapProvider(config));
+
+// Pass a config to try unsaved settings (used by the Settings test button)
+export const getAuthProvider = (type, config = authProviderStore.get(type)) => {
+  const factory = providerFactories.get(type);
+  if (!factory || !config) {
+    return null;
+  }
+  return factory(config);
+};
+
+const getEnabledProvider = (type) => {
+  if (!authProviderStore.get(type)?.enabled) {
+    throw new AppError('This sign-in method is not enabled', 400, 'PROVIDER_DISABLED');
+  }
+  return getAuthProvider(type);
+};
+
+// Local usernames only allow letters, numbers, hyphens and underscores
+const toLocalUsername = (name) => String(name).replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 50);
+
+// Find or create the dashboard account for an external identity and sync its role
+export const provisionExternalUser = (type, profile) => {
+  const role = mapGroupsToRole(authProviderStore.get(type), profile.groups);
+  if (!role) {
+    throw new AppError('Your account is not in a group allowed to use the dashboard', 403, 'NO_MATCHING_GROUP');
+  }
+
+  let user = userStore.findByExternalId(type, profile.externalId);
+  if (!user) {
+    const username = toLocalUsername(profile.username);
+    if (userStore.findByUsername(username)) {
+      throw new AppError(`A dashboard user named '${username}' already exists`, 409, 'USERNAME_TAKEN');
+    }
+
+    user = userStore.createExternal({
+      username,
+      email: profile.email,
+      role,
+      authProvider: type,
+      externalId: profile.externalId
+    });
+    console.log(`Created ${type} user '${username}' with role ${role}`);
+    return user;
+  }
+
+  // Groups are the source of truth for the role; custom permissions survive while it is unchanged
+  const changes = { email: profile.email || user.email };
+  if (user.role !== role) {
+    changes.role = role;
+    changes.permissions = [...ROLE_PERMISSIONS[role]];
   }
+  return userStore.update(user.id, changes);
 };
 
-// Logout and revoke token
+// Username/password login through a directory; null for bad credentials
+export const loginWithProvider = async (type, credentials) => {
+  const provider = getEnabledProvider(type);
+  if (!provider.authenticate) {
+    throw new AppError('This sign-in method does not accept passwords', 400, 'PROVIDER_NOT_PASSWORD');
+  }
+
+  let profile;
+  try {
+    profile = await provider.authenticate(credentials);
+  } catch (error) {
+    console.error(`${type} login failed:`, error.message);
+    throw new AppError(`Could not reach the ${type.toUpperCase()} server`, 502, 'PROVIDER_UNAVAILABLE');
+  }
+  return profile ? provisionExternalUser(type, profile) : null;
+};
+
+// Redirect logins: state -> what the callback needs (PKCE verifier, nonce, ...)
+const pendingProviderLogins = new Map();
+// One-time codes the browser trades for tokens once the redirect comes back
+const providerLoginCodes = new Map();
+
+export const beginProviderLogin = async (type, redirectUri) => {
+  const provider = getEnabledProvider(type);
+  if (!provider.createAuthorizationRequest) {
+    throw new AppError('This sign-in method does not use redirects', 400, 'PROVIDER_NOT_REDIRECT');
+  }
+
+  const { url, ...pending } = await provider.createAuthorizationRequest(redirectUri);
+  pendingProviderLogins.set(pending.state, { ...pending, type, expiresAt: Date.now() + PROVIDER_LOGIN_TTL });
+  return url;
+};
+
+export const completeProviderLogin = async (type, { code, state }) => {
+  const pending = pendingProviderLogins.get(state);
+  pendingProviderLogins.delete(state);
+  if (!pending || pending.type !== type || pending.expiresAt <= Date.now()) {
+    throw new AppError('Sign-in request expired or was already used, please try again', 400, 'INVALID_LOGIN_STATE');
+  }
+
+  let profile;
+  try {
+    profile = await getEnabledProvider(type).handleCallback(code, pending);
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    console.error(`${type} callback failed:`, error.message);
+    throw new AppError('The identity provider response could not be verified', 502, 'PROVIDER_ERROR');
+  }
+
+  const user = provisionExternalUser(type, profile);
+  const loginCode = crypto.randomBytes(24).toString('base64url');
+  providerLoginCodes.set(hashToken(loginCode), { userId: user.id, expiresAt: Date.now() + LOGIN_CODE_TTL });
+  return loginCode;
+};
+
+export const redeemProviderLoginCode = (loginCode) => {
+  const key = hashToken(String(loginCode));
+  const entry = providerLoginCodes.get(key);
+  providerLoginCodes.delete(key);
+  if (!entry || entry.expiresAt <= Date.now()) {
+    return null;
+  }
+  return userStore.findById(entry.userId) || null;
+};
+
+// Logout and revoke token (and the session it belongs to)
 export const revokeToken = (token) => {
   blacklistedTokens.add(token);
-  activeSessions.delete(token);
+  const decoded = jwt.decode(token);
+  if (decoded?.sid) {
+    revokeSession(decoded.userId, decoded.sid);
+  }
 };
 
-// Get active sessions for a user
+// Get active sessions for a user, most recently used first
 export const getActiveSessions = (userId) => {
-  return Array.from(activeSessions.values())
-    .filter(session => session.userId === userId);
+  const user = users.find(u => u.id === userId);
+  if (!user) {
+    return [];
+  }
+
+  const now = Date.now();
+  const families = new Map();
+  for (const entry of user.refreshTokens) {
+    if (entry.expiresAt <= now) continue;
+    const family = families.get(entry.family);
+    families.set(entry.family, { first: family?.first || entry, latest: entry });
+  }
+
+  return Array.from(families.entries())
+    .map(([id, { first, latest }]) => {
+      const live = activeSessions.get(id);
+      return {
+        id,
+        userId: user.id,
+        username: user.username,
+        loginTime: first.createdAt,
+        lastActivity: live ? live.lastActivity.toISOString() : latest.createdAt,
+        ip: live?.ip || latest.ip,
+        userAgent: live?.userAgent || latest.userAgent,
+        expiresAt: new Date(latest.expiresAt).toISOString()
+      };
+    })
+    .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity));
 };
 
-// Revoke all sessions for a user
-export const revokeAllSessions = (userId) => {
-  const userSessions = getActiveSessions(userId);
-  userSessions.forEach(session => {
-    blacklistedTokens.add(session.token);
-    activeSessions.delete(session.token);
-  });
+// Every user's sessions (admin view)
+export const getAllSessions = () => users.flatMap(user => getActiveSessions(user.id));
+
+// Revoke a single session; returns false if it does not exist
+export const revokeSession = (userId, sessionId) => {
+  const user = users.find(u => u.id === userId);
+  return user ? revokeRefreshFamily(user, sessionId) : false;
+};
+
+// Revoke all sessions for a user, optionally keeping one (the caller's own)
+export const revokeAllSessions = (userId, { except = null } = {}) => {
+  const userSessions = getActiveSessions(userId).filter(session => session.id !== except);
+  userSessions.forEach(session => revokeSession(userId, session.id));
+  return userSessions.length;
 };
 
 // Clean up expired sessions
 export const cleanupExpiredSessions = () => {
   const now = Date.now();
-  const maxAge = 24 * 60 * 60 * 1000; // 24 hours
-  
-  for (const [token, session] of activeSessions.entries()) {
-    if (now - session.lastActivity.getTime() > maxAge) {
-      activeSessions.delete(token);
+  let changed = false;
+
+  for (const user of users) {
+    const before = user.refreshTokens.length;
+    pruneRefreshTokens(user);
+    changed = changed || user.refreshTokens.length !== before;
+  }
+  if (changed) {
+    userStore.save();
+  }
+
+  const liveFamilies = new Set(users.flatMap(user => user.refreshTokens.map(entry => entry.family)));
+  for (const sessionId of activeSessions.keys()) {
+    if (!liveFamilies.has(sessionId)) {
+      activeSessions.delete(sessionId);
+    }
+  }
+
+  for (const pending of [pendingProviderLogins, providerLoginCodes]) {
+    for (const [key, entry] of pending) {
+      if (entry.expiresAt <= now) {
+        pending.delete(key);
+      }
+    }
+  }
+
+  // Revoked tokens only need remembering until they would have expired anyway
+  for (const token of blacklistedTokens) {
+    const decoded = jwt.decode(token);
+    if (!decoded?.exp || decoded.exp * 1000 <= now) {
+      blacklistedTokens.delete(token);
     }
   }
 };
 
 // Run cleanup every hour
-setInterval(cleanupExpiredSessions, 60 * 60 * 1000);
+setInterval(cleanupExpiredSessions, SESSION_CLEANUP_INTERVAL).unref();
 
-export { users };
+export { users, userStore, accessTokenStore, authProviderStore };
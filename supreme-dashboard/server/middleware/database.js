@@ -223,6 +223,17 @@ export const getDatabases = async () => {
   }
 };
 
+// Names of the databases on the server. Unlike getDatabases this never falls back to
+// mock data, so callers that must not guess can tell when the server is unreachable.
+export const listDatabaseNames = async () => {
+  if (dbType === 'postgresql') {
+    const rows = await executeQuery('SELECT datname AS name FROM pg_database WHERE datistemplate = false');
+    return rows.map(row => row.name);
+  }
+  const rows = await executeQuery('SHOW DATABASES');
+  return rows.map(row => row.Database);
+};
+
 // Get tables for a specific database
 export const getTables = async (databaseName) => {
   try {
@@ -367,6 +367,7 @@ export class AlertManager {
     this.alerts = [];
     this.rules = new Map();
     this.notifications = [];
+    this.lastId = 0;
   }
 
   addRule(name, condition, severity = 'warning', cooldown = 300000) {
@@ -393,8 +394,10 @@ export class AlertManager {
   }
 
   triggerAlert(name, severity, metrics) {
+    // Timestamp ids, kept unique when several alerts fire in the same millisecond
+    this.lastId = Math.max(Date.now(), this.lastId + 1);
     const alert = {
-      id: Date.now(),
+      id: this.lastId,
       name,
       severity,
       timestamp: new Date(),
@@ -409,6 +412,23 @@ export class AlertManager {
     console.log(`Metrics:`, metrics);
   }
 
+  // Alerts about a condition that lasts (a site being down): one active alert per name
+  // until resolveByName clears it, however often the condition is seen in between
+  raise(name, severity, details) {
+    const active = this.alerts.find(alert => alert.name === name && !alert.resolved);
+    if (active) {
+      return active;
+    }
+    this.triggerAlert(name, severity, details);
+    return this.alerts[this.alerts.length - 1];
+  }
+
+  resolveByName(name) {
+    this.alerts
+      .filter(alert => alert.name === name && !alert.resolved)
+      .forEach(alert => this.resolveAlert(alert.id));
+  }
+
   resolveAlert(alertId) {
     const alert = this.alerts.find(a => a.id === alertId);
     if (alert) {
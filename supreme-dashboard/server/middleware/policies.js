@@ -0,0 +1,104 @@
+import { resolve, relative, isAbsolute, sep } from 'path';
+import { authenticateToken } from './auth.js';
+
+// Route authorization policies.
+//
+// Every authenticated route declares what it needs in `config.policy`:
+//   {}                                    any signed-in user
+//   { permission: 'write' }               a user permission (read/write/delete/admin)
+//   { role: 'admin' }                     a role
+//   { project: 'params.name' }            access to the named project as well
+//   { projectPath: 'body.path' }          access to the project that path lives in
+//
+// registerPolicies() adds the check right after authenticateToken, so it runs
+// against the matched route rather than the raw URL.
+
+// Read a dotted path such as 'params.name' off the request
+const pick = (request, path) => path.split('.').reduce((value, key) => value?.[key], request);
+
+// Project folder a filesystem path belongs to, or null if it is outside HTDOCS_ROOT
+export const projectFromPath = (path, projectsRoot) => {
+  if (!path || typeof path !== 'string') {
+    return null;
+  }
+
+  const rel = relative(resolve(projectsRoot), resolve(path));
+  if (!rel || rel.startsWith('..') || isAbsolute(rel)) {
+    return null;
+  }
+  return rel.split(sep)[0];
+};
+
+// Admins and users without an access list may use every project
+export const canAccessProject = (user, project) => {
+  if (user.role === 'admin' || !Array.isArray(user.projectAccess)) {
+    return true;
+  }
+  return project !== null && user.projectAccess.includes(project);
+};
+
+export const filterAccessibleProjects = (user, projects, getName = p => p.name) =>
+  projects.filter(project => canAccessProject(user, getName(project)));
+
+const defaultPolicy = (method) => ({ permission: ['GET', 'HEAD'].includes(method) ? 'read' : 'write' });
+
+export const authorize = (policy, { getProjectsRoot }) => async (request, reply) => {
+  const user = request.user;
+  if (!user) {
+    return reply.code(401).send({
+      error: 'Authentication required',
+      code: 'AUTH_REQUIRED'
+    });
+  }
+
+  if (policy.role && user.role !== policy.role) {
+    return reply.code(403).send({
+      error: 'Insufficient permissions',
+      code: 'INSUFFICIENT_ROLE',
+      required: [policy.role],
+      current: user.role
+    });
+  }
+
+  if (policy.permission && user.role !== 'admin' && !user.permissions.includes(policy.permission)) {
+    return reply.code(403).send({
+      error: 'Insufficient permissions',
+      code: 'INSUFFICIENT_PERMISSION',
+      required: [policy.permission],
+      current: user.permissions
+    });
+  }
+
+  if (policy.project || policy.projectPath) {
+    const project = policy.project
+      ? pick(request, policy.project) || null
+      : projectFromPath(pick(request, policy.projectPath), getProjectsRoot());
+
+    if (!canAccessProject(user, project)) {
+      return reply.code(403).send({
+        error: project ? `No access to project '${project}'` : 'Your account is limited to specific projects',
+        code: 'PROJECT_ACCESS_DENIED'
+      });
+    }
+  }
+};
+
+export const registerPolicies = (fastify, options) => {
+  fastify.addHook('onRoute', (routeOptions) => {
+    const handlers = [].concat(routeOptions.preHandler || []);
+    const authIndex = handlers.indexOf(authenticateToken);
+    if (authIndex === -1) {
+      return;
+    }
+
+    let policy = routeOptions.config?.policy;
+    if (!policy) {
+      const method = [].concat(routeOptions.method)[0];
+      policy = defaultPolicy(method);
+      console.log(`No policy declared for ${method} ${routeOptions.url}, requiring '${policy.permission}'`);
+    }
+
+    handlers.splice(authIndex + 1, 0, authorize(policy, options));
+    routeOptions.preHandler = handlers;
+  });
+};
@@ -1,4 +1,19 @@
 import { users } from './auth.js';
+import { ROLES, PERMISSIONS } from '../services/users.js';
+import { scopesForUser } from '../services/accessTokens.js';
+import { AUDIT_OUTCOMES } from '../services/audit.js';
+import authProviderStore, { PROVIDER_TYPES } from '../services/authProviders.js';
+import passwordPolicy, { POLICY_DEFAULTS } from '../services/passwordPolicy.js';
+import { FRAMEWORK_IDS } from '../services/projects.js';
+import { ENV_FILE_PATTERN, ENV_KEY_PATTERN, EXAMPLE_FILE, MASK } from '../services/envFiles.js';
+import { isValidRepository, BRANCH_PATTERN } from '../services/gitClone.js';
+import { TEMPLATE_ID_PATTERN } from '../services/templates.js';
+import { BULK_ACTIONS, MAX_BULK_PROJECTS } from '../services/bulkActions.js';
+import { TAG_PATTERN, MAX_TAGS, MAX_NOTES_LENGTH, MAX_CLIENT_LENGTH, MAX_PRESET_NAME_LENGTH, PROJECT_STATUSES, FILTER_KEYS, normalizeFilters, normalizeTag } from '../services/projectMeta.js';
+
+// Project access lists hold folder names under HTDOCS_ROOT, or null for all projects
+const isValidProjectAccess = (projectAccess) => projectAccess === null ||
+  (Array.isArray(projectAccess) && projectAccess.every(name => typeof name === 'string' && /^[a-zA-Z0-9._-]+$/.test(name) && !/^\.+$/.test(name)));
 
 // Enhanced input sanitization with XSS protection
 export const sanitizeInput = (request, reply, done) => {
@@ -36,7 +51,8 @@ export const sanitizeInput = (request, reply, done) => {
     return obj;
   };
 
-  if (request.body) {
+  // Routes that write the body into files verbatim (.env values) opt out with config.verbatimBody
+  if (request.body && !request.routeOptions?.config?.verbatimBody) {
     request.body = sanitize(request.body);
   }
 
@@ -163,18 +179,29 @@ export const rateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
 };
 
 export const validateLogin = (request, reply, done) => {
-  const { username, password } = request.body;
+  const { username, password, provider = 'local' } = request.body;
   const errors = {};
 
+  // Directory usernames are often e-mail addresses or contain dots
+  const external = provider !== 'local';
+
+  if (!['local', ...PROVIDER_TYPES].includes(provider)) {
+    errors.provider = `Provider must be one of: local, ${PROVIDER_TYPES.join(', ')}`;
+  }
+
   if (!username || username.trim().length < 3) {
     errors.username = 'Username must be at least 3 characters';
-  } else if (username.length > 50) {
-    errors.username = 'Username must be less than 50 characters';
-  } else if (!/^[a-zA-Z0-9_-]+$/.test(username)) {
+  } else if (username.length > (external ? 256 : 50)) {
+    errors.username = 'Username is too long';
+  } else if (!external && !/^[a-zA-Z0-9_-]+$/.test(username)) {
     errors.username = 'Username can only contain letters, numbers, hyphens, and underscores';
+  } else if (external && !/^[a-zA-Z0-9._@+-]+$/.test(username)) {
+    errors.username = 'Username contains characters that are not allowed';
   }
 
-  if (!password || password.length < 6) {
+  if (external && !password) {
+    errors.password = 'Password is required';
+  } else if (!external && (!password || password.length < 6)) {
     errors.password = 'Password must be at least 6 characters';
   } else if (password.length > 128) {
     errors.password = 'Password must be less than 128 characters';
@@ -206,8 +233,9 @@ export const validateRegister = (request, reply, done) => {
     errors.email = 'Email already exists';
   }
 
-  if (!password || password.length < 6) {
-    errors.password = 'Password must be at least 6 characters';
+  const passwordError = passwordPolicy.check(password);
+  if (passwordError) {
+    errors.password = passwordError;
   }
 
   if (!confirmPassword || password !== confirmPassword) {
@@ -224,6 +252,103 @@ export const validateRegister = (request, reply, done) => {
   done();
 };
 
+export const validateUserCreate = (request, reply, done) => {
+  const { username, email, password, role, permissions, projectAccess } = request.body || {};
+  const errors = {};
+
+  if (!username || username.trim().length < 3) {
+    errors.username = 'Username must be at least 3 characters';
+  } else if (!/^[a-zA-Z0-9_-]+$/.test(username)) {
+    errors.username = 'Username can only contain letters, numbers, hyphens, and underscores';
+  } else if (users.find(u => u.username === username)) {
+    errors.username = 'Username already exists';
+  }
+
+  if (!email || !/\S+@\S+\.\S+/.test(email)) {
+    errors.email = 'Valid email is required';
+  } else if (users.find(u => u.email === email)) {
+    errors.email = 'Email already exists';
+  }
+
+  // Password is optional; a temporary one is generated when omitted
+  if (password !== undefined) {
+    const passwordError = passwordPolicy.check(password);
+    if (passwordError) {
+      errors.password = passwordError;
+    }
+  }
+
+  if (role !== undefined && !ROLES.includes(role)) {
+    errors.role = `Role must be one of: ${ROLES.join(', ')}`;
+  }
+
+  if (permissions !== undefined && (!Array.isArray(permissions) || permissions.some(p => !PERMISSIONS.includes(p)))) {
+    errors.permissions = `Permissions must be a list of: ${PERMISSIONS.join(', ')}`;
+  }
+
+  if (projectAccess !== undefined && !isValidProjectAccess(projectAccess)) {
+    errors.projectAccess = 'Project access must be null or a list of project folder names';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return reply.code(400).send({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+
+  done();
+};
+
+export const validateUserUpdate = (request, reply, done) => {
+  const { username, email, role, permissions, disabled, projectAccess } = request.body || {};
+  const id = parseInt(request.params.id);
+  const errors = {};
+
+  if (username !== undefined) {
+    if (typeof username !== 'string' || username.trim().length < 3) {
+      errors.username = 'Username must be at least 3 characters';
+    } else if (!/^[a-zA-Z0-9_-]+$/.test(username)) {
+      errors.username = 'Username can only contain letters, numbers, hyphens, and underscores';
+    } else if (users.find(u => u.username === username && u.id !== id)) {
+      errors.username = 'Username already exists';
+    }
+  }
+
+  if (email !== undefined) {
+    if (typeof email !== 'string' || !/\S+@\S+\.\S+/.test(email)) {
+      errors.email = 'Valid email is required';
+    } else if (users.find(u => u.email === email && u.id !== id)) {
+      errors.email = 'Email already exists';
+    }
+  }
+
+  if (role !== undefined && !ROLES.includes(role)) {
+    errors.role = `Role must be one of: ${ROLES.join(', ')}`;
+  }
+
+  if (permissions !== undefined && (!Array.isArray(permissions) || permissions.some(p => !PERMISSIONS.includes(p)))) {
+    errors.permissions = `Permissions must be a list of: ${PERMISSIONS.join(', ')}`;
+  }
+
+  if (projectAccess !== undefined && !isValidProjectAccess(projectAccess)) {
+    errors.projectAccess = 'Project access must be null or a list of project folder names';
+  }
+
+  if (disabled !== undefined && typeof disabled !== 'boolean') {
+    errors.disabled = 'Disabled must be true or false';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return reply.code(400).send({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+
+  done();
+};
+
 export const validateProjectName = (request, reply, done) => {
   const { name } = request.params;
   const errors = {};
@@ -244,6 +369,443 @@ export const validateProjectName = (request, reply, done) => {
   done();
 };
 
+export const validateProjectCreate = (request, reply, done) => {
+  const { framework, name, tld, https, database } = request.body || {};
+  const errors = {};
+
+  if (!FRAMEWORK_IDS.includes(framework)) {
+    errors.framework = `Framework must be one of: ${FRAMEWORK_IDS.join(', ')}`;
+  }
+
+  if (!name || typeof name !== 'string' || name.trim().length < 2) {
+    errors.name = 'Project name must be at least 2 characters';
+  } else if (!/^[a-zA-Z0-9-_]+$/.test(name) || name.length > 64) {
+    errors.name = 'Project name can only contain letters, numbers, hyphens, and underscores (max 64)';
+  }
+
+  if (tld !== undefined && tld !== null && (typeof tld !== 'string' || !/^\.?[a-z0-9-]{1,24}$/.test(tld))) {
+    errors.tld = 'TLD can only contain lowercase letters, numbers, and hyphens';
+  }
+
+  if (https !== undefined && typeof https !== 'boolean') {
+    errors.https = 'HTTPS must be true or false';
+  }
+
+  if (database !== undefined && database !== null && database !== '' &&
+      (typeof database !== 'string' || !/^[a-zA-Z0-9_]{1,64}$/.test(database))) {
+    errors.database = 'Database name can only contain letters, numbers, and underscores (max 64)';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return reply.code(400).send({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+
+  done();
+};
+
+export const validateProjectClone = (request, reply, done) => {
+  const { repository, branch, name, tld, https, install } = request.body || {};
+  const errors = {};
+
+  if (!repository || typeof repository !== 'string' || repository.length > 2048 || !isValidRepository(repository)) {
+    errors.repository = 'Repository must be an http(s), ssh or git URL, user@host:path, or an absolute path to a local repository';
+  }
+
+  if (branch !== undefined && branch !== null && branch !== '' &&
+      (typeof branch !== 'string' || !BRANCH_PATTERN.test(branch))) {
+    errors.branch = 'Branch names can only contain letters, numbers, and _ . / -';
+  }
+
+  if (name !== undefined && name !== null && name !== '' &&
+      (typeof name !== 'string' || name.length < 2 || !/^[a-zA-Z0-9-_]+$/.test(name) || name.length > 64)) {
+    errors.name = 'Project name can only contain letters, numbers, hyphens, and underscores (2-64 characters)';
+  }
+
+  if (tld !== undefined && tld !== null && (typeof tld !== 'string' || !/^\.?[a-z0-9-]{1,24}$/.test(tld))) {
+    errors.tld = 'TLD can only contain lowercase letters, numbers, and hyphens';
+  }
+
+  if (https !== undefined && typeof https !== 'boolean') {
+    errors.https = 'HTTPS must be true or false';
+  }
+
+  if (install !== undefined && typeof install !== 'boolean') {
+    errors.install = 'Install must be true or false';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return reply.code(400).send({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+
+  done();
+};
+
+export const validateTemplateAdd = (request, reply, done) => {
+  const { source, id } = request.body || {};
+  const errors = {};
+
+  if (!source || typeof source !== 'string' || source.length > 2048 || !isValidRepository(source)) {
+    errors.source = 'Source must be an absolute path to a folder or .tar.gz file, or a git repository URL';
+  }
+
+  if (id !== undefined && id !== null && id !== '' && (typeof id !== 'string' || !TEMPLATE_ID_PATTERN.test(id))) {
+    errors.id = 'Template id can only contain letters, numbers, hyphens, and underscores (max 64)';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return reply.code(400).send({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+
+  done();
+};
+
+export const validateAdvisoryImport = (request, reply, done) => {
+  const { source } = request.body || {};
+
+  if (!source || typeof source !== 'string' || source.length > 2048 || !source.startsWith('/')) {
+    return reply.code(400).send({
+      error: 'Validation failed',
+      details: { source: 'Source must be an absolute path to an OSV .json, .jsonl or .zip file, or a folder of them' }
+    });
+  }
+
+  done();
+};
+
+export const validateTemplateApply = (request, reply, done) => {
+  const { name, tld, https, database, variables } = request.body || {};
+  const errors = {};
+
+  if (!name || typeof name !== 'string' || name.trim().length < 2) {
+    errors.name = 'Project name must be at least 2 characters';
+  } else if (!/^[a-zA-Z0-9-_]+$/.test(name) || name.length > 64) {
+    errors.name = 'Project name can only contain letters, numbers, hyphens, and underscores (max 64)';
+  }
+
+  if (tld !== undefined && tld !== null && (typeof tld !== 'string' || !/^\.?[a-z0-9-]{1,24}$/.test(tld))) {
+    errors.tld = 'TLD can only contain lowercase letters, numbers, and hyphens';
+  }
+
+  if (https !== undefined && typeof https !== 'boolean') {
+    errors.https = 'HTTPS must be true or false';
+  }
+
+  if (database !== undefined && database !== null && database !== '' &&
+      (typeof database !== 'string' || !/^[a-zA-Z0-9_]{1,64}$/.test(database))) {
+    errors.database = 'Database name can only contain letters, numbers, and underscores (max 64)';
+  }
+
+  if (variables !== undefined && (typeof variables !== 'object' || variables === null || Array.isArray(variables) ||
+      Object.values(variables).some(value => typeof value !== 'string' || value.length > 1000))) {
+    errors.variables = 'Variables must be an object of text values (max 1000 characters each)';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return reply.code(400).send({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+
+  done();
+};
+
+export const validateProjectDelete = (request, reply, done) => {
+  const { archive, databases } = request.body || {};
+  const errors = {};
+
+  if (archive !== undefined && typeof archive !== 'boolean') {
+    errors.archive = 'Archive must be true or false';
+  }
+
+  if (databases !== undefined && (!Array.isArray(databases) ||
+      databases.some(name => typeof name !== 'string' || !/^[a-zA-Z0-9_]{1,64}$/.test(name)))) {
+    errors.databases = 'Databases must be a list of database names';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return reply.code(400).send({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+
+  done();
+};
+
+export const validateProjectExport = (request, reply, done) => {
+  const { respectGitignore, databases } = request.body || {};
+  const errors = {};
+
+  if (respectGitignore !== undefined && typeof respectGitignore !== 'boolean') {
+    errors.respectGitignore = 'respectGitignore must be true or false';
+  }
+
+  if (databases !== undefined && (!Array.isArray(databases) ||
+      databases.some(name => typeof name !== 'string' || !/^[a-zA-Z0-9_]{1,64}$/.test(name)))) {
+    errors.databases = 'Databases must be a list of database names';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return reply.code(400).send({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+
+  done();
+};
+
+// A batch of projects and one action for all of them; tag takes { add, remove } lists
+export const validateBulkAction = (request, reply, done) => {
+  const { action, projects, tags } = request.body || {};
+  const errors = {};
+
+  if (!Object.hasOwn(BULK_ACTIONS, action)) {
+    errors.action = `Action must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}`;
+  }
+
+  if (!Array.isArray(projects) || projects.length === 0) {
+    errors.projects = 'Choose at least one project';
+  } else if (projects.length > MAX_BULK_PROJECTS) {
+    errors.projects = `At most ${MAX_BULK_PROJECTS} projects at a time`;
+  } else if (projects.some(name => typeof name !== 'string' || name.length < 2 || !/^[a-zA-Z0-9-_]+$/.test(name) || name.length > 64)) {
+    errors.projects = 'Projects must be a list of project names';
+  }
+
+  if (action === 'tag') {
+    const lists = [tags?.add, tags?.remove].filter(list => list !== undefined);
+    if (lists.length === 0 || lists.some(list => !Array.isArray(list) || list.some(tag => typeof tag !== 'string'))) {
+      errors.tags = 'Tags must be { add, remove } lists of tags';
+    } else if (lists.flat().length === 0) {
+      errors.tags = 'Nothing to add or remove';
+    } else if (lists.flat().map(normalizeTag).some(tag => !TAG_PATTERN.test(tag))) {
+      errors.tags = 'Tags are letters, numbers, dots, dashes and underscores (max 32 characters)';
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return reply.code(400).send({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  done();
+};
+
+export const validateBundleImport = (request, reply, done) => {
+  const { name, tld, https, databases } = request.body || {};
+  const errors = {};
+
+  if (!name || typeof name !== 'string' || name.length < 2 || !/^[a-zA-Z0-9-_]+$/.test(name) || name.length > 64) {
+    errors.name = 'Project name can only contain letters, numbers, hyphens, and underscores (2-64 characters)';
+  }
+
+  if (tld !== undefined && tld !== null && (typeof tld !== 'string' || !/^\.?[a-z0-9-]{1,24}$/.test(tld))) {
+    errors.tld = 'TLD can only contain lowercase letters, numbers, and hyphens';
+  }
+
+  if (https !== undefined && typeof https !== 'boolean') {
+    errors.https = 'HTTPS must be true or false';
+  }
+
+  if (databases !== undefined && typeof databases !== 'boolean') {
+    errors.databases = 'Databases must be true or false';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return reply.code(400).send({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+
+  done();
+};
+
+const MAX_ENV_VALUE_LENGTH = 64 * 1024;
+
+const isEnvFile = (file) => typeof file === 'string' && ENV_FILE_PATTERN.test(file) && file !== EXAMPLE_FILE;
+
+// ?file= on the .env routes; .env when absent
+export const validateEnvFile = (request, reply, done) => {
+  const file = request.query?.file ?? request.body?.file;
+  if (file !== undefined && !isEnvFile(file)) {
+    return reply.code(400).send({
+      error: 'Validation failed',
+      details: { file: 'File must be .env or .env.<name>' }
+    });
+  }
+  done();
+};
+
+export const validateEnvChanges = (request, reply, done) => {
+  const { set, unset, expectedHash } = request.body || {};
+  const errors = {};
+
+  if (set !== undefined && (typeof set !== 'object' || set === null || Array.isArray(set))) {
+    errors.set = 'Set must be an object of variable names to values';
+  } else if (set) {
+    const badKey = Object.keys(set).find(key => !ENV_KEY_PATTERN.test(key));
+    const badValue = Object.entries(set).find(([, value]) => typeof value !== 'string' || value.length > MAX_ENV_VALUE_LENGTH);
+    if (badKey) {
+      errors.set = `Invalid variable name: ${badKey}`;
+    } else if (badValue) {
+      errors.set = `Value of ${badValue[0]} must be a string of at most ${MAX_ENV_VALUE_LENGTH} characters`;
+    } else if (Object.values(set).includes(MASK)) {
+      errors.set = 'Reveal a masked value before changing it';
+    }
+  }
+
+  if (unset !== undefined && (!Array.isArray(unset) || unset.some(key => typeof key !== 'string' || !ENV_KEY_PATTERN.test(key)))) {
+    errors.unset = 'Unset must be a list of variable names';
+  }
+
+  if (!errors.set && !errors.unset && Object.keys(set || {}).length === 0 && (unset || []).length === 0) {
+    errors.set = 'Nothing to change';
+  }
+
+  if (expectedHash !== undefined && (typeof expectedHash !== 'string' || !/^[a-f0-9]{64}$/.test(expectedHash))) {
+    errors.expectedHash = 'Expected hash must be a SHA-256 hex digest';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return reply.code(400).send({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  done();
+};
+
+// Problems with a set of project filters, keyed by filter name
+const PROJECT_TYPES = ['node', 'php', 'python', 'static'];
+
+const filterErrors = (filters) => {
+  const errors = {};
+  if ((filters.tag || []).some(tag => !TAG_PATTERN.test(tag))) {
+    errors.tag = 'Tags are lowercase letters, numbers, dots, dashes and underscores (max 32 characters)';
+  }
+  if (filters.status && !PROJECT_STATUSES.includes(filters.status)) {
+    errors.status = `Status must be one of: ${PROJECT_STATUSES.join(', ')}`;
+  }
+  if (filters.type && !PROJECT_TYPES.includes(filters.type)) {
+    errors.type = `Type must be one of: ${PROJECT_TYPES.join(', ')}`;
+  }
+  if (filters.framework && !/^[a-z0-9-]{1,32}$/.test(filters.framework)) {
+    errors.framework = 'Invalid framework';
+  }
+  if (filters.q && filters.q.length > 100) {
+    errors.q = 'Search must be at most 100 characters';
+  }
+  if (filters.client && filters.client.length > MAX_CLIENT_LENGTH) {
+    errors.client = `Client must be at most ${MAX_CLIENT_LENGTH} characters`;
+  }
+  return errors;
+};
+
+export const validateProjectQuery = (request, reply, done) => {
+  const errors = filterErrors(normalizeFilters(request.query || {}));
+
+  if (Object.keys(errors).length > 0) {
+    return reply.code(400).send({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  done();
+};
+
+export const validateProjectMeta = (request, reply, done) => {
+  const { tags, favourite, notes, client } = request.body || {};
+  const errors = {};
+
+  if (tags !== undefined) {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      errors.tags = 'Tags must be a list of strings';
+    } else if (tags.length > MAX_TAGS) {
+      errors.tags = `At most ${MAX_TAGS} tags`;
+    } else if (tags.map(normalizeTag).some(tag => !TAG_PATTERN.test(tag))) {
+      errors.tags = 'Tags are letters, numbers, dots, dashes and underscores (max 32 characters)';
+    }
+  }
+
+  if (favourite !== undefined && typeof favourite !== 'boolean') {
+    errors.favourite = 'Favourite must be true or false';
+  }
+
+  if (notes !== undefined && (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH)) {
+    errors.notes = `Notes must be text of at most ${MAX_NOTES_LENGTH} characters`;
+  }
+
+  if (client !== undefined && (typeof client !== 'string' || client.length > MAX_CLIENT_LENGTH)) {
+    errors.client = `Client must be text of at most ${MAX_CLIENT_LENGTH} characters`;
+  }
+
+  if (Object.keys(errors).length === 0 && [tags, favourite, notes, client].every(value => value === undefined)) {
+    errors.tags = 'Nothing to change';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return reply.code(400).send({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  done();
+};
+
+// Creating a preset needs a name and filters; updating one takes any of the fields
+export const validateFilterPreset = (request, reply, done) => {
+  const { name, filters, shared } = request.body || {};
+  const creating = request.method === 'POST';
+  const errors = {};
+
+  if ((creating || name !== undefined) &&
+      (typeof name !== 'string' || !name.trim() || name.length > MAX_PRESET_NAME_LENGTH)) {
+    errors.name = `Name is required (max ${MAX_PRESET_NAME_LENGTH} characters)`;
+  }
+
+  if (creating || filters !== undefined) {
+    if (typeof filters !== 'object' || filters === null || Array.isArray(filters)) {
+      errors.filters = 'Filters must be an object';
+    } else if (Object.keys(filters).some(key => !FILTER_KEYS.includes(key))) {
+      errors.filters = `Filters may only use: ${FILTER_KEYS.join(', ')}`;
+    } else {
+      const problems = filterErrors(normalizeFilters(filters));
+      if (Object.keys(problems).length > 0) {
+        errors.filters = Object.values(problems)[0];
+      }
+    }
+  }
+
+  if (shared !== undefined && typeof shared !== 'boolean') {
+    errors.shared = 'Shared must be true or false';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return reply.code(400).send({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  done();
+};
+
 export const validateSupremeCommand = (request, reply, done) => {
   const { command, args } = request.body;
   const errors = {};
@@ -292,3 +854,221 @@ export const validateSupremeCommand = (request, reply, done) => {
   done();
 };
 
+export const validateAccessTokenCreate = (request, reply, done) => {
+  const { name, scopes, expiresInDays } = request.body || {};
+  const allowedScopes = scopesForUser(request.user);
+  const errors = {};
+
+  if (!name || typeof name !== 'string' || !name.trim() || name.length > 64) {
+    errors.name = 'Name is required (max 64 characters)';
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    errors.scopes = 'Select at least one scope';
+  } else if (scopes.some(scope => !allowedScopes.includes(scope))) {
+    errors.scopes = `Scopes must be a list of: ${allowedScopes.join(', ')}`;
+  }
+
+  if (expiresInDays !== undefined && expiresInDays !== null &&
+      (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 3650)) {
+    errors.expiresInDays = 'Expiry must be between 1 and 3650 days, or empty for no expiry';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return reply.code(400).send({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+
+  done();
+};
+
+export const validateAuditQuery = (request, reply, done) => {
+  const { outcome, method, from, to, format } = request.query || {};
+  const errors = {};
+
+  if (outcome && !AUDIT_OUTCOMES.includes(outcome)) {
+    errors.outcome = `Outcome must be one of: ${AUDIT_OUTCOMES.join(', ')}`;
+  }
+
+  if (method && !['POST', 'PUT', 'PATCH', 'DELETE'].includes(method.toUpperCase())) {
+    errors.method = 'Method must be one of: POST, PUT, PATCH, DELETE';
+  }
+
+  for (const [key, value] of Object.entries({ from, to })) {
+    if (value && Number.isNaN(Date.parse(value))) {
+      errors[key] = 'Must be an ISO date or timestamp';
+    }
+  }
+
+  if (format && !['csv', 'jsonl'].includes(format)) {
+    errors.format = 'Format must be csv or jsonl';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return reply.code(400).send({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+
+  done();
+};
+
+const isGroupList = (value) => Array.isArray(value) && value.every(group => typeof group === 'string' && group.trim());
+
+export const validateAuthProviderUpdate = (request, reply, done) => {
+  const { type } = request.params;
+  const config = request.body || {};
+  const errors = {};
+
+  if (!PROVIDER_TYPES.includes(type)) {
+    return reply.code(404).send({ error: `Unknown provider '${type}'`, code: 'UNKNOWN_PROVIDER' });
+  }
+
+  // Every other setting keeps the type of its default
+  for (const [key, value] of Object.entries(authProviderStore.get(type))) {
+    if (config[key] === undefined || key === 'defaultRole' || Array.isArray(value)) continue;
+    const secretCleared = config[key] === null && typeof value === 'string';
+    if (typeof config[key] !== typeof value && !secretCleared) {
+      errors[key] = `Must be a ${typeof value}`;
+    }
+  }
+
+  if (config.name !== undefined && (typeof config.name !== 'string' || !config.name.trim() || config.name.length > 64)) {
+    errors.name = 'Name is required (max 64 characters)';
+  }
+
+  for (const field of ['adminGroups', 'developerGroups']) {
+    if (config[field] !== undefined && !isGroupList(config[field])) {
+      errors[field] = 'Must be a list of group names';
+    }
+  }
+
+  if (config.defaultRole !== undefined && config.defaultRole !== null && !ROLES.includes(config.defaultRole)) {
+    errors.defaultRole = `Default role must be one of: ${ROLES.join(', ')}, or empty to refuse unmatched users`;
+  }
+
+  // Only insist on connection details once the provider is being turned on
+  const effective = authProviderStore.merge(type, config);
+  if (effective.enabled) {
+    if (type === 'oidc') {
+      if (!/^https?:\/\/\S+$/.test(effective.issuer || '')) {
+        errors.issuer = 'Issuer must be an http(s) URL';
+      }
+      if (!effective.clientId) {
+        errors.clientId = 'Client ID is required';
+      }
+      if (effective.redirectUri && !/^https?:\/\/\S+$/.test(effective.redirectUri)) {
+        errors.redirectUri = 'Redirect URI must be an http(s) URL';
+      }
+      if (!String(effective.scopes).split(/\s+/).includes('openid')) {
+        errors.scopes = "Scopes must include 'openid'";
+      }
+    }
+
+    if (type === 'ldap') {
+      if (!/^ldaps?:\/\/\S+$/.test(effective.url || '')) {
+        errors.url = 'URL must start with ldap:// or ldaps://';
+      }
+      if (!effective.baseDN) {
+        errors.baseDN = 'Base DN is required';
+      }
+      if (!String(effective.userFilter || '').includes('{{username}}')) {
+        errors.userFilter = 'User filter must contain {{username}}';
+      }
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return reply.code(400).send({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+
+  done();
+};
+
+export const validatePasswordChange = (request, reply, done) => {
+  const { currentPassword, newPassword, confirmPassword } = request.body || {};
+  const errors = {};
+
+  if (!currentPassword || typeof currentPassword !== 'string') {
+    errors.currentPassword = 'Current password is required';
+  }
+
+  const passwordError = passwordPolicy.check(newPassword);
+  if (passwordError) {
+    errors.newPassword = passwordError;
+  } else if (newPassword === currentPassword) {
+    errors.newPassword = 'New password must be different from the current one';
+  }
+
+  if (!confirmPassword || newPassword !== confirmPassword) {
+    errors.confirmPassword = 'Passwords do not match';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return reply.code(400).send({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+
+  done();
+};
+
+export const validatePasswordReset = (request, reply, done) => {
+  const { token, password, confirmPassword } = request.body || {};
+  const errors = {};
+
+  if (!token || typeof token !== 'string') {
+    errors.token = 'Reset token is required';
+  }
+
+  const passwordError = passwordPolicy.check(password);
+  if (passwordError) {
+    errors.password = passwordError;
+  }
+
+  if (!confirmPassword || password !== confirmPassword) {
+    errors.confirmPassword = 'Passwords do not match';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return reply.code(400).send({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+
+  done();
+};
+
+export const validatePasswordPolicyUpdate = (request, reply, done) => {
+  const changes = request.body || {};
+  const errors = {};
+
+  for (const [key, value] of Object.entries(POLICY_DEFAULTS)) {
+    if (changes[key] !== undefined && typeof changes[key] !== typeof value) {
+      errors[key] = `Must be a ${typeof value}`;
+    }
+  }
+
+  // validateLogin refuses anything shorter than 6, so the policy cannot go lower
+  if (typeof changes.minLength === 'number' &&
+      (!Number.isInteger(changes.minLength) || changes.minLength < 6 || changes.minLength > 64)) {
+    errors.minLength = 'Minimum length must be a whole number between 6 and 64';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return reply.code(400).send({ 
+      error: 'Validation failed', 
+      details: errors 
+    });
+  }
+
+  done();
+};
@@ -0,0 +1,172 @@
+import { readFileSync, existsSync, mkdirSync } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DATA_DIR } from './users.js';
+import { writeJsonStore } from './jsonStore.js';
+
+const STORE_VERSION = 1;
+const TOKEN_PREFIX = 'sdp_';
+const LAST_USED_SAVE_INTERVAL = 60 * 1000; // don't rewrite the store on every request
+
+// API path prefixes each scope resource covers
+export const TOKEN_RESOURCES = {
+  projects: ['/api/projects', '/api/project-filters', '/api/dependency-audit', '/api/bundles'],
+  database: ['/api/database'],
+  files: ['/api/files'],
+  modules: ['/api/modules'],
+  ssl: ['/api/ssl'],
+  system: ['/api/system', '/api/stats', '/api/platform'],
+  logs: ['/api/logs'],
+  settings: ['/api/settings'],
+  terminal: ['/api/terminal'],
+  users: ['/api/users', '/api/sessions'],
+  audit: ['/api/audit']
+};
+
+// Resources only admins can grant to their tokens
+const ADMIN_RESOURCES = ['users', 'audit'];
+
+export const TOKEN_SCOPES = Object.keys(TOKEN_RESOURCES)
+  .flatMap(resource => [`${resource}:read`, `${resource}:write`]);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export const isAccessToken = (token) => typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+// Scope needed for a request, or null if tokens may not call it at all
+export const requiredScope = (url, method) => {
+  const pathname = url.split('?')[0];
+
+  // Lets scripts check that their token works
+  if (pathname === '/api/auth/verify') {
+    return 'any';
+  }
+
+  const resource = Object.keys(TOKEN_RESOURCES).find(name =>
+    TOKEN_RESOURCES[name].some(prefix => pathname === prefix || pathname.startsWith(`${prefix}/`))
+  );
+  if (!resource) {
+    return null;
+  }
+
+  return ['GET', 'HEAD'].includes(method) ? `${resource}:read` : `${resource}:write`;
+};
+
+// Write scopes imply read
+export const hasScope = (scopes, scope) => {
+  if (scope === 'any') return true;
+  if (scopes.includes(scope)) return true;
+  const [resource, action] = scope.split(':');
+  return action === 'read' && scopes.includes(`${resource}:write`);
+};
+
+// Scopes a user may put on a token: never more than the account can do
+export const scopesForUser = (user) => TOKEN_SCOPES.filter(scope => {
+  const [resource, action] = scope.split(':');
+  if (ADMIN_RESOURCES.includes(resource) && user.role !== 'admin') {
+    return false;
+  }
+  return user.permissions.includes(action);
+});
+
+// Fields safe to return from the API
+export const toPublicToken = (record) => ({
+  id: record.id,
+  name: record.name,
+  prefix: record.prefix,
+  scopes: record.scopes,
+  createdAt: record.createdAt,
+  expiresAt: record.expiresAt,
+  lastUsedAt: record.lastUsedAt,
+  lastUsedIp: record.lastUsedIp,
+  expired: Boolean(record.expiresAt && new Date(record.expiresAt).getTime() <= Date.now())
+});
+
+class AccessTokenStore {
+  constructor() {
+    this.filePath = path.join(DATA_DIR, 'tokens.json');
+    this.tokens = [];
+    this.lastSaved = 0;
+  }
+
+  initialize() {
+    mkdirSync(DATA_DIR, { recursive: true, mode: 0o700 });
+
+    if (existsSync(this.filePath)) {
+      const raw = JSON.parse(readFileSync(this.filePath, 'utf8'));
+      this.tokens = raw.tokens || [];
+    }
+  }
+
+  save() {
+    const data = { version: STORE_VERSION, tokens: this.tokens };
+    writeJsonStore(this.filePath, data);
+    this.lastSaved = Date.now();
+  }
+
+  listForUser(userId) {
+    return this.tokens.filter(t => t.userId === userId);
+  }
+
+  // Returns the plaintext token once; only its hash is kept
+  create(userId, { name, scopes, expiresInDays = null }) {
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const record = {
+      id: crypto.randomUUID(),
+      userId,
+      name,
+      prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+      tokenHash: hashToken(token),
+      scopes: [...new Set(scopes)],
+      createdAt: new Date().toISOString(),
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null,
+      lastUsedAt: null,
+      lastUsedIp: null
+    };
+
+    this.tokens.push(record);
+    this.save();
+    return { token, record };
+  }
+
+  revoke(userId, id) {
+    const index = this.tokens.findIndex(t => t.id === id && t.userId === userId);
+    if (index === -1) {
+      return false;
+    }
+    this.tokens.splice(index, 1);
+    this.save();
+    return true;
+  }
+
+  removeForUser(userId) {
+    const before = this.tokens.length;
+    this.tokens = this.tokens.filter(t => t.userId !== userId);
+    if (this.tokens.length !== before) {
+      this.save();
+    }
+  }
+
+  // Look up a presented token; null if unknown or expired
+  verify(token) {
+    const tokenHash = hashToken(token);
+    const record = this.tokens.find(t => t.tokenHash === tokenHash);
+    if (!record) {
+      return null;
+    }
+    if (record.expiresAt && new Date(record.expiresAt).getTime() <= Date.now()) {
+      return null;
+    }
+    return record;
+  }
+
+  markUsed(record, ip) {
+    record.lastUsedAt = new Date().toISOString();
+    record.lastUsedIp = ip;
+    if (Date.now() - this.lastSaved > LAST_USED_SAVE_INTERVAL) {
+      this.save();
+    }
+  }
+}
+
+export default new AccessTokenStore();
@@ -0,0 +1,224 @@
+import { existsSync, mkdirSync, readdirSync, unlinkSync } from 'fs';
+import { appendFile, readFile } from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Same directory errorHandler.js writes its error-YYYY-MM-DD.log files to
+export const LOG_DIR = path.join(process.cwd(), 'logs');
+
+const RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS, 10) || 90;
+const FILE_PATTERN = /^audit-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const MAX_STRING_LENGTH = 256;
+const MAX_ARRAY_ITEMS = 20;
+const MAX_DEPTH = 4;
+const MAX_PAGE_SIZE = 500;
+
+// Request fields that must never reach the log
+const SENSITIVE_KEY = /pass(word)?|token|secret|recovery|^code$|api_?key|authorization|private_?key/i;
+
+export const AUDIT_OUTCOMES = ['success', 'denied', 'failure', 'error'];
+
+export const outcomeFor = (statusCode) => {
+  if (statusCode < 400) return 'success';
+  if (statusCode === 401 || statusCode === 403) return 'denied';
+  if (statusCode < 500) return 'failure';
+  return 'error';
+};
+
+// Copy of request params with secrets redacted and large values cut down
+export const sanitizeForAudit = (value, depth = 0) => {
+  if (value === null || value === undefined) {
+    return value ?? null;
+  }
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING_LENGTH
+      ? `${value.slice(0, MAX_STRING_LENGTH)}… (${value.length} chars)`
+      : value;
+  }
+  if (typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[…]';
+  }
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ARRAY_ITEMS).map(item => sanitizeForAudit(item, depth + 1));
+    if (value.length > MAX_ARRAY_ITEMS) {
+      items.push(`… (${value.length - MAX_ARRAY_ITEMS} more)`);
+    }
+    return items;
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SENSITIVE_KEY.test(key) ? '[REDACTED]' : sanitizeForAudit(item, depth + 1)
+  ]));
+};
+
+const dayOf = (date) => date.toISOString().split('T')[0];
+
+const csvCell = (value) => {
+  let text = value === null || value === undefined
+    ? ''
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Keep spreadsheets from evaluating logged input as a formula
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = ['timestamp', 'username', 'ip', 'method', 'route', 'url', 'statusCode', 'outcome', 'durationMs', 'authType', 'params', 'query', 'body'];
+
+class AuditLog {
+  constructor() {
+    this.logDir = LOG_DIR;
+    this.queue = Promise.resolve();
+    this.currentDay = null;
+  }
+
+  initialize() {
+    mkdirSync(this.logDir, { recursive: true, mode: 0o700 });
+    this.prune();
+  }
+
+  fileFor(day) {
+    return path.join(this.logDir, `audit-${day}.jsonl`);
+  }
+
+  // Days with a log file, newest first
+  listDays() {
+    if (!existsSync(this.logDir)) {
+      return [];
+    }
+    return readdirSync(this.logDir)
+      .map(name => name.match(FILE_PATTERN)?.[1])
+      .filter(Boolean)
+      .sort()
+      .reverse();
+  }
+
+  // Drop files older than the retention window
+  prune() {
+    const cutoff = dayOf(new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000));
+    for (const day of this.listDays()) {
+      if (day < cutoff) {
+        unlinkSync(this.fileFor(day));
+        console.log(`Removed audit log for ${day} (older than ${RETENTION_DAYS} days)`);
+      }
+    }
+  }
+
+  // Appends are serialized so concurrent requests never interleave lines
+  write(entry) {
+    const day = dayOf(new Date(entry.timestamp));
+    if (day !== this.currentDay) {
+      this.currentDay = day;
+      this.prune();
+    }
+
+    this.queue = this.queue
+      .then(() => appendFile(this.fileFor(day), `${JSON.stringify(entry)}\n`, { mode: 0o600, flag: 'a' }))
+      .catch(error => console.error('Failed to write audit log:', error));
+    return this.queue;
+  }
+
+  record(request, reply) {
+    const statusCode = reply.statusCode;
+    const user = request.user;
+    // Routes whose bodies are file contents (.env values) say what part is safe to keep
+    const auditBody = request.routeOptions?.config?.auditBody;
+
+    return this.write({
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      userId: user?.id ?? null,
+      // Unauthenticated calls such as login still say who they claimed to be
+      username: user?.username ?? (typeof request.body?.username === 'string' ? request.body.username : null),
+      authType: request.accessToken ? 'token' : user ? 'session' : null,
+      ip: request.ip,
+      userAgent: request.headers['user-agent'] || null,
+      method: request.method,
+      route: request.routeOptions?.url || null,
+      url: request.url.split('?')[0],
+      params: sanitizeForAudit(request.params || {}),
+      query: sanitizeForAudit(request.query || {}),
+      body: sanitizeForAudit(auditBody && request.body ? auditBody(request.body) : request.body ?? null),
+      statusCode,
+      outcome: outcomeFor(statusCode),
+      durationMs: Math.round(reply.elapsedTime)
+    });
+  }
+
+  matches(entry, filters) {
+    const { user, method, outcome, route, search, from, to } = filters;
+
+    if (user && !(entry.username || '').toLowerCase().includes(user.toLowerCase())) return false;
+    if (method && entry.method !== method.toUpperCase()) return false;
+    if (outcome && entry.outcome !== outcome) return false;
+    if (route && !(entry.route || entry.url).includes(route)) return false;
+    if (from && entry.timestamp < from) return false;
+    if (to && entry.timestamp > to) return false;
+    if (search && !JSON.stringify(entry).toLowerCase().includes(search.toLowerCase())) return false;
+    return true;
+  }
+
+  // Matching entries, newest first
+  async *entries(filters = {}) {
+    await this.queue;
+
+    const fromDay = filters.from ? filters.from.slice(0, 10) : null;
+    const toDay = filters.to ? filters.to.slice(0, 10) : null;
+
+    for (const day of this.listDays()) {
+      if ((fromDay && day < fromDay) || (toDay && day > toDay)) {
+        continue;
+      }
+
+      const lines = (await readFile(this.fileFor(day), 'utf8')).split('\n').filter(Boolean).reverse();
+      for (const line of lines) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          continue; // a line cut short by a crash
+        }
+        if (this.matches(entry, filters)) {
+          yield entry;
+        }
+      }
+    }
+  }
+
+  async query(filters = {}) {
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 100, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+    const page = [];
+    const outcomes = Object.fromEntries(AUDIT_OUTCOMES.map(outcome => [outcome, 0]));
+    let total = 0;
+
+    for await (const entry of this.entries(filters)) {
+      if (total >= offset && page.length < limit) {
+        page.push(entry);
+      }
+      outcomes[entry.outcome] = (outcomes[entry.outcome] || 0) + 1;
+      total++;
+    }
+
+    return { entries: page, total, limit, offset, outcomes };
+  }
+
+  async export(filters = {}, format = 'jsonl') {
+    const lines = format === 'csv' ? [CSV_COLUMNS.join(',')] : [];
+
+    for await (const entry of this.entries(filters)) {
+      lines.push(format === 'csv'
+        ? CSV_COLUMNS.map(column => csvCell(entry[column])).join(',')
+        : JSON.stringify(entry));
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+export default new AuditLog();
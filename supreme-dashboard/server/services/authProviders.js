@@ -0,0 +1,130 @@
+import { readFileSync, existsSync, mkdirSync } from 'fs';
+import path from 'path';
+import { DATA_DIR } from './users.js';
+import { writeJsonStore } from './jsonStore.js';
+
+const STORE_VERSION = 1;
+
+// Saved settings for each external login provider
+const PROVIDER_DEFAULTS = {
+  oidc: {
+    enabled: false,
+    name: 'Single Sign-On',
+    issuer: '',
+    clientId: '',
+    clientSecret: '',
+    scopes: 'openid profile email',
+    // Leave empty to derive it from the dashboard URL the login started on
+    redirectUri: '',
+    usernameClaim: 'preferred_username',
+    groupsClaim: 'groups',
+    adminGroups: [],
+    developerGroups: [],
+    defaultRole: null
+  },
+  ldap: {
+    enabled: false,
+    name: 'LDAP',
+    url: 'ldap://localhost:389',
+    startTls: false,
+    bindDN: '',
+    bindPassword: '',
+    baseDN: '',
+    userFilter: '(uid={{username}})',
+    usernameAttribute: 'uid',
+    emailAttribute: 'mail',
+    groupAttribute: 'memberOf',
+    adminGroups: [],
+    developerGroups: [],
+    defaultRole: null
+  }
+};
+
+// Never sent back to the browser
+const SECRET_FIELDS = {
+  oidc: ['clientSecret'],
+  ldap: ['bindPassword']
+};
+
+export const PROVIDER_TYPES = Object.keys(PROVIDER_DEFAULTS);
+
+// 'cn=admins,ou=groups,dc=example,dc=com' can be matched as 'admins' too
+const groupNames = (group) => {
+  const lower = String(group).toLowerCase();
+  const cn = lower.match(/^cn=([^,]+)/)?.[1];
+  return cn ? [lower, cn] : [lower];
+};
+
+// Role for a set of directory/IdP groups, or null if none may sign in
+export const mapGroupsToRole = (config, groups = []) => {
+  const names = groups.flatMap(groupNames);
+  const matches = (configured) => configured.some(group => names.includes(group.toLowerCase()));
+
+  if (matches(config.adminGroups)) return 'admin';
+  if (matches(config.developerGroups)) return 'developer';
+  return config.defaultRole || null;
+};
+
+class AuthProviderStore {
+  constructor() {
+    this.filePath = path.join(DATA_DIR, 'auth-providers.json');
+    this.providers = {};
+  }
+
+  initialize() {
+    mkdirSync(DATA_DIR, { recursive: true, mode: 0o700 });
+
+    const saved = existsSync(this.filePath)
+      ? JSON.parse(readFileSync(this.filePath, 'utf8')).providers || {}
+      : {};
+
+    for (const type of PROVIDER_TYPES) {
+      this.providers[type] = { ...PROVIDER_DEFAULTS[type], ...saved[type] };
+    }
+  }
+
+  save() {
+    const data = { version: STORE_VERSION, providers: this.providers };
+    writeJsonStore(this.filePath, data);
+  }
+
+  get(type) {
+    return this.providers[type] || null;
+  }
+
+  listEnabled() {
+    return PROVIDER_TYPES
+      .filter(type => this.providers[type].enabled)
+      .map(type => ({ type, name: this.providers[type].name }));
+  }
+
+  // Saved config with changes applied; an empty secret keeps the saved one
+  merge(type, changes = {}) {
+    const merged = { ...this.providers[type] };
+
+    for (const key of Object.keys(PROVIDER_DEFAULTS[type])) {
+      if (changes[key] === undefined) continue;
+      if (SECRET_FIELDS[type].includes(key) && changes[key] === '') continue;
+      merged[key] = changes[key] === null && SECRET_FIELDS[type].includes(key) ? '' : changes[key];
+    }
+    return merged;
+  }
+
+  update(type, changes) {
+    this.providers[type] = this.merge(type, changes);
+    this.save();
+    return this.providers[type];
+  }
+
+  // Config as shown in Settings: secrets are replaced by whether one is set
+  toPublic(type) {
+    const config = { ...this.providers[type] };
+    for (const field of SECRET_FIELDS[type]) {
+      config[`${field}Set`] = Boolean(config[field]);
+      config[field] = '';
+    }
+    return config;
+  }
+}
+
+export default new AuthProviderStore();
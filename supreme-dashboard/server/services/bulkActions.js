@@ -0,0 +1,111 @@
+import { spawn } from 'child_process';
+import jobRunner from './jobs.js';
+
+export const MAX_BULK_PROJECTS = 100;
+
+// What each action needs on top of access to every project in the batch, and how long
+// one project may take; the job's timeout is that times the size of the batch
+export const BULK_ACTIONS = {
+  start: { permission: 'write', verb: 'Start', minutes: 2 },
+  stop: { permission: 'write', verb: 'Stop', minutes: 2 },
+  tag: { permission: 'read', verb: 'Tag', minutes: 1 },
+  archive: { permission: 'delete', verb: 'Archive', minutes: 10 },
+  delete: { permission: 'delete', verb: 'Delete', minutes: 5 }
+};
+
+const ANSI_PATTERN = /\x1b\[[0-9;]*[A-Za-z]/g;
+
+// Run a CLI command inside a bulk task, passing its output to the job log; rejects with
+// the command's last line of output, which is where the CLI says what went wrong. The
+// child is the job's while it runs, so cancelling the job stops it.
+export const runCommand = (job, command, args, log) => new Promise((resolve, reject) => {
+  log(`$ ${[command, ...args].join(' ')}`);
+  // Own process group, like the runner's command steps, so the CLI's subprocesses stop too
+  const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'], detached: true });
+  jobRunner.track(job, child);
+  let last = '';
+  let partial = '';
+  const onData = (chunk) => {
+    const lines = (partial + chunk).split('\n');
+    partial = lines.pop();
+    for (const line of lines.map(item => item.replace(/\r/g, '')).filter(Boolean)) {
+      log(line);
+      last = line;
+    }
+  };
+  for (const stream of ['stdout', 'stderr']) {
+    child[stream].setEncoding('utf8');
+    child[stream].on('data', onData);
+  }
+  child.on('error', error => reject(new Error(error.code === 'ENOENT' ? `${command}: command not found` : error.message)));
+  child.on('close', (code) => {
+    if (partial) {
+      log(partial);
+      last = partial;
+    }
+    if (code === 0) {
+      resolve();
+    } else {
+      reject(new Error(last.replace(ANSI_PATTERN, '').trim() || `Exited with code ${code}`));
+    }
+  });
+});
+
+// One job for a batch of projects. Each project is its own step, and one failing does not
+// stop the rest; meta.results holds { status, error } per project as the job goes, and the
+// job fails at the end, naming the projects that did, if any of them did. Once the job is
+// cancelled or timed out, the project it was on is cancelled and its result stays that way.
+// run(name, log, job) does the work for one project and throws to fail it.
+export const startBulkJob = ({ action, projects, options = {}, user, run }) => {
+  const results = Object.fromEntries(projects.map(name => [name, { status: 'pending', error: null }]));
+  const count = `${projects.length} project${projects.length === 1 ? '' : 's'}`;
+
+  const steps = projects.map(name => ({
+    label: name,
+    task: async (log) => {
+      results[name].status = 'running';
+      try {
+        await run(name, log, job);
+      } catch (error) {
+        if (job.status === 'running') {
+          results[name] = { status: 'failed', error: error.message };
+          log(`✗ ${name}: ${error.message}`);
+        }
+        return;
+      }
+      if (job.status === 'running') {
+        results[name].status = 'succeeded';
+        log(`✓ ${name}`);
+      }
+    }
+  }));
+  steps.push({
+    task: async (log) => {
+      const failed = projects.filter(name => results[name].status === 'failed');
+      log(`${projects.length - failed.length} of ${count} done`);
+      if (failed.length > 0) {
+        throw new Error(`${failed.length} of ${count} failed: ${failed.join(', ')}`);
+      }
+    }
+  });
+
+  const job = jobRunner.start({
+    type: 'project.bulk',
+    title: `${BULK_ACTIONS[action].verb} ${count}`,
+    steps,
+    user,
+    meta: { action, options, projects, results },
+    timeoutMs: BULK_ACTIONS[action].minutes * 60 * 1000 * projects.length
+  });
+
+  // A cancelled job stops the project it was on and leaves the rest of the batch untouched
+  jobRunner.once(`done:${job.id}`, () => {
+    for (const result of Object.values(results)) {
+      if (result.status === 'pending' || result.status === 'running') {
+        result.status = 'cancelled';
+      }
+    }
+  });
+
+  return job;
+};
@@ -0,0 +1,369 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { pipeline } from 'stream/promises';
+import { Transform } from 'stream';
+import {
+  existsSync, readFileSync, writeFileSync, readdirSync, mkdirSync, mkdtempSync, copyFileSync,
+  renameSync, rmSync, statSync, createWriteStream
+} from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import jobRunner from './jobs.js';
+import { detectFramework } from './frameworks.js';
+import { readVhostInfo } from './projects.js';
+
+const execFileAsync = promisify(execFile);
+
+// Exported and uploaded bundles, each a .supreme.tgz with a .json next to it describing it
+export const BUNDLE_DIR = process.env.SUPREME_BUNDLE_DIR || path.join(os.homedir(), '.supreme', 'bundles');
+export const MANIFEST_FILE = 'supreme-bundle.json';
+export const BUNDLE_ID_PATTERN = /^[a-zA-Z0-9_-]{1,100}$/;
+export const MAX_UPLOAD_BYTES = (parseInt(process.env.SUPREME_BUNDLE_MAX_MB, 10) || 2048) * 1024 * 1024;
+
+const FORMAT = 'supreme-bundle';
+const FORMAT_VERSION = 1;
+const NAME_PATTERN = /^[a-zA-Z0-9_-]{2,64}$/;
+const DATABASE_PATTERN = /^[a-zA-Z0-9_]{1,64}$/;
+const TAR_TIMEOUT_MS = 10 * 60 * 1000;
+const GIT_TIMEOUT_MS = 60000;
+const BUNDLE_TIMEOUT_MS = 60 * 60 * 1000;
+
+const bundleError = (message, code) => Object.assign(new Error(message), { code });
+
+const bundlePath = (id) => path.join(BUNDLE_DIR, `${id}.supreme.tgz`);
+const infoPath = (id) => path.join(BUNDLE_DIR, `${id}.json`);
+
+// <project>-20250101-120000, with a counter if two land in the same second
+const newBundleId = (project, date = new Date()) => {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  let id = `${project}-${stamp}`;
+  for (let n = 2; existsSync(bundlePath(id)) || existsSync(`${bundlePath(id)}.partial`); n++) {
+    id = `${project}-${stamp}-${n}`;
+  }
+  return id;
+};
+
+const describeBundle = (id, info) => ({
+  id,
+  project: info.manifest.project,
+  origin: info.origin,
+  createdAt: info.createdAt,
+  createdBy: info.createdBy,
+  size: info.size,
+  exportedAt: info.manifest.exportedAt,
+  exportedBy: info.manifest.exportedBy,
+  exportedFrom: info.manifest.exportedFrom,
+  framework: info.manifest.framework,
+  respectGitignore: info.manifest.files.respectGitignore,
+  databases: info.manifest.databases.map(database => database.name),
+  vhost: info.manifest.vhost
+});
+
+// What clients see of a bundle; the manifest and archive path stay on the server
+export const toPublicBundle = ({ path: file, manifest, ...bundle }) => bundle;
+
+export const listBundles = () => {
+  if (!existsSync(BUNDLE_DIR)) {
+    return [];
+  }
+  return readdirSync(BUNDLE_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => getBundle(file.slice(0, -'.json'.length)))
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+// The bundle's description plus where its archive is; null for unknown or half-written bundles
+export const getBundle = (id) => {
+  if (!BUNDLE_ID_PATTERN.test(id) || !existsSync(bundlePath(id))) {
+    return null;
+  }
+  try {
+    const info = JSON.parse(readFileSync(infoPath(id), 'utf8'));
+    return { ...describeBundle(id, info), path: bundlePath(id), manifest: info.manifest };
+  } catch (error) {
+    return null;
+  }
+};
+
+export const removeBundle = (id) => {
+  if (!getBundle(id)) {
+    return false;
+  }
+  rmSync(bundlePath(id), { force: true });
+  rmSync(infoPath(id), { force: true });
+  return true;
+};
+
+const saveInfo = (id, info) => {
+  writeFileSync(infoPath(id), JSON.stringify(info, null, 2), { mode: 0o600 });
+};
+
+// Problems with a manifest read from an uploaded archive, checked against the archive's entries
+const checkManifest = (manifest, entries) => {
+  if (manifest?.format !== FORMAT || manifest.version !== FORMAT_VERSION) {
+    return `Not a Supreme bundle (expected ${FORMAT} version ${FORMAT_VERSION})`;
+  }
+  if (!NAME_PATTERN.test(manifest.project) || !NAME_PATTERN.test(manifest.files?.folder)) {
+    return 'The manifest has no valid project name';
+  }
+  if (!Array.isArray(manifest.databases) || manifest.databases.some(database =>
+    !DATABASE_PATTERN.test(database?.name) || !/^databases\/[^/]+\.sql$/.test(database.file) || !entries.includes(database.file))) {
+    return 'The manifest lists databases that are not in the bundle';
+  }
+  if (!entries.some(entry => entry === manifest.files.folder || entry.startsWith(`${manifest.files.folder}/`))) {
+    return 'The bundle has no project files';
+  }
+  return null;
+};
+
+// Only the manifest, the project folder, database dumps and the vhost file may be in a bundle,
+// so unpacking it can never write anywhere else
+const unsafeEntry = (entries, folder) => entries.find(entry =>
+  path.isAbsolute(entry) ||
+  entry.split('/').includes('..') ||
+  !(entry === MANIFEST_FILE || ['databases', 'vhost', folder].some(dir => entry === dir || entry.startsWith(`${dir}/`))));
+
+const inspectArchive = async (file) => {
+  let entries;
+  let manifest;
+  try {
+    const { stdout } = await execFileAsync('tar', ['-tzf', file], { timeout: TAR_TIMEOUT_MS, maxBuffer: 256 * 1024 * 1024 });
+    entries = stdout.split('\n').filter(Boolean).map(entry => entry.replace(/^\.\//, ''));
+    const { stdout: content } = await execFileAsync('tar', ['-xzOf', file, MANIFEST_FILE], { timeout: TAR_TIMEOUT_MS, maxBuffer: 1024 * 1024 });
+    manifest = JSON.parse(content);
+  } catch (error) {
+    throw bundleError(`Not a readable bundle: no ${MANIFEST_FILE} in a .tar.gz`, 'INVALID_BUNDLE');
+  }
+
+  const problem = checkManifest(manifest, entries);
+  if (problem) {
+    throw bundleError(problem, 'INVALID_BUNDLE');
+  }
+  const unsafe = unsafeEntry(entries, manifest.files.folder);
+  if (unsafe) {
+    throw bundleError(`The bundle contains an unexpected entry: ${unsafe}`, 'INVALID_BUNDLE');
+  }
+  return manifest;
+};
+
+// Save an uploaded archive once it checks out as a bundle
+export const receiveBundle = async (stream, user) => {
+  mkdirSync(BUNDLE_DIR, { recursive: true, mode: 0o700 });
+  const temp = path.join(BUNDLE_DIR, `.upload-${crypto.randomBytes(6).toString('hex')}.partial`);
+  let size = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      callback(size > MAX_UPLOAD_BYTES
+        ? bundleError(`Bundles can be at most ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`, 'BUNDLE_TOO_LARGE')
+        : null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(stream, limit, createWriteStream(temp, { mode: 0o600 }));
+    const manifest = await inspectArchive(temp);
+    const id = newBundleId(manifest.project);
+    renameSync(temp, bundlePath(id));
+    saveInfo(id, { origin: 'upload', createdAt: new Date().toISOString(), createdBy: user?.username ?? null, size, manifest });
+    return getBundle(id);
+  } finally {
+    rmSync(temp, { force: true });
+  }
+};
+
+// Paths under the project folder that git would not ignore, and .git itself. Folders that are
+// not repositories are listed against a throwaway one so their .gitignore still applies.
+const listUnignoredFiles = async (projectPath) => {
+  const isRepository = existsSync(path.join(projectPath, '.git'));
+  const scratch = isRepository ? null : mkdtempSync(path.join(os.tmpdir(), 'supreme-gitdir-'));
+  try {
+    const args = isRepository
+      ? ['ls-files', '-z', '--cached', '--others', '--exclude-standard']
+      : ['--git-dir', scratch, '--work-tree', projectPath, 'ls-files', '-z', '--others', '--exclude-standard'];
+    if (scratch) {
+      await execFileAsync('git', ['init', '--quiet', '--bare', scratch], { timeout: GIT_TIMEOUT_MS });
+    }
+    const { stdout } = await execFileAsync('git', args, { cwd: projectPath, timeout: GIT_TIMEOUT_MS, maxBuffer: 256 * 1024 * 1024 });
+    // Tracked files deleted from the working tree are still listed
+    const files = stdout.split('\0').filter(file => file && existsSync(path.join(projectPath, file)));
+    return isRepository ? ['.git', ...files] : files;
+  } finally {
+    if (scratch) {
+      rmSync(scratch, { recursive: true, force: true });
+    }
+  }
+};
+
+// Archive a project: its folder (optionally without what .gitignore excludes), dumps of the
+// chosen databases, its vhost file and a manifest. Runs as a job; the bundle is listed once it ends.
+export const exportProject = ({ name, htdocsRoot, respectGitignore, databases, user }) => {
+  const projectPath = path.join(htdocsRoot, name);
+  const id = newBundleId(name);
+  const partial = `${bundlePath(id)}.partial`;
+  const staging = mkdtempSync(path.join(os.tmpdir(), 'supreme-bundle-'));
+  const listFile = path.join(staging, 'files.list');
+  const vhost = readVhostInfo(name);
+  mkdirSync(path.join(staging, 'databases'));
+  mkdirSync(BUNDLE_DIR, { recursive: true, mode: 0o700 });
+
+  let manifest = null;
+  const dumpDir = path.join(staging, 'databases');
+  const steps = databases.flatMap(database => [{
+    label: `Dump database ${database}`,
+    command: 'supreme',
+    args: ['db', 'export', database],
+    cwd: dumpDir
+  }, {
+    // `supreme db export` names each dump <database>_<timestamp>.sql; a bundle must not
+    // be written around a dump that is missing or empty
+    task: () => {
+      const dump = readdirSync(dumpDir).find(file => new RegExp(`^${database}_\\d{8}_\\d{6}\\.sql$`).test(file));
+      if (!dump || statSync(path.join(dumpDir, dump)).size === 0) {
+        throw new Error(`No dump of ${database} was written`);
+      }
+      renameSync(path.join(dumpDir, dump), path.join(dumpDir, `${database}.sql`));
+    }
+  }]);
+
+  steps.push({
+    label: 'Write manifest',
+    task: async (log) => {
+      const databaseFiles = databases.map(database => ({ name: database, file: `databases/${database}.sql` }));
+
+      if (vhost) {
+        mkdirSync(path.join(staging, 'vhost'));
+        copyFileSync(vhost.file, path.join(staging, 'vhost', `${name}.conf`));
+      }
+
+      let fileCount = null;
+      if (respectGitignore) {
+        const files = await listUnignoredFiles(projectPath);
+        writeFileSync(listFile, files.map(file => `${name}/${file}\0`).join(''));
+        fileCount = files.length;
+        log(`${files.length} files and folders not excluded by .gitignore`);
+      }
+
+      const framework = detectFramework(projectPath);
+      manifest = {
+        format: FORMAT,
+        version: FORMAT_VERSION,
+        project: name,
+        exportedAt: new Date().toISOString(),
+        exportedBy: user?.username ?? null,
+        exportedFrom: os.hostname(),
+        framework: { id: framework.id, name: framework.name, version: framework.version },
+        files: { folder: name, respectGitignore, count: fileCount },
+        databases: databaseFiles,
+        vhost: vhost
+          ? { serverName: vhost.serverName, https: vhost.https, file: `vhost/${name}.conf` }
+          : null
+      };
+      writeFileSync(path.join(staging, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+    }
+  });
+
+  // The manifest goes first so it can be read without unpacking everything else
+  steps.push({
+    label: 'Create archive',
+    command: 'tar',
+    args: [
+      '-czf', partial,
+      '-C', staging, MANIFEST_FILE, 'databases', ...(vhost ? ['vhost'] : []),
+      '-C', htdocsRoot, ...(respectGitignore ? ['--null', '-T', listFile] : [name])
+    ],
+    display: `tar -czf ${bundlePath(id)} ${name}`
+  });
+
+  steps.push({
+    label: 'Save bundle',
+    task: (log) => {
+      renameSync(partial, bundlePath(id));
+      const size = statSync(bundlePath(id)).size;
+      saveInfo(id, { origin: 'export', createdAt: new Date().toISOString(), createdBy: user?.username ?? null, size, manifest });
+      log(`Saved ${bundlePath(id)} (${(size / 1024 / 1024).toFixed(1)} MB)`);
+    }
+  });
+
+  const job = jobRunner.start({
+    type: 'project.export',
+    title: `Export project ${name}`,
+    steps,
+    user,
+    meta: { project: name, bundle: id },
+    timeoutMs: BUNDLE_TIMEOUT_MS
+  });
+  const unsubscribe = jobRunner.subscribe(job.id, {
+    onLine: () => {},
+    onDone: () => {
+      unsubscribe();
+      rmSync(staging, { recursive: true, force: true });
+      rmSync(partial, { force: true });
+    }
+  });
+  return job;
+};
+
+// Recreate a bundled project here: unpack its folder under the new name, create and load its
+// databases, then add the vhost and hosts entry with `supreme link` like a cloned project
+export const importBundle = ({ bundle, name, htdocsRoot, tld, https, databases, user }) => {
+  const projectPath = path.join(htdocsRoot, name);
+  const staging = mkdtempSync(path.join(os.tmpdir(), 'supreme-import-'));
+  const restored = databases ? bundle.manifest.databases : [];
+  const { folder } = bundle.manifest.files;
+
+  const steps = [{
+    label: 'Unpack bundle',
+    task: async (log) => {
+      mkdirSync(projectPath);
+      try {
+        // The bundled folder's contents go straight into the project folder, whatever it was called
+        await execFileAsync('tar', ['-xzf', bundle.path, '-C', projectPath, '--strip-components=1', folder], { timeout: TAR_TIMEOUT_MS });
+      } catch (error) {
+        rmSync(projectPath, { recursive: true, force: true });
+        throw error;
+      }
+      log(`Unpacked ${folder} into ${projectPath}`);
+      if (restored.length > 0) {
+        await execFileAsync('tar', ['-xzf', bundle.path, '-C', staging, ...restored.map(database => database.file)], { timeout: TAR_TIMEOUT_MS });
+      }
+    }
+  }];
+
+  for (const database of restored) {
+    steps.push(
+      { label: `Create database ${database.name}`, command: 'supreme', args: ['db', 'create', database.name] },
+      { label: `Import database ${database.name}`, command: 'supreme', args: ['db', 'import', database.name, path.join(staging, database.file)] }
+    );
+  }
+
+  steps.push({
+    label: 'Create virtual host and hosts entry',
+    command: 'supreme',
+    args: ['link', name, '--tld', tld, https ? '--https' : '--http', '--yes']
+  });
+
+  const job = jobRunner.start({
+    type: 'project.import',
+    title: `Import ${bundle.id} as ${name}`,
+    steps,
+    user,
+    meta: {
+      project: name,
+      bundle: bundle.id,
+      databases: restored.map(database => database.name),
+      url: `${https ? 'https' : 'http'}://${name}.${tld}`
+    },
+    timeoutMs: BUNDLE_TIMEOUT_MS
+  });
+  const unsubscribe = jobRunner.subscribe(job.id, {
+    onLine: () => {},
+    onDone: () => {
+      unsubscribe();
+      rmSync(staging, { recursive: true, force: true });
+    }
+  });
+  return job;
+};
@@ -0,0 +1,401 @@
+import { readFileSync, existsSync, mkdirSync, statSync, readdirSync, mkdtempSync, rmSync } from 'fs';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import path from 'path';
+import os from 'os';
+import { DATA_DIR } from './users.js';
+import { writeJsonStore } from './jsonStore.js';
+
+const execFileAsync = promisify(execFile);
+
+const STORE_VERSION = 1;
+
+export const SEVERITIES = ['critical', 'high', 'medium', 'low', 'unknown'];
+
+// Lock files and manifests read, with the OSV ecosystem their packages belong to
+export const AUDITED_FILES = {
+  'package-lock.json': 'npm',
+  'composer.lock': 'Packagist',
+  'requirements.txt': 'PyPI'
+};
+
+const ECOSYSTEMS = [...new Set(Object.values(AUDITED_FILES))];
+
+// GitHub advisories in OSV format carry their rating here; MODERATE is GitHub's word for medium
+const SEVERITY_NAMES = { CRITICAL: 'critical', HIGH: 'high', MODERATE: 'medium', MEDIUM: 'medium', LOW: 'low' };
+
+// Package names compare the way each registry does: PyPI ignores case and treats -, _ and . alike
+export const normalizePackageName = (ecosystem, name) => {
+  if (ecosystem === 'PyPI') return name.toLowerCase().replace(/[-_.]+/g, '-');
+  if (ecosystem === 'Packagist') return name.toLowerCase();
+  return name;
+};
+
+const PRERELEASE_ORDER = { dev: 0, alpha: 1, a: 1, beta: 2, b: 2, pre: 3, preview: 3, rc: 3, c: 3 };
+
+// "1.10.0-beta.2" => [[1, 10, 0], [2, 2]]: the release numbers, then the pre-release tag (if any)
+// as its rank and number. Close enough to semver, Composer and PEP 440 for range checks.
+const parseVersion = (version) => {
+  const clean = String(version).trim().toLowerCase().replace(/^v/, '').replace(/\+.*$/, '');
+  const match = clean.match(/^(\d+(?:\.\d+)*)(.*)$/);
+  if (!match) {
+    return null;
+  }
+  const release = match[1].split('.').map(Number);
+  const tag = match[2].replace(/^[-_.]/, '');
+  if (!tag || /^post\d*|^p\d+$/.test(tag)) {
+    return { release, pre: null };
+  }
+  const pre = tag.match(/^([a-z]+)[-_.]?(\d*)/);
+  return { release, pre: pre ? [PRERELEASE_ORDER[pre[1]] ?? 1, Number(pre[2] || 0)] : [1, 0] };
+};
+
+export const compareVersions = (a, b) => {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  if (!left || !right) {
+    return String(a).localeCompare(String(b));
+  }
+  for (let i = 0; i < Math.max(left.release.length, right.release.length); i++) {
+    const diff = (left.release[i] || 0) - (right.release[i] || 0);
+    if (diff !== 0) return Math.sign(diff);
+  }
+  // A release sorts after its own pre-releases
+  if (!left.pre || !right.pre) {
+    return (left.pre ? -1 : 0) + (right.pre ? 1 : 0);
+  }
+  return Math.sign(left.pre[0] - right.pre[0]) || Math.sign(left.pre[1] - right.pre[1]);
+};
+
+// OSV range events in version order: introduced turns "affected" on, fixed turns it off
+// from that version, last_affected turns it off after that version
+export const isAffected = (version, advisory) => {
+  if (advisory.versions.includes(version)) {
+    return true;
+  }
+  return advisory.ranges.some(events => {
+    let affected = false;
+    for (const event of events) {
+      const [type, at] = Object.entries(event)[0];
+      const cmp = at === '0' ? 1 : compareVersions(version, at);
+      if (type === 'introduced' && cmp >= 0) affected = true;
+      if (type === 'fixed' && cmp >= 0) affected = false;
+      if (type === 'last_affected' && cmp > 0) affected = false;
+    }
+    return affected;
+  });
+};
+
+const severityOf = (record, affected) => {
+  const rating = affected.database_specific?.severity || record.database_specific?.severity;
+  return SEVERITY_NAMES[String(rating).toUpperCase()] || 'unknown';
+};
+
+// One OSV record as the compact entries kept per package
+const fromOsv = (record) => {
+  const entries = [];
+  for (const affected of record.affected || []) {
+    const ecosystem = affected.package?.ecosystem;
+    if (!ECOSYSTEMS.includes(ecosystem) || !affected.package.name) {
+      continue;
+    }
+    const ranges = (affected.ranges || [])
+      .filter(range => range.type === 'SEMVER' || range.type === 'ECOSYSTEM')
+      .map(range => [...range.events].sort((a, b) =>
+        (Object.values(a)[0] === '0' ? -1 : Object.values(b)[0] === '0' ? 1 : compareVersions(Object.values(a)[0], Object.values(b)[0]))));
+    entries.push({
+      ecosystem,
+      name: normalizePackageName(ecosystem, affected.package.name),
+      advisory: {
+        id: record.id,
+        aliases: record.aliases || [],
+        summary: record.summary || record.details?.split('\n')[0]?.slice(0, 200) || '',
+        severity: severityOf(record, affected),
+        url: record.references?.find(ref => ref.type === 'ADVISORY')?.url || record.references?.[0]?.url || null,
+        versions: affected.versions || [],
+        ranges,
+        fixed: ranges.flat().map(event => event.fixed).filter(Boolean)
+      }
+    });
+  }
+  return entries;
+};
+
+// Advisory files: a JSON array or single record, JSON lines, or a folder (or .zip, such
+// as OSV's per-ecosystem all.zip) of one record per file
+const readRecords = async (source, onRecord) => {
+  const stats = statSync(source);
+  if (stats.isDirectory()) {
+    for (const entry of readdirSync(source, { withFileTypes: true })) {
+      if (entry.isDirectory() || /\.jsonl?$/.test(entry.name)) {
+        await readRecords(path.join(source, entry.name), onRecord);
+      }
+    }
+    return;
+  }
+  if (source.endsWith('.zip')) {
+    const dir = mkdtempSync(path.join(os.tmpdir(), 'supreme-advisories-'));
+    try {
+      await execFileAsync('unzip', ['-q', '-o', source, '-d', dir], { timeout: 10 * 60 * 1000 });
+      await readRecords(dir, onRecord);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+    return;
+  }
+  const text = readFileSync(source, 'utf8').trim();
+  if (text.startsWith('[')) {
+    JSON.parse(text).forEach(onRecord);
+  } else if (source.endsWith('.jsonl')) {
+    text.split('\n').filter(line => line.trim()).forEach(line => onRecord(JSON.parse(line)));
+  } else {
+    onRecord(JSON.parse(text));
+  }
+};
+
+// Installed packages from a lock file, as [{ name, version, dev }]
+const readPackageLock = (file) => {
+  const lock = JSON.parse(readFileSync(file, 'utf8'));
+  if (lock.packages) {
+    return Object.entries(lock.packages)
+      .filter(([key, info]) => key.includes('node_modules/') && info.version && !info.link)
+      .map(([key, info]) => ({
+        name: info.name || key.slice(key.lastIndexOf('node_modules/') + 'node_modules/'.length),
+        version: info.version,
+        dev: Boolean(info.dev)
+      }));
+  }
+  // lockfileVersion 1 nests dependencies of dependencies
+  const walk = (dependencies = {}) => Object.entries(dependencies).flatMap(([name, info]) => [
+    ...(info.version ? [{ name, version: info.version, dev: Boolean(info.dev) }] : []),
+    ...walk(info.dependencies)
+  ]);
+  return walk(lock.dependencies);
+};
+
+const readComposerLock = (file) => {
+  const lock = JSON.parse(readFileSync(file, 'utf8'));
+  return [
+    ...(lock.packages || []).map(pkg => ({ name: pkg.name, version: pkg.version, dev: false })),
+    ...(lock['packages-dev'] || []).map(pkg => ({ name: pkg.name, version: pkg.version, dev: true }))
+  ].filter(pkg => pkg.name && pkg.version && !pkg.version.startsWith('dev-'));
+};
+
+// Only `name==version` pins can be checked; anything looser is reported as unpinned
+const readRequirements = (file) => {
+  const packages = [];
+  const unpinned = [];
+  for (const raw of readFileSync(file, 'utf8').split('\n')) {
+    const line = raw.replace(/\s+#.*$/, '').split(';')[0].trim();
+    if (!line || line.startsWith('#') || line.startsWith('-')) {
+      continue;
+    }
+    const pinned = line.match(/^([A-Za-z0-9][A-Za-z0-9._-]*)(?:\[[^\]]*\])?\s*===?\s*([^\s,]+)$/);
+    if (pinned) {
+      packages.push({ name: pinned[1], version: pinned[2], dev: false });
+    } else {
+      const name = line.match(/^([A-Za-z0-9][A-Za-z0-9._-]*)/);
+      if (name) unpinned.push(name[1]);
+    }
+  }
+  return { packages, unpinned };
+};
+
+const READERS = {
+  'package-lock.json': (file) => ({ packages: readPackageLock(file), unpinned: [] }),
+  'composer.lock': (file) => ({ packages: readComposerLock(file), unpinned: [] }),
+  'requirements.txt': readRequirements
+};
+
+const emptyCounts = () => Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+
+// Advisories imported from an offline database, and the latest audit of each project.
+// A project is only re-read when one of its lock files changed or a new database was imported.
+class DependencyAuditor {
+  constructor() {
+    this.databasePath = path.join(DATA_DIR, 'advisories.json');
+    this.resultsPath = path.join(DATA_DIR, 'dependency-audit.json');
+    this.database = null;
+    this.results = {};
+  }
+
+  initialize() {
+    mkdirSync(DATA_DIR, { recursive: true, mode: 0o700 });
+    if (existsSync(this.databasePath)) {
+      this.database = JSON.parse(readFileSync(this.databasePath, 'utf8'));
+    }
+    if (existsSync(this.resultsPath)) {
+      this.results = JSON.parse(readFileSync(this.resultsPath, 'utf8')).projects || {};
+    }
+  }
+
+  saveResults() {
+    writeJsonStore(this.resultsPath, { version: STORE_VERSION, projects: this.results }, { indent: 0 });
+  }
+
+  databaseInfo() {
+    if (!this.database) {
+      return null;
+    }
+    const { source, importedAt, advisories, packages } = this.database;
+    return { source, importedAt, advisories, packages };
+  }
+
+  // Replace the advisory database with the OSV records found at `source`
+  async importDatabase(source) {
+    const packages = Object.fromEntries(ECOSYSTEMS.map(ecosystem => [ecosystem, {}]));
+    const ids = new Set();
+    const counts = Object.fromEntries(ECOSYSTEMS.map(ecosystem => [ecosystem, 0]));
+
+    await readRecords(source, (record) => {
+      if (!record || typeof record !== 'object' || !record.id) {
+        throw new Error('Not an OSV advisory file: records need an "id" and "affected" packages');
+      }
+      if (record.withdrawn) {
+        return;
+      }
+      for (const { ecosystem, name, advisory } of fromOsv(record)) {
+        (packages[ecosystem][name] ||= []).push(advisory);
+        ids.add(record.id);
+        counts[ecosystem]++;
+      }
+    });
+
+    if (ids.size === 0) {
+      throw new Error(`No npm, Packagist or PyPI advisories found in ${source}`);
+    }
+
+    this.database = {
+      version: STORE_VERSION,
+      source,
+      importedAt: new Date().toISOString(),
+      advisories: ids.size,
+      packages: counts,
+      index: packages
+    };
+    writeJsonStore(this.databasePath, this.database, { indent: 0 });
+    // Every cached result was made against the old database
+    this.results = {};
+    this.saveResults();
+    return this.databaseInfo();
+  }
+
+  // Lock files in the project folder and when they last changed, to tell if a result is stale
+  manifestsOf(projectPath) {
+    return Object.keys(AUDITED_FILES)
+      .filter(file => existsSync(path.join(projectPath, file)))
+      .map(file => ({ file, mtime: statSync(path.join(projectPath, file)).mtimeMs }));
+  }
+
+  isFresh(result, manifests) {
+    return result &&
+      result.databaseImportedAt === (this.database?.importedAt || null) &&
+      JSON.stringify(result.manifestTimes) === JSON.stringify(manifests.map(({ file, mtime }) => [file, mtime]));
+  }
+
+  audit(name, projectPath, { force = false, save = true } = {}) {
+    const manifestFiles = this.manifestsOf(projectPath);
+    const cached = this.results[name];
+    if (!force && this.isFresh(cached, manifestFiles)) {
+      return cached;
+    }
+
+    const manifests = [];
+    const findings = [];
+    const counts = emptyCounts();
+
+    for (const { file } of manifestFiles) {
+      const ecosystem = AUDITED_FILES[file];
+      try {
+        const { packages, unpinned } = READERS[file](path.join(projectPath, file));
+        manifests.push({ file, ecosystem, packages: packages.length, unpinned });
+
+        for (const pkg of packages) {
+          const advisories = this.database?.index[ecosystem][normalizePackageName(ecosystem, pkg.name)] || [];
+          for (const advisory of advisories) {
+            if (!isAffected(pkg.version, advisory)) {
+              continue;
+            }
+            const fixedIn = advisory.fixed.filter(version => compareVersions(version, pkg.version) > 0)
+              .sort(compareVersions)[0] || null;
+            findings.push({
+              package: pkg.name,
+              version: pkg.version,
+              ecosystem,
+              manifest: file,
+              dev: pkg.dev,
+              id: advisory.id,
+              aliases: advisory.aliases,
+              summary: advisory.summary,
+              severity: advisory.severity,
+              url: advisory.url,
+              fixedIn
+            });
+            counts[advisory.severity]++;
+          }
+        }
+      } catch (error) {
+        manifests.push({ file, ecosystem, packages: 0, unpinned: [], error: `Could not read ${file}: ${error.message}` });
+      }
+    }
+
+    findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || a.package.localeCompare(b.package));
+    const result = {
+      scannedAt: new Date().toISOString(),
+      databaseImportedAt: this.database?.importedAt || null,
+      manifestTimes: manifestFiles.map(({ file, mtime }) => [file, mtime]),
+      manifests,
+      counts,
+      total: findings.length,
+      findings
+    };
+    this.results[name] = result;
+    if (save) {
+      this.saveResults();
+    }
+    return result;
+  }
+
+  // Severity counts for each project, and each advisory with the projects it affects
+  report(projects, { force = false } = {}) {
+    const totals = emptyCounts();
+    const summaries = {};
+    const advisories = {};
+    for (const { name, path: projectPath } of projects) {
+      const { scannedAt, counts, total, manifests, findings } = this.audit(name, projectPath, { force, save: false });
+      summaries[name] = { scannedAt, counts, total, manifests: manifests.map(manifest => manifest.file) };
+      for (const finding of findings) {
+        const key = `${finding.id}:${finding.ecosystem}:${finding.package}`;
+        advisories[key] ||= {
+          id: finding.id,
+          aliases: finding.aliases,
+          summary: finding.summary,
+          severity: finding.severity,
+          url: finding.url,
+          package: finding.package,
+          ecosystem: finding.ecosystem,
+          projects: []
+        };
+        advisories[key].projects.push({ name, version: finding.version, fixedIn: finding.fixedIn, dev: finding.dev });
+        totals[finding.severity]++;
+      }
+    }
+    this.saveResults();
+    return {
+      database: this.databaseInfo(),
+      totals,
+      projects: summaries,
+      advisories: Object.values(advisories).sort((a, b) =>
+        SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || b.projects.length - a.projects.length)
+    };
+  }
+
+  forget(name) {
+    if (this.results[name]) {
+      delete this.results[name];
+      this.saveResults();
+    }
+  }
+}
+
+export default new DependencyAuditor();
@@ -0,0 +1,308 @@
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { readFileSync, existsSync, mkdirSync } from 'fs';
+import net from 'net';
+import path from 'path';
+import { DATA_DIR } from './users.js';
+import { writeJsonStore } from './jsonStore.js';
+import { LineBuffer } from './lineBuffer.js';
+import { resolveDevCommand, formatCommand } from './frameworks.js';
+
+const STORE_VERSION = 1;
+const MAX_LINES = 2000;
+const STOP_TIMEOUT_MS = 5000;
+// Give up after this many crashes in a row, each followed by a longer pause
+const MAX_RESTARTS = 5;
+const MAX_BACKOFF_MS = 30 * 1000;
+// A run at least this long counts as healthy and resets the crash count
+const STABLE_RUN_MS = 60 * 1000;
+
+const parsePortRange = (value) => {
+  const [min, max] = String(value).split('-').map(part => parseInt(part, 10));
+  return min > 0 && max >= min && max < 65536 ? { min, max } : { min: 3100, max: 3999 };
+};
+
+export const PORT_RANGE = parsePortRange(process.env.SUPREME_DEV_PORTS || '3100-3999');
+
+const isPortFree = (port) => new Promise(resolve => {
+  const server = net.createServer();
+  server.once('error', () => resolve(false));
+  server.once('listening', () => server.close(() => resolve(true)));
+  server.listen(port, '127.0.0.1');
+});
+
+export const toPublicServer = (server) => ({
+  project: server.project,
+  status: server.status,
+  pid: server.child?.pid ?? null,
+  port: server.port,
+  url: server.port ? `http://localhost:${server.port}` : null,
+  command: server.commandLine,
+  startedAt: server.startedAt,
+  restarts: server.restarts,
+  lastExit: server.lastExit,
+  startedBy: server.startedBy,
+  lineCount: server.output.nextSeq
+});
+
+// Supervises one dev server per project: spawns it on a port from the registry,
+// keeps its output, and restarts it with backoff when it exits on its own.
+// Ports are remembered across dashboard restarts; processes are not.
+class DevServerSupervisor extends EventEmitter {
+  constructor() {
+    super();
+    this.filePath = path.join(DATA_DIR, 'dev-ports.json');
+    this.ports = {};
+    this.servers = new Map();
+    this.setMaxListeners(0);
+  }
+
+  initialize() {
+    mkdirSync(DATA_DIR, { recursive: true, mode: 0o700 });
+
+    if (existsSync(this.filePath)) {
+      this.ports = JSON.parse(readFileSync(this.filePath, 'utf8')).ports || {};
+    }
+  }
+
+  save() {
+    const data = { version: STORE_VERSION, ports: this.ports };
+    writeJsonStore(this.filePath, data);
+  }
+
+  // The project's registered port if it is still free, otherwise the lowest free one in range
+  async allocatePort(project) {
+    const taken = new Set(Object.entries(this.ports)
+      .filter(([name]) => name !== project)
+      .map(([, port]) => port));
+
+    const registered = this.ports[project];
+    if (registered && !taken.has(registered) && await isPortFree(registered)) {
+      return registered;
+    }
+
+    for (let port = PORT_RANGE.min; port <= PORT_RANGE.max; port++) {
+      if (!taken.has(port) && await isPortFree(port)) {
+        this.ports[project] = port;
+        this.save();
+        return port;
+      }
+    }
+    throw new Error(`No free port between ${PORT_RANGE.min} and ${PORT_RANGE.max}`);
+  }
+
+  releasePort(project) {
+    if (this.ports[project]) {
+      delete this.ports[project];
+      this.save();
+    }
+  }
+
+  newServer(project) {
+    return {
+      project,
+      projectPath: null,
+      status: 'stopped',
+      child: null,
+      port: this.ports[project] || null,
+      commandLine: null,
+      startedAt: null,
+      startedBy: null,
+      restarts: 0,
+      crashes: 0,
+      lastExit: null,
+      stopping: false,
+      restartTimer: null,
+      output: new LineBuffer(MAX_LINES, line => this.emit(`line:${project}`, line))
+    };
+  }
+
+  // Status of a project's dev server; never-started projects read as stopped
+  get(project) {
+    return toPublicServer(this.servers.get(project) || this.newServer(project));
+  }
+
+  list() {
+    return [...this.servers.values()].map(toPublicServer);
+  }
+
+  async start(project, projectPath, user = null) {
+    if (!this.servers.has(project)) {
+      this.servers.set(project, this.newServer(project));
+    }
+    const server = this.servers.get(project);
+    if (server.child || server.status === 'starting' || server.status === 'restarting') {
+      return toPublicServer(server);
+    }
+
+    // Claimed before the first await, so a second start close behind this one sees it
+    const previous = server.status;
+    server.status = 'starting';
+    server.projectPath = projectPath;
+    server.startedBy = user?.username ?? server.startedBy;
+    server.crashes = 0;
+    server.restarts = 0;
+    try {
+      await this.spawn(server);
+    } catch (error) {
+      server.status = previous;
+      throw error;
+    }
+    return toPublicServer(server);
+  }
+
+  async spawn(server) {
+    // Check there is something to run before a port gets registered for the project
+    if (!resolveDevCommand(server.projectPath, 0)) {
+      const error = new Error('No dev command found for this project');
+      error.code = 'NO_DEV_COMMAND';
+      throw error;
+    }
+    const port = await this.allocatePort(server.project);
+    // Stopped while the port was being found
+    if (server.status !== 'starting' && server.status !== 'restarting') {
+      return;
+    }
+    const resolved = resolveDevCommand(server.projectPath, port);
+
+    server.port = port;
+    server.commandLine = formatCommand(resolved, server.projectPath);
+    server.stopping = false;
+    server.output.append('system', `$ ${server.commandLine}  (port ${port})`);
+
+    const child = spawn(resolved.command, resolved.args, {
+      cwd: server.projectPath,
+      env: { ...process.env, ...resolved.env },
+      stdio: ['ignore', 'pipe', 'pipe'],
+      // Own process group, so stopping also ends watchers and workers the dev tool forks
+      detached: true
+    });
+    server.child = child;
+    server.status = 'running';
+    server.startedAt = new Date().toISOString();
+
+    for (const stream of ['stdout', 'stderr']) {
+      child[stream].setEncoding('utf8');
+      child[stream].on('data', chunk => server.output.write(stream, chunk));
+    }
+
+    child.on('error', (error) => {
+      const message = error.code === 'ENOENT' ? `${resolved.command}: command not found` : error.message;
+      server.output.append('system', message);
+    });
+
+    child.on('close', (code, signal) => this.handleExit(server, child, code, signal));
+
+    console.log(`🛠️  Dev server for ${server.project} started on port ${port}: ${server.commandLine}`);
+    this.emit('change', toPublicServer(server));
+  }
+
+  handleExit(server, child, code, signal) {
+    if (server.child !== child) {
+      return;
+    }
+    server.output.flush();
+    server.child = null;
+    server.lastExit = { code, signal, at: new Date().toISOString() };
+
+    if (server.stopping) {
+      server.status = 'stopped';
+      server.output.append('system', 'Stopped');
+      this.emit('change', toPublicServer(server));
+      return;
+    }
+
+    const ranFor = Date.now() - new Date(server.startedAt).getTime();
+    server.crashes = ranFor >= STABLE_RUN_MS ? 1 : server.crashes + 1;
+    server.output.append('system', `Exited with ${signal || `code ${code}`}`);
+
+    if (server.crashes > MAX_RESTARTS) {
+      server.status = 'crashed';
+      server.output.append('system', `Crashed ${MAX_RESTARTS + 1} times in a row; not restarting`);
+      console.log(`🛠️  Dev server for ${server.project} keeps crashing; gave up`);
+      this.emit('change', toPublicServer(server));
+      return;
+    }
+
+    const delay = Math.min(1000 * 2 ** (server.crashes - 1), MAX_BACKOFF_MS);
+    server.status = 'restarting';
+    server.output.append('system', `Restarting in ${delay / 1000}s`);
+    this.emit('change', toPublicServer(server));
+
+    server.restartTimer = setTimeout(async () => {
+      server.restartTimer = null;
+      if (server.status !== 'restarting') {
+        return;
+      }
+      server.restarts++;
+      try {
+        await this.spawn(server);
+      } catch (error) {
+        server.status = 'crashed';
+        server.output.append('system', error.message);
+        this.emit('change', toPublicServer(server));
+      }
+    }, delay);
+    server.restartTimer.unref();
+  }
+
+  signal(server, signal) {
+    if (!server.child?.pid) {
+      return;
+    }
+    try {
+      process.kill(-server.child.pid, signal);
+    } catch (error) {
+      server.child.kill(signal);
+    }
+  }
+
+  // SIGTERM, then SIGKILL if the process group is still around after STOP_TIMEOUT_MS
+  async stop(project) {
+    const server = this.servers.get(project);
+    if (!server) {
+      return null;
+    }
+
+    clearTimeout(server.restartTimer);
+    server.restartTimer = null;
+
+    const child = server.child;
+    if (!child) {
+      server.status = 'stopped';
+      this.emit('change', toPublicServer(server));
+      return toPublicServer(server);
+    }
+
+    server.stopping = true;
+    const exited = new Promise(resolve => child.once('close', resolve));
+    this.signal(server, 'SIGTERM');
+    const timer = setTimeout(() => this.signal(server, 'SIGKILL'), STOP_TIMEOUT_MS);
+    await exited;
+    clearTimeout(timer);
+    return toPublicServer(server);
+  }
+
+  // Dev servers run in their own process groups, so the dashboard has to take them down
+  // when it shuts down. Every server gets its SIGTERM before this returns.
+  stopAll() {
+    return Promise.all([...this.servers.keys()].map(project => this.stop(project)));
+  }
+
+  async restart(project, projectPath, user = null) {
+    await this.stop(project);
+    return this.start(project, projectPath, user);
+  }
+
+  linesAfter(project, after = -1) {
+    return this.servers.get(project)?.output.after(after) || [];
+  }
+
+  // Calls onLine for every new output line; returns the unsubscribe function
+  subscribe(project, onLine) {
+    this.on(`line:${project}`, onLine);
+    return () => this.off(`line:${project}`, onLine);
+  }
+}
+
+export default new DevServerSupervisor();
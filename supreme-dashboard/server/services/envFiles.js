@@ -0,0 +1,277 @@
+import crypto from 'crypto';
+import { existsSync, readFileSync, readdirSync, writeFileSync } from 'fs';
+import path from 'path';
+
+export const EXAMPLE_FILE = '.env.example';
+export const MASK = '••••••••';
+
+// .env, .env.local, .env.production and so on; never anything outside the project folder
+export const ENV_FILE_PATTERN = /^\.env(\.[A-Za-z0-9_-]+)?$/;
+export const ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+
+// Names that usually hold credentials: APP_KEY, DB_PASSWORD, STRIPE_SECRET, GITHUB_TOKEN...
+const SECRET_KEY = /(SECRET|PASSWORD|PASSWD|PASS$|PWD|TOKEN|(^|_)KEY$|PRIVATE|CREDENTIAL|SALT|API_?KEY|AUTH|DSN|CERT)/i;
+// Connection strings with a password in them
+const URL_WITH_PASSWORD = /^[a-z][a-z0-9+.-]*:\/\/[^/:@\s]+:[^/@\s]+@/i;
+// Long random-looking strings (base64 keys, hex digests)
+const RANDOM_VALUE = /^(base64:)?[A-Za-z0-9+=_-]{32,}$/;
+
+// Lines look like: [export ]KEY=value [# comment], with value unquoted, 'single' or "double" quoted;
+// double-quoted values may span several lines (private keys, certificates)
+const ASSIGNMENT = /^(\s*)(export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/;
+
+export const isSecret = (key, value) => SECRET_KEY.test(key) ||
+  URL_WITH_PASSWORD.test(value) || (RANDOM_VALUE.test(value) && /[0-9]/.test(value) && /[A-Za-z]/.test(value));
+
+const unescapeDouble = (text) => text.replace(/\\([nrt"\\$])/g, (match, char) => ({ n: '\n', r: '\r', t: '\t' }[char] ?? char));
+
+// Index of the closing quote, skipping backslash escapes inside double quotes
+const closingQuote = (text, quote, from) => {
+  for (let i = from; i < text.length; i++) {
+    if (quote === '"' && text[i] === '\\') {
+      i++;
+    } else if (text[i] === quote) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+// File contents to a list of entries: variables, comments and blank lines, in file order.
+// Each entry keeps its raw text so untouched lines are written back byte for byte.
+export const parseEnv = (content) => {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content.split(/\r?\n/);
+  const trailingNewline = lines[lines.length - 1] === '';
+  if (trailingNewline) {
+    lines.pop();
+  }
+
+  const entries = [];
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const match = line.match(ASSIGNMENT);
+    if (!match) {
+      entries.push({ type: line.trim() === '' ? 'blank' : 'comment', raw: line });
+      continue;
+    }
+
+    const [, , exported, key, rest] = match;
+    let value = rest;
+    let quote = '';
+    let comment = '';
+    let raw = line;
+
+    if (rest.startsWith('"') || rest.startsWith("'")) {
+      quote = rest[0];
+      let text = rest;
+      let end = closingQuote(text, quote, 1);
+      // An unterminated double quote continues on the following lines
+      while (end === -1 && quote === '"' && i + 1 < lines.length) {
+        i++;
+        text += `\n${lines[i]}`;
+        raw += `${eol}${lines[i]}`;
+        end = closingQuote(text, quote, 1);
+      }
+      if (end === -1) {
+        end = text.length;
+      }
+      value = text.slice(1, end);
+      if (quote === '"') {
+        value = unescapeDouble(value);
+      }
+      comment = text.slice(end + 1).trim();
+    } else {
+      const hash = rest.search(/\s#/);
+      if (hash !== -1) {
+        comment = rest.slice(hash).trim();
+        value = rest.slice(0, hash);
+      }
+      value = value.trim();
+    }
+
+    entries.push({ type: 'variable', key, value, quote, exported: Boolean(exported), comment, raw });
+  }
+
+  return { entries, eol, trailingNewline };
+};
+
+// Quote only when the value would not survive unquoted, keeping the quote style it had
+const formatValue = (value, quote) => {
+  if (quote === "'" && !value.includes("'") && !value.includes('\n')) {
+    return `'${value}'`;
+  }
+  if (quote === '"' || /[\s#"'\\$`]/.test(value)) {
+    return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\$/g, '\\$').replace(/\r/g, '\\r').replace(/\n/g, '\\n')}"`;
+  }
+  return value;
+};
+
+const formatEntry = (entry, eol) => {
+  const line = `${entry.exported ? 'export ' : ''}${entry.key}=${formatValue(entry.value, entry.quote)}${entry.comment ? ` ${entry.comment}` : ''}`;
+  return line.replace(/\n/g, eol);
+};
+
+export const serializeEnv = ({ entries, eol, trailingNewline }) =>
+  entries.map(entry => entry.raw ?? formatEntry(entry, eol)).join(eol) + (trailingNewline && entries.length > 0 ? eol : '');
+
+// New entry list with `set` values changed in place (new keys appended) and `unset` keys removed
+export const applyChanges = (parsed, { set = {}, unset = [] }) => {
+  const existing = new Set();
+  const entries = [];
+
+  for (const entry of parsed.entries) {
+    if (entry.type !== 'variable') {
+      entries.push(entry);
+    } else if (unset.includes(entry.key)) {
+      continue;
+    } else if (Object.hasOwn(set, entry.key) && set[entry.key] !== entry.value) {
+      // A key that appears twice is rewritten both times, so the later one cannot win with a stale value
+      existing.add(entry.key);
+      entries.push({ ...entry, value: set[entry.key], raw: undefined });
+    } else {
+      existing.add(entry.key);
+      entries.push(entry);
+    }
+  }
+
+  for (const [key, value] of Object.entries(set)) {
+    if (!existing.has(key)) {
+      entries.push({ type: 'variable', key, value, quote: '', exported: false, comment: '', raw: undefined });
+    }
+  }
+
+  return { ...parsed, entries, trailingNewline: parsed.trailingNewline || entries.length > parsed.entries.length };
+};
+
+const entryLines = (entry, eol) => (entry.raw ?? formatEntry(entry, eol)).split(eol);
+
+// Commented-out assignments like "# DB_PASSWORD=old" can hold secrets too
+const maskComment = (text) => {
+  const match = text.match(/^(\s*#\s*)(export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/);
+  return match && isSecret(match[3], match[4].replace(/^["']|["']$/g, '')) ? `${match[1]}${match[2] || ''}${match[3]}=${MASK}` : text;
+};
+
+// The entry as shown to the browser, with secret values replaced by MASK
+const maskedLines = (entry, eol) => {
+  if (entry.type === 'comment') {
+    return [maskComment(entry.raw)];
+  }
+  if (entry.type !== 'variable' || !isSecret(entry.key, entry.value)) {
+    return entryLines(entry, eol);
+  }
+  return [`${entry.exported ? 'export ' : ''}${entry.key}=${MASK}${entry.comment ? ` ${entry.comment}` : ''}`];
+};
+
+// Line diff between the file and its edited version; only changed entries differ, so
+// walking both entry lists side by side is enough. Secrets appear masked on both sides.
+export const diffEnv = (before, after) => {
+  const lines = [];
+  const afterKeys = new Set(after.entries.filter(entry => entry.type === 'variable').map(entry => entry.key));
+  let j = 0;
+
+  for (const entry of before.entries) {
+    if (entry.type === 'variable' && !afterKeys.has(entry.key)) {
+      maskedLines(entry, before.eol).forEach(text => lines.push({ type: 'removed', text }));
+      continue;
+    }
+    const next = after.entries[j++];
+    if (next === entry) {
+      maskedLines(entry, before.eol).forEach(text => lines.push({ type: 'context', text }));
+    } else {
+      maskedLines(entry, before.eol).forEach(text => lines.push({ type: 'removed', text }));
+      maskedLines(next, before.eol).forEach(text => lines.push({ type: 'added', text }));
+    }
+  }
+  for (const entry of after.entries.slice(j)) {
+    maskedLines(entry, before.eol).forEach(text => lines.push({ type: 'added', text }));
+  }
+  return lines;
+};
+
+export const hashContent = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+// .env files in the project folder, .env first
+export const listEnvFiles = (projectPath) => {
+  try {
+    return readdirSync(projectPath)
+      .filter(file => ENV_FILE_PATTERN.test(file) && file !== EXAMPLE_FILE)
+      .sort((a, b) => (a === '.env' ? -1 : b === '.env' ? 1 : a.localeCompare(b)));
+  } catch (error) {
+    return [];
+  }
+};
+
+const readParsed = (file) => {
+  if (!existsSync(file)) {
+    return { exists: false, content: '', parsed: parseEnv('') };
+  }
+  const content = readFileSync(file, 'utf8');
+  return { exists: true, content, parsed: parseEnv(content) };
+};
+
+const variablesOf = (parsed) => parsed.entries.filter(entry => entry.type === 'variable');
+
+// Everything the Environment tab shows, with secrets masked
+export const readEnvFile = (projectPath, file = '.env') => {
+  const { exists, content, parsed } = readParsed(path.join(projectPath, file));
+  const example = readParsed(path.join(projectPath, EXAMPLE_FILE));
+  const keys = new Set(variablesOf(parsed).map(entry => entry.key));
+  const exampleVariables = variablesOf(example.parsed);
+  const exampleKeys = new Set(exampleVariables.map(entry => entry.key));
+
+  return {
+    file,
+    files: listEnvFiles(projectPath),
+    exists,
+    hash: hashContent(content),
+    entries: parsed.entries.map(entry => {
+      if (entry.type !== 'variable') {
+        return { type: entry.type, text: entry.type === 'comment' ? maskComment(entry.raw) : entry.raw };
+      }
+      const secret = isSecret(entry.key, entry.value);
+      return {
+        type: 'variable',
+        key: entry.key,
+        value: secret ? MASK : entry.value,
+        secret,
+        comment: entry.comment || null,
+        missingFromExample: example.exists && !exampleKeys.has(entry.key)
+      };
+    }),
+    example: example.exists
+      ? {
+        file: EXAMPLE_FILE,
+        // Suggested values from the example, except ones that look like real secrets
+        missing: exampleVariables.filter(entry => !keys.has(entry.key)).map(entry => ({
+          key: entry.key,
+          value: isSecret(entry.key, entry.value) ? '' : entry.value
+        }))
+      }
+      : null
+  };
+};
+
+// The unmasked value of one variable, for the reveal button
+export const revealEnvValue = (projectPath, file, key) => {
+  const { parsed } = readParsed(path.join(projectPath, file));
+  const entry = variablesOf(parsed).filter(item => item.key === key).pop();
+  return entry ? entry.value : null;
+};
+
+// Parsed file, edited version and masked diff; `hash` lets the caller refuse stale edits
+export const planEnvChanges = (projectPath, file, changes) => {
+  const { exists, content, parsed } = readParsed(path.join(projectPath, file));
+  const updated = applyChanges(parsed, changes);
+  return {
+    exists,
+    hash: hashContent(content),
+    content: serializeEnv(updated),
+    diff: diffEnv(parsed, updated)
+  };
+};
+
+export const writeEnvFile = (projectPath, file, content) => {
+  // writeFileSync keeps the mode and owner of an existing file; new ones are private
+  writeFileSync(path.join(projectPath, file), content, { mode: 0o600 });
+};
@@ -0,0 +1,531 @@
+import { existsSync, readFileSync, readdirSync, statSync } from 'fs';
+import path from 'path';
+
+// What npm init puts in "test"; running it only ever fails
+const NPM_PLACEHOLDER_TEST = /no test specified/;
+
+// Dev tools that take the port as a flag rather than from $PORT
+const PORT_FLAG_TOOLS = /\b(vite|vue-cli-service|ng serve|next dev|nuxt|astro|svelte-kit)\b/;
+
+// Files whose changes can change what detectFramework returns
+const DETECTION_FILES = [
+  'package.json', 'package-lock.json', 'yarn.lock', 'composer.json', 'composer.lock',
+  'requirements.txt', 'Pipfile.lock', 'poetry.lock', 'pyproject.toml', 'manage.py', 'artisan',
+  'app.py', 'wp-includes/version.php', 'venv', '.venv', 'pnpm-lock.yaml', 'Pipfile', '.env'
+];
+
+const readJson = (file) => {
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+const readText = (file) => {
+  try {
+    return readFileSync(file, 'utf8');
+  } catch (error) {
+    return null;
+  }
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Version range from a manifest without its ^/~ prefix or .* wildcard
+const cleanVersion = (range) => (range
+  ? String(range).replace(/^[\^~>=<v\s]+/, '').split(/[\s,|]/)[0].replace(/\.\*$/, '') || null
+  : null);
+
+// PyPI treats Flask, flask and flask_sqlalchemy/flask-sqlalchemy as the same name
+const normalizePythonName = (name) => name.toLowerCase().replace(/[-_.]+/g, '-');
+
+// Installed Python packages and versions, most reliable source first:
+// lock files, then the project's virtualenv, then the manifests' ranges
+const readPythonPackages = (projectPath) => {
+  const packages = new Map();
+  const add = (name, version, source) => {
+    const key = normalizePythonName(name);
+    if (!packages.has(key)) {
+      packages.set(key, { version: cleanVersion(version), source });
+    }
+  };
+
+  const pipfileLock = readJson(path.join(projectPath, 'Pipfile.lock'));
+  if (pipfileLock) {
+    for (const group of ['default', 'develop']) {
+      Object.entries(pipfileLock[group] || {}).forEach(([name, info]) => add(name, info.version, 'Pipfile.lock'));
+    }
+  }
+
+  const poetryLock = readText(path.join(projectPath, 'poetry.lock'));
+  if (poetryLock) {
+    for (const block of poetryLock.split('[[package]]').slice(1)) {
+      const name = block.match(/^name\s*=\s*"([^"]+)"/m)?.[1];
+      if (name) {
+        add(name, block.match(/^version\s*=\s*"([^"]+)"/m)?.[1], 'poetry.lock');
+      }
+    }
+  }
+
+  // `supreme create flask` installs into venv/ without writing requirements.txt
+  for (const venv of ['venv', '.venv']) {
+    const lib = path.join(projectPath, venv, 'lib');
+    if (!existsSync(lib)) {
+      continue;
+    }
+    try {
+      for (const python of readdirSync(lib)) {
+        const sitePackages = path.join(lib, python, 'site-packages');
+        if (!existsSync(sitePackages)) {
+          continue;
+        }
+        for (const entry of readdirSync(sitePackages)) {
+          const match = entry.match(/^(.+?)-([^-]+)\.dist-info$/);
+          if (match) {
+            add(match[1], match[2], venv);
+          }
+        }
+      }
+    } catch (error) {
+      // An unreadable virtualenv just means fewer versions
+    }
+  }
+
+  const requirements = readText(path.join(projectPath, 'requirements.txt')) || '';
+  for (const line of requirements.split('\n')) {
+    const match = line.replace(/#.*/, '').trim().match(/^([A-Za-z0-9][A-Za-z0-9._-]*)(?:\[[^\]]*\])?\s*(?:[=~<>!]=?\s*([\w.*]+))?/);
+    if (match) {
+      add(match[1], match[2], 'requirements.txt');
+    }
+  }
+
+  const pyproject = readText(path.join(projectPath, 'pyproject.toml')) || '';
+  // PEP 621 arrays: dependencies = ["django>=4.2", ...]
+  for (const [, list] of pyproject.matchAll(/^\s*dependencies\s*=\s*\[([\s\S]*?)\]\s*$/gm)) {
+    for (const [, spec] of list.matchAll(/"([^"]+)"/g)) {
+      const match = spec.match(/^([A-Za-z0-9][A-Za-z0-9._-]*)(?:\[[^\]]*\])?\s*(?:[=~<>!]=?\s*([\w.*]+))?/);
+      if (match) {
+        add(match[1], match[2], 'pyproject.toml');
+      }
+    }
+  }
+  // Poetry tables: [tool.poetry.dependencies] then django = "^4.2"
+  for (const [, table] of pyproject.matchAll(/^\[tool\.poetry\.(?:group\.[\w-]+\.)?(?:dev-)?dependencies\]\n([^[]*)/gm)) {
+    for (const [, name, range, tableRange] of table.matchAll(/^([A-Za-z0-9][A-Za-z0-9._-]*)\s*=\s*(?:"([^"]*)"|\{[^}]*version\s*=\s*"([^"]*)")?/gm)) {
+      if (name !== 'python') {
+        add(name, range ?? tableRange, 'pyproject.toml');
+      }
+    }
+  }
+
+  return packages;
+};
+
+// Everything the detectors look at, read once per detection
+const loadContext = (projectPath) => {
+  const pkg = readJson(path.join(projectPath, 'package.json'));
+  const composer = readJson(path.join(projectPath, 'composer.json'));
+  let packageLock;
+  let yarnLock;
+  let pnpmLock;
+  let composerLock;
+  let pythonPackages;
+
+  const ctx = {
+    path: projectPath,
+    pkg,
+    composer,
+    deps: pkg ? { ...pkg.devDependencies, ...pkg.dependencies } : {},
+    scripts: pkg?.scripts || {},
+    has: (...names) => names.some(name => existsSync(path.join(projectPath, name))),
+
+    // Installed version from package-lock.json, yarn.lock or pnpm-lock.yaml, else the range in package.json
+    nodeVersion: (dependency) => {
+      packageLock ??= readJson(path.join(projectPath, 'package-lock.json')) || false;
+      const locked = packageLock && (packageLock.packages?.[`node_modules/${dependency}`]?.version ||
+        packageLock.dependencies?.[dependency]?.version);
+      if (locked) {
+        return { version: locked, source: 'package-lock.json' };
+      }
+      yarnLock ??= readText(path.join(projectPath, 'yarn.lock')) || '';
+      const pattern = new RegExp(`^"?${escapeRegExp(dependency)}@[^\\n]*:\\n(?:\\s+.*\\n)*?\\s+version:?\\s+"?([^"\\n]+)"?`, 'm');
+      const yarn = yarnLock.match(pattern)?.[1];
+      if (yarn) {
+        return { version: yarn, source: 'yarn.lock' };
+      }
+      // pnpm 6+ lists `version:` under each importer's dependency; pnpm 5 puts it after the name.
+      // Either can carry peer suffixes such as 14.1.0(react@18.2.0) or 14.1.0_react@18.2.0.
+      pnpmLock ??= readText(path.join(projectPath, 'pnpm-lock.yaml')) || '';
+      const name = `^[ \\t]+'?${escapeRegExp(dependency)}'?:`;
+      const pnpm = pnpmLock.match(new RegExp(`${name}\\n[ \\t]+specifier:.*\\n[ \\t]+version:[ \\t]+'?([^\\s'(_]+)`, 'm'))?.[1] ||
+        pnpmLock.match(new RegExp(`${name}[ \\t]+'?(\\d[^\\s'(_]*)`, 'm'))?.[1];
+      if (pnpm) {
+        return { version: pnpm, source: 'pnpm-lock.yaml' };
+      }
+      return { version: cleanVersion(ctx.deps[dependency]), source: ctx.deps[dependency] ? 'package.json' : null };
+    },
+
+    composerVersion: (dependency) => {
+      composerLock ??= readJson(path.join(projectPath, 'composer.lock')) || false;
+      const locked = composerLock && [...(composerLock.packages || []), ...(composerLock['packages-dev'] || [])]
+        .find(item => item.name === dependency)?.version;
+      if (locked) {
+        return { version: locked.replace(/^v/, ''), source: 'composer.lock' };
+      }
+      const range = composer?.require?.[dependency] || composer?.['require-dev']?.[dependency];
+      return { version: cleanVersion(range), source: range ? 'composer.json' : null };
+    },
+
+    pythonPackage: (name) => {
+      pythonPackages ??= readPythonPackages(projectPath);
+      return pythonPackages.get(normalizePythonName(name)) || null;
+    },
+
+    // The project's virtualenv interpreter if it has one
+    python: () => {
+      const venv = ['venv', '.venv'].map(dir => path.join(projectPath, dir, 'bin', 'python')).find(file => existsSync(file));
+      return venv || 'python3';
+    },
+
+    existing: (candidates) => [...new Set(candidates)].filter(name => existsSync(path.join(projectPath, name)))
+  };
+  return ctx;
+};
+
+// `npm run <script>` for the first of dev/serve/start, passing the port the way the tool expects
+const npmDev = (ctx, port, fallbackEntry = null) => {
+  const env = { PORT: String(port), BROWSER: 'none' };
+  const script = ['dev', 'serve', 'start'].find(name => ctx.scripts[name]);
+  if (script) {
+    const args = ['run', script];
+    if (PORT_FLAG_TOOLS.test(ctx.scripts[script])) {
+      args.push('--', '--port', String(port));
+    }
+    return { command: 'npm', args, env };
+  }
+  return fallbackEntry ? { command: 'node', args: [fallbackEntry], env } : null;
+};
+
+const npmTest = (ctx) => (ctx.scripts.test && !NPM_PLACEHOLDER_TEST.test(ctx.scripts.test)
+  ? { command: 'npm', args: ['test'], env: { CI: 'true' } }
+  : null);
+
+const phpServe = (ctx, port) => ({
+  command: 'php',
+  args: ['-S', `127.0.0.1:${port}`, ...(ctx.has('public') ? ['-t', 'public'] : [])],
+  env: {}
+});
+
+const phpunit = (ctx) => {
+  if (!ctx.has('phpunit.xml', 'phpunit.xml.dist')) {
+    return null;
+  }
+  if (ctx.has('bin/phpunit')) {
+    return { command: 'php', args: ['bin/phpunit'], env: {} };
+  }
+  return { command: ctx.has('vendor/bin/phpunit') ? 'vendor/bin/phpunit' : 'phpunit', args: [], env: {} };
+};
+
+const pytest = (ctx) => (ctx.pythonPackage('pytest') || ctx.has('pytest.ini', 'conftest.py')
+  ? { command: ctx.python(), args: ['-m', 'pytest'], env: {} }
+  : null);
+
+// Dependency installs, from the lock file when there is one so a fresh clone gets the pinned versions
+const nodeInstall = (ctx) => {
+  if (!ctx.pkg) {
+    return [];
+  }
+  if (ctx.has('pnpm-lock.yaml')) {
+    return [{ label: 'Install Node packages', command: 'pnpm', args: ['install', '--frozen-lockfile'], env: {} }];
+  }
+  if (ctx.has('yarn.lock')) {
+    return [{ label: 'Install Node packages', command: 'yarn', args: ['install', '--frozen-lockfile'], env: {} }];
+  }
+  const args = ctx.has('package-lock.json', 'npm-shrinkwrap.json') ? ['ci'] : ['install'];
+  return [{ label: 'Install Node packages', command: 'npm', args: [...args, '--no-audit', '--no-fund'], env: {} }];
+};
+
+const composerInstall = (ctx) => (ctx.composer
+  ? [{ label: 'Install Composer packages', command: 'composer', args: ['install', '--no-interaction', '--no-progress'], env: {} }]
+  : []);
+
+// Poetry and Pipenv manage their own environments; plain pip gets a venv/ like `supreme create` makes
+const pythonInstall = (ctx) => {
+  if (ctx.has('poetry.lock')) {
+    return [{ label: 'Install Python packages', command: 'poetry', args: ['install', '--no-interaction'], env: {} }];
+  }
+  if (ctx.has('Pipfile')) {
+    return [{ label: 'Install Python packages', command: 'pipenv', args: ['install'], env: { PIPENV_VENV_IN_PROJECT: '1' } }];
+  }
+  const source = ctx.has('requirements.txt') ? ['-r', 'requirements.txt'] : ctx.has('pyproject.toml') ? ['-e', '.'] : null;
+  if (!source) {
+    return [];
+  }
+  const steps = [];
+  let python = ctx.python();
+  if (python === 'python3') {
+    steps.push({ label: 'Create virtualenv', command: 'python3', args: ['-m', 'venv', 'venv'], env: {} });
+    python = path.join(ctx.path, 'venv', 'bin', 'python');
+  }
+  steps.push({ label: 'Install Python packages', command: python, args: ['-m', 'pip', 'install', ...source], env: {} });
+  return steps;
+};
+
+const nodeEntry = (ctx) => ctx.existing([ctx.pkg?.main, 'index.js', 'app.js', 'server.js', 'bin/www'].filter(Boolean))[0] || null;
+
+// Frameworks in the order they are tried; the first whose detect() matches wins,
+// so frameworks built on others (Next.js on React, Laravel on Symfony) come first
+export const FRAMEWORKS = [
+  {
+    id: 'laravel',
+    name: 'Laravel',
+    icon: '🔺',
+    language: 'php',
+    detect: ctx => Boolean(ctx.composer?.require?.['laravel/framework']) || ctx.has('artisan'),
+    version: ctx => ctx.composerVersion('laravel/framework'),
+    entryPoints: ctx => ctx.existing(['public/index.php', 'artisan', 'routes/web.php']),
+    dev: (ctx, port) => ({ command: 'php', args: ['artisan', 'serve', '--host=127.0.0.1', `--port=${port}`], env: {} }),
+    test: ctx => ({ command: 'php', args: ['artisan', 'test'], env: {} }),
+    // Repositories ship .env.example; the app will not boot without a .env and an APP_KEY
+    setup: ctx => (ctx.has('.env') || !ctx.has('.env.example') ? [] : [
+      { label: 'Create .env from .env.example', command: 'cp', args: ['.env.example', '.env'], env: {} },
+      { label: 'Generate application key', command: 'php', args: ['artisan', 'key:generate', '--no-interaction'], env: {} }
+    ])
+  },
+  {
+    id: 'symfony',
+    name: 'Symfony',
+    icon: '🎼',
+    language: 'php',
+    detect: ctx => Boolean(ctx.composer?.require?.['symfony/framework-bundle']) || ctx.has('symfony.lock'),
+    version: ctx => ctx.composerVersion('symfony/framework-bundle'),
+    entryPoints: ctx => ctx.existing(['public/index.php', 'bin/console']),
+    dev: phpServe,
+    test: phpunit
+  },
+  {
+    id: 'wordpress',
+    name: 'WordPress',
+    icon: '📝',
+    language: 'php',
+    detect: ctx => ctx.has('wp-includes/version.php', 'wp-config.php'),
+    version: ctx => {
+      const version = readText(path.join(ctx.path, 'wp-includes', 'version.php'))?.match(/\$wp_version\s*=\s*'([^']+)'/)?.[1];
+      return { version: version || null, source: version ? 'wp-includes/version.php' : null };
+    },
+    entryPoints: ctx => ctx.existing(['index.php', 'wp-config.php']),
+    dev: phpServe,
+    test: phpunit
+  },
+  {
+    id: 'nextjs',
+    name: 'Next.js',
+    icon: '▲',
+    language: 'node',
+    detect: ctx => Boolean(ctx.deps.next),
+    version: ctx => ctx.nodeVersion('next'),
+    entryPoints: ctx => ctx.existing(['next.config.js', 'next.config.mjs', 'next.config.ts', 'app', 'src/app', 'pages', 'src/pages']),
+    dev: (ctx, port) => npmDev(ctx, port) || { command: 'npx', args: ['next', 'dev', '--port', String(port)], env: {} },
+    test: npmTest
+  },
+  {
+    id: 'angular',
+    name: 'Angular',
+    icon: '🅰️',
+    language: 'node',
+    detect: ctx => Boolean(ctx.deps['@angular/core']),
+    version: ctx => ctx.nodeVersion('@angular/core'),
+    entryPoints: ctx => ctx.existing(['angular.json', 'src/main.ts']),
+    dev: (ctx, port) => npmDev(ctx, port) || { command: 'npx', args: ['ng', 'serve', '--port', String(port)], env: {} },
+    test: npmTest
+  },
+  {
+    id: 'vue',
+    name: 'Vue',
+    icon: '💚',
+    language: 'node',
+    detect: ctx => Boolean(ctx.deps.vue),
+    version: ctx => ctx.nodeVersion('vue'),
+    entryPoints: ctx => ctx.existing(['src/main.js', 'src/main.ts', 'index.html', 'vite.config.js', 'vite.config.ts', 'vue.config.js']),
+    dev: (ctx, port) => npmDev(ctx, port),
+    test: npmTest
+  },
+  {
+    id: 'react',
+    name: 'React',
+    icon: '⚛️',
+    language: 'node',
+    detect: ctx => Boolean(ctx.deps.react),
+    // Vite and Create React App projects differ mostly in how they are served
+    label: ctx => (ctx.deps.vite ? 'Vite + React' : 'React'),
+    version: ctx => ctx.nodeVersion('react'),
+    entryPoints: ctx => ctx.existing(['src/main.jsx', 'src/main.tsx', 'src/index.js', 'src/index.jsx', 'src/index.tsx', 'index.html', 'vite.config.js', 'vite.config.ts']),
+    dev: (ctx, port) => npmDev(ctx, port),
+    test: npmTest
+  },
+  {
+    id: 'express',
+    name: 'Express',
+    icon: '🚂',
+    language: 'node',
+    detect: ctx => Boolean(ctx.deps.express),
+    version: ctx => ctx.nodeVersion('express'),
+    entryPoints: ctx => ctx.existing([ctx.pkg?.main, 'index.js', 'app.js', 'server.js', 'bin/www'].filter(Boolean)),
+    dev: (ctx, port) => npmDev(ctx, port, nodeEntry(ctx)),
+    test: npmTest
+  },
+  {
+    id: 'django',
+    name: 'Django',
+    icon: '🎸',
+    language: 'python',
+    detect: ctx => ctx.has('manage.py') || Boolean(ctx.pythonPackage('django')),
+    version: ctx => ctx.pythonPackage('django') || { version: null, source: null },
+    entryPoints: ctx => ctx.existing(['manage.py', ...readdirSync(ctx.path).map(dir => `${dir}/wsgi.py`)]),
+    dev: (ctx, port) => ({ command: ctx.python(), args: ['manage.py', 'runserver', `127.0.0.1:${port}`], env: {} }),
+    test: ctx => pytest(ctx) || { command: ctx.python(), args: ['manage.py', 'test'], env: {} }
+  },
+  {
+    id: 'flask',
+    name: 'Flask',
+    icon: '🧪',
+    language: 'python',
+    detect: ctx => Boolean(ctx.pythonPackage('flask')) || /^\s*from flask import|^\s*import flask/m.test(readText(path.join(ctx.path, 'app.py')) || ''),
+    version: ctx => ctx.pythonPackage('flask') || { version: null, source: null },
+    entryPoints: ctx => ctx.existing(['app.py', 'wsgi.py', 'main.py']),
+    dev: (ctx, port) => ({
+      command: ctx.python(),
+      args: ['-m', 'flask', 'run', '--host=127.0.0.1', `--port=${port}`],
+      env: { FLASK_APP: ctx.existing(['app.py', 'wsgi.py', 'main.py'])[0] || 'app.py', FLASK_DEBUG: '1' }
+    }),
+    test: pytest
+  },
+
+  // Fallbacks by language when no framework matched
+  {
+    id: 'node',
+    name: 'Node.js',
+    icon: '🟢',
+    language: 'node',
+    detect: ctx => Boolean(ctx.pkg),
+    version: () => ({ version: null, source: null }),
+    entryPoints: ctx => ctx.existing([ctx.pkg?.main, 'index.js', 'app.js', 'server.js'].filter(Boolean)),
+    dev: (ctx, port) => npmDev(ctx, port, nodeEntry(ctx)),
+    test: npmTest
+  },
+  {
+    id: 'php',
+    name: 'PHP',
+    icon: '🟣',
+    language: 'php',
+    detect: ctx => Boolean(ctx.composer) || ctx.has('index.php'),
+    version: () => ({ version: null, source: null }),
+    entryPoints: ctx => ctx.existing(['public/index.php', 'index.php']),
+    dev: phpServe,
+    test: phpunit
+  },
+  {
+    id: 'python',
+    name: 'Python',
+    icon: '🐍',
+    language: 'python',
+    detect: ctx => ctx.has('requirements.txt', 'pyproject.toml', 'Pipfile'),
+    version: () => ({ version: null, source: null }),
+    entryPoints: ctx => ctx.existing(['main.py', 'app.py']),
+    dev: () => null,
+    test: pytest
+  },
+  {
+    id: 'static',
+    name: 'Static',
+    icon: '📄',
+    language: null,
+    detect: () => true,
+    version: () => ({ version: null, source: null }),
+    entryPoints: ctx => ctx.existing(['index.html']),
+    dev: () => null,
+    test: () => null
+  }
+];
+
+// Shell-style command line for display; the virtualenv path is shown relative to the project
+export const formatCommand = (resolved, projectPath) => (resolved
+  ? [resolved.command.replace(`${projectPath}${path.sep}`, ''), ...resolved.args].join(' ')
+  : null);
+
+// Every manifest gets its install, so a Laravel app with a Vite front end runs both Composer and npm;
+// framework-specific setup (keys, config files) follows once the packages are in place
+const installSteps = (ctx, framework) => [
+  ...composerInstall(ctx),
+  ...nodeInstall(ctx),
+  ...pythonInstall(ctx),
+  ...(framework.setup ? framework.setup(ctx) : [])
+];
+
+const findFramework = (ctx) => FRAMEWORKS.find(framework => framework.detect(ctx));
+
+// Results are reused until one of the files detection depends on changes
+const cache = new Map();
+
+const signature = (projectPath) => DETECTION_FILES.map(file => {
+  try {
+    return statSync(path.join(projectPath, file)).mtimeMs;
+  } catch (error) {
+    return 0;
+  }
+}).join(':');
+
+// Framework, version and where it was read from, entry points, and the default dev and test commands
+export const detectFramework = (projectPath) => {
+  const key = signature(projectPath);
+  const cached = cache.get(projectPath);
+  if (cached?.key === key) {
+    return cached.result;
+  }
+
+  const ctx = loadContext(projectPath);
+  const framework = findFramework(ctx);
+  const { version, source } = framework.version(ctx);
+  let entryPoints = [];
+  try {
+    entryPoints = framework.entryPoints(ctx);
+  } catch (error) {
+    // Unreadable folder; nothing to point at
+  }
+
+  const result = {
+    id: framework.id,
+    name: framework.label ? framework.label(ctx) : framework.name,
+    icon: framework.icon,
+    language: framework.language,
+    version: version || null,
+    versionSource: source || null,
+    entryPoints,
+    commands: {
+      dev: formatCommand(framework.dev(ctx, '<port>'), projectPath),
+      test: formatCommand(framework.test(ctx), projectPath),
+      install: installSteps(ctx, framework).map(step => formatCommand(step, projectPath))
+    }
+  };
+  cache.set(projectPath, { key, result });
+  return result;
+};
+
+// Command, arguments and environment that serve the project on the given port; null if there is none
+export const resolveDevCommand = (projectPath, port) => {
+  const ctx = loadContext(projectPath);
+  return findFramework(ctx).dev(ctx, port);
+};
+
+// Command that runs the project's test suite; null if none was found
+export const resolveTestCommand = (projectPath) => {
+  const ctx = loadContext(projectPath);
+  return findFramework(ctx).test(ctx);
+};
+
+// Steps that install a freshly cloned project's dependencies, each { label, command, args, env }
+export const resolveInstallSteps = (projectPath) => {
+  const ctx = loadContext(projectPath);
+  return installSteps(ctx, findFramework(ctx));
+};
@@ -0,0 +1,96 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import path from 'path';
+import { resolveInstallSteps } from './frameworks.js';
+
+const execFileAsync = promisify(execFile);
+
+const LS_REMOTE_TIMEOUT_MS = 20000;
+
+// URLs git can clone over the network, scp-style SSH (git@github.com:owner/repo.git),
+// and local repositories by absolute path or file:// URL
+const REMOTE_URL = /^(https?|ssh|git):\/\/[^\s]+$/;
+const SCP_URL = /^[\w.-]+@[\w.-]+:[^\s]+$/;
+const LOCAL_URL = /^(file:\/\/)?\/[^\s]*$/;
+
+export const BRANCH_PATTERN = /^(?!-)(?!.*\.\.)(?!.*\/\/)[\w./-]{1,255}$/;
+
+// Never let a clone prompt for credentials or reach transports such as ext:: that run commands
+export const GIT_ENV = {
+  GIT_TERMINAL_PROMPT: '0',
+  GIT_ALLOW_PROTOCOL: 'file:git:http:https:ssh',
+  GIT_SSH_COMMAND: process.env.GIT_SSH_COMMAND || 'ssh -o BatchMode=yes'
+};
+
+export const isValidRepository = (repository) =>
+  REMOTE_URL.test(repository) || SCP_URL.test(repository) || LOCAL_URL.test(repository);
+
+export const isLocalRepository = (repository) => LOCAL_URL.test(repository);
+
+// Path on this machine for a local repository
+export const localRepositoryPath = (repository) => repository.replace(/^file:\/\//, '');
+
+// The URL with any user name, password or token taken out, for output and logs
+export const redactRepository = (repository) => (typeof repository === 'string'
+  ? repository.replace(/^([a-z]+:\/\/)[^/@\s]+@/i, '$1***@')
+  : repository);
+
+// Folder name git would pick: the last path segment without .git, made a valid project name
+export const defaultProjectName = (repository) => path.basename(localRepositoryPath(repository).replace(/\/+$/, ''))
+  .replace(/\.git$/, '')
+  .replace(/^.*:/, '')
+  .replace(/[^a-zA-Z0-9_-]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Branches on the remote and the one HEAD points at, for the branch picker
+export const listRemoteBranches = async (repository) => {
+  const { stdout } = await execFileAsync('git', ['ls-remote', '--symref', '--', repository, 'HEAD', 'refs/heads/*'], {
+    timeout: LS_REMOTE_TIMEOUT_MS,
+    maxBuffer: 4 * 1024 * 1024,
+    env: { ...process.env, ...GIT_ENV }
+  });
+
+  const branches = [];
+  let defaultBranch = null;
+  for (const line of stdout.split('\n')) {
+    const symref = line.match(/^ref: refs\/heads\/(\S+)\tHEAD$/);
+    if (symref) {
+      defaultBranch = symref[1];
+      continue;
+    }
+    const head = line.match(/^[0-9a-f]+\trefs\/heads\/(\S+)$/);
+    if (head) {
+      branches.push(head[1]);
+    }
+  }
+  return { branches: branches.sort(), defaultBranch };
+};
+
+// Job steps for cloning into the htdocs root: clone, install what the detector finds once
+// the files are there, then `supreme link` for the vhost and /etc/hosts entry
+export const buildCloneSteps = ({ repository, branch, name, htdocsRoot, tld, https, install }) => {
+  const projectPath = path.join(htdocsRoot, name);
+  const cloneArgs = ['clone', '--progress', ...(branch ? ['--branch', branch] : []), '--', repository, projectPath];
+  const steps = [{
+    label: 'Clone repository',
+    command: 'git',
+    args: cloneArgs,
+    cwd: htdocsRoot,
+    env: GIT_ENV,
+    display: ['git', ...cloneArgs.map(arg => (arg === repository ? redactRepository(arg) : arg))].join(' ')
+  }];
+
+  if (install) {
+    steps.push({
+      label: 'Install dependencies',
+      expand: () => resolveInstallSteps(projectPath).map(step => ({ ...step, cwd: projectPath }))
+    });
+  }
+
+  steps.push({
+    label: 'Create virtual host and hosts entry',
+    command: 'supreme',
+    args: ['link', name, '--tld', tld, https ? '--https' : '--http', '--yes']
+  });
+  return steps;
+};
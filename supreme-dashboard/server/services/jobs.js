@@ -0,0 +1,244 @@
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { LineBuffer } from './lineBuffer.js';
+
+const MAX_LINES = 5000;
+const MAX_JOBS = 50;
+const DEFAULT_TIMEOUT_MS = 15 * 60 * 1000;
+
+export const JOB_STATUSES = ['running', 'succeeded', 'failed', 'cancelled'];
+
+// The command line shown in the output; `display` hides arguments such as credentials in URLs
+const describeStep = (step) => step.display || [step.command, ...(step.args || [])].join(' ');
+
+export const toPublicJob = (job) => ({
+  id: job.id,
+  type: job.type,
+  title: job.title,
+  command: job.command,
+  status: job.status,
+  exitCode: job.exitCode,
+  error: job.error,
+  userId: job.userId,
+  username: job.username,
+  meta: job.meta,
+  createdAt: job.createdAt,
+  finishedAt: job.finishedAt,
+  lineCount: job.output.nextSeq
+});
+
+// Long-running CLI commands started from the dashboard. Output is kept in a
+// per-job ring buffer so clients can attach late and still see the backlog;
+// only the most recent jobs are retained, and nothing survives a restart.
+class JobRunner extends EventEmitter {
+  constructor() {
+    super();
+    this.jobs = new Map();
+    this.setMaxListeners(0);
+  }
+
+  // A job runs one command, or `steps` one after another. A step is { label, command, args,
+  // cwd, env, display }; { label, task } where task(log) is async work done in-process, e.g.
+  // copying files; or { label, expand } where expand() returns the steps to run in its place,
+  // worked out only when earlier steps are done (e.g. installs after a clone).
+  start({ type, title, command, args = [], cwd, env, steps, user, meta = {}, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    const queue = steps || [{ command, args, cwd, env }];
+    const job = {
+      id: crypto.randomBytes(8).toString('hex'),
+      type,
+      title,
+      command: queue.filter(step => step.command).map(describeStep).join(' && '),
+      status: 'running',
+      exitCode: null,
+      error: null,
+      userId: user?.id ?? null,
+      username: user?.username ?? null,
+      meta,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      output: null,
+      steps: [...queue],
+      timeoutMs,
+      child: null,
+      timer: null
+    };
+    job.output = new LineBuffer(MAX_LINES, line => this.emit(`line:${job.id}`, line));
+    this.jobs.set(job.id, job);
+    this.prune();
+
+    job.timer = setTimeout(() => {
+      if (job.status === 'running') {
+        this.kill(job);
+        this.finish(job, 'failed', null, `Timed out after ${Math.round(timeoutMs / 60000)} minutes`);
+      }
+    }, timeoutMs);
+    job.timer.unref();
+
+    console.log(`⚙️  Job ${job.id} started by ${job.username || 'system'}: ${job.command}`);
+    this.runStep(job, 0);
+    return job;
+  }
+
+  runStep(job, index) {
+    if (job.status !== 'running') {
+      return;
+    }
+    if (index >= job.steps.length) {
+      this.finish(job, 'succeeded', 0);
+      return;
+    }
+
+    const step = job.steps[index];
+    if (step.expand) {
+      let expanded;
+      try {
+        expanded = step.expand() || [];
+      } catch (error) {
+        this.finish(job, 'failed', null, error.message);
+        return;
+      }
+      if (expanded.length === 0 && step.label) {
+        job.output.append('system', `${step.label}: nothing to do`);
+      }
+      job.steps.splice(index, 1, ...expanded);
+      this.runStep(job, index);
+      return;
+    }
+
+    if (step.label) {
+      job.output.append('system', `▶ ${step.label}`);
+    }
+    if (step.task) {
+      Promise.resolve()
+        .then(() => step.task(text => job.output.append('system', text)))
+        .then(() => this.runStep(job, index + 1), error => this.finish(job, 'failed', null, error.message));
+      return;
+    }
+    job.output.append('system', `$ ${describeStep(step)}`);
+
+    const child = spawn(step.command, step.args || [], {
+      cwd: step.cwd,
+      env: { ...process.env, ...step.env },
+      stdio: ['ignore', 'pipe', 'pipe'],
+      // Own process group, so cancelling also stops npm/composer subprocesses
+      detached: true
+    });
+    job.child = child;
+
+    for (const stream of ['stdout', 'stderr']) {
+      child[stream].setEncoding('utf8');
+      child[stream].on('data', chunk => job.output.write(stream, chunk));
+    }
+
+    child.on('error', (error) => {
+      const message = error.code === 'ENOENT' ? `${step.command}: command not found` : error.message;
+      this.finish(job, 'failed', null, message);
+    });
+
+    child.on('close', (code, signal) => {
+      if (job.status !== 'running' || job.child !== child) {
+        return;
+      }
+      job.output.flush();
+      if (code === 0) {
+        this.runStep(job, index + 1);
+      } else {
+        this.finish(job, 'failed', code, signal ? `Terminated by ${signal}` : `Exited with code ${code}`);
+      }
+    });
+  }
+
+  finish(job, status, exitCode, error = null) {
+    if (job.status !== 'running') {
+      return;
+    }
+    job.output.flush();
+    if (error) {
+      job.output.append('system', error);
+    }
+
+    clearTimeout(job.timer);
+    job.status = status;
+    job.exitCode = exitCode;
+    job.error = error;
+    job.finishedAt = new Date().toISOString();
+    job.child = null;
+
+    console.log(`⚙️  Job ${job.id} ${status}`);
+    this.emit(`done:${job.id}`, toPublicJob(job));
+    this.emit('done', job);
+  }
+
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== 'running') {
+      return false;
+    }
+    this.kill(job);
+    this.finish(job, 'cancelled', null, 'Cancelled');
+    return true;
+  }
+
+  // A child process a task step started itself; cancelling or timing out the job stops it too
+  track(job, child) {
+    job.child = child;
+    child.once('close', () => {
+      if (job.child === child) {
+        job.child = null;
+      }
+    });
+    if (job.status !== 'running') {
+      this.kill(job);
+    }
+  }
+
+  kill(job) {
+    if (!job.child?.pid) {
+      return;
+    }
+    try {
+      process.kill(-job.child.pid, 'SIGTERM');
+    } catch (error) {
+      job.child.kill('SIGTERM');
+    }
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list({ userId } = {}) {
+    return [...this.jobs.values()]
+      .filter(job => userId === undefined || job.userId === userId)
+      .reverse()
+      .map(toPublicJob);
+  }
+
+  linesAfter(job, after = -1) {
+    return job.output.after(after);
+  }
+
+  // Calls onLine for every new line and onDone once; returns the unsubscribe function
+  subscribe(id, { onLine, onDone }) {
+    this.on(`line:${id}`, onLine);
+    this.once(`done:${id}`, onDone);
+    return () => {
+      this.off(`line:${id}`, onLine);
+      this.off(`done:${id}`, onDone);
+    };
+  }
+
+  prune() {
+    const finished = [...this.jobs.values()].filter(job => job.status !== 'running');
+    let excess = this.jobs.size - MAX_JOBS;
+    for (const job of finished) {
+      if (excess-- <= 0) {
+        break;
+      }
+      this.jobs.delete(job.id);
+    }
+  }
+}
+
+export default new JobRunner();
@@ -0,0 +1,9 @@
+import { writeFileSync, renameSync } from 'fs';
+
+// Save a dashboard store readable by its owner only. The JSON goes to a temp file that is
+// then renamed over the store, so a crash never leaves it truncated.
+export const writeJsonStore = (filePath, data, { indent = 2 } = {}) => {
+  const tempPath = `${filePath}.tmp`;
+  writeFileSync(tempPath, JSON.stringify(data, null, indent), { mode: 0o600 });
+  renameSync(tempPath, filePath);
+};
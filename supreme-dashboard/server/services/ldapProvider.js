@@ -0,0 +1,109 @@
+import { Client, InvalidCredentialsError } from 'ldapts';
+
+const CONNECT_TIMEOUT = 5 * 1000;
+const OPERATION_TIMEOUT = 10 * 1000;
+
+// RFC 4515 escaping for values placed into a search filter
+const escapeFilterValue = (value) =>
+  value.replace(/[\\*()\0]/g, char => `\\${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+
+// Attribute names are case-insensitive in LDAP; servers differ in what they send back
+const values = (entry, attribute) => {
+  const key = Object.keys(entry).find(name => name.toLowerCase() === attribute.toLowerCase());
+  return key ? [].concat(entry[key]).map(String) : [];
+};
+
+// Password login against a directory: find the user's DN with the service
+// account, then bind as that DN with the password they typed
+export class LdapProvider {
+  constructor(config) {
+    this.config = config;
+  }
+
+  async connect() {
+    const client = new Client({
+      url: this.config.url,
+      timeout: OPERATION_TIMEOUT,
+      connectTimeout: CONNECT_TIMEOUT
+    });
+
+    if (this.config.startTls) {
+      await client.startTLS({ servername: new URL(this.config.url).hostname });
+    }
+    if (this.config.bindDN) {
+      try {
+        await client.bind(this.config.bindDN, this.config.bindPassword);
+      } catch (error) {
+        await client.unbind().catch(() => {});
+        throw error instanceof InvalidCredentialsError
+          ? new Error('the directory rejected the service bind DN or password')
+          : error;
+      }
+    }
+    return client;
+  }
+
+  async findUser(client, username) {
+    const { baseDN, userFilter, usernameAttribute, emailAttribute, groupAttribute } = this.config;
+    const { searchEntries } = await client.search(baseDN, {
+      scope: 'sub',
+      filter: userFilter.replaceAll('{{username}}', escapeFilterValue(username)),
+      attributes: [usernameAttribute, emailAttribute, groupAttribute],
+      sizeLimit: 2
+    });
+
+    // Zero or several matches are both a failed login
+    return searchEntries.length === 1 ? searchEntries[0] : null;
+  }
+
+  toProfile(entry, username) {
+    return {
+      externalId: entry.dn,
+      username: values(entry, this.config.usernameAttribute)[0] || username,
+      email: values(entry, this.config.emailAttribute)[0] || null,
+      groups: values(entry, this.config.groupAttribute)
+    };
+  }
+
+  // Profile of the directory user, or null for bad credentials
+  async authenticate({ username, password }) {
+    // An empty password would be an anonymous bind, which most servers accept
+    if (!username || !password) {
+      return null;
+    }
+
+    const client = await this.connect();
+    try {
+      const entry = await this.findUser(client, username);
+      if (!entry) {
+        return null;
+      }
+
+      try {
+        await client.bind(entry.dn, password);
+      } catch (error) {
+        if (error instanceof InvalidCredentialsError) {
+          return null;
+        }
+        throw error;
+      }
+      return this.toProfile(entry, username);
+    } finally {
+      await client.unbind().catch(() => {});
+    }
+  }
+
+  // Checks the service bind and, given a username, what the lookup finds
+  async test({ username } = {}) {
+    const client = await this.connect();
+    try {
+      if (!username) {
+        return { bound: true };
+      }
+      const entry = await this.findUser(client, username);
+      return { bound: true, user: entry ? this.toProfile(entry, username) : null };
+    } finally {
+      await client.unbind().catch(() => {});
+    }
+  }
+}
@@ -0,0 +1,54 @@
+const MAX_LINE_LENGTH = 4000;
+
+// The CLI colours its output for terminals; the dashboard shows plain text
+const ANSI_ESCAPE = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+// Fixed-size buffer of process output lines. Every line gets a sequence number,
+// so a client that reconnects can ask for just the lines after the last one it saw.
+export class LineBuffer {
+  constructor(maxLines, onLine = () => {}) {
+    this.maxLines = maxLines;
+    this.onLine = onLine;
+    this.lines = [];
+    this.nextSeq = 0;
+    this.partial = { stdout: '', stderr: '' };
+  }
+
+  // Split a chunk into lines; carriage returns (progress bars) also end a line
+  write(stream, chunk) {
+    const parts = (this.partial[stream] + chunk).split(/\r\n|\n|\r/);
+    this.partial[stream] = parts.pop();
+    for (const text of parts) {
+      this.append(stream, text);
+    }
+  }
+
+  // Emit whatever is left after the last newline, e.g. when the process exits
+  flush() {
+    for (const stream of Object.keys(this.partial)) {
+      if (this.partial[stream]) {
+        this.append(stream, this.partial[stream]);
+        this.partial[stream] = '';
+      }
+    }
+  }
+
+  append(stream, text) {
+    const line = {
+      seq: this.nextSeq++,
+      stream,
+      text: text.replace(ANSI_ESCAPE, '').slice(0, MAX_LINE_LENGTH),
+      at: new Date().toISOString()
+    };
+    this.lines.push(line);
+    if (this.lines.length > this.maxLines) {
+      this.lines.shift();
+    }
+    this.onLine(line);
+    return line;
+  }
+
+  after(seq = -1) {
+    return this.lines.filter(line => line.seq > seq);
+  }
+}
@@ -0,0 +1,172 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const DISCOVERY_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const REQUEST_TIMEOUT = 10 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Discovery documents and signing keys, keyed by issuer
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+  const data = await response.json().catch(() => null);
+  if (!response.ok || !data) {
+    const reason = data?.error_description || data?.error || `HTTP ${response.status}`;
+    throw new Error(`${url} failed: ${reason}`);
+  }
+  return data;
+};
+
+// OpenID Connect login using the authorization code flow with PKCE
+export class OidcProvider {
+  constructor(config) {
+    this.config = config;
+    this.issuer = config.issuer.replace(/\/+$/, '');
+  }
+
+  async discover() {
+    const cached = discoveryCache.get(this.issuer);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.document;
+    }
+
+    const document = await fetchJson(`${this.issuer}/.well-known/openid-configuration`);
+    if (!document.authorization_endpoint || !document.token_endpoint || !document.jwks_uri) {
+      throw new Error('Discovery document is missing authorization, token or JWKS endpoints');
+    }
+
+    discoveryCache.set(this.issuer, { document, expiresAt: Date.now() + DISCOVERY_CACHE_TTL });
+    return document;
+  }
+
+  // Refetched when the IdP signs with a key we have not seen (key rotation)
+  async signingKey(kid) {
+    const { jwks_uri: jwksUri } = await this.discover();
+
+    const findKey = (keys) => keys.find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+    let key = findKey(jwksCache.get(jwksUri) || []);
+    if (!key) {
+      const { keys = [] } = await fetchJson(jwksUri);
+      jwksCache.set(jwksUri, keys);
+      key = findKey(keys);
+    }
+    if (!key) {
+      throw new Error(`No signing key${kid ? ` '${kid}'` : ''} published by the identity provider`);
+    }
+    return crypto.createPublicKey({ key, format: 'jwk' });
+  }
+
+  // Everything the callback needs to finish the login, plus the URL to send the browser to
+  async createAuthorizationRequest(redirectUri) {
+    const { authorization_endpoint: authorizationEndpoint } = await this.discover();
+    const state = base64url(crypto.randomBytes(24));
+    const nonce = base64url(crypto.randomBytes(24));
+    const codeVerifier = base64url(crypto.randomBytes(48));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    const url = new URL(authorizationEndpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.config.clientId,
+      redirect_uri: redirectUri,
+      scope: this.config.scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    }).toString();
+
+    return { url: url.toString(), state, nonce, codeVerifier, redirectUri };
+  }
+
+  async exchangeCode(code, { codeVerifier, redirectUri }) {
+    const { token_endpoint: tokenEndpoint } = await this.discover();
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: this.config.clientId,
+      code_verifier: codeVerifier
+    });
+    if (this.config.clientSecret) {
+      body.set('client_secret', this.config.clientSecret);
+    }
+
+    return fetchJson(tokenEndpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body
+    });
+  }
+
+  async verifyIdToken(idToken, nonce) {
+    const { issuer } = await this.discover();
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw new Error('Identity provider returned a malformed ID token');
+    }
+
+    const key = await this.signingKey(decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer,
+      audience: this.config.clientId
+    });
+
+    if (claims.nonce !== nonce) {
+      throw new Error('ID token nonce does not match this login');
+    }
+    return claims;
+  }
+
+  // Groups are often left out of the ID token; the userinfo endpoint fills the gap
+  async userInfo(accessToken) {
+    const { userinfo_endpoint: userinfoEndpoint } = await this.discover();
+    if (!userinfoEndpoint || !accessToken) {
+      return {};
+    }
+    return fetchJson(userinfoEndpoint, { headers: { Authorization: `Bearer ${accessToken}` } })
+      .catch(() => ({}));
+  }
+
+  async handleCallback(code, pending) {
+    const tokens = await this.exchangeCode(code, pending);
+    if (!tokens.id_token) {
+      throw new Error('Identity provider did not return an ID token');
+    }
+
+    let claims = await this.verifyIdToken(tokens.id_token, pending.nonce);
+    if (claims[this.config.groupsClaim] === undefined) {
+      const info = await this.userInfo(tokens.access_token);
+      if (info.sub === claims.sub) {
+        claims = { ...info, ...claims };
+      }
+    }
+
+    const groups = claims[this.config.groupsClaim];
+    return {
+      externalId: claims.sub,
+      username: claims[this.config.usernameClaim] || claims.email?.split('@')[0] || claims.sub,
+      email: claims.email || null,
+      groups: Array.isArray(groups) ? groups : groups ? [groups] : []
+    };
+  }
+
+  async test() {
+    const document = await this.discover();
+    const { keys = [] } = await fetchJson(document.jwks_uri);
+
+    return {
+      issuer: document.issuer,
+      authorizationEndpoint: document.authorization_endpoint,
+      tokenEndpoint: document.token_endpoint,
+      userinfoEndpoint: document.userinfo_endpoint || null,
+      signingKeys: keys.length,
+      pkce: (document.code_challenge_methods_supported || []).includes('S256')
+    };
+  }
+}
@@ -0,0 +1,42 @@
+import { writeFileSync, mkdirSync } from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { DATA_DIR } from './users.js';
+
+const MAIL_FROM = process.env.SUPREME_MAIL_FROM || 'Supreme Dashboard <no-reply@localhost>';
+
+// Header values must not smuggle in extra headers
+const headerValue = (value) => String(value).replace(/[\r\n]+/g, ' ');
+
+// Local development machines rarely have a mail relay, so outgoing mail is
+// written as .eml files for the admin to forward or open in a mail client
+class Outbox {
+  constructor() {
+    this.dir = path.join(DATA_DIR, 'outbox');
+  }
+
+  send({ to, subject, text }) {
+    mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+
+    const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}`;
+    const message = [
+      `From: ${headerValue(MAIL_FROM)}`,
+      `To: ${headerValue(to)}`,
+      `Subject: ${headerValue(subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${id}@${os.hostname()}>`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      text
+    ].join('\r\n');
+
+    const file = path.join(this.dir, `${id}.eml`);
+    writeFileSync(file, message, { mode: 0o600 });
+    console.log(`📧 Queued "${subject}" for ${to} in ${file}`);
+    return { id, file };
+  }
+}
+
+export default new Outbox();
@@ -0,0 +1,126 @@
+import { readFileSync, existsSync, mkdirSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DATA_DIR } from './users.js';
+import { writeJsonStore } from './jsonStore.js';
+
+const STORE_VERSION = 1;
+
+// Bundled list of common passwords; a bigger local corpus can replace it
+const BREACHED_LIST_PATH = process.env.SUPREME_BREACHED_PASSWORDS ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'breached-passwords.txt');
+
+export const MAX_PASSWORD_LENGTH = 128;
+
+// Length over composition by default (NIST SP 800-63B); admins can require classes on top
+export const POLICY_DEFAULTS = {
+  minLength: 8,
+  requireLowercase: false,
+  requireUppercase: false,
+  requireNumber: false,
+  requireSymbol: false,
+  rejectBreached: true
+};
+
+const CHARACTER_CLASSES = [
+  ['requireLowercase', /[a-z]/, 'a lowercase letter'],
+  ['requireUppercase', /[A-Z]/, 'an uppercase letter'],
+  ['requireNumber', /[0-9]/, 'a number'],
+  ['requireSymbol', /[^a-zA-Z0-9]/, 'a symbol']
+];
+
+class PasswordPolicyStore {
+  constructor() {
+    this.filePath = path.join(DATA_DIR, 'password-policy.json');
+    this.policy = { ...POLICY_DEFAULTS };
+    this.breached = null;
+  }
+
+  initialize() {
+    mkdirSync(DATA_DIR, { recursive: true, mode: 0o700 });
+
+    if (existsSync(this.filePath)) {
+      const saved = JSON.parse(readFileSync(this.filePath, 'utf8')).policy || {};
+      this.policy = { ...POLICY_DEFAULTS, ...saved };
+    }
+  }
+
+  save() {
+    const data = { version: STORE_VERSION, policy: this.policy };
+    writeJsonStore(this.filePath, data);
+  }
+
+  get() {
+    return { ...this.policy };
+  }
+
+  update(changes) {
+    for (const key of Object.keys(POLICY_DEFAULTS)) {
+      if (changes[key] !== undefined) {
+        this.policy[key] = changes[key];
+      }
+    }
+    this.save();
+    return this.get();
+  }
+
+  // Loaded on first use; a missing list disables the check rather than every password change
+  breachedWords() {
+    if (!this.breached) {
+      try {
+        this.breached = new Set(readFileSync(BREACHED_LIST_PATH, 'utf8')
+          .split('\n')
+          .map(line => line.trim().toLowerCase())
+          .filter(line => line && !line.startsWith('#')));
+      } catch (error) {
+        console.error(`Could not read breached password list ${BREACHED_LIST_PATH}:`, error.message);
+        this.breached = new Set();
+      }
+    }
+    return this.breached;
+  }
+
+  isBreached(password) {
+    const words = this.breachedWords();
+    const lower = password.toLowerCase();
+    // "Summer2024!" is as guessable as "summer"
+    const stem = lower.replace(/[^a-z]+$/, '');
+    return words.has(lower) || (stem.length >= 4 && words.has(stem));
+  }
+
+  // First reason the password is not acceptable, or null
+  check(password) {
+    const policy = this.policy;
+
+    if (typeof password !== 'string' || password.length < policy.minLength) {
+      return `Password must be at least ${policy.minLength} characters`;
+    }
+    if (password.length > MAX_PASSWORD_LENGTH) {
+      return `Password must be less than ${MAX_PASSWORD_LENGTH} characters`;
+    }
+
+    const missing = CHARACTER_CLASSES
+      .filter(([key, pattern]) => policy[key] && !pattern.test(password))
+      .map(([, , label]) => label);
+    if (missing.length > 0) {
+      return `Password must contain ${missing.join(', ')}`;
+    }
+
+    if (policy.rejectBreached && this.isBreached(password)) {
+      return 'This password is too common or has appeared in a data breach';
+    }
+
+    return null;
+  }
+
+  // Policy as shown on the registration and reset forms
+  toPublic() {
+    return {
+      ...this.get(),
+      maxLength: MAX_PASSWORD_LENGTH,
+      breachedListSize: this.policy.rejectBreached ? this.breachedWords().size : 0
+    };
+  }
+}
+
+export default new PasswordPolicyStore();
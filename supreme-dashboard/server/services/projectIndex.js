@@ -0,0 +1,389 @@
+import { EventEmitter } from 'events';
+import { readFileSync, existsSync, mkdirSync, readdirSync, statSync, lstatSync, watch } from 'fs';
+import { lstat, readdir } from 'fs/promises';
+import path from 'path';
+import { DATA_DIR } from './users.js';
+import { writeJsonStore } from './jsonStore.js';
+import { LARGEST_DIRECTORIES } from './projectInfo.js';
+
+const STORE_VERSION = 1;
+// Editors and installs touch many files at once; gather them up before measuring
+const DEBOUNCE_MS = 1000;
+const SAVE_DELAY_MS = 5000;
+
+const parseMinutes = (value, fallback) => {
+  const minutes = parseInt(value, 10);
+  return minutes > 0 ? minutes : fallback;
+};
+
+// Watchers only see a project's top level, so deeper changes are picked up by a periodic rescan
+export const RESCAN_MINUTES = parseMinutes(process.env.SUPREME_INDEX_RESCAN_MINUTES, 15);
+
+// Same shape as `du -sh`: one decimal below ten, whole numbers above
+export const formatSize = (bytes) => {
+  const units = ['B', 'K', 'M', 'G', 'T'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  if (unit === 0) {
+    return `${value}${units[unit]}`;
+  }
+  return `${value < 10 ? value.toFixed(1) : Math.round(value)}${units[unit]}`;
+};
+
+// Disk usage like du: allocated blocks, symlinks not followed, hard links counted once
+const diskUsage = async (target, seen) => {
+  let stats;
+  try {
+    stats = await lstat(target);
+  } catch (error) {
+    return 0;
+  }
+  if (stats.nlink > 1 && !stats.isDirectory()) {
+    const key = `${stats.dev}:${stats.ino}`;
+    if (seen.has(key)) {
+      return 0;
+    }
+    seen.add(key);
+  }
+  let total = stats.blocks !== undefined ? stats.blocks * 512 : stats.size;
+  if (stats.isDirectory()) {
+    let entries = [];
+    try {
+      entries = await readdir(target);
+    } catch (error) {
+      // Unreadable folder; count the folder itself only
+    }
+    for (const entry of entries) {
+      total += await diskUsage(path.join(target, entry), seen);
+    }
+  }
+  return total;
+};
+
+export const toPublicEntry = (entry) => ({
+  name: entry.name,
+  path: entry.path,
+  created: entry.created,
+  modified: entry.modified,
+  size: entry.sizeBytes === null ? null : formatSize(entry.sizeBytes),
+  sizeBytes: entry.sizeBytes,
+  scannedAt: entry.scannedAt
+});
+
+// Keeps metadata for every folder under HTDOCS_ROOT so listing never touches the disk
+// beyond a readdir. Sizes are measured in the background, one project at a time, and
+// re-measured per top-level entry as watchers report changes; 'change' events carry
+// { type: 'added' | 'updated' | 'removed', project } for anyone following along.
+class ProjectIndex extends EventEmitter {
+  constructor() {
+    super();
+    this.filePath = path.join(DATA_DIR, 'project-index.json');
+    this.root = null;
+    this.entries = new Map();
+    this.watchers = new Map();
+    this.dirty = new Map();
+    this.pending = new Map();
+    this.timers = new Map();
+    this.scanning = false;
+    this.setMaxListeners(0);
+  }
+
+  initialize({ getRoot }) {
+    mkdirSync(DATA_DIR, { recursive: true, mode: 0o700 });
+    this.getRoot = getRoot;
+
+    // Sizes from the last run show straight away and are re-measured behind them
+    if (existsSync(this.filePath)) {
+      const data = JSON.parse(readFileSync(this.filePath, 'utf8'));
+      if (data.root === this.getRoot()) {
+        this.root = data.root;
+        for (const entry of Object.values(data.projects || {})) {
+          this.entries.set(entry.name, entry);
+        }
+      }
+    }
+
+    this.reconcile({ rescan: true });
+    this.timer = setInterval(() => this.reconcile({ rescan: true }), RESCAN_MINUTES * 60 * 1000);
+    this.timer.unref();
+  }
+
+  save() {
+    const data = {
+      version: STORE_VERSION,
+      root: this.root,
+      projects: Object.fromEntries(this.entries)
+    };
+    writeJsonStore(this.filePath, data, { indent: 0 });
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  // Every indexed project, in name order; new and vanished folders are picked up on the way
+  list() {
+    this.reconcile();
+    return [...this.entries.values()].sort((a, b) => a.name.localeCompare(b.name)).map(toPublicEntry);
+  }
+
+  get(name) {
+    this.reconcile();
+    const entry = this.entries.get(name);
+    return entry ? toPublicEntry(entry) : null;
+  }
+
+  // Top-level subdirectories by disk usage, in KiB, as getLargestDirectories gives them; null until measured
+  largestDirectories(name, limit = LARGEST_DIRECTORIES) {
+    const entry = this.entries.get(name);
+    if (!entry || entry.sizeBytes === null) {
+      return null;
+    }
+    return Object.entries(entry.parts)
+      .filter(([part]) => {
+        try {
+          return lstatSync(path.join(entry.path, part)).isDirectory();
+        } catch (error) {
+          return false;
+        }
+      })
+      .map(([part, bytes]) => ({ name: part, sizeKb: Math.ceil(bytes / 1024) }))
+      .sort((a, b) => b.sizeKb - a.sizeKb)
+      .slice(0, limit);
+  }
+
+  // Re-measure a project in full, e.g. after a job has installed or pulled into it
+  refresh(name) {
+    if (this.entries.has(name)) {
+      this.markDirty(name, null);
+    }
+  }
+
+  // Bring the entries in line with the folders under the root, and (re)attach watchers
+  reconcile({ rescan = false } = {}) {
+    const root = this.getRoot();
+    if (root !== this.root) {
+      this.reset();
+      this.root = root;
+    }
+    if (!this.rootWatcher) {
+      this.rootWatcher = this.watch(root, () => this.settle('', () => this.reconcile()));
+    }
+
+    let names = [];
+    try {
+      names = readdirSync(root, { withFileTypes: true })
+        .filter(dirent => dirent.isDirectory())
+        .map(dirent => dirent.name);
+    } catch (error) {
+      // No htdocs yet; nothing to index
+    }
+
+    for (const name of [...this.entries.keys()]) {
+      if (!names.includes(name)) {
+        this.remove(name);
+      }
+    }
+    for (const name of names) {
+      const known = this.entries.has(name);
+      if (!known) {
+        this.add(name);
+      } else if (!this.watchers.has(name)) {
+        this.attach(name);
+      }
+      if (rescan && known) {
+        this.markDirty(name, null);
+      }
+    }
+  }
+
+  reset() {
+    this.rootWatcher?.close();
+    this.rootWatcher = null;
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers.clear();
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.dirty.clear();
+    this.pending.clear();
+    this.entries.clear();
+  }
+
+  add(name) {
+    const entry = { name, path: path.join(this.root, name), created: null, modified: null, sizeBytes: null, parts: {}, scannedAt: null };
+    this.entries.set(name, entry);
+    this.restat(entry);
+    this.attach(name);
+    this.markDirty(name, null);
+    this.emit('change', { type: 'added', project: toPublicEntry(entry) });
+  }
+
+  remove(name) {
+    const entry = this.entries.get(name);
+    this.watchers.get(name)?.close();
+    this.watchers.delete(name);
+    clearTimeout(this.timers.get(name));
+    this.timers.delete(name);
+    this.dirty.delete(name);
+    this.pending.delete(name);
+    this.entries.delete(name);
+    this.scheduleSave();
+    this.emit('change', { type: 'removed', project: toPublicEntry(entry) });
+  }
+
+  restat(entry) {
+    try {
+      const stats = statSync(entry.path);
+      entry.created = stats.birthtime;
+      entry.modified = stats.mtime;
+    } catch (error) {
+      // Gone already; the root watcher will remove it
+    }
+  }
+
+  attach(name) {
+    const watcher = this.watch(path.join(this.root, name), (eventType, filename) => {
+      const part = filename ? String(filename).split(path.sep)[0] : null;
+      const pending = this.pending.get(name);
+      this.pending.set(name, part === null || pending === null ? null : new Set([...(pending || []), part]));
+      this.settle(name, () => {
+        const parts = this.pending.get(name);
+        this.pending.delete(name);
+        this.markDirty(name, parts);
+      });
+    });
+    if (watcher) {
+      this.watchers.set(name, watcher);
+    }
+  }
+
+  // A watcher that cannot be set up (no folder, watch limit reached) just leaves things to the rescan
+  watch(target, listener) {
+    try {
+      const watcher = watch(target, { persistent: false }, listener);
+      watcher.on('error', () => {
+        watcher.close();
+        if (this.rootWatcher === watcher) {
+          this.rootWatcher = null;
+        }
+        for (const [name, item] of this.watchers) {
+          if (item === watcher) {
+            this.watchers.delete(name);
+          }
+        }
+      });
+      return watcher;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Runs the callback a moment after the first of a burst of events; later ones ride along
+  settle(key, callback) {
+    if (this.timers.has(key)) {
+      return;
+    }
+    const timer = setTimeout(() => {
+      this.timers.delete(key);
+      callback();
+    }, DEBOUNCE_MS);
+    timer.unref();
+    this.timers.set(key, timer);
+  }
+
+  // parts is a set of the project's top-level entries, or null for all of it
+  markDirty(name, parts) {
+    const pending = this.dirty.get(name);
+    if (parts === null || pending === null) {
+      this.dirty.set(name, null);
+    } else {
+      this.dirty.set(name, new Set([...(pending || []), ...parts]));
+    }
+    this.drain();
+  }
+
+  // Projects without a size go first, so a fresh install fills in quickly
+  nextDirty() {
+    for (const name of this.dirty.keys()) {
+      if (this.entries.get(name)?.sizeBytes === null) {
+        return name;
+      }
+    }
+    return this.dirty.keys().next().value;
+  }
+
+  async drain() {
+    if (this.scanning) {
+      return;
+    }
+    this.scanning = true;
+    try {
+      while (this.dirty.size > 0) {
+        const name = this.nextDirty();
+        const parts = this.dirty.get(name);
+        this.dirty.delete(name);
+        const entry = this.entries.get(name);
+        if (entry) {
+          await this.measure(entry, parts);
+        }
+      }
+    } finally {
+      this.scanning = false;
+    }
+  }
+
+  async measure(entry, parts) {
+    const seen = new Set();
+    // Only a project measured in full before can be topped up part by part
+    const full = !parts || entry.sizeBytes === null;
+    let names = full ? [] : [...parts];
+    if (full) {
+      try {
+        names = await readdir(entry.path);
+      } catch (error) {
+        return;
+      }
+      entry.parts = {};
+    }
+
+    for (const part of names) {
+      const bytes = await diskUsage(path.join(entry.path, part), seen);
+      if (bytes > 0) {
+        entry.parts[part] = bytes;
+      } else {
+        delete entry.parts[part];
+      }
+    }
+    // The project may have gone while it was being measured
+    if (this.entries.get(entry.name) !== entry) {
+      return;
+    }
+
+    let own = 0;
+    try {
+      own = (await lstat(entry.path)).blocks * 512 || 0;
+    } catch (error) {
+      return;
+    }
+    this.restat(entry);
+    entry.sizeBytes = own + Object.values(entry.parts).reduce((sum, bytes) => sum + bytes, 0);
+    entry.scannedAt = new Date().toISOString();
+    this.scheduleSave();
+    this.emit('change', { type: 'updated', project: toPublicEntry(entry) });
+  }
+}
+
+const projectIndex = new ProjectIndex();
+
+export default projectIndex;
@@ -0,0 +1,184 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { existsSync, readFileSync, readdirSync, openSync, readSync, fstatSync, closeSync } from 'fs';
+import path from 'path';
+
+const execFileAsync = promisify(execFile);
+
+const MAX_DIRTY_FILES = 100;
+const COMMIT_COUNT = 10;
+export const LARGEST_DIRECTORIES = 10;
+const ERROR_LOG_LINES = 50;
+const ERROR_LOG_TAIL_BYTES = 512 * 1024;
+
+// Where Apache keeps its logs on the platforms the installer supports
+const APACHE_LOG_DIRS = [
+  '/var/log/apache2',
+  '/var/log/httpd',
+  '/opt/lampp/logs',
+  '/usr/local/var/log/httpd',
+  '/opt/homebrew/var/log/httpd'
+];
+
+const run = async (command, args, options = {}) => {
+  const { stdout } = await execFileAsync(command, args, { timeout: 20000, maxBuffer: 4 * 1024 * 1024, ...options });
+  return stdout;
+};
+
+const readText = (file) => {
+  try {
+    return readFileSync(file, 'utf8');
+  } catch (error) {
+    return null;
+  }
+};
+
+// Branch, upstream, uncommitted changes, recent commits and remotes; null when not a repository
+export const getGitInfo = async (projectPath) => {
+  if (!existsSync(path.join(projectPath, '.git'))) {
+    return null;
+  }
+
+  const git = (...args) => run('git', ['-C', projectPath, ...args]);
+
+  try {
+    const status = await git('status', '--porcelain=v1', '--branch');
+    const [header = '', ...fileLines] = status.split('\n').filter(Boolean);
+    // "## main...origin/main [ahead 1, behind 2]" or "## No commits yet on main"
+    let head = header.replace(/^## /, '').replace(/^(No commits yet on|Initial commit on) /, '');
+    const tracking = head.match(/ \[(.+)\]$/)?.[1] || '';
+    head = head.replace(/ \[.+\]$/, '');
+    const [branch, upstream = null] = head.split('...');
+
+    const log = await git('log', `-n${COMMIT_COUNT}`, '--pretty=format:%H%x1f%h%x1f%an%x1f%aI%x1f%s').catch(() => '');
+    const remotes = await git('remote', '-v').catch(() => '');
+
+    return {
+      branch: branch || null,
+      upstream,
+      ahead: parseInt(tracking.match(/ahead (\d+)/)?.[1] || '0', 10),
+      behind: parseInt(tracking.match(/behind (\d+)/)?.[1] || '0', 10),
+      dirty: fileLines.length > 0,
+      dirtyCount: fileLines.length,
+      dirtyFiles: fileLines.slice(0, MAX_DIRTY_FILES).map(line => ({ status: line.slice(0, 2).trim(), path: line.slice(3) })),
+      commits: log.split('\n').filter(Boolean).map(line => {
+        const [hash, shortHash, author, date, subject] = line.split('\x1f');
+        return { hash, shortHash, author, date, subject };
+      }),
+      remotes: [...new Map(remotes.split('\n').filter(Boolean).map(line => {
+        const [name, url] = line.split(/\s+/);
+        // Never echo credentials embedded in an https remote
+        return [name, { name, url: url.replace(/\/\/[^/@\s]+@/, '//***@') }];
+      })).values()]
+    };
+  } catch (error) {
+    return { error: error.stderr?.trim() || error.message };
+  }
+};
+
+// Top-level subdirectories by disk usage, in KiB
+export const getLargestDirectories = async (projectPath, limit = LARGEST_DIRECTORIES) => {
+  let directories;
+  try {
+    directories = readdirSync(projectPath, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name);
+  } catch (error) {
+    return [];
+  }
+  if (directories.length === 0) {
+    return [];
+  }
+
+  let output;
+  try {
+    output = await run('du', ['-sk', '--', ...directories], { cwd: projectPath });
+  } catch (error) {
+    // du exits non-zero on unreadable files but still prints the totals it could compute
+    output = error.stdout || '';
+  }
+
+  return output.split('\n').filter(Boolean)
+    .map(line => {
+      const [kb, ...name] = line.split('\t');
+      return { name: name.join('\t'), sizeKb: parseInt(kb, 10) };
+    })
+    .filter(entry => !Number.isNaN(entry.sizeKb))
+    .sort((a, b) => b.sizeKb - a.sizeKb)
+    .slice(0, limit);
+};
+
+// Database names the project's own configuration points at
+export const getConfiguredDatabases = (projectPath) => {
+  const found = [];
+  const add = (name, source) => {
+    if (name && /^[a-zA-Z0-9_]+$/.test(name) && !found.some(item => item.name === name)) {
+      found.push({ name, source });
+    }
+  };
+
+  const env = readText(path.join(projectPath, '.env'));
+  if (env) {
+    for (const line of env.split('\n')) {
+      const match = line.match(/^\s*(DB_DATABASE|DB_NAME|DATABASE_NAME)\s*=\s*["']?([^"'\s#]+)/);
+      if (match) {
+        add(match[2], '.env');
+      }
+      const url = line.match(/^\s*DATABASE_URL\s*=\s*["']?[a-z0-9+]+:\/\/[^/\s]*\/([^?"'\s#]+)/i);
+      if (url) {
+        add(url[1], '.env');
+      }
+    }
+  }
+
+  const wpConfig = readText(path.join(projectPath, 'wp-config.php'));
+  const wpName = wpConfig?.match(/define\(\s*['"]DB_NAME['"]\s*,\s*['"]([^'"]+)['"]/);
+  if (wpName) {
+    add(wpName[1], 'wp-config.php');
+  }
+
+  return found;
+};
+
+// Last part of a file without reading all of it; the first, likely partial, line is dropped
+const tailLines = (file, maxBytes = ERROR_LOG_TAIL_BYTES) => {
+  const fd = openSync(file, 'r');
+  try {
+    const { size } = fstatSync(fd);
+    const length = Math.min(size, maxBytes);
+    const buffer = Buffer.alloc(length);
+    readSync(fd, buffer, 0, length, size - length);
+    const lines = buffer.toString('utf8').split('\n');
+    if (length < size) {
+      lines.shift();
+    }
+    return lines.filter(line => line.trim());
+  } finally {
+    closeSync(fd);
+  }
+};
+
+// Recent Apache errors for the project: its own ErrorLog if the vhost has one,
+// otherwise the lines of the global error log that mention its folder or host
+export const getErrorLog = ({ name, projectPath, host, vhostContent }, limit = ERROR_LOG_LINES) => {
+  const ownLogs = [
+    vhostContent?.match(/^\s*ErrorLog\s+"?([^"\s]+)"?/m)?.[1],
+    ...APACHE_LOG_DIRS.flatMap(dir => [`${dir}/${name}.error.log`, `${dir}/${name}-error_log`])
+  ].filter(file => file && path.isAbsolute(file));
+
+  try {
+    const own = ownLogs.find(file => existsSync(file));
+    if (own) {
+      return { file: own, filtered: false, lines: tailLines(own).slice(-limit) };
+    }
+
+    const global = APACHE_LOG_DIRS.flatMap(dir => [`${dir}/error.log`, `${dir}/error_log`]).find(file => existsSync(file));
+    if (!global) {
+      return { file: null, filtered: false, lines: [] };
+    }
+    const lines = tailLines(global).filter(line => line.includes(projectPath) || (host && line.includes(host)));
+    return { file: global, filtered: true, lines: lines.slice(-limit) };
+  } catch (error) {
+    return { file: null, filtered: false, lines: [], error: error.code === 'EACCES' ? 'Permission denied reading the Apache error log' : error.message };
+  }
+};
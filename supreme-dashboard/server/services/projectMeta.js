@@ -0,0 +1,199 @@
+import { readFileSync, existsSync, mkdirSync } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DATA_DIR } from './users.js';
+import { writeJsonStore } from './jsonStore.js';
+
+const STORE_VERSION = 1;
+
+export const TAG_PATTERN = /^[a-z0-9][a-z0-9_.-]{0,31}$/;
+export const MAX_TAGS = 20;
+export const MAX_NOTES_LENGTH = 2000;
+export const MAX_CLIENT_LENGTH = 100;
+export const MAX_PRESET_NAME_LENGTH = 64;
+export const PROJECT_STATUSES = ['active', 'inactive'];
+
+// Query parameters GET /api/projects filters on, also what a saved preset holds
+export const FILTER_KEYS = ['q', 'tag', 'type', 'framework', 'status', 'client', 'favourite'];
+
+const EMPTY_META = { tags: [], favourite: false, notes: '', client: '' };
+
+export const normalizeTag = (tag) => String(tag).trim().toLowerCase();
+
+// "tag=a,b&tag=c" and "tag=a" alike become ['a', 'b', 'c']
+const listParam = (value) => [].concat(value ?? [])
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Filters from a query string or a preset, with empty values dropped
+export const normalizeFilters = (source = {}) => {
+  const filters = {};
+  const tags = listParam(source.tag).map(normalizeTag);
+  if (tags.length > 0) filters.tag = [...new Set(tags)];
+  for (const key of ['q', 'type', 'framework', 'status', 'client']) {
+    const value = typeof source[key] === 'string' ? source[key].trim() : '';
+    if (value && value !== 'all') filters[key] = value;
+  }
+  if (source.favourite === true || source.favourite === 'true' || source.favourite === '1') {
+    filters.favourite = true;
+  }
+  return filters;
+};
+
+// Filters that only need the folder name and the user's metadata, so the caller can
+// skip framework detection and sizing for projects that are filtered out anyway
+export const matchesMetaFilters = (name, meta, filters) => {
+  if (filters.favourite && !meta.favourite) return false;
+  if (filters.tag && !filters.tag.every(tag => meta.tags.includes(tag))) return false;
+  if (filters.client && meta.client.toLowerCase() !== filters.client.toLowerCase()) return false;
+  if (filters.q) {
+    const needle = filters.q.toLowerCase();
+    if (![name, meta.client, meta.notes, ...meta.tags].some(text => text.toLowerCase().includes(needle))) return false;
+  }
+  return true;
+};
+
+// Every filter other than the metadata ones above
+export const matchesProjectFilters = (project, filters) => {
+  if (filters.status && project.status !== filters.status) return false;
+  if (filters.type && project.type !== filters.type) return false;
+  if (filters.framework && project.framework.id !== filters.framework) return false;
+  return true;
+};
+
+// Tags, favourites, notes and client names are kept per user: what one person stars or
+// tags does not change anyone else's list. Filter presets belong to whoever saved them
+// and can be shared with the whole team.
+class ProjectMetaStore {
+  constructor() {
+    this.filePath = path.join(DATA_DIR, 'project-meta.json');
+    this.users = {};
+    this.presets = [];
+  }
+
+  initialize() {
+    mkdirSync(DATA_DIR, { recursive: true, mode: 0o700 });
+
+    if (existsSync(this.filePath)) {
+      const data = JSON.parse(readFileSync(this.filePath, 'utf8'));
+      this.users = data.users || {};
+      this.presets = data.presets || [];
+    }
+  }
+
+  save() {
+    const data = { version: STORE_VERSION, users: this.users, presets: this.presets };
+    writeJsonStore(this.filePath, data);
+  }
+
+  get(userId, project) {
+    const meta = this.users[userId]?.[project];
+    return meta ? { ...EMPTY_META, ...meta } : { ...EMPTY_META };
+  }
+
+  update(userId, project, changes) {
+    const meta = this.get(userId, project);
+    if (changes.tags !== undefined) meta.tags = [...new Set(changes.tags.map(normalizeTag))].sort();
+    if (changes.favourite !== undefined) meta.favourite = changes.favourite;
+    if (changes.notes !== undefined) meta.notes = changes.notes.trim();
+    if (changes.client !== undefined) meta.client = changes.client.trim();
+
+    this.users[userId] = this.users[userId] || {};
+    const isEmpty = meta.tags.length === 0 && !meta.favourite && !meta.notes && !meta.client;
+    if (isEmpty) {
+      delete this.users[userId][project];
+    } else {
+      this.users[userId][project] = { ...meta, updatedAt: new Date().toISOString() };
+    }
+    this.save();
+    return this.get(userId, project);
+  }
+
+  // Drop everyone's metadata for a deleted project
+  forgetProject(project) {
+    let changed = false;
+    for (const projects of Object.values(this.users)) {
+      if (projects[project]) {
+        delete projects[project];
+        changed = true;
+      }
+    }
+    if (changed) {
+      this.save();
+    }
+  }
+
+  // Drop a deleted user's metadata and private presets; shared ones stay for the team
+  forgetUser(userId) {
+    const before = this.presets.length;
+    this.presets = this.presets.filter(preset => preset.ownerId !== userId || preset.shared);
+    if (this.users[userId] || this.presets.length !== before) {
+      delete this.users[userId];
+      this.save();
+    }
+  }
+
+  // Tags and client names the user has used on the given projects, with counts
+  facets(userId, projects) {
+    const tags = {};
+    const clients = {};
+    for (const project of projects) {
+      const meta = this.get(userId, project);
+      for (const tag of meta.tags) {
+        tags[tag] = (tags[tag] || 0) + 1;
+      }
+      if (meta.client) {
+        clients[meta.client] = (clients[meta.client] || 0) + 1;
+      }
+    }
+    const toList = (counts) => Object.entries(counts)
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    return { tags: toList(tags), clients: toList(clients) };
+  }
+
+  // The user's own presets and everyone's shared ones
+  listPresets(userId) {
+    return this.presets
+      .filter(preset => preset.ownerId === userId || preset.shared)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  getPreset(id) {
+    return this.presets.find(preset => preset.id === id) || null;
+  }
+
+  createPreset(user, { name, filters, shared }) {
+    const preset = {
+      id: crypto.randomUUID(),
+      name: name.trim(),
+      filters: normalizeFilters(filters),
+      shared: Boolean(shared),
+      ownerId: user.id,
+      owner: user.username,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    this.presets.push(preset);
+    this.save();
+    return preset;
+  }
+
+  updatePreset(id, { name, filters, shared }) {
+    const preset = this.getPreset(id);
+    if (name !== undefined) preset.name = name.trim();
+    if (filters !== undefined) preset.filters = normalizeFilters(filters);
+    if (shared !== undefined) preset.shared = Boolean(shared);
+    preset.updatedAt = new Date().toISOString();
+    this.save();
+    return preset;
+  }
+
+  deletePreset(id) {
+    this.presets = this.presets.filter(preset => preset.id !== id);
+    this.save();
+  }
+}
+
+export default new ProjectMetaStore();
@@ -0,0 +1,118 @@
+import { existsSync, readFileSync, lstatSync } from 'fs';
+import path from 'path';
+import os from 'os';
+
+export const SITES_AVAILABLE_DIR = '/etc/supreme/sites-available';
+export const SITES_ENABLED_DIR = '/etc/supreme/sites-enabled';
+export const HOSTS_FILE = '/etc/hosts';
+
+// Tarballs made by `supreme delete --archive` from the dashboard
+export const ARCHIVE_DIR = process.env.SUPREME_ARCHIVE_DIR || path.join(os.homedir(), '.supreme', 'archives');
+
+// Frameworks `supreme create` can scaffold, in the order the wizard offers them
+export const PROJECT_FRAMEWORKS = [
+  { id: 'laravel', name: 'Laravel', icon: '🔺', language: 'php', description: 'PHP framework, created with Composer' },
+  { id: 'wordpress', name: 'WordPress', icon: '📝', language: 'php', description: 'Latest WordPress release', defaultDatabase: true },
+  { id: 'react', name: 'React', icon: '⚛️', language: 'node', description: 'Create React App starter' },
+  { id: 'vue', name: 'Vue', icon: '💚', language: 'node', description: 'Vue CLI default preset' },
+  { id: 'angular', name: 'Angular', icon: '🅰️', language: 'node', description: 'Angular CLI workspace' },
+  { id: 'nextjs', name: 'Next.js', icon: '▲', language: 'node', description: 'create-next-app with its defaults' },
+  { id: 'express', name: 'Express', icon: '🚂', language: 'node', description: 'Minimal Express server' },
+  { id: 'flask', name: 'Flask', icon: '🧪', language: 'python', description: 'Flask app in its own virtualenv' },
+  { id: 'django', name: 'Django', icon: '🎸', language: 'python', description: 'django-admin startproject' }
+];
+
+export const FRAMEWORK_IDS = PROJECT_FRAMEWORKS.map(framework => framework.id);
+
+// Local-only TLDs the installer offers (see get_available_tlds in supreme/modules/tld.sh)
+export const DEV_TLDS = ['local', 'dev', 'test', 'localhost'];
+
+// Arguments for `supreme create`; the wizard never needs an interactive terminal
+export const buildCreateArgs = ({ framework, name, tld, https, database }) => {
+  const args = ['create', framework, name, '--yes'];
+  if (tld) {
+    args.push('--tld', tld);
+  }
+  if (https !== undefined) {
+    args.push(https ? '--https' : '--http');
+  }
+  if (database) {
+    args.push('--db', database);
+  }
+  return args;
+};
+
+// Host name and scheme from the project's vhost, which may differ from the
+// global config when the project was created with its own TLD or protocol
+export const readVhostInfo = (name) => {
+  const file = `${SITES_AVAILABLE_DIR}/${name}.conf`;
+  if (!existsSync(file)) {
+    return null;
+  }
+  try {
+    const content = readFileSync(file, 'utf8');
+    const serverName = content.match(/^\s*ServerName\s+(\S+)/m)?.[1] || null;
+    const https = /<VirtualHost\s+[^>]*:443>/.test(content) || /^\s*SSLEngine\s+on/mi.test(content);
+    return { file, serverName, https };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Address a project is served at: the vhost's ServerName and scheme, else the configured defaults
+export const projectUrl = (name, config) => {
+  const vhost = readVhostInfo(name);
+  const https = vhost ? vhost.https : config.DEFAULT_PROTOCOL === 'https';
+  return `${https ? 'https' : 'http'}://${vhost?.serverName || `${name}.${config.TLD || 'test'}`}`;
+};
+
+// Whether /etc/hosts maps the host name (the line add_hosts_entry writes)
+export const hasHostsEntry = (host) => {
+  try {
+    return readFileSync(HOSTS_FILE, 'utf8').split('\n').some(line => {
+      const fields = line.replace(/#.*/, '').trim().split(/\s+/);
+      return fields.length > 1 && fields.slice(1).includes(host);
+    });
+  } catch (error) {
+    return false;
+  }
+};
+
+const isPresent = (file) => {
+  try {
+    lstatSync(file);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Databases that look like they belong to the project: its name (hyphens become
+// underscores), WordPress's <name>_wp, and anything prefixed with <name>_
+export const isProjectDatabase = (name, database) => {
+  const base = name.toLowerCase().replace(/-/g, '_');
+  const candidate = database.toLowerCase();
+  return candidate === base || candidate.startsWith(`${base}_`);
+};
+
+// Everything `supreme delete` would touch for this project; databases are filled in by the caller
+export const getDeletionPlan = (name, { htdocsRoot, tld }) => {
+  const vhost = readVhostInfo(name);
+  const host = vhost?.serverName || `${name}.${tld}`;
+  const folder = path.join(htdocsRoot, name);
+  const enabled = `${SITES_ENABLED_DIR}/${name}.conf`;
+
+  return {
+    project: name,
+    folder: existsSync(folder) ? folder : null,
+    vhost: vhost ? vhost.file : null,
+    vhostEnabled: isPresent(enabled) ? enabled : null,
+    hostsEntry: hasHostsEntry(host) ? host : null,
+    host
+  };
+};
+
+export const archivePathFor = (name, date = new Date()) => {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return path.join(ARCHIVE_DIR, `${name}-${stamp}.tar.gz`);
+};
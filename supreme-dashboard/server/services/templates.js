@@ -0,0 +1,437 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import {
+  existsSync, readFileSync, writeFileSync, readdirSync, lstatSync, mkdirSync, mkdtempSync,
+  readlinkSync, symlinkSync, copyFileSync, rmSync, statSync
+} from 'fs';
+import path from 'path';
+import os from 'os';
+import { GIT_ENV, isLocalRepository, localRepositoryPath, redactRepository } from './gitClone.js';
+
+const execFileAsync = promisify(execFile);
+
+// Team starters: folders or tarballs, each with a manifest describing how to fill them in
+export const TEMPLATES_DIR = process.env.SUPREME_TEMPLATES_DIR || path.join(os.homedir(), '.supreme', 'templates');
+export const MANIFEST_FILE = 'supreme-template.json';
+export const TEMPLATE_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+const TARBALL = /\.(tar\.gz|tgz)$/;
+const VARIABLE_NAME = /^[A-Z][A-Z0-9_]*$/;
+// Filled in by the dashboard; templates use them but cannot declare them
+export const BUILTIN_VARIABLES = ['PROJECT_NAME', 'PROJECT_HOST', 'PROJECT_URL', 'PROJECT_PATH', 'DB_NAME'];
+// Files bigger than this, or with NUL bytes in them, are copied without substitution
+const MAX_SUBSTITUTED_SIZE = 1024 * 1024;
+const SKIPPED_ENTRIES = new Set(['.git', MANIFEST_FILE]);
+const TAR_TIMEOUT_MS = 60000;
+const PLACEHOLDER = /\{\{\s*([A-Z][A-Z0-9_]*)\s*\}\}/g;
+// What a value filled into a file name may not contain
+const UNSAFE_IN_NAMES = /[/\\\0]|\.\./;
+const GIT_TIMEOUT_MS = 2 * 60 * 1000;
+
+const readJson = (file) => JSON.parse(readFileSync(file, 'utf8'));
+
+// Manifest problems as a list of messages; an empty list means the template can be used
+export const validateManifest = (manifest) => {
+  const problems = [];
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    return ['Manifest must be a JSON object'];
+  }
+  if (typeof manifest.name !== 'string' || !manifest.name.trim()) {
+    problems.push('"name" is required');
+  }
+
+  const variables = manifest.variables ?? [];
+  if (!Array.isArray(variables)) {
+    problems.push('"variables" must be a list');
+  } else {
+    const seen = new Set();
+    variables.forEach((variable, index) => {
+      const name = variable?.name;
+      if (typeof name !== 'string' || !VARIABLE_NAME.test(name)) {
+        problems.push(`variables[${index}].name must be UPPER_SNAKE_CASE`);
+      } else if (BUILTIN_VARIABLES.includes(name)) {
+        problems.push(`variables[${index}]: ${name} is set by the dashboard`);
+      } else if (seen.has(name)) {
+        problems.push(`variables[${index}]: ${name} is declared twice`);
+      }
+      seen.add(name);
+      if (variable?.default !== undefined && typeof variable.default !== 'string') {
+        problems.push(`variables[${index}].default must be a string`);
+      }
+      if (variable?.pattern !== undefined) {
+        try {
+          new RegExp(variable.pattern);
+        } catch (error) {
+          problems.push(`variables[${index}].pattern is not a valid regular expression`);
+        }
+      }
+    });
+  }
+
+  const postCreate = manifest.postCreate ?? [];
+  if (!Array.isArray(postCreate) || postCreate.some(command => typeof command !== 'string' || !command.trim())) {
+    problems.push('"postCreate" must be a list of shell commands');
+  }
+
+  const database = manifest.database;
+  if (database !== undefined && database !== null && database !== false && database !== true &&
+      (typeof database !== 'object' || (database.name !== undefined && typeof database.name !== 'string'))) {
+    problems.push('"database" must be true, or an object with an optional "name"');
+  }
+  return problems;
+};
+
+// Replace {{NAME}} with the variable's value; unknown names are left as they are
+export const substitute = (text, values) =>
+  text.replace(PLACEHOLDER, (match, name) => (Object.hasOwn(values, name) ? values[name] : match));
+
+// Variables used in file or folder names; their values must stay within a single name
+const nameVariables = (names) => [...new Set(names.flatMap(name => [...name.matchAll(PLACEHOLDER)].map(match => match[1])))].sort();
+
+// Every file and folder name in a template folder, as paths relative to it
+const listNames = (dir, prefix = '') => readdirSync(dir, { withFileTypes: true })
+  .filter(entry => !(prefix === '' && SKIPPED_ENTRIES.has(entry.name)))
+  .flatMap(entry => {
+    const name = prefix + entry.name;
+    return entry.isDirectory() && !entry.isSymbolicLink() ? [name, ...listNames(path.join(dir, entry.name), `${name}/`)] : [name];
+  });
+
+// Manifest fields the creation dialog needs, with defaults filled in
+const describe = (id, source, manifest, names) => {
+  const database = manifest.database;
+  return {
+    id,
+    source,
+    name: manifest.name,
+    description: manifest.description || '',
+    icon: manifest.icon || '🧩',
+    variables: (manifest.variables || []).map(variable => ({
+      name: variable.name,
+      label: variable.label || variable.name,
+      description: variable.description || '',
+      default: variable.default ?? '',
+      required: Boolean(variable.required),
+      pattern: variable.pattern || null
+    })),
+    postCreate: manifest.postCreate || [],
+    nameVariables: nameVariables(names),
+    database: database
+      ? { name: (database === true ? null : database.name) || '{{PROJECT_NAME}}', required: Boolean(database.required) }
+      : null
+  };
+};
+
+// Entry in a tarball list that holds the manifest: at the top, or one folder down
+const findManifestEntry = (entries) => entries
+  .map(entry => entry.replace(/^\.\//, ''))
+  .filter(entry => entry === MANIFEST_FILE || new RegExp(`^[^/]+/${MANIFEST_FILE}$`).test(entry))
+  .sort((a, b) => a.length - b.length)[0] || null;
+
+const listTarball = async (file) => {
+  const { stdout } = await execFileAsync('tar', ['-tzf', file], { timeout: TAR_TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024 });
+  return stdout.split('\n').filter(Boolean);
+};
+
+const readTarballManifest = async (file, entries) => {
+  const entry = findManifestEntry(entries);
+  if (!entry) {
+    throw new Error(`No ${MANIFEST_FILE} in the tarball`);
+  }
+  // The entry may have been listed with a leading ./
+  const member = entries.find(name => name.replace(/^\.\//, '') === entry);
+  const { stdout: content } = await execFileAsync('tar', ['-xzOf', file, member], { timeout: TAR_TIMEOUT_MS, maxBuffer: 1024 * 1024 });
+  return JSON.parse(content);
+};
+
+// Folder or tarball of a template id, whichever exists
+const locate = (id) => {
+  if (!TEMPLATE_ID_PATTERN.test(id)) {
+    return null;
+  }
+  const folder = path.join(TEMPLATES_DIR, id);
+  if (existsSync(path.join(folder, MANIFEST_FILE))) {
+    return { type: 'folder', path: folder };
+  }
+  for (const extension of ['.tar.gz', '.tgz']) {
+    if (existsSync(`${folder}${extension}`)) {
+      return { type: 'tarball', path: `${folder}${extension}` };
+    }
+  }
+  return null;
+};
+
+const loadTemplate = async (id, location) => {
+  try {
+    const names = location.type === 'folder' ? listNames(location.path) : await listTarball(location.path);
+    const manifest = location.type === 'folder'
+      ? readJson(path.join(location.path, MANIFEST_FILE))
+      : await readTarballManifest(location.path, names);
+    const problems = validateManifest(manifest);
+    if (problems.length > 0) {
+      return { id, source: location.type, name: id, error: problems.join('; ') };
+    }
+    return describe(id, location.type, manifest, names);
+  } catch (error) {
+    return { id, source: location.type, name: id, error: `Unreadable manifest: ${error.message}` };
+  }
+};
+
+// Every template in TEMPLATES_DIR; ones with a broken manifest are listed with an `error` instead of being hidden
+export const listTemplates = async () => {
+  if (!existsSync(TEMPLATES_DIR)) {
+    return [];
+  }
+  const ids = new Set();
+  for (const entry of readdirSync(TEMPLATES_DIR, { withFileTypes: true })) {
+    const id = entry.isDirectory() ? entry.name : entry.name.replace(TARBALL, '');
+    if ((entry.isDirectory() || TARBALL.test(entry.name)) && TEMPLATE_ID_PATTERN.test(id)) {
+      ids.add(id);
+    }
+  }
+
+  const templates = [];
+  for (const id of [...ids].sort()) {
+    const location = locate(id);
+    if (location) {
+      templates.push(await loadTemplate(id, location));
+    }
+  }
+  return templates;
+};
+
+export const getTemplate = async (id) => {
+  const location = locate(id);
+  return location ? loadTemplate(id, location) : null;
+};
+
+// Id for a template added from `source`: its folder, tarball or repository name
+export const defaultTemplateId = (source) => path.basename(localRepositoryPath(source).replace(/\/+$/, ''))
+  .replace(TARBALL, '')
+  .replace(/\.git$/, '')
+  .replace(/^.*:/, '')
+  .replace(/[^a-zA-Z0-9_-]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const copyTree = (from, to) => {
+  mkdirSync(to, { recursive: true });
+  for (const entry of readdirSync(from, { withFileTypes: true })) {
+    const source = path.join(from, entry.name);
+    const target = path.join(to, entry.name);
+    if (entry.isSymbolicLink()) {
+      symlinkSync(readlinkSync(source), target);
+    } else if (entry.isDirectory()) {
+      copyTree(source, target);
+    } else if (entry.isFile()) {
+      copyFileSync(source, target);
+    }
+  }
+};
+
+// Copy a folder, a tarball or a git repository into TEMPLATES_DIR and check its manifest
+export const addTemplate = async ({ id, source }) => {
+  const target = path.join(TEMPLATES_DIR, id);
+  if (locate(id) || existsSync(target)) {
+    const error = new Error(`A template named '${id}' already exists`);
+    error.code = 'TEMPLATE_EXISTS';
+    throw error;
+  }
+  mkdirSync(TEMPLATES_DIR, { recursive: true });
+
+  // Plain folders and tarballs are copied; anything git can clone (including local repositories) is cloned
+  const local = isLocalRepository(source) ? localRepositoryPath(source) : null;
+  const isRepository = local && (existsSync(path.join(local, '.git')) || existsSync(path.join(local, 'HEAD')));
+  let added;
+  if (local && !isRepository) {
+    if (!existsSync(local)) {
+      const error = new Error(`Nothing at ${local}`);
+      error.code = 'TEMPLATE_SOURCE';
+      throw error;
+    }
+    if (statSync(local).isDirectory()) {
+      copyTree(local, target);
+      added = target;
+    } else if (TARBALL.test(local)) {
+      added = `${target}${local.match(TARBALL)[0]}`;
+      copyFileSync(local, added);
+    } else {
+      const error = new Error('A template must be a folder, a .tar.gz/.tgz file or a git repository');
+      error.code = 'TEMPLATE_SOURCE';
+      throw error;
+    }
+  } else {
+    try {
+      await execFileAsync('git', ['clone', '--depth', '1', '--', source, target], {
+        timeout: GIT_TIMEOUT_MS,
+        env: { ...process.env, ...GIT_ENV }
+      });
+    } catch (error) {
+      rmSync(target, { recursive: true, force: true });
+      const reason = redactRepository((error.stderr || error.message).trim().split('\n').pop());
+      const failure = new Error(`Could not clone the template: ${reason}`);
+      failure.code = 'TEMPLATE_SOURCE';
+      throw failure;
+    }
+    added = target;
+  }
+
+  const template = await getTemplate(id);
+  if (!template || template.error) {
+    rmSync(added, { recursive: true, force: true });
+    const error = new Error(template?.error || `No ${MANIFEST_FILE} found`);
+    error.code = 'INVALID_TEMPLATE';
+    throw error;
+  }
+  return template;
+};
+
+export const removeTemplate = (id) => {
+  const location = locate(id);
+  if (!location) {
+    return false;
+  }
+  rmSync(location.path, { recursive: true, force: true });
+  return true;
+};
+
+// Values for every variable, or the problems with what was sent
+export const resolveVariables = (template, provided = {}) => {
+  const values = {};
+  const errors = {};
+  for (const variable of template.variables) {
+    const value = Object.hasOwn(provided, variable.name) ? provided[variable.name] : variable.default;
+    if (variable.required && !value) {
+      errors[variable.name] = `${variable.label} is required`;
+    } else if (value && variable.pattern && !new RegExp(variable.pattern).test(value)) {
+      errors[variable.name] = `${variable.label} does not match ${variable.pattern}`;
+    } else if (value && template.nameVariables.includes(variable.name) && UNSAFE_IN_NAMES.test(value)) {
+      errors[variable.name] = `${variable.label} is used in file names and cannot contain /, \\ or ..`;
+    }
+    values[variable.name] = value || '';
+  }
+  for (const name of Object.keys(provided)) {
+    if (!template.variables.some(variable => variable.name === name)) {
+      errors[name] = `The template has no variable ${name}`;
+    }
+  }
+  return { values, errors };
+};
+
+const isText = (buffer) => buffer.length <= MAX_SUBSTITUTED_SIZE && !buffer.subarray(0, 8000).includes(0);
+
+// Copy the template into the project folder, filling in {{VARIABLES}} in file contents and names.
+// A filled-in name must stay one entry inside the project; anything else fails the copy.
+const writeTree = (from, to, values, root = from, projectPath = to) => {
+  mkdirSync(to, { recursive: true });
+  for (const entry of readdirSync(from, { withFileTypes: true })) {
+    if (SKIPPED_ENTRIES.has(entry.name) && from === root) {
+      continue;
+    }
+    const source = path.join(from, entry.name);
+    const name = substitute(entry.name, values);
+    const target = path.join(to, name);
+    const relative = path.relative(projectPath, target);
+    if (!name || name === '.' || name === '..' || /[/\\\0]/.test(name) || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+      throw new Error(`${path.relative(root, source)} would be written as '${name}', which is not a file name inside the project`);
+    }
+    if (entry.isSymbolicLink()) {
+      symlinkSync(readlinkSync(source), target);
+    } else if (entry.isDirectory()) {
+      writeTree(source, target, values, root, projectPath);
+    } else if (entry.isFile()) {
+      const content = readFileSync(source);
+      const { mode } = lstatSync(source);
+      writeFileSync(target, isText(content) ? substitute(content.toString('utf8'), values) : content, { mode });
+    }
+  }
+};
+
+// Root folder of an extracted tarball: where the manifest is
+const extractedRoot = (dir) => {
+  if (existsSync(path.join(dir, MANIFEST_FILE))) {
+    return dir;
+  }
+  const nested = readdirSync(dir).find(entry => existsSync(path.join(dir, entry, MANIFEST_FILE)));
+  return nested ? path.join(dir, nested) : dir;
+};
+
+export const materializeTemplate = async (id, projectPath, values, log = () => {}) => {
+  const location = locate(id);
+  if (!location) {
+    throw new Error(`Template '${id}' not found`);
+  }
+  if (existsSync(projectPath)) {
+    throw new Error(`${projectPath} already exists`);
+  }
+
+  // A half-written project would block a second attempt under the same name
+  const fail = (error) => {
+    rmSync(projectPath, { recursive: true, force: true });
+    throw error;
+  };
+
+  if (location.type === 'folder') {
+    try {
+      writeTree(location.path, projectPath, values);
+    } catch (error) {
+      fail(error);
+    }
+    log(`Copied ${location.path} to ${projectPath}`);
+    return;
+  }
+
+  const temp = mkdtempSync(path.join(os.tmpdir(), 'supreme-template-'));
+  try {
+    await execFileAsync('tar', ['-xzf', location.path, '-C', temp], { timeout: TAR_TIMEOUT_MS });
+    writeTree(extractedRoot(temp), projectPath, values);
+    log(`Extracted ${path.basename(location.path)} to ${projectPath}`);
+  } catch (error) {
+    fail(error);
+  } finally {
+    rmSync(temp, { recursive: true, force: true });
+  }
+};
+
+// Job steps that create a project from a template: files, database, the manifest's
+// post-create commands (with every variable in their environment), then the vhost
+export const buildTemplateSteps = ({ template, name, htdocsRoot, tld, https, database, values }) => {
+  const projectPath = path.join(htdocsRoot, name);
+  const host = `${name}.${tld}`;
+  const builtins = {
+    PROJECT_NAME: name,
+    PROJECT_HOST: host,
+    PROJECT_URL: `${https ? 'https' : 'http'}://${host}`,
+    PROJECT_PATH: projectPath,
+    DB_NAME: database || ''
+  };
+  const variables = { ...values, ...builtins };
+
+  const steps = [{
+    label: `Copy template ${template.name}`,
+    task: log => materializeTemplate(template.id, projectPath, variables, log)
+  }];
+
+  if (database) {
+    steps.push({ label: `Create database ${database}`, command: 'supreme', args: ['db', 'create', database] });
+  }
+
+  template.postCreate.forEach((command, index) => steps.push({
+    label: `Post-create command ${index + 1} of ${template.postCreate.length}`,
+    command: 'sh',
+    args: ['-c', command],
+    cwd: projectPath,
+    env: variables,
+    display: command
+  }));
+
+  steps.push({
+    label: 'Create virtual host and hosts entry',
+    command: 'supreme',
+    args: ['link', name, '--tld', tld, https ? '--https' : '--http', '--yes']
+  });
+  return steps;
+};
+
+// The template's database name for a project, made a valid MySQL/PostgreSQL identifier
+export const templateDatabaseName = (template, name) => (template.database
+  ? substitute(template.database.name, { PROJECT_NAME: name }).replace(/[^a-zA-Z0-9_]/g, '_').slice(0, 64)
+  : null);
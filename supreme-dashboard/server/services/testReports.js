@@ -0,0 +1,165 @@
+// Parsers for the two formats test runners commonly report in: JUnit XML (PHPUnit, pytest,
+// Jest and Vitest reporters) and TAP (node --test, tape, Mocha's tap reporter).
+// Both return [{ suite, name, status, durationMs, message, details }] with status one of
+// passed, failed, skipped.
+
+const MAX_DETAILS_LENGTH = 8000;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isNaN(code) ? match : String.fromCodePoint(code);
+  }
+  return ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+const parseAttributes = (text) => {
+  const attributes = {};
+  for (const [, name, , value] of text.matchAll(/([\w:.-]+)\s*=\s*(["'])([\s\S]*?)\2/g)) {
+    attributes[name] = decodeEntities(value);
+  }
+  return attributes;
+};
+
+const truncate = (text) => (text && text.length > MAX_DETAILS_LENGTH ? `${text.slice(0, MAX_DETAILS_LENGTH)}\n…` : text || null);
+
+const seconds = (value) => (value === undefined || Number.isNaN(parseFloat(value)) ? null : Math.round(parseFloat(value) * 1000));
+
+// Only the elements JUnit reports use are looked at; anything else is skipped over
+export const parseJUnit = (xml) => {
+  const cases = [];
+  const suites = [];
+  let current = null;
+  let outcome = null;
+
+  const tags = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)([\w:.-]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|([^<]+)/g;
+  for (const [, cdata, closing, tag, attributeText, selfClosing, text] of xml.matchAll(tags)) {
+    if (cdata !== undefined || text !== undefined) {
+      if (outcome) {
+        outcome.text += cdata ?? decodeEntities(text);
+      }
+      continue;
+    }
+    if (!tag) {
+      continue;
+    }
+
+    if (tag === 'testsuite') {
+      if (closing) {
+        suites.pop();
+      } else if (!selfClosing) {
+        suites.push(parseAttributes(attributeText).name || null);
+      }
+    } else if (tag === 'testcase') {
+      if (!closing) {
+        const attributes = parseAttributes(attributeText);
+        current = {
+          suite: attributes.classname || suites[suites.length - 1] || null,
+          name: attributes.name || '(unnamed)',
+          status: 'passed',
+          durationMs: seconds(attributes.time),
+          message: null,
+          details: null
+        };
+        cases.push(current);
+      }
+      if (closing || selfClosing) {
+        current = null;
+      }
+    } else if (current && ['failure', 'error', 'skipped'].includes(tag)) {
+      if (!closing) {
+        const attributes = parseAttributes(attributeText);
+        current.status = tag === 'skipped' ? 'skipped' : 'failed';
+        current.message = attributes.message || attributes.type || null;
+        outcome = selfClosing ? null : { text: '' };
+      } else if (outcome) {
+        current.details = truncate(outcome.text.trim());
+        outcome = null;
+      }
+    }
+  }
+  return cases;
+};
+
+const TEST_POINT = /^(\s*)(not ok|ok)\b\s*(\d+)?\s*(?:-\s*)?([^#]*?)\s*(?:#\s*(SKIP|TODO)\b\S*\s*(.*))?$/i;
+
+// TAP from a run's output. node --test nests subtests by indentation and then reports
+// the parent as a test point too; those parents become the suite of their children.
+export const parseTap = (lines) => {
+  const cases = [];
+  let orphans = [];
+  let diagnostics = null;
+
+  for (const line of lines) {
+    if (diagnostics) {
+      if (/^\s*\.\.\.\s*$/.test(line)) {
+        diagnostics.target.details = truncate(diagnostics.lines.join('\n'));
+        const index = diagnostics.lines.findIndex(item => /^\s*(message|error):/.test(item));
+        if (index !== -1) {
+          let message = diagnostics.lines[index].replace(/^\s*(message|error):\s*/, '');
+          // node --test writes multi-line errors as a YAML block (error: |-) with the text below
+          if (/^[|>][-+]?$/.test(message)) {
+            message = diagnostics.lines.slice(index + 1).find(Boolean) || '';
+          }
+          diagnostics.target.message = message.replace(/^['"]|['"]$/g, '');
+        }
+        diagnostics = null;
+      } else {
+        diagnostics.lines.push(line.trim());
+      }
+      continue;
+    }
+    if (/^\s*---\s*$/.test(line) && cases.length > 0) {
+      diagnostics = { target: cases[cases.length - 1], lines: [] };
+      continue;
+    }
+
+    const point = line.match(TEST_POINT);
+    if (!point) {
+      continue;
+    }
+    const [, indent, result, , description, directive, reason] = point;
+    const depth = indent.length;
+    const children = orphans.filter(item => item.depth > depth);
+    if (children.length > 0) {
+      for (const child of children) {
+        child.testCase.suite ??= description || null;
+      }
+      orphans = orphans.filter(item => item.depth <= depth);
+      // The parent's result is its children's; it stays in the list only so that its
+      // diagnostics block has somewhere to go, and is dropped at the end
+      cases.push({ suite: null, name: description, status: 'suite' });
+      continue;
+    }
+
+    const testCase = {
+      suite: null,
+      name: description || '(unnamed)',
+      status: directive ? 'skipped' : result.toLowerCase() === 'ok' ? 'passed' : 'failed',
+      durationMs: null,
+      message: directive ? reason || directive.toUpperCase() : null,
+      details: null
+    };
+    cases.push(testCase);
+    orphans.push({ depth, testCase });
+  }
+
+  return cases
+    .filter(testCase => testCase.status !== 'suite')
+    .map(testCase => ({ ...testCase, durationMs: durationFromDetails(testCase.details) }));
+};
+
+// node --test puts duration_ms in each point's diagnostics
+const durationFromDetails = (details) => {
+  const match = details?.match(/duration_ms:\s*([\d.]+)/);
+  return match ? Math.round(parseFloat(match[1])) : null;
+};
+
+export const summarize = (cases) => ({
+  total: cases.length,
+  passed: cases.filter(testCase => testCase.status === 'passed').length,
+  failed: cases.filter(testCase => testCase.status === 'failed').length,
+  skipped: cases.filter(testCase => testCase.status === 'skipped').length
+});
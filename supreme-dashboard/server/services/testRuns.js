@@ -0,0 +1,227 @@
+import { readFileSync, existsSync, mkdirSync, mkdtempSync, rmSync, statSync } from 'fs';
+import path from 'path';
+import os from 'os';
+import { DATA_DIR } from './users.js';
+import { writeJsonStore } from './jsonStore.js';
+import jobRunner from './jobs.js';
+import { resolveTestCommand, formatCommand } from './frameworks.js';
+import { parseJUnit, parseTap, summarize } from './testReports.js';
+
+const STORE_VERSION = 1;
+const MAX_RUNS_PER_PROJECT = 30;
+const MAX_CASES_PER_RUN = 2000;
+// TAP is read from stdout as it streams, so it is not limited by the job's output buffer
+const MAX_STDOUT_LINES = 50000;
+const TIMEOUT_MS = 30 * 60 * 1000;
+
+// Where runners without a reporter flag of ours tend to leave a JUnit report
+const COMMON_REPORTS = ['junit.xml', 'test-results.xml', 'reports/junit.xml', 'build/logs/junit.xml', 'test-results/junit.xml'];
+
+// Ask the runner for a report it would not write by default. npm scripts are read to find the
+// runner behind `npm test`; anything unrecognised falls back to TAP in the output, if there is any.
+export const withReport = (resolved, projectPath, reportFile) => {
+  const { command, args, env } = resolved;
+  if (args.includes('pytest')) {
+    return { ...resolved, args: [...args, `--junitxml=${reportFile}`], format: 'junit' };
+  }
+  if (/phpunit$/.test(command) || args[0] === 'bin/phpunit' || (args[0] === 'artisan' && args[1] === 'test')) {
+    return { ...resolved, args: [...args, '--log-junit', reportFile], format: 'junit' };
+  }
+  if (command !== 'npm') {
+    return { ...resolved, format: null };
+  }
+
+  let script = '';
+  try {
+    script = JSON.parse(readFileSync(path.join(projectPath, 'package.json'), 'utf8')).scripts?.test || '';
+  } catch (error) {
+    // package.json went away since detection; run it as is
+  }
+  if (/\bvitest\b/.test(script)) {
+    return { ...resolved, args: [...args, '--', '--reporter=default', '--reporter=junit', `--outputFile.junit=${reportFile}`], format: 'junit' };
+  }
+  if (/\bjest\b/.test(script) && existsSync(path.join(projectPath, 'node_modules', 'jest-junit'))) {
+    return {
+      ...resolved,
+      args: [...args, '--', '--reporters=default', '--reporters=jest-junit'],
+      env: { ...env, JEST_JUNIT_OUTPUT_FILE: reportFile },
+      format: 'junit'
+    };
+  }
+  if (/\bmocha\b/.test(script)) {
+    return { ...resolved, args: [...args, '--', '--reporter', 'tap'], format: 'tap' };
+  }
+  if (/\bnode\b.*\s--test\b/.test(script)) {
+    // Flags after the test files would be taken for file names, so this goes in through the environment
+    const nodeOptions = [process.env.NODE_OPTIONS, '--test-reporter=tap'].filter(Boolean).join(' ');
+    return { ...resolved, env: { ...env, NODE_OPTIONS: nodeOptions }, format: 'tap' };
+  }
+  return { ...resolved, format: null };
+};
+
+const readReport = (file) => {
+  try {
+    return readFileSync(file, 'utf8');
+  } catch (error) {
+    return null;
+  }
+};
+
+// The report we asked for, else one the project's own config wrote during the run, else TAP in stdout
+const collectCases = (pending, stdout) => {
+  const report = readReport(pending.reportFile);
+  if (report) {
+    return { cases: parseJUnit(report), source: 'junit' };
+  }
+  for (const candidate of COMMON_REPORTS) {
+    const file = path.join(pending.projectPath, candidate);
+    try {
+      if (statSync(file).mtimeMs >= pending.startedAt) {
+        return { cases: parseJUnit(readFileSync(file, 'utf8')), source: 'junit' };
+      }
+    } catch (error) {
+      // Not there
+    }
+  }
+  if (pending.format === 'tap' || stdout.some(line => /^TAP version \d+|^1\.\.\d+/.test(line))) {
+    const cases = parseTap(stdout);
+    if (cases.length > 0) {
+      return { cases, source: 'tap' };
+    }
+  }
+  return { cases: [], source: null };
+};
+
+// Passed with no failures, failed when the suite ran and something broke, error when it
+// never got that far (command missing, timed out)
+const runStatus = (job, summary) => {
+  if (job.status === 'cancelled') return 'cancelled';
+  if (job.status === 'succeeded') return summary.failed > 0 ? 'failed' : 'passed';
+  return job.exitCode !== null || summary.failed > 0 ? 'failed' : 'error';
+};
+
+export const toRunSummary = ({ cases, ...run }) => run;
+
+// Runs project test suites as jobs and keeps the parsed results of the last runs per project.
+// Passing cases are stored without their details to keep the history small.
+class TestRunner {
+  constructor() {
+    this.filePath = path.join(DATA_DIR, 'test-runs.json');
+    this.runs = {};
+  }
+
+  initialize() {
+    mkdirSync(DATA_DIR, { recursive: true, mode: 0o700 });
+    if (existsSync(this.filePath)) {
+      this.runs = JSON.parse(readFileSync(this.filePath, 'utf8')).projects || {};
+    }
+  }
+
+  save() {
+    writeJsonStore(this.filePath, { version: STORE_VERSION, projects: this.runs }, { indent: 0 });
+  }
+
+  // The command Run would use, for display; null when the project has no test suite we know of
+  command(projectPath) {
+    return formatCommand(resolveTestCommand(projectPath), projectPath);
+  }
+
+  // Start the suite; returns null when there is nothing to run
+  start(name, projectPath, user) {
+    const resolved = resolveTestCommand(projectPath);
+    if (!resolved) {
+      return null;
+    }
+    const reportDir = mkdtempSync(path.join(os.tmpdir(), 'supreme-tests-'));
+    const reportFile = path.join(reportDir, 'junit.xml');
+    const { command, args, env, format } = withReport(resolved, projectPath, reportFile);
+
+    const job = jobRunner.start({
+      type: 'project.test',
+      title: `Run tests for ${name}`,
+      steps: [{ label: 'Run tests', command, args, cwd: projectPath, env }],
+      user,
+      meta: { project: name },
+      timeoutMs: TIMEOUT_MS
+    });
+
+    const pending = {
+      project: name,
+      projectPath,
+      reportDir,
+      reportFile,
+      format,
+      command: formatCommand(resolved, projectPath),
+      startedAt: Date.parse(job.createdAt),
+      startedBy: user?.username ?? null
+    };
+    const stdout = [];
+    const unsubscribe = jobRunner.subscribe(job.id, {
+      onLine: line => {
+        if (line.stream === 'stdout' && stdout.length < MAX_STDOUT_LINES) {
+          stdout.push(line.text);
+        }
+      },
+      onDone: finished => {
+        unsubscribe();
+        this.record(finished, pending, stdout);
+      }
+    });
+    return job;
+  }
+
+  record(job, pending, stdout) {
+    let collected = { cases: [], source: null };
+    try {
+      collected = collectCases(pending, stdout);
+    } catch (error) {
+      console.error(`Could not read test results for ${pending.project}:`, error.message);
+    } finally {
+      rmSync(pending.reportDir, { recursive: true, force: true });
+    }
+
+    const summary = summarize(collected.cases);
+    const run = {
+      id: job.id,
+      project: pending.project,
+      status: runStatus(job, summary),
+      command: pending.command,
+      startedBy: pending.startedBy,
+      startedAt: job.createdAt,
+      finishedAt: job.finishedAt,
+      durationMs: Date.parse(job.finishedAt) - pending.startedAt,
+      exitCode: job.exitCode,
+      error: job.status === 'succeeded' ? null : job.error,
+      reportSource: collected.source,
+      summary,
+      truncated: collected.cases.length > MAX_CASES_PER_RUN,
+      // Failures first, so a cap never drops the ones worth reading
+      cases: [...collected.cases]
+        .sort((a, b) => (a.status === 'failed' ? 0 : 1) - (b.status === 'failed' ? 0 : 1))
+        .slice(0, MAX_CASES_PER_RUN)
+        .map(testCase => (testCase.status === 'passed' ? { ...testCase, details: null } : testCase))
+    };
+
+    this.runs[pending.project] = [run, ...(this.runs[pending.project] || [])].slice(0, MAX_RUNS_PER_PROJECT);
+    this.save();
+    console.log(`🧪 Tests for ${pending.project} ${run.status}: ${summary.passed} passed, ${summary.failed} failed, ${summary.skipped} skipped`);
+  }
+
+  // Newest first, without the per-case results
+  list(name) {
+    return (this.runs[name] || []).map(toRunSummary);
+  }
+
+  get(name, id) {
+    return (this.runs[name] || []).find(run => run.id === id) || null;
+  }
+
+  forget(name) {
+    if (this.runs[name]) {
+      delete this.runs[name];
+      this.save();
+    }
+  }
+}
+
+export default new TestRunner();
@@ -0,0 +1,192 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import userStore from './users.js';
+
+// RFC 6238 defaults understood by every authenticator app
+const ISSUER = 'Supreme Dashboard';
+const DIGITS = 6;
+const PERIOD = 30; // seconds
+const WINDOW = 1; // accept one step of clock drift either side
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+class TwoFactorService {
+  generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+  }
+
+  // HOTP (RFC 4226) for a given counter
+  generateCode(secret, counter) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+  }
+
+  currentCounter(time = Date.now()) {
+    return Math.floor(time / 1000 / PERIOD);
+  }
+
+  // Returns the matching time step, or null if the code is wrong
+  verifyCode(secret, code, time = Date.now()) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!secret || !/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+      return null;
+    }
+
+    const counter = this.currentCounter(time);
+    for (let offset = -WINDOW; offset <= WINDOW; offset++) {
+      const candidate = this.generateCode(secret, counter + offset);
+      if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+        return counter + offset;
+      }
+    }
+
+    return null;
+  }
+
+  buildOtpauthUrl(username, secret) {
+    const label = encodeURIComponent(`${ISSUER}:${username}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: ISSUER,
+      algorithm: 'SHA1',
+      digits: String(DIGITS),
+      period: String(PERIOD)
+    });
+    return `otpauth://totp/${label}?${params}`;
+  }
+
+  // Start enrollment: the secret stays pending until a code proves the app has it
+  async beginEnrollment(user) {
+    const secret = this.generateSecret();
+    user.twoFactorPendingSecret = secret;
+    userStore.save();
+
+    const otpauthUrl = this.buildOtpauthUrl(user.username, secret);
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl)
+    };
+  }
+
+  // Finish enrollment; returns the plaintext recovery codes or null on a bad code
+  confirmEnrollment(user, code) {
+    const counter = this.verifyCode(user.twoFactorPendingSecret, code);
+    if (counter === null) {
+      return null;
+    }
+
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorLastCounter = counter;
+
+    return this.regenerateRecoveryCodes(user);
+  }
+
+  disable(user) {
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorLastCounter = null;
+    user.recoveryCodes = [];
+    userStore.save();
+  }
+
+  regenerateRecoveryCodes(user) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    user.recoveryCodes = codes.map(hashRecoveryCode);
+    userStore.save();
+    return codes;
+  }
+
+  // Check a login code for an enrolled user. Accepts a TOTP code (each time
+  // step only once) or a single-use recovery code. Returns the method used.
+  verifyUser(user, { code, recoveryCode } = {}) {
+    if (!user.twoFactorEnabled) {
+      return null;
+    }
+
+    if (code) {
+      const counter = this.verifyCode(user.twoFactorSecret, code);
+      if (counter === null || (user.twoFactorLastCounter !== null && counter <= user.twoFactorLastCounter)) {
+        return null;
+      }
+      user.twoFactorLastCounter = counter;
+      userStore.save();
+      return 'totp';
+    }
+
+    if (recoveryCode) {
+      const hash = hashRecoveryCode(recoveryCode);
+      const index = user.recoveryCodes.indexOf(hash);
+      if (index === -1) {
+        return null;
+      }
+      user.recoveryCodes.splice(index, 1);
+      userStore.save();
+      return 'recovery';
+    }
+
+    return null;
+  }
+}
+
+export default new TwoFactorService();
@@ -0,0 +1,281 @@
+import http from 'http';
+import https from 'https';
+import tls from 'tls';
+import { readFileSync, existsSync, mkdirSync } from 'fs';
+import path from 'path';
+import os from 'os';
+import { DATA_DIR } from './users.js';
+import { writeJsonStore } from './jsonStore.js';
+import { globalMonitor } from '../middleware/monitoring.js';
+
+const STORE_VERSION = 1;
+const DEFAULT_INTERVAL_SECONDS = 60;
+const TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 5;
+// A day of checks at the default interval
+const MAX_HISTORY = 1440;
+const SPARKLINE_POINTS = 30;
+// Two failures in a row before alerting, so one slow response is not a page
+const FAILURES_BEFORE_ALERT = 2;
+const CONCURRENCY = 4;
+
+const parseInterval = (value) => {
+  const seconds = parseInt(value, 10);
+  return seconds >= 10 ? seconds : DEFAULT_INTERVAL_SECONDS;
+};
+
+export const INTERVAL_SECONDS = parseInterval(process.env.SUPREME_UPTIME_INTERVAL || DEFAULT_INTERVAL_SECONDS);
+
+const NETWORK_ERRORS = {
+  ECONNREFUSED: 'Connection refused',
+  ECONNRESET: 'Connection reset',
+  ENOTFOUND: 'Host not found',
+  EAI_AGAIN: 'Host lookup failed',
+  EHOSTUNREACH: 'Host unreachable',
+  ETIMEDOUT: 'Timed out'
+};
+
+// mkcert signs the local HTTPS certificates; Node does not read the system trust store,
+// so trust mkcert's root explicitly or every .test site would report an invalid certificate
+const mkcertRoots = () => {
+  const dirs = [
+    process.env.CAROOT,
+    path.join(os.homedir(), '.local', 'share', 'mkcert'),
+    path.join(os.homedir(), 'Library', 'Application Support', 'mkcert')
+  ].filter(Boolean);
+  return dirs
+    .map(dir => path.join(dir, 'rootCA.pem'))
+    .filter(file => existsSync(file))
+    .map(file => readFileSync(file, 'utf8'));
+};
+
+const describeCertificate = (socket) => {
+  const certificate = socket.getPeerCertificate();
+  if (!certificate || !certificate.valid_to) {
+    return { valid: false, error: 'No certificate', subject: null, issuer: null, validTo: null, daysRemaining: null };
+  }
+  const validTo = new Date(certificate.valid_to);
+  return {
+    valid: socket.authorized,
+    error: socket.authorized ? null : String(socket.authorizationError),
+    subject: certificate.subject?.CN || null,
+    issuer: certificate.issuer?.O || certificate.issuer?.CN || null,
+    validTo: validTo.toISOString(),
+    daysRemaining: Math.floor((validTo - Date.now()) / (24 * 60 * 60 * 1000))
+  };
+};
+
+// One request, without following redirects; only the headers are waited for
+const request = (url, ca) => new Promise(resolve => {
+  const target = new URL(url);
+  const secure = target.protocol === 'https:';
+  const started = process.hrtime.bigint();
+  const elapsed = () => Math.round(Number(process.hrtime.bigint() - started) / 1e6);
+
+  const req = (secure ? https : http).request(target, {
+    method: 'GET',
+    timeout: TIMEOUT_MS,
+    headers: { 'user-agent': 'Supreme-Uptime/1.0' },
+    // A fresh connection every time, so the certificate is always presented
+    agent: false,
+    // Record certificate problems instead of failing the request on them
+    rejectUnauthorized: false,
+    ...(secure && ca ? { ca } : {})
+  }, (res) => {
+    const result = {
+      url,
+      status: res.statusCode,
+      location: res.headers.location || null,
+      latencyMs: elapsed(),
+      tls: secure ? describeCertificate(res.socket) : null
+    };
+    res.destroy();
+    resolve(result);
+  });
+
+  req.on('timeout', () => req.destroy(Object.assign(new Error(`No response within ${TIMEOUT_MS / 1000}s`), { code: 'TIMEOUT' })));
+  req.on('error', (error) => resolve({
+    url,
+    status: null,
+    location: null,
+    latencyMs: elapsed(),
+    tls: null,
+    error: NETWORK_ERRORS[error.code] || error.message
+  }));
+  req.end();
+});
+
+// Request the URL and follow its redirects. Returns the hops, the total time and the
+// final status, plus the certificate of the first HTTPS hop.
+export const probeUrl = async (url, { ca } = {}) => {
+  const redirects = [];
+  let current = url;
+  let latencyMs = 0;
+  let certificate = null;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const result = await request(current, ca);
+    latencyMs += result.latencyMs;
+    certificate ??= result.tls;
+
+    if (result.error) {
+      return { ok: false, status: null, latencyMs, error: result.error, redirects, finalUrl: current, tls: certificate };
+    }
+    if (result.status >= 300 && result.status < 400 && result.location) {
+      redirects.push({ url: current, status: result.status });
+      current = new URL(result.location, current).toString();
+      continue;
+    }
+    return {
+      ok: result.status < 400,
+      status: result.status,
+      latencyMs,
+      error: result.status < 400 ? null : `HTTP ${result.status}`,
+      redirects,
+      finalUrl: current,
+      tls: certificate
+    };
+  }
+  return { ok: false, status: null, latencyMs, error: `More than ${MAX_REDIRECTS} redirects`, redirects, finalUrl: current, tls: certificate };
+};
+
+const runLimited = async (items, limit, worker) => {
+  const queue = [...items];
+  const runners = Array.from({ length: Math.min(limit, queue.length) }, async () => {
+    while (queue.length > 0) {
+      await worker(queue.shift());
+    }
+  });
+  await Promise.all(runners);
+};
+
+// Requests every enabled project's URL on an interval and keeps a day of results per
+// project. A site that fails twice in a row raises an alert, cleared when it recovers.
+class UptimeProber {
+  constructor() {
+    this.filePath = path.join(DATA_DIR, 'uptime.json');
+    this.projects = {};
+    this.listTargets = () => [];
+    this.timer = null;
+    this.running = false;
+    this.ca = null;
+  }
+
+  // listTargets() returns the sites to check as [{ name, url }]
+  initialize({ listTargets }) {
+    mkdirSync(DATA_DIR, { recursive: true, mode: 0o700 });
+    this.listTargets = listTargets;
+
+    if (existsSync(this.filePath)) {
+      this.projects = JSON.parse(readFileSync(this.filePath, 'utf8')).projects || {};
+    }
+
+    const roots = mkcertRoots();
+    this.ca = roots.length > 0 ? [...tls.rootCertificates, ...roots] : null;
+
+    this.timer = setInterval(() => this.runRound(), INTERVAL_SECONDS * 1000);
+    this.timer.unref();
+    // First round shortly after start-up rather than a full interval later
+    setTimeout(() => this.runRound(), 5000).unref();
+  }
+
+  save() {
+    const data = { version: STORE_VERSION, projects: this.projects };
+    writeJsonStore(this.filePath, data, { indent: 0 });
+  }
+
+  async runRound() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    try {
+      await runLimited(this.listTargets(), CONCURRENCY, target => this.check(target.name, target.url, { save: false }));
+      this.save();
+    } catch (error) {
+      console.error('Uptime round failed:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async check(name, url, { save = true } = {}) {
+    const result = await probeUrl(url, { ca: this.ca });
+    const at = new Date().toISOString();
+    const entry = this.projects[name] || { url, history: [], last: null, since: null, failures: 0 };
+    const wasOk = entry.last ? entry.last.ok : null;
+
+    entry.url = url;
+    entry.last = { at, ...result };
+    entry.history.push({ at, ok: result.ok, status: result.status, latencyMs: result.latencyMs, error: result.error });
+    if (entry.history.length > MAX_HISTORY) {
+      entry.history.splice(0, entry.history.length - MAX_HISTORY);
+    }
+    if (wasOk !== result.ok) {
+      entry.since = at;
+    }
+    entry.failures = result.ok ? 0 : entry.failures + 1;
+    this.projects[name] = entry;
+
+    // raise() keeps a single alert per site, so repeating it on every failed check is harmless
+    if (entry.failures >= FAILURES_BEFORE_ALERT) {
+      globalMonitor.alertManager.raise(`site_down:${name}`, 'critical', { project: name, url, status: result.status, error: result.error });
+    } else if (result.ok) {
+      globalMonitor.alertManager.resolveByName(`site_down:${name}`);
+      if (wasOk === false) {
+        console.log(`✅ ${name} is back up (${url})`);
+      }
+    }
+
+    if (save) {
+      this.save();
+    }
+    return this.detail(name);
+  }
+
+  // Drop a deleted project's history and any alert about it
+  forget(name) {
+    if (this.projects[name]) {
+      delete this.projects[name];
+      this.save();
+    }
+    globalMonitor.alertManager.resolveByName(`site_down:${name}`);
+  }
+
+  // Badge and sparkline data for the Projects page
+  summary(name) {
+    const entry = this.projects[name];
+    if (!entry?.last) {
+      return { status: 'unknown', url: entry?.url || null, since: null, lastCheckedAt: null, latencyMs: null, uptime: null, tls: null, recent: [] };
+    }
+    const okCount = entry.history.filter(check => check.ok).length;
+    return {
+      status: entry.last.ok ? 'up' : 'down',
+      url: entry.url,
+      since: entry.since,
+      lastCheckedAt: entry.last.at,
+      latencyMs: entry.last.latencyMs,
+      error: entry.last.error,
+      uptime: Math.round((okCount / entry.history.length) * 1000) / 10,
+      tls: entry.last.tls ? { valid: entry.last.tls.valid, daysRemaining: entry.last.tls.daysRemaining } : null,
+      recent: entry.history.slice(-SPARKLINE_POINTS).map(check => ({ at: check.at, ok: check.ok, latencyMs: check.latencyMs }))
+    };
+  }
+
+  summaries(names) {
+    return Object.fromEntries(names.map(name => [name, this.summary(name)]));
+  }
+
+  // Everything recorded for one project: the last check in full and the whole history
+  detail(name) {
+    const entry = this.projects[name];
+    return {
+      ...this.summary(name),
+      last: entry?.last || null,
+      history: entry?.history || [],
+      intervalSeconds: INTERVAL_SECONDS
+    };
+  }
+}
+
+export default new UptimeProber();
@@ -0,0 +1,274 @@
+import { readFileSync, existsSync, mkdirSync } from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import { writeJsonStore } from './jsonStore.js';
+
+// Dashboard state lives next to the Supreme CLI config (~/.supreme)
+export const DATA_DIR = process.env.SUPREME_DATA_DIR ||
+  path.join(process.env.HOME || os.homedir(), '.supreme', 'dashboard');
+
+const STORE_VERSION = 1;
+const BCRYPT_ROUNDS = 10;
+const PASSWORD_RESET_TTL = 24 * 60 * 60 * 1000; // admin-issued reset links
+
+export const ROLE_PERMISSIONS = {
+  admin: ['read', 'write', 'delete', 'admin'],
+  developer: ['read', 'write']
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+export const PERMISSIONS = ['read', 'write', 'delete', 'admin'];
+
+// Fields safe to return from the API
+export const toPublicUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  permissions: user.permissions,
+  disabled: user.disabled,
+  createdAt: user.createdAt,
+  lastLogin: user.lastLogin,
+  loginAttempts: user.loginAttempts,
+  lockedUntil: user.lockedUntil && user.lockedUntil > Date.now() ? user.lockedUntil : null,
+  twoFactorEnabled: user.twoFactorEnabled,
+  projectAccess: user.projectAccess,
+  authProvider: user.authProvider,
+  passwordChangedAt: user.passwordChangedAt,
+  passwordResetExpiresAt: user.passwordReset && user.passwordReset.expiresAt > Date.now() ? user.passwordReset.expiresAt : null,
+  recoveryCodesRemaining: user.twoFactorEnabled ? user.recoveryCodes.length : 0
+});
+
+export const generateTemporaryPassword = () => crypto.randomBytes(9).toString('base64url');
+
+class UserStore {
+  constructor() {
+    this.filePath = path.join(DATA_DIR, 'users.json');
+    this.users = [];
+    this.nextId = 1;
+  }
+
+  initialize() {
+    mkdirSync(DATA_DIR, { recursive: true, mode: 0o700 });
+
+    if (existsSync(this.filePath)) {
+      this.load();
+    } else {
+      this.bootstrapAdmin();
+    }
+  }
+
+  load() {
+    const raw = JSON.parse(readFileSync(this.filePath, 'utf8'));
+
+    // Early builds wrote a bare array of users without a version marker
+    const records = Array.isArray(raw) ? raw : (raw.users || []);
+    const version = Array.isArray(raw) ? 0 : (raw.version || 0);
+
+    // Mutate in place so modules holding a reference to the array stay in sync
+    this.users.splice(0, this.users.length, ...records.map(record => this.migrateUser(record)));
+    this.nextId = Math.max(raw.nextId || 0, ...this.users.map(u => u.id + 1), 1);
+
+    if (version < STORE_VERSION) {
+      console.log(`Migrating user store from v${version} to v${STORE_VERSION}`);
+      this.save();
+    }
+  }
+
+  // Fill in any fields missing from older records
+  migrateUser(record) {
+    const role = record.role || 'developer';
+
+    return {
+      ...record,
+      role,
+      createdAt: record.createdAt || new Date().toISOString(),
+      lastLogin: record.lastLogin || null,
+      loginAttempts: Number.isInteger(record.loginAttempts) ? record.loginAttempts : 0,
+      lockedUntil: record.lockedUntil ? new Date(record.lockedUntil).getTime() : null,
+      // Raw refresh token strings from older versions are dropped; only hashed entries are kept
+      refreshTokens: Array.isArray(record.refreshTokens)
+        ? record.refreshTokens.filter(entry => entry && typeof entry === 'object')
+        : [],
+      disabled: Boolean(record.disabled),
+      twoFactorEnabled: Boolean(record.twoFactorEnabled),
+      twoFactorSecret: record.twoFactorSecret || null,
+      twoFactorPendingSecret: record.twoFactorPendingSecret || null,
+      twoFactorLastCounter: Number.isInteger(record.twoFactorLastCounter) ? record.twoFactorLastCounter : null,
+      recoveryCodes: Array.isArray(record.recoveryCodes) ? record.recoveryCodes : [],
+      // null means every project under HTDOCS_ROOT; a list limits the user to those folders
+      projectAccess: Array.isArray(record.projectAccess) ? record.projectAccess : null,
+      // Accounts signed in through OIDC/LDAP have no local password
+      authProvider: record.authProvider || 'local',
+      externalId: record.externalId || null,
+      passwordChangedAt: record.passwordChangedAt || null,
+      // Pending admin-issued reset link: { hash, expiresAt, createdBy }
+      passwordReset: record.passwordReset || null,
+      permissions: Array.isArray(record.permissions)
+        ? record.permissions
+        : [...(ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS.developer)]
+    };
+  }
+
+  bootstrapAdmin() {
+    const password = process.env.SUPREME_ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+
+    this.users.push(this.migrateUser({
+      id: this.nextId++,
+      username: process.env.SUPREME_ADMIN_USERNAME || 'admin',
+      email: process.env.SUPREME_ADMIN_EMAIL || 'admin@supreme.dev',
+      password: bcrypt.hashSync(password, BCRYPT_ROUNDS),
+      role: 'admin'
+    }));
+    this.save();
+
+    if (!process.env.SUPREME_ADMIN_PASSWORD) {
+      console.log('🔑 Created initial dashboard admin account');
+      console.log(`   Username: ${this.users[0].username}`);
+      console.log(`   Password: ${password}`);
+      console.log('   Change this password after signing in.');
+    }
+  }
+
+  save() {
+    const data = {
+      version: STORE_VERSION,
+      nextId: this.nextId,
+      users: this.users.map(({ lastActivity, ...user }) => user)
+    };
+    writeJsonStore(this.filePath, data);
+  }
+
+  findById(id) {
+    return this.users.find(u => u.id === id);
+  }
+
+  findByUsername(username) {
+    return this.users.find(u => u.username === username);
+  }
+
+  findByEmail(email) {
+    return this.users.find(u => u.email === email);
+  }
+
+  findByExternalId(authProvider, externalId) {
+    return this.users.find(u => u.authProvider === authProvider && u.externalId === externalId);
+  }
+
+  async create({ username, email, password, role = 'developer', permissions, projectAccess }) {
+    const user = this.migrateUser({
+      id: this.nextId++,
+      username,
+      email,
+      password: await bcrypt.hash(password, BCRYPT_ROUNDS),
+      role,
+      permissions,
+      projectAccess
+    });
+
+    this.users.push(user);
+    this.save();
+    return user;
+  }
+
+  // First sign-in of someone from an external provider
+  createExternal({ username, email, role, authProvider, externalId }) {
+    const user = this.migrateUser({
+      id: this.nextId++,
+      username,
+      email,
+      password: null,
+      role,
+      authProvider,
+      externalId
+    });
+
+    this.users.push(user);
+    this.save();
+    return user;
+  }
+
+  update(id, changes) {
+    const user = this.findById(id);
+    if (!user) {
+      return null;
+    }
+
+    const allowed = ['username', 'email', 'role', 'permissions', 'disabled', 'projectAccess'];
+    for (const key of allowed) {
+      if (changes[key] !== undefined) {
+        user[key] = changes[key];
+      }
+    }
+
+    // Disabling an account also drops its refresh tokens
+    if (user.disabled) {
+      user.refreshTokens = [];
+    }
+
+    this.save();
+    return user;
+  }
+
+  remove(id) {
+    const index = this.users.findIndex(u => u.id === id);
+    if (index === -1) {
+      return false;
+    }
+    this.users.splice(index, 1);
+    this.save();
+    return true;
+  }
+
+  // Signs out every session except `keepSession` and voids any pending reset link
+  async setPassword(user, password, { keepSession = null } = {}) {
+    user.password = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    user.refreshTokens = user.refreshTokens.filter(entry => keepSession && entry.family === keepSession);
+    user.passwordChangedAt = new Date().toISOString();
+    user.passwordReset = null;
+    this.save();
+  }
+
+  // One-time reset link token; only its hash is stored and issuing a new one replaces the old
+  createPasswordReset(user, createdBy) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    user.passwordReset = {
+      hash: crypto.createHash('sha256').update(token).digest('hex'),
+      expiresAt: Date.now() + PASSWORD_RESET_TTL,
+      createdBy
+    };
+    this.save();
+    return { token, expiresAt: user.passwordReset.expiresAt };
+  }
+
+  findByResetToken(token) {
+    if (typeof token !== 'string' || !token) {
+      return null;
+    }
+    const hash = crypto.createHash('sha256').update(token).digest('hex');
+    return this.users.find(u => u.passwordReset &&
+      u.passwordReset.expiresAt > Date.now() &&
+      crypto.timingSafeEqual(Buffer.from(u.passwordReset.hash), Buffer.from(hash))) || null;
+  }
+
+  unlock(user) {
+    user.loginAttempts = 0;
+    user.lockedUntil = null;
+    this.save();
+  }
+
+  countActiveAdmins() {
+    return this.users.filter(u => u.role === 'admin' && !u.disabled).length;
+  }
+
+  async verifyPassword(user, password) {
+    if (!user?.password || !password) {
+      return false;
+    }
+    return bcrypt.compare(password, user.password);
+  }
+}
+
+export default new UserStore();
@@ -0,0 +1,68 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { TestUtils, TestAssertions } from '../setup.js';
+
+describe('Personal Access Tokens API', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    const loginResponse = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'admin',
+      password: 'admin123'
+    });
+    adminToken = loginResponse.data.token;
+  });
+
+  const createToken = (data) => TestUtils.makeRequest('POST', '/api/auth/tokens', data, adminToken);
+
+  test('should create a token and only show it once', async () => {
+    const response = await createToken({ name: 'ci', scopes: ['system:read'], expiresInDays: 30 });
+
+    expect(response.status).toBe(201);
+    expect(response.data.token).toMatch(/^sdp_/);
+    expect(response.data.accessToken.tokenHash).toBeUndefined();
+
+    const list = await TestUtils.makeRequest('GET', '/api/auth/tokens', null, adminToken);
+    expect(JSON.stringify(list.data)).not.toContain(response.data.token);
+  });
+
+  test('should reject unknown scopes', async () => {
+    const response = await createToken({ name: 'bad', scopes: ['everything:write'] });
+
+    expect(response.status).toBe(400);
+    expect(response.data.error).toBe('Validation failed');
+    expect(response.data.details).toBeDefined();
+  });
+
+  test('should authenticate API calls within its scopes', async () => {
+    const created = await createToken({ name: 'reader', scopes: ['users:read'] });
+
+    const allowed = await TestUtils.makeRequest('GET', '/api/users', null, created.data.token);
+    const denied = await TestUtils.makeRequest('GET', '/api/projects', null, created.data.token);
+
+    expect(allowed.status).toBe(200);
+    expect(denied.status).toBe(403);
+    expect(denied.data.code).toBe('INSUFFICIENT_SCOPE');
+  });
+
+  test('should not let a token manage tokens', async () => {
+    const created = await createToken({ name: 'sneaky', scopes: ['users:write'] });
+
+    const response = await TestUtils.makeRequest('GET', '/api/auth/tokens', null, created.data.token);
+
+    expect(response.status).toBe(403);
+  });
+
+  test('should track last use and stop working once revoked', async () => {
+    const created = await createToken({ name: 'short-lived', scopes: ['system:read'] });
+    await TestUtils.makeRequest('GET', '/api/auth/verify', null, created.data.token);
+
+    const list = await TestUtils.makeRequest('GET', '/api/auth/tokens', null, adminToken);
+    const record = list.data.tokens.find(t => t.id === created.data.accessToken.id);
+    expect(record.lastUsedAt).not.toBeNull();
+
+    await TestUtils.makeRequest('DELETE', `/api/auth/tokens/${record.id}`, null, adminToken);
+    const response = await TestUtils.makeRequest('GET', '/api/auth/verify', null, created.data.token);
+
+    expect(response.status).toBe(401);
+  });
+});
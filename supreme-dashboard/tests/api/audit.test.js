@@ -0,0 +1,72 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { TestUtils, TestAssertions } from '../setup.js';
+
+describe('Audit Log API', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    const loginResponse = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'admin',
+      password: 'admin123'
+    });
+    adminToken = loginResponse.data.token;
+  });
+
+  test('should record mutating requests with secrets redacted', async () => {
+    const username = `audited${Date.now()}`;
+    await TestUtils.makeRequest('POST', '/api/users', {
+      username,
+      email: `${username}@example.com`,
+      password: 'Audit123!'
+    }, adminToken);
+
+    const response = await TestUtils.makeRequest('GET', `/api/audit?search=${username}&route=/api/users`, null, adminToken);
+
+    expect(response.status).toBe(200);
+    const entry = response.data.entries[0];
+    expect(entry.username).toBe('admin');
+    expect(entry.method).toBe('POST');
+    expect(entry.outcome).toBe('success');
+    expect(entry.body.password).toBe('[REDACTED]');
+    expect(typeof entry.durationMs).toBe('number');
+  });
+
+  test('should not record read-only requests', async () => {
+    await TestUtils.makeRequest('GET', '/api/users?audit-probe=1', null, adminToken);
+
+    const response = await TestUtils.makeRequest('GET', '/api/audit?search=audit-probe', null, adminToken);
+
+    expect(response.data.total).toBe(0);
+  });
+
+  test('should filter by outcome', async () => {
+    await TestUtils.makeRequest('POST', '/api/users', { username: 'x' }, 'invalid-token');
+
+    const response = await TestUtils.makeRequest('GET', '/api/audit?outcome=denied', null, adminToken);
+
+    expect(response.status).toBe(200);
+    response.data.entries.forEach(entry => expect(entry.outcome).toBe('denied'));
+  });
+
+  test('should reject invalid filters', async () => {
+    const response = await TestUtils.makeRequest('GET', '/api/audit?outcome=maybe', null, adminToken);
+
+    expect(response.status).toBe(400);
+    expect(response.data.error).toBe('Validation failed');
+    expect(response.data.details).toBeDefined();
+  });
+
+  test('should only export CSV or JSONL', async () => {
+    const response = await TestUtils.makeRequest('GET', '/api/audit/export?format=xml', null, adminToken);
+
+    expect(response.status).toBe(400);
+    expect(response.data.error).toBe('Validation failed');
+    expect(response.data.details).toBeDefined();
+  });
+
+  test('should be admin only', async () => {
+    const response = await TestUtils.makeRequest('GET', '/api/audit');
+
+    expect(response.status).toBe(401);
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
 import { TestUtils, TestDataFactory, TestAssertions } from '../setup.js';
 
 describe('Authentication API', () => {
@@ -17,6 +17,19 @@ describe('Authentication API', () => {
     authToken = null;
   });
 
+  // The refresh tests sign in as their own user, since the lockout test locks the admin out
+  beforeAll(async () => {
+    const adminLogin = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'admin',
+      password: 'admin123'
+    });
+    await TestUtils.makeRequest('POST', '/api/users', {
+      username: 'refresher',
+      email: 'refresher@example.com',
+      password: 'Refresh-Kite-42'
+    }, adminLogin.data.token);
+  });
+
   describe('POST /api/auth/login', () => {
     test('should login with valid credentials', async () => {
       const response = await TestUtils.makeRequest('POST', '/api/auth/login', {
@@ -136,7 +149,7 @@ describe('Authentication API', () => {
       });
 
       TestAssertions.expectValidationError(response);
-      expect(response.data.error.details.password).toContain('at least 6 characters');
+      expect(response.data.error.details.password).toContain('at least 8 characters');
     });
 
     test('should reject invalid email format', async () => {
@@ -263,6 +276,64 @@ describe('Authentication API', () => {
     });
   });
 
+  describe('POST /api/auth/refresh', () => {
+    let refreshToken;
+
+    beforeEach(async () => {
+      const loginResponse = await TestUtils.makeRequest('POST', '/api/auth/login', {
+        username: 'refresher',
+        password: 'Refresh-Kite-42'
+      });
+      refreshToken = loginResponse.data.refreshToken;
+    });
+
+    test('should issue a new token pair', async () => {
+      const response = await TestUtils.makeRequest('POST', '/api/auth/refresh', { refreshToken });
+
+      TestAssertions.expectSuccess(response);
+      expect(response.data.token).toBeDefined();
+      expect(response.data.refreshToken).not.toBe(refreshToken);
+
+      const verifyResponse = await TestUtils.makeRequest('GET', '/api/auth/verify', null, response.data.token);
+      expect(verifyResponse.status).toBe(200);
+    });
+
+    test('should revoke the token family when a refresh token is reused', async () => {
+      const first = await TestUtils.makeRequest('POST', '/api/auth/refresh', { refreshToken });
+      const reused = await TestUtils.makeRequest('POST', '/api/auth/refresh', { refreshToken });
+
+      expect(reused.status).toBe(401);
+      expect(reused.data.code).toBe('REFRESH_TOKEN_REUSED');
+
+      const rotated = await TestUtils.makeRequest('POST', '/api/auth/refresh', {
+        refreshToken: first.data.refreshToken
+      });
+      expect(rotated.status).toBe(401);
+    });
+
+    test('should not accept a refresh token as an access token', async () => {
+      const response = await TestUtils.makeRequest('GET', '/api/auth/verify', null, refreshToken);
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should reject a refresh token revoked by logout', async () => {
+      const loginResponse = await TestUtils.makeRequest('POST', '/api/auth/login', {
+        username: 'refresher',
+        password: 'Refresh-Kite-42'
+      });
+      await TestUtils.makeRequest('POST', '/api/auth/logout', {
+        refreshToken: loginResponse.data.refreshToken
+      }, loginResponse.data.token);
+
+      const response = await TestUtils.makeRequest('POST', '/api/auth/refresh', {
+        refreshToken: loginResponse.data.refreshToken
+      });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
   describe('Rate Limiting', () => {
     test('should enforce rate limiting on login attempts', async () => {
       const requests = [];
@@ -0,0 +1,149 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { TestUtils, TestAssertions, TEST_CONFIG } from '../setup.js';
+import { startMockOidcProvider } from '../mocks/mockOidcProvider.js';
+import { startMockLdapServer, MOCK_LDAP_BASE_DN, MOCK_LDAP_SERVICE } from '../mocks/mockLdapServer.js';
+
+const BASE_URL = `http://${TEST_CONFIG.HOST}:${TEST_CONFIG.PORT}`;
+
+describe('Login Providers API', () => {
+  let adminToken;
+  let oidc;
+  let ldap;
+
+  const configure = (type, config) =>
+    TestUtils.makeRequest('PUT', `/api/settings/auth-providers/${type}`, config, adminToken);
+
+  // Follows the browser's redirects by hand: dashboard -> IdP -> callback -> /login?sso=
+  const oidcLogin = async (loginHint) => {
+    const start = await fetch(`${BASE_URL}/api/auth/oidc/login`, { redirect: 'manual' });
+    const authorize = new URL(start.headers.get('location'));
+    authorize.searchParams.set('login_hint', loginHint);
+
+    const approved = await fetch(authorize, { redirect: 'manual' });
+    const callback = await fetch(approved.headers.get('location'), { redirect: 'manual' });
+    return new URL(callback.headers.get('location'), BASE_URL).searchParams;
+  };
+
+  beforeAll(async () => {
+    const loginResponse = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'admin',
+      password: 'admin123'
+    });
+    adminToken = loginResponse.data.token;
+
+    oidc = await startMockOidcProvider({ port: 5557 });
+    ldap = await startMockLdapServer({ port: 3891 });
+
+    await configure('oidc', {
+      enabled: true,
+      issuer: oidc.issuer,
+      clientId: oidc.clientId,
+      redirectUri: `${BASE_URL}/api/auth/oidc/callback`,
+      adminGroups: ['dashboard-admins'],
+      defaultRole: 'developer'
+    });
+    await configure('ldap', {
+      enabled: true,
+      url: ldap.url,
+      baseDN: MOCK_LDAP_BASE_DN,
+      bindDN: MOCK_LDAP_SERVICE.dn,
+      bindPassword: MOCK_LDAP_SERVICE.password,
+      adminGroups: ['admins'],
+      developerGroups: ['developers'],
+      defaultRole: null
+    });
+  });
+
+  afterAll(async () => {
+    await configure('oidc', { enabled: false });
+    await configure('ldap', { enabled: false });
+    oidc.server.close();
+    ldap.server.close();
+  });
+
+  test('should list enabled providers publicly', async () => {
+    const response = await TestUtils.makeRequest('GET', '/api/auth/providers');
+
+    expect(response.status).toBe(200);
+    expect(response.data.providers.map(p => p.type)).toEqual(['local', 'oidc', 'ldap']);
+  });
+
+  test('should never return saved secrets', async () => {
+    const response = await TestUtils.makeRequest('GET', '/api/settings/auth-providers', null, adminToken);
+
+    expect(response.data.providers.ldap.bindPassword).toBe('');
+    expect(response.data.providers.ldap.bindPasswordSet).toBe(true);
+  });
+
+  test('should require connection details before enabling', async () => {
+    const response = await TestUtils.makeRequest('POST', '/api/settings/auth-providers/ldap/test', {
+      url: 'http://not-ldap'
+    }, adminToken);
+
+    expect(response.status).toBe(400);
+    expect(response.data.error).toBe('Validation failed');
+    expect(response.data.details).toBeDefined();
+  });
+
+  test('should test the LDAP connection and role mapping', async () => {
+    const response = await TestUtils.makeRequest('POST', '/api/settings/auth-providers/ldap/test', {
+      testUsername: 'alice'
+    }, adminToken);
+
+    TestAssertions.expectSuccess(response);
+    expect(response.data.result.user.role).toBe('admin');
+  });
+
+  test('should sign in with LDAP and map groups to roles', async () => {
+    const alice = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'alice', password: 'alice-password', provider: 'ldap'
+    });
+    const bob = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'bob', password: 'bob-password', provider: 'ldap'
+    });
+
+    expect(alice.data.user.role).toBe('admin');
+    expect(bob.data.user.role).toBe('developer');
+  });
+
+  test('should reject wrong LDAP passwords and users outside the mapped groups', async () => {
+    const wrong = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'bob', password: 'nope', provider: 'ldap'
+    });
+    const carol = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'carol', password: 'carol-password', provider: 'ldap'
+    });
+
+    expect(wrong.status).toBe(401);
+    expect(carol.status).toBe(403);
+    expect(carol.data.code).toBe('NO_MATCHING_GROUP');
+  });
+
+  test('should not let directory users sign in with a local password', async () => {
+    const response = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'alice', password: 'alice-password'
+    });
+
+    expect(response.status).toBe(401);
+  });
+
+  test('should sign in with OIDC using a one-time code', async () => {
+    const params = await oidcLogin('jane');
+    expect(params.get('sso')).toBeTruthy();
+
+    const response = await TestUtils.makeRequest('POST', '/api/auth/sso/exchange', { code: params.get('sso') });
+    const replay = await TestUtils.makeRequest('POST', '/api/auth/sso/exchange', { code: params.get('sso') });
+
+    TestAssertions.expectSuccess(response);
+    expect(response.data.user.username).toBe('jane');
+    expect(response.data.user.role).toBe('admin');
+    expect(replay.status).toBe(401);
+  });
+
+  test('should give OIDC users outside the admin groups the default role', async () => {
+    const params = await oidcLogin('dev');
+    const response = await TestUtils.makeRequest('POST', '/api/auth/sso/exchange', { code: params.get('sso') });
+
+    expect(response.data.user.role).toBe('developer');
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, test, expect, beforeAll, afterEach } from '@jest/globals';
+import { mkdirSync, rmSync, writeFileSync } from 'fs';
+import path from 'path';
+import { TestUtils, TEST_CONFIG } from '../setup.js';
+
+const ARCHIVE_DIR = path.join(TEST_CONFIG.HOME, '.supreme', 'archives');
+
+const tagsOf = async (name, token) => {
+  const response = await TestUtils.makeRequest('GET', '/api/projects', null, token);
+  return response.data.projects.find(project => project.name === name).meta.tags;
+};
+
+describe('Bulk Project Actions API', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    const loginResponse = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'admin',
+      password: 'admin123'
+    });
+    adminToken = loginResponse.data.token;
+  });
+
+  afterEach(() => {
+    rmSync(ARCHIVE_DIR, { recursive: true, force: true });
+  });
+
+  test('should reject a bulk action that is not offered', async () => {
+    const response = await TestUtils.makeRequest('POST', '/api/projects/bulk', { action: 'format', projects: ['site-one'] }, adminToken);
+
+    expect(response.status).toBe(400);
+    expect(response.data.details.action).toBeDefined();
+  });
+
+  test('should report a result per project for a bulk action', async () => {
+    const response = await TestUtils.makeRequest('POST', '/api/projects/bulk', {
+      action: 'tag',
+      projects: ['no-such-project'],
+      tags: { add: ['legacy'] }
+    }, adminToken);
+
+    expect(response.status).toBe(202);
+    expect(response.data.job.type).toBe('project.bulk');
+    expect(Object.keys(response.data.job.meta.results)).toEqual(['no-such-project']);
+  });
+
+  test('should forget a deleted project but keep one whose archive failed', async () => {
+    TestUtils.createProject('bulk-gone', { 'index.html': '<h1>Gone</h1>' });
+    TestUtils.createProject('bulk-stuck', { 'index.html': '<h1>Stuck</h1>' });
+    for (const name of ['bulk-gone', 'bulk-stuck']) {
+      await TestUtils.makeRequest('PUT', `/api/projects/${name}/meta`, { tags: ['legacy'] }, adminToken);
+    }
+
+    const deleted = await TestUtils.makeRequest('POST', '/api/projects/bulk', { action: 'delete', projects: ['bulk-gone'] }, adminToken);
+    expect((await TestUtils.waitForJob(deleted.data.job.id, adminToken)).status).toBe('succeeded');
+
+    // No archive can be written where a file stands in for the folder
+    mkdirSync(path.dirname(ARCHIVE_DIR), { recursive: true });
+    writeFileSync(ARCHIVE_DIR, '');
+    const archived = await TestUtils.makeRequest('POST', '/api/projects/bulk', { action: 'archive', projects: ['bulk-stuck'] }, adminToken);
+    const job = await TestUtils.waitForJob(archived.data.job.id, adminToken);
+
+    expect(job.status).toBe('failed');
+    expect(job.meta.results['bulk-stuck'].status).toBe('failed');
+    expect(await tagsOf('bulk-stuck', adminToken)).toEqual(['legacy']);
+    // A project made again under the deleted one's name starts afresh
+    TestUtils.createProject('bulk-gone', { 'index.html': '<h1>Again</h1>' });
+    expect(await tagsOf('bulk-gone', adminToken)).toEqual([]);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, test, expect, beforeAll, afterEach } from '@jest/globals';
+import { execFileSync } from 'child_process';
+import { appendFileSync, existsSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import path from 'path';
+import { TestUtils, TEST_CONFIG } from '../setup.js';
+
+const BUNDLE_DIR = path.join(TEST_CONFIG.HOME, '.supreme', 'bundles');
+
+const bundleIds = async (token) => (await TestUtils.makeRequest('GET', '/api/bundles', null, token)).data.bundles.map(bundle => bundle.id);
+
+describe('Project Bundles API', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    const loginResponse = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'admin',
+      password: 'admin123'
+    });
+    adminToken = loginResponse.data.token;
+
+    // Dumps and imports go through the stand-in mysql and mysqldump
+    appendFileSync(path.join(TEST_CONFIG.HOME, '.supreme', 'config.env'), 'ENABLE_DB=Y\nDB_TYPE=mysql\nDB_CMD=mysql\nDB_ROOT_USER=root\n');
+    TestUtils.createProject('shop-site', {
+      'public/index.php': '<?php echo "shop";\n',
+      '.env': 'DB_CONNECTION=mysql\nDB_DATABASE=shop_db\n',
+      '.gitignore': 'node_modules/\n',
+      'node_modules/left-pad/index.js': 'module.exports = () => {};\n'
+    });
+  });
+
+  afterEach(() => {
+    rmSync(path.join(TEST_CONFIG.HOME, 'mysqldump.fail'), { force: true });
+  });
+
+  test('should export a project with its database and import it under a new name', async () => {
+    const exported = await TestUtils.makeRequest('POST', '/api/projects/shop-site/export', {
+      respectGitignore: true,
+      databases: ['shop_db']
+    }, adminToken);
+
+    expect(exported.status).toBe(202);
+    const exportJob = await TestUtils.waitForJob(exported.data.job.id, adminToken);
+    expect(exportJob.status).toBe('succeeded');
+    const { bundles } = (await TestUtils.makeRequest('GET', '/api/bundles', null, adminToken)).data;
+    const bundle = bundles.find(item => item.id === exportJob.meta.bundle);
+    expect(bundle).toMatchObject({ project: 'shop-site', databases: ['shop_db'] });
+    const archive = path.join(BUNDLE_DIR, `${bundle.id}.supreme.tgz`);
+    expect(execFileSync('tar', ['-xzOf', archive, 'databases/shop_db.sql'], { encoding: 'utf8' })).toContain('Hello from shop_db');
+
+    // The test server has no database to check for clashes, so only the files come across
+    const imported = await TestUtils.makeRequest('POST', `/api/bundles/${bundle.id}/import`, { name: 'shop-copy', databases: false }, adminToken);
+
+    expect(imported.status).toBe(202);
+    const importJob = await TestUtils.waitForJob(imported.data.job.id, adminToken);
+    expect(importJob.status).toBe('succeeded');
+    const copy = path.join(TEST_CONFIG.HTDOCS_ROOT, 'shop-copy');
+    expect(readFileSync(path.join(copy, 'public', 'index.php'), 'utf8')).toBe('<?php echo "shop";\n');
+    expect(readFileSync(path.join(copy, '.env'), 'utf8')).toContain('DB_DATABASE=shop_db');
+    expect(existsSync(path.join(copy, 'node_modules'))).toBe(false);
+  });
+
+  test('should not restore databases when it cannot tell which ones exist already', async () => {
+    const exported = await TestUtils.makeRequest('POST', '/api/projects/shop-site/export', { databases: ['shop_db'] }, adminToken);
+    const { meta } = await TestUtils.waitForJob(exported.data.job.id, adminToken);
+
+    const response = await TestUtils.makeRequest('POST', `/api/bundles/${meta.bundle}/import`, { name: 'shop-again' }, adminToken);
+
+    expect(response.status).toBe(503);
+    expect(response.data.code).toBe('DATABASE_UNAVAILABLE');
+    expect(existsSync(path.join(TEST_CONFIG.HTDOCS_ROOT, 'shop-again'))).toBe(false);
+    expect(existsSync(path.join(TEST_CONFIG.HOME, 'mysql.log'))).toBe(false);
+  });
+
+  test('should not write a bundle when a database dump fails', async () => {
+    writeFileSync(path.join(TEST_CONFIG.HOME, 'mysqldump.fail'), '');
+    const before = await bundleIds(adminToken);
+
+    const exported = await TestUtils.makeRequest('POST', '/api/projects/shop-site/export', { databases: ['shop_db'] }, adminToken);
+
+    expect(exported.status).toBe(202);
+    const job = await TestUtils.waitForJob(exported.data.job.id, adminToken);
+    expect(job.status).toBe('failed');
+    expect(await bundleIds(adminToken)).toEqual(before);
+  });
+
+  test('should require a valid project name to import a bundle as', async () => {
+    const response = await TestUtils.makeRequest('POST', '/api/bundles/no-such-bundle/import', { name: '../etc' }, adminToken);
+
+    expect(response.status).toBe(400);
+    expect(response.data.details.name).toBeDefined();
+  });
+});
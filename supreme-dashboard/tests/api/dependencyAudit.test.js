@@ -0,0 +1,73 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { writeFileSync } from 'fs';
+import path from 'path';
+import { TestUtils, TEST_CONFIG } from '../setup.js';
+
+// Trimmed from the OSV record GitHub publishes for CVE-2019-10744
+const LODASH_ADVISORY = {
+  id: 'GHSA-jf85-cpcp-j695',
+  aliases: ['CVE-2019-10744'],
+  summary: 'Prototype Pollution in lodash',
+  affected: [{
+    package: { ecosystem: 'npm', name: 'lodash' },
+    ranges: [{ type: 'ECOSYSTEM', events: [{ introduced: '0' }, { fixed: '4.17.12' }] }],
+    database_specific: { source: 'https://github.com/github/advisory-database/blob/main/advisories/github-reviewed/2019/07/GHSA-jf85-cpcp-j695/GHSA-jf85-cpcp-j695.json' }
+  }],
+  references: [{ type: 'ADVISORY', url: 'https://nvd.nist.gov/vuln/detail/CVE-2019-10744' }],
+  database_specific: { severity: 'CRITICAL', cwe_ids: ['CWE-1321'] }
+};
+
+describe('Dependency Audit API', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    const loginResponse = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'admin',
+      password: 'admin123'
+    });
+    adminToken = loginResponse.data.token;
+  });
+
+  test('should report locked packages that an imported advisory affects', async () => {
+    const advisories = path.join(TEST_CONFIG.HOME, 'advisories.json');
+    writeFileSync(advisories, JSON.stringify([LODASH_ADVISORY]));
+    TestUtils.createProject('audited-site', {
+      'package-lock.json': JSON.stringify({
+        name: 'audited-site',
+        lockfileVersion: 3,
+        packages: {
+          '': { name: 'audited-site', dependencies: { lodash: '^4.17.0' }, devDependencies: { 'lodash.get': '^4.4.2' } },
+          'node_modules/lodash': { version: '4.17.11' },
+          'node_modules/lodash.get': { version: '4.4.2', dev: true }
+        }
+      })
+    });
+
+    const imported = await TestUtils.makeRequest('POST', '/api/dependency-audit/database', { source: advisories }, adminToken);
+    expect(imported.status).toBe(200);
+    expect(imported.data.database.advisories).toBe(1);
+
+    const response = await TestUtils.makeRequest('GET', '/api/projects/audited-site/dependency-audit', null, adminToken);
+
+    expect(response.status).toBe(200);
+    expect(response.data.audit.manifests).toEqual([{ file: 'package-lock.json', ecosystem: 'npm', packages: 2, unpinned: [] }]);
+    expect(response.data.audit.counts.critical).toBe(1);
+    expect(response.data.audit.findings).toEqual([expect.objectContaining({
+      package: 'lodash',
+      version: '4.17.11',
+      id: 'GHSA-jf85-cpcp-j695',
+      severity: 'critical',
+      url: 'https://nvd.nist.gov/vuln/detail/CVE-2019-10744',
+      fixedIn: '4.17.12'
+    })]);
+  });
+
+  test('should only import advisory databases from absolute paths', async () => {
+    const response = await TestUtils.makeRequest('POST', '/api/dependency-audit/database', {
+      source: 'advisories.json'
+    }, adminToken);
+
+    expect(response.status).toBe(400);
+    expect(response.data.details.source).toBeDefined();
+  });
+});
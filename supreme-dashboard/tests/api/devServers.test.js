@@ -0,0 +1,82 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { mkdirSync } from 'fs';
+import path from 'path';
+import { TestUtils, TEST_CONFIG } from '../setup.js';
+
+const DEV_PROJECT = {
+  'package.json': JSON.stringify({ name: 'dev-site', scripts: { dev: 'node server.js' } }),
+  'server.js': 'setInterval(() => {}, 1000);\n'
+};
+
+describe('Dev Server API', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    const loginResponse = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'admin',
+      password: 'admin123'
+    });
+    adminToken = loginResponse.data.token;
+  });
+
+  test('should start and stop a project\'s dev server', async () => {
+    TestUtils.createProject('dev-site', DEV_PROJECT);
+
+    const started = await TestUtils.makeRequest('POST', '/api/projects/dev-site/dev/start', {}, adminToken);
+    const stopped = await TestUtils.makeRequest('POST', '/api/projects/dev-site/dev/stop', {}, adminToken);
+
+    expect(started.status).toBe(200);
+    expect(started.data.server.status).toBe('running');
+    expect(started.data.server.command).toBe('npm run dev');
+    expect(stopped.data.server.status).toBe('stopped');
+  });
+});
+
+const isAlive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+describe('Dev server supervisor', () => {
+  let devServers;
+  let signalListeners;
+
+  beforeAll(async () => {
+    // Its own port registry, apart from the test server's
+    process.env.SUPREME_DATA_DIR = path.join(TEST_CONFIG.HOME, 'supervisor');
+    mkdirSync(process.env.SUPREME_DATA_DIR, { recursive: true });
+    signalListeners = process.listenerCount('SIGTERM') + process.listenerCount('SIGINT');
+    ({ default: devServers } = await import('../../server/services/devServers.js'));
+    devServers.initialize();
+  });
+
+  test('should spawn once for two starts close together', async () => {
+    const folder = TestUtils.createProject('race-site', DEV_PROJECT);
+
+    const [first, second] = await Promise.all([
+      devServers.start('race-site', folder),
+      devServers.start('race-site', folder)
+    ]);
+    await devServers.stop('race-site');
+
+    expect(first.status).toBe('running');
+    expect(second.status).toBe('starting');
+    expect(devServers.linesAfter('race-site').filter(line => line.text.startsWith('$ '))).toHaveLength(1);
+  });
+
+  test('should stop every dev server at once and leave signals to the server', async () => {
+    const servers = await Promise.all(['first-site', 'second-site'].map(name =>
+      devServers.start(name, TestUtils.createProject(name, DEV_PROJECT))));
+
+    await devServers.stopAll();
+
+    expect(servers.map(server => server.status)).toEqual(['running', 'running']);
+    expect(['first-site', 'second-site'].map(name => devServers.get(name).status)).toEqual(['stopped', 'stopped']);
+    expect(servers.filter(server => isAlive(server.pid))).toEqual([]);
+    expect(process.listenerCount('SIGTERM') + process.listenerCount('SIGINT')).toBe(signalListeners);
+  });
+});
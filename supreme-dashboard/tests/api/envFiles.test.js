@@ -0,0 +1,44 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { TestUtils } from '../setup.js';
+
+describe('Environment File API', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    const loginResponse = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'admin',
+      password: 'admin123'
+    });
+    adminToken = loginResponse.data.token;
+  });
+
+  test('should mask secrets when reading a .env file', async () => {
+    TestUtils.createProject('env-site', {
+      '.env': 'APP_NAME=Env Site\nDB_PASSWORD=hunter2\n'
+    });
+
+    const response = await TestUtils.makeRequest('GET', '/api/projects/env-site/env', null, adminToken);
+    const byKey = Object.fromEntries(response.data.env.entries.map(entry => [entry.key, entry]));
+
+    expect(response.status).toBe(200);
+    expect(byKey.APP_NAME.value).toBe('Env Site');
+    expect(byKey.DB_PASSWORD).toEqual(expect.objectContaining({ value: '••••••••', secret: true }));
+    expect(JSON.stringify(response.data)).not.toContain('hunter2');
+  });
+
+  test('should only edit .env files inside the project', async () => {
+    const response = await TestUtils.makeRequest('GET', '/api/projects/some-project/env?file=../../etc/passwd', null, adminToken);
+
+    expect(response.status).toBe(400);
+    expect(response.data.details.file).toBeDefined();
+  });
+
+  test('should refuse to save a masked value', async () => {
+    const response = await TestUtils.makeRequest('PUT', '/api/projects/some-project/env', {
+      set: { DB_PASSWORD: '••••••••' }
+    }, adminToken);
+
+    expect(response.status).toBe(400);
+    expect(response.data.details.set).toBeDefined();
+  });
+});
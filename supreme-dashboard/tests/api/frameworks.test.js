@@ -0,0 +1,28 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { TestUtils } from '../setup.js';
+
+describe('Framework Detection API', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    const loginResponse = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'admin',
+      password: 'admin123'
+    });
+    adminToken = loginResponse.data.token;
+  });
+
+  test('should describe the framework of every listed project', async () => {
+    TestUtils.createProject('vite-react-site', {
+      'package.json': JSON.stringify({ dependencies: { react: '^18.2.0' }, devDependencies: { vite: '^5.0.0' } })
+    });
+    TestUtils.createProject('plain-site', { 'index.html': '<h1>Hello</h1>\n' });
+
+    const response = await TestUtils.makeRequest('GET', '/api/projects', null, adminToken);
+    const byName = Object.fromEntries(response.data.projects.map(project => [project.name, project.framework]));
+
+    expect(response.status).toBe(200);
+    expect(byName['vite-react-site']).toEqual(expect.objectContaining({ id: 'react', name: 'Vite + React', icon: expect.any(String) }));
+    expect(byName['plain-site']).toEqual(expect.objectContaining({ id: expect.any(String), name: expect.any(String) }));
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { TestUtils } from '../setup.js';
+
+describe('Git Clone API', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    const loginResponse = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'admin',
+      password: 'admin123'
+    });
+    adminToken = loginResponse.data.token;
+  });
+
+  test('should only clone from git URLs and local paths', async () => {
+    const response = await TestUtils.makeRequest('POST', '/api/projects/clone', {
+      repository: 'ext::sh -c touch% /tmp/pwned',
+      branch: '--upload-pack=evil'
+    }, adminToken);
+
+    expect(response.status).toBe(400);
+    expect(response.data.details.repository).toBeDefined();
+    expect(response.data.details.branch).toBeDefined();
+  });
+
+  test('should keep local repositories to admins', async () => {
+    const username = `cloner${Date.now()}`;
+    await TestUtils.makeRequest('POST', '/api/users', {
+      username,
+      email: `${username}@example.com`,
+      password: 'Cloner-Moss-Lark-4',
+      role: 'developer'
+    }, adminToken);
+    const login = await TestUtils.makeRequest('POST', '/api/auth/login', { username, password: 'Cloner-Moss-Lark-4' });
+
+    const response = await TestUtils.makeRequest('POST', '/api/projects/clone', {
+      repository: '/srv/git/private.git',
+      name: 'private-copy'
+    }, login.data.token);
+
+    expect(response.status).toBe(403);
+    expect(response.data.code).toBe('LOCAL_REPOSITORY_FORBIDDEN');
+  });
+});
@@ -0,0 +1,160 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { existsSync, readFileSync } from 'fs';
+import { TestUtils, TestAssertions } from '../setup.js';
+
+describe('Password Policy and Reset API', () => {
+  let adminToken;
+  let userId;
+  const username = `pwuser${Date.now()}`;
+  const login = (password) => TestUtils.makeRequest('POST', '/api/auth/login', { username, password });
+
+  beforeAll(async () => {
+    const loginResponse = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'admin',
+      password: 'admin123'
+    });
+    adminToken = loginResponse.data.token;
+
+    const created = await TestUtils.makeRequest('POST', '/api/users', {
+      username,
+      email: `${username}@example.com`,
+      password: 'first-Choice-7'
+    }, adminToken);
+    userId = created.data.user.id;
+  });
+
+  afterAll(async () => {
+    await TestUtils.makeRequest('PUT', '/api/settings/password-policy', {
+      minLength: 8, requireUppercase: false, requireSymbol: false, rejectBreached: true
+    }, adminToken);
+    await TestUtils.makeRequest('DELETE', `/api/users/${userId}`, null, adminToken);
+  });
+
+  describe('Policy', () => {
+    test('should publish the policy without authentication', async () => {
+      const response = await TestUtils.makeRequest('GET', '/api/auth/password-policy');
+
+      expect(response.status).toBe(200);
+      expect(response.data.policy.minLength).toBe(8);
+      expect(response.data.policy.breachedListSize).toBeGreaterThan(0);
+    });
+
+    test('should reject breached passwords and their suffixed variants', async () => {
+      for (const password of ['qwerty123', 'Sunshine2024!']) {
+        const response = await TestUtils.makeRequest('POST', '/api/auth/register', {
+          username: 'breached',
+          email: 'breached@example.com',
+          password,
+          confirmPassword: password
+        });
+
+        expect(response.status).toBe(400);
+        expect(response.data.error).toBe('Validation failed');
+        expect(response.data.details).toBeDefined();
+        expect(response.data.details.password).toContain('breach');
+      }
+    });
+
+    test('should enforce required character classes once configured', async () => {
+      const update = await TestUtils.makeRequest('PUT', '/api/settings/password-policy', {
+        minLength: 10, requireUppercase: true, requireSymbol: true
+      }, adminToken);
+      const response = await TestUtils.makeRequest('POST', '/api/users', {
+        username: 'classless',
+        email: 'classless@example.com',
+        password: 'lowercaseonly'
+      }, adminToken);
+
+      TestAssertions.expectSuccess(update);
+      expect(response.status).toBe(400);
+      expect(response.data.error).toBe('Validation failed');
+      expect(response.data.details).toBeDefined();
+      expect(response.data.details.password).toContain('an uppercase letter, a symbol');
+    });
+
+    test('should refuse policies below the login minimum', async () => {
+      const response = await TestUtils.makeRequest('PUT', '/api/settings/password-policy', {
+        minLength: 4
+      }, adminToken);
+
+      expect(response.status).toBe(400);
+      expect(response.data.error).toBe('Validation failed');
+      expect(response.data.details).toBeDefined();
+    });
+
+    test('should only let admins change the policy', async () => {
+      const session = await login('first-Choice-7');
+      const response = await TestUtils.makeRequest('PUT', '/api/settings/password-policy', {
+        minLength: 20
+      }, session.data.token);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Change password', () => {
+    test('should require the current password', async () => {
+      const session = await login('first-Choice-7');
+      const response = await TestUtils.makeRequest('POST', '/api/auth/change-password', {
+        currentPassword: 'not-my-password',
+        newPassword: 'Second-Choice-8!',
+        confirmPassword: 'Second-Choice-8!'
+      }, session.data.token);
+
+      expect(response.status).toBe(401);
+      expect(response.data.code).toBe('INVALID_PASSWORD');
+    });
+
+    test('should keep the current session and sign out the others', async () => {
+      const current = await login('first-Choice-7');
+      const other = await login('first-Choice-7');
+
+      const response = await TestUtils.makeRequest('POST', '/api/auth/change-password', {
+        currentPassword: 'first-Choice-7',
+        newPassword: 'Second-Choice-8!',
+        confirmPassword: 'Second-Choice-8!'
+      }, current.data.token);
+
+      TestAssertions.expectSuccess(response);
+      expect(response.data.revoked).toBeGreaterThanOrEqual(1);
+
+      const stillIn = await TestUtils.makeRequest('GET', '/api/auth/verify', null, current.data.token);
+      const signedOut = await TestUtils.makeRequest('GET', '/api/auth/verify', null, other.data.token);
+      expect(stillIn.status).toBe(200);
+      expect(signedOut.data.code).toBe('SESSION_REVOKED');
+    });
+  });
+
+  describe('Reset links', () => {
+    test('should write the link to the outbox and accept it exactly once', async () => {
+      const issued = await TestUtils.makeRequest('POST', `/api/users/${userId}/reset-link`, {}, adminToken);
+      TestAssertions.expectSuccess(issued);
+      expect(existsSync(issued.data.outboxFile)).toBe(true);
+      expect(readFileSync(issued.data.outboxFile, 'utf8')).toContain(issued.data.resetUrl);
+
+      const token = new URL(issued.data.resetUrl).searchParams.get('token');
+      const body = { token, password: 'Third-Choice-9!', confirmPassword: 'Third-Choice-9!' };
+
+      const reset = await TestUtils.makeRequest('POST', '/api/auth/reset-password', body);
+      const replay = await TestUtils.makeRequest('POST', '/api/auth/reset-password', body);
+
+      TestAssertions.expectSuccess(reset);
+      expect(replay.status).toBe(400);
+      expect(replay.data.code).toBe('INVALID_RESET_TOKEN');
+      expect((await login('Third-Choice-9!')).status).toBe(200);
+    });
+
+    test('should still apply the policy to the new password', async () => {
+      const issued = await TestUtils.makeRequest('POST', `/api/users/${userId}/reset-link`, {}, adminToken);
+      const token = new URL(issued.data.resetUrl).searchParams.get('token');
+
+      const response = await TestUtils.makeRequest('POST', '/api/auth/reset-password', {
+        token, password: 'password', confirmPassword: 'password'
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.data.error).toBe('Validation failed');
+      expect(response.data.details).toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { TestUtils } from '../setup.js';
+
+describe('Route Policies and Project Access', () => {
+  let adminToken;
+
+  const createUser = async (data) => {
+    const password = 'Policy123!';
+    const created = await TestUtils.makeRequest('POST', '/api/users', {
+      email: `${data.username}@example.com`,
+      password,
+      ...data
+    }, adminToken);
+    expect(created.status).toBe(201);
+
+    const login = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: data.username,
+      password
+    });
+    return login.data.token;
+  };
+
+  beforeAll(async () => {
+    const loginResponse = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'admin',
+      password: 'admin123'
+    });
+    adminToken = loginResponse.data.token;
+  });
+
+  test('should reject an invalid project access list', async () => {
+    const response = await TestUtils.makeRequest('POST', '/api/users', {
+      username: 'badaccess',
+      email: 'badaccess@example.com',
+      password: 'Policy123!',
+      projectAccess: ['../etc']
+    }, adminToken);
+
+    expect(response.status).toBe(400);
+    expect(response.data.details.projectAccess).toBeDefined();
+  });
+
+  test('should only list projects a restricted user may access', async () => {
+    const token = await createUser({
+      username: `restricted${Date.now()}`,
+      role: 'developer',
+      permissions: ['read', 'write'],
+      projectAccess: ['allowed-project']
+    });
+
+    const response = await TestUtils.makeRequest('GET', '/api/projects', null, token);
+
+    expect(response.status).toBe(200);
+    response.data.projects.forEach(project => {
+      expect(project.name).toBe('allowed-project');
+    });
+  });
+
+  test('should refuse actions on other projects', async () => {
+    const token = await createUser({
+      username: `scoped${Date.now()}`,
+      role: 'developer',
+      permissions: ['read', 'write'],
+      projectAccess: ['allowed-project']
+    });
+
+    const response = await TestUtils.makeRequest('POST', '/api/projects/other-project/start', {}, token);
+
+    expect(response.status).toBe(403);
+    expect(response.data.code).toBe('PROJECT_ACCESS_DENIED');
+  });
+
+  test('should require the permission a route declares', async () => {
+    const token = await createUser({
+      username: `nodelete${Date.now()}`,
+      role: 'developer',
+      permissions: ['read', 'write']
+    });
+
+    const response = await TestUtils.makeRequest('DELETE', '/api/files/delete', { path: '/var/www/html/x' }, token);
+
+    expect(response.status).toBe(403);
+    expect(response.data.code).toBe('INSUFFICIENT_PERMISSION');
+  });
+
+  test('should only let project writers stop a test run someone else started', async () => {
+    TestUtils.createProject('shared-tests', {
+      'package.json': JSON.stringify({ name: 'shared-tests', scripts: { test: 'sleep 30' } })
+    });
+    const reader = await createUser({ username: `reader${Date.now()}`, role: 'developer', permissions: ['read'] });
+    const writer = await createUser({ username: `writer${Date.now()}`, role: 'developer', permissions: ['read', 'write'] });
+    const started = await TestUtils.makeRequest('POST', '/api/projects/shared-tests/tests', {}, adminToken);
+    const jobUrl = `/api/jobs/${started.data.job.id}`;
+
+    const followed = await TestUtils.makeRequest('GET', jobUrl, null, reader);
+    const refused = await TestUtils.makeRequest('DELETE', jobUrl, null, reader);
+
+    expect(followed.status).toBe(200);
+    expect(refused.status).toBe(403);
+    expect(refused.data.code).toBe('INSUFFICIENT_PERMISSION');
+    expect((await TestUtils.makeRequest('GET', jobUrl, null, adminToken)).data.job.status).toBe('running');
+
+    const cancelled = await TestUtils.makeRequest('DELETE', jobUrl, null, writer);
+
+    expect(cancelled.status).toBe(200);
+    expect((await TestUtils.waitForJob(started.data.job.id, adminToken)).status).toBe('cancelled');
+  });
+
+  test('should keep admin-only routes for admins', async () => {
+    const token = await createUser({
+      username: `developer${Date.now()}`,
+      role: 'developer',
+      permissions: ['read', 'write', 'delete']
+    });
+
+    const response = await TestUtils.makeRequest('GET', '/api/users', null, token);
+
+    expect(response.status).toBe(403);
+    expect(response.data.code).toBe('INSUFFICIENT_ROLE');
+  });
+});
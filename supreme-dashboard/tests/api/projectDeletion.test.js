@@ -0,0 +1,73 @@
+import { describe, test, expect, beforeAll, afterEach } from '@jest/globals';
+import { execFileSync } from 'child_process';
+import { existsSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import path from 'path';
+import { TestUtils, TEST_CONFIG } from '../setup.js';
+
+const ARCHIVE_DIR = path.join(TEST_CONFIG.HOME, '.supreme', 'archives');
+
+const tagsOf = async (name, token) => {
+  const response = await TestUtils.makeRequest('GET', '/api/projects', null, token);
+  return response.data.projects.find(project => project.name === name).meta.tags;
+};
+
+describe('Project Deletion API', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    const loginResponse = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'admin',
+      password: 'admin123'
+    });
+    adminToken = loginResponse.data.token;
+  });
+
+  afterEach(() => {
+    rmSync(ARCHIVE_DIR, { recursive: true, force: true });
+  });
+
+  test('should validate deletion options', async () => {
+    const response = await TestUtils.makeRequest('DELETE', '/api/projects/some-project', {
+      archive: 'yes',
+      databases: ['drop table']
+    }, adminToken);
+
+    expect(response.status).toBe(400);
+    expect(response.data.details.archive).toBeDefined();
+    expect(response.data.details.databases).toBeDefined();
+  });
+
+  test('should archive the project and forget it once the delete has gone through', async () => {
+    TestUtils.createProject('doomed-site', { 'public/index.html': '<h1>Doomed</h1>' });
+    await TestUtils.makeRequest('PUT', '/api/projects/doomed-site/meta', { tags: ['legacy'] }, adminToken);
+
+    const response = await TestUtils.makeRequest('DELETE', '/api/projects/doomed-site', { archive: true }, adminToken);
+
+    expect(response.status).toBe(202);
+    const job = await TestUtils.waitForJob(response.data.job.id, adminToken);
+    expect(job.status).toBe('succeeded');
+    expect(execFileSync('tar', ['-tzf', job.meta.archivePath], { encoding: 'utf8' })).toContain('doomed-site/public/index.html');
+    expect(existsSync(path.join(TEST_CONFIG.HTDOCS_ROOT, 'doomed-site'))).toBe(false);
+
+    // A project made again under the same name starts afresh
+    TestUtils.createProject('doomed-site', { 'index.html': '<h1>Again</h1>' });
+    expect(await tagsOf('doomed-site', adminToken)).toEqual([]);
+    rmSync(path.join(TEST_CONFIG.HTDOCS_ROOT, 'doomed-site'), { recursive: true, force: true });
+  });
+
+  test('should keep what it knows about a project when the delete fails', async () => {
+    TestUtils.createProject('stubborn-site', { 'public/index.html': '<h1>Stubborn</h1>' });
+    await TestUtils.makeRequest('PUT', '/api/projects/stubborn-site/meta', { tags: ['legacy'] }, adminToken);
+    // No archive can be written where a file stands in for the folder
+    mkdirSync(path.dirname(ARCHIVE_DIR), { recursive: true });
+    writeFileSync(ARCHIVE_DIR, '');
+
+    const response = await TestUtils.makeRequest('DELETE', '/api/projects/stubborn-site', { archive: true }, adminToken);
+
+    expect(response.status).toBe(202);
+    const job = await TestUtils.waitForJob(response.data.job.id, adminToken);
+    expect(job.status).toBe('failed');
+    expect(existsSync(path.join(TEST_CONFIG.HTDOCS_ROOT, 'stubborn-site', 'public', 'index.html'))).toBe(true);
+    expect(await tagsOf('stubborn-site', adminToken)).toEqual(['legacy']);
+  });
+});
@@ -0,0 +1,31 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { TestUtils } from '../setup.js';
+
+describe('Project Detail API', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    const loginResponse = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'admin',
+      password: 'admin123'
+    });
+    adminToken = loginResponse.data.token;
+  });
+
+  test('should describe a project with its largest folders and configured databases', async () => {
+    TestUtils.createProject('detail-site', {
+      'public/app.js': 'x'.repeat(64 * 1024),
+      'src/index.js': 'console.log(1);\n',
+      '.env': 'DB_CONNECTION=mysql\nDB_DATABASE=detail_site\n'
+    });
+
+    const response = await TestUtils.makeRequest('GET', '/api/projects/detail-site', null, adminToken);
+
+    expect(response.status).toBe(200);
+    expect(response.data.project.url).toBe('http://detail-site.test');
+    expect(response.data.project.status).toBe('inactive');
+    expect(response.data.project.git).toBeNull();
+    expect(response.data.project.directories[0].name).toBe('public');
+    expect(response.data.project.databases.map(database => database.name)).toEqual(['detail_site']);
+  });
+});
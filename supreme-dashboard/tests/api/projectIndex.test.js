@@ -0,0 +1,53 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { writeFileSync } from 'fs';
+import path from 'path';
+import { TestUtils } from '../setup.js';
+
+// The project as listed, once the index has measured it to more than `atLeast` bytes
+const waitForSize = async (name, token, atLeast = 0) => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const response = await TestUtils.makeRequest('GET', '/api/projects', null, token);
+    const project = response.data.projects.find(item => item.name === name);
+    if (typeof project?.sizeBytes === 'number' && project.sizeBytes > atLeast) {
+      return project;
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error(`${name} was never measured above ${atLeast} bytes`);
+};
+
+describe('Project Index API', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    const loginResponse = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'admin',
+      password: 'admin123'
+    });
+    adminToken = loginResponse.data.token;
+  });
+
+  test('should measure a new project folder and list its size', async () => {
+    TestUtils.createProject('measured-site', {
+      'public/index.html': '<h1>Measured</h1>',
+      'public/hero.bin': 'x'.repeat(200 * 1024)
+    });
+
+    const project = await waitForSize('measured-site', adminToken);
+
+    // du counts allocated blocks, so the folders add a little on top of the files
+    expect(project.sizeBytes).toBeGreaterThanOrEqual(200 * 1024);
+    expect(project.sizeBytes).toBeLessThan(400 * 1024);
+    expect(project.size).toMatch(/^\d+K$/);
+  });
+
+  test('should measure a project again when its files change', async () => {
+    const folder = TestUtils.createProject('growing-site', { 'index.html': '<h1>Growing</h1>' });
+    const before = await waitForSize('growing-site', adminToken);
+
+    writeFileSync(path.join(folder, 'video.bin'), 'x'.repeat(512 * 1024));
+    const after = await waitForSize('growing-site', adminToken, before.sizeBytes);
+
+    expect(after.sizeBytes - before.sizeBytes).toBeGreaterThanOrEqual(512 * 1024);
+  });
+});
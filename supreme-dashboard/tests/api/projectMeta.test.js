@@ -0,0 +1,44 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { TestUtils } from '../setup.js';
+
+describe('Project Metadata and Filters API', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    const loginResponse = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'admin',
+      password: 'admin123'
+    });
+    adminToken = loginResponse.data.token;
+  });
+
+  test('should only list projects carrying every tag asked for', async () => {
+    TestUtils.createProject('tagged-site', { 'index.html': '<h1>Tagged</h1>' });
+    TestUtils.createProject('plain-site', { 'index.html': '<h1>Plain</h1>' });
+    const saved = await TestUtils.makeRequest('PUT', '/api/projects/tagged-site/meta', { tags: ['Legacy', 'client-x'] }, adminToken);
+    expect(saved.data.meta.tags).toEqual(['client-x', 'legacy']);
+
+    const response = await TestUtils.makeRequest('GET', '/api/projects?tag=legacy&tag=client-x', null, adminToken);
+
+    expect(response.status).toBe(200);
+    expect(response.data.projects.map(project => project.name)).toEqual(['tagged-site']);
+  });
+
+  test('should reject unknown project filters', async () => {
+    const response = await TestUtils.makeRequest('GET', '/api/projects?status=archived&tag=not%20a%20tag', null, adminToken);
+
+    expect(response.status).toBe(400);
+    expect(response.data.details.status).toBeDefined();
+    expect(response.data.details.tag).toBeDefined();
+  });
+
+  test('should only save known fields in filter presets', async () => {
+    const response = await TestUtils.makeRequest('POST', '/api/project-filters', {
+      name: 'Everything',
+      filters: { sortBy: 'name' }
+    }, adminToken);
+
+    expect(response.status).toBe(400);
+    expect(response.data.details.filters).toBeDefined();
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { TestUtils } from '../setup.js';
+
+describe('Project Creation API', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    const loginResponse = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'admin',
+      password: 'admin123'
+    });
+    adminToken = loginResponse.data.token;
+  });
+
+  test('should offer the frameworks the CLI can scaffold', async () => {
+    const response = await TestUtils.makeRequest('GET', '/api/projects/options', null, adminToken);
+
+    expect(response.status).toBe(200);
+    expect(response.data.frameworks.map(framework => framework.id)).toEqual([
+      'laravel', 'wordpress', 'react', 'vue', 'angular', 'nextjs', 'express', 'flask', 'django'
+    ]);
+    expect(response.data.tlds).toContain(response.data.defaultTld);
+  });
+
+  test('should validate every field before starting a job', async () => {
+    const response = await TestUtils.makeRequest('POST', '/api/projects', {
+      framework: 'rails',
+      name: 'bad name',
+      tld: 'Not A TLD',
+      https: 'yes',
+      database: 'has-hyphen'
+    }, adminToken);
+
+    expect(response.status).toBe(400);
+    expect(Object.keys(response.data.details)).toEqual(['framework', 'name', 'tld', 'https', 'database']);
+  });
+
+  test('should refuse projects outside a restricted account', async () => {
+    const username = `wizard${Date.now()}`;
+    await TestUtils.makeRequest('POST', '/api/users', {
+      username,
+      email: `${username}@example.com`,
+      password: 'Wizard-Fern-Kite-7',
+      role: 'developer',
+      permissions: ['read', 'write'],
+      projectAccess: ['allowed-project']
+    }, adminToken);
+    const login = await TestUtils.makeRequest('POST', '/api/auth/login', { username, password: 'Wizard-Fern-Kite-7' });
+
+    const response = await TestUtils.makeRequest('POST', '/api/projects', {
+      framework: 'express',
+      name: 'other-project'
+    }, login.data.token);
+
+    expect(response.status).toBe(403);
+    expect(response.data.code).toBe('PROJECT_ACCESS_DENIED');
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { TestUtils, TestAssertions } from '../setup.js';
+
+const login = async () => {
+  const response = await TestUtils.makeRequest('POST', '/api/auth/login', {
+    username: 'admin',
+    password: 'admin123'
+  });
+  return response.data;
+};
+
+describe('Session Management API', () => {
+  let first;
+  let second;
+
+  beforeEach(async () => {
+    first = await login();
+    second = await login();
+  });
+
+  test('should list sessions and flag the current one', async () => {
+    const response = await TestUtils.makeRequest('GET', '/api/auth/sessions', null, first.token);
+
+    expect(response.status).toBe(200);
+    expect(response.data.sessions.length).toBeGreaterThanOrEqual(2);
+    expect(response.data.sessions.filter(s => s.current)).toHaveLength(1);
+    expect(response.data.sessions[0].ip).toBeDefined();
+  });
+
+  test('should revoke a single session', async () => {
+    const mine = await TestUtils.makeRequest('GET', '/api/auth/sessions', null, second.token);
+
+    const response = await TestUtils.makeRequest('DELETE', `/api/auth/sessions/${mine.data.currentSessionId}`, null, first.token);
+    TestAssertions.expectSuccess(response);
+
+    const verifyResponse = await TestUtils.makeRequest('GET', '/api/auth/verify', null, second.token);
+    expect(verifyResponse.status).toBe(401);
+
+    const refreshResponse = await TestUtils.makeRequest('POST', '/api/auth/refresh', { refreshToken: second.refreshToken });
+    expect(refreshResponse.status).toBe(401);
+  });
+
+  test('should sign out all other sessions', async () => {
+    const response = await TestUtils.makeRequest('DELETE', '/api/auth/sessions', null, first.token);
+
+    TestAssertions.expectSuccess(response);
+    expect(response.data.revoked).toBeGreaterThanOrEqual(1);
+
+    const stillValid = await TestUtils.makeRequest('GET', '/api/auth/verify', null, first.token);
+    const revoked = await TestUtils.makeRequest('GET', '/api/auth/verify', null, second.token);
+    expect(stillValid.status).toBe(200);
+    expect(revoked.status).toBe(401);
+  });
+
+  test('should return 404 for unknown sessions', async () => {
+    const response = await TestUtils.makeRequest('DELETE', '/api/auth/sessions/does-not-exist', null, first.token);
+
+    expect(response.status).toBe(404);
+  });
+
+  test('should show every session to admins', async () => {
+    const response = await TestUtils.makeRequest('GET', '/api/sessions', null, first.token);
+
+    expect(response.status).toBe(200);
+    expect(response.data.sessions[0].username).toBeDefined();
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import { TestUtils, TEST_CONFIG } from '../setup.js';
+
+const STARTERS = path.join(TEST_CONFIG.HOME, 'starters');
+
+// Lay out a template folder with its manifest; files maps relative paths to contents
+const createStarter = (id, manifest, files) => {
+  const dir = path.join(STARTERS, id);
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(path.join(dir, 'supreme-template.json'), JSON.stringify(manifest));
+  for (const [file, content] of Object.entries(files)) {
+    mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    writeFileSync(path.join(dir, file), content);
+  }
+  return dir;
+};
+
+describe('Project Templates API', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    const loginResponse = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'admin',
+      password: 'admin123'
+    });
+    adminToken = loginResponse.data.token;
+
+    const starter = createStarter('starter', {
+      name: 'Starter',
+      variables: [
+        { name: 'SITE_TITLE', default: 'My site' },
+        { name: 'MODULE', required: true }
+      ]
+    }, {
+      'public/index.html': '<h1>{{SITE_TITLE}}</h1>\n<p>{{PROJECT_URL}}</p>\n',
+      'src/{{MODULE}}.js': "export const name = '{{MODULE}}';\n"
+    });
+    const added = await TestUtils.makeRequest('POST', '/api/templates', { source: starter }, adminToken);
+    expect(added.status).toBe(201);
+  });
+
+  test('should create a project from a template with its variables filled in', async () => {
+    const response = await TestUtils.makeRequest('POST', '/api/templates/starter/apply', {
+      name: 'from-starter',
+      variables: { SITE_TITLE: 'Fern & Kite', MODULE: 'greeter' }
+    }, adminToken);
+
+    expect(response.status).toBe(202);
+    const job = await TestUtils.waitForJob(response.data.job.id, adminToken);
+    expect(job.status).toBe('succeeded');
+    const projectPath = path.join(TEST_CONFIG.HTDOCS_ROOT, 'from-starter');
+    expect(readFileSync(path.join(projectPath, 'public', 'index.html'), 'utf8'))
+      .toBe('<h1>Fern & Kite</h1>\n<p>http://from-starter.test</p>\n');
+    expect(readFileSync(path.join(projectPath, 'src', 'greeter.js'), 'utf8')).toBe("export const name = 'greeter';\n");
+    expect(existsSync(path.join(projectPath, 'supreme-template.json'))).toBe(false);
+  });
+
+  test('should refuse values that would take a file name out of the project', async () => {
+    for (const value of ['../../escaped', 'nested/module', 'back\\slash', '..']) {
+      const response = await TestUtils.makeRequest('POST', '/api/templates/starter/apply', {
+        name: 'climbing-starter',
+        variables: { MODULE: value }
+      }, adminToken);
+
+      expect(response.status).toBe(400);
+      expect(response.data.details.variables.MODULE).toMatch(/used in file names/);
+    }
+    expect(existsSync(path.join(TEST_CONFIG.HTDOCS_ROOT, 'climbing-starter'))).toBe(false);
+    expect(existsSync(path.join(TEST_CONFIG.HTDOCS_ROOT, 'escaped.js'))).toBe(false);
+  });
+
+  test('should fail the copy and leave nothing behind when a file name leaves the project', async () => {
+    // The dashboard fills PROJECT_PATH in itself, so only the copy can catch it
+    const leaky = createStarter('leaky', { name: 'Leaky' }, {
+      'index.html': '<h1>Leaky</h1>\n',
+      'logs/{{PROJECT_PATH}}.log': 'where am I?\n'
+    });
+    await TestUtils.makeRequest('POST', '/api/templates', { source: leaky }, adminToken);
+
+    const response = await TestUtils.makeRequest('POST', '/api/templates/leaky/apply', { name: 'leaky-site' }, adminToken);
+
+    expect(response.status).toBe(202);
+    const job = await TestUtils.waitForJob(response.data.job.id, adminToken);
+    expect(job.status).toBe('failed');
+    expect(existsSync(path.join(TEST_CONFIG.HTDOCS_ROOT, 'leaky-site'))).toBe(false);
+  });
+});
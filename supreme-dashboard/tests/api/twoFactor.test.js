@@ -0,0 +1,120 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { TestUtils, TestAssertions } from '../setup.js';
+import twoFactor from '../../server/services/twoFactor.js';
+
+const currentCode = (secret, offset = 0) =>
+  twoFactor.generateCode(secret, twoFactor.currentCounter() + offset);
+
+describe('Two-Factor Authentication', () => {
+  let userToken;
+  let secret;
+  let recoveryCodes;
+
+  beforeAll(async () => {
+    const adminLogin = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'admin',
+      password: 'admin123'
+    });
+
+    await TestUtils.makeRequest('POST', '/api/users', {
+      username: 'totpuser',
+      email: 'totpuser@example.com',
+      password: 'totpuser123'
+    }, adminLogin.data.token);
+
+    const loginResponse = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'totpuser',
+      password: 'totpuser123'
+    });
+    userToken = loginResponse.data.token;
+  });
+
+  test('should match the RFC 6238 test vector', () => {
+    const rfcSecret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+    expect(twoFactor.generateCode(rfcSecret, twoFactor.currentCounter(59000))).toBe('287082');
+    expect(twoFactor.generateCode(rfcSecret, twoFactor.currentCounter(1111111109000))).toBe('081804');
+  });
+
+  test('should start enrollment with a secret, otpauth URL and QR code', async () => {
+    const response = await TestUtils.makeRequest('POST', '/api/auth/2fa/setup', {}, userToken);
+
+    expect(response.status).toBe(200);
+    expect(response.data.otpauthUrl).toContain('otpauth://totp/');
+    expect(response.data.qrCode).toMatch(/^data:image\/png;base64,/);
+    secret = response.data.secret;
+  });
+
+  test('should reject a wrong enrollment code', async () => {
+    const response = await TestUtils.makeRequest('POST', '/api/auth/2fa/enable', { code: '000000' }, userToken);
+
+    expect(response.status).toBe(400);
+  });
+
+  test('should enable 2FA and return recovery codes', async () => {
+    const response = await TestUtils.makeRequest('POST', '/api/auth/2fa/enable', {
+      code: currentCode(secret)
+    }, userToken);
+
+    TestAssertions.expectSuccess(response);
+    expect(response.data.recoveryCodes).toHaveLength(10);
+    recoveryCodes = response.data.recoveryCodes;
+  });
+
+  test('should require a second step at login', async () => {
+    const response = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'totpuser',
+      password: 'totpuser123'
+    });
+
+    expect(response.data.twoFactorRequired).toBe(true);
+    expect(response.data.token).toBeUndefined();
+
+    const verifyResponse = await TestUtils.makeRequest('GET', '/api/auth/verify', null, response.data.challengeToken);
+    expect(verifyResponse.status).toBe(401);
+  });
+
+  test('should complete login with a TOTP code', async () => {
+    const loginResponse = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'totpuser',
+      password: 'totpuser123'
+    });
+
+    const response = await TestUtils.makeRequest('POST', '/api/auth/login/2fa', {
+      challengeToken: loginResponse.data.challengeToken,
+      code: currentCode(secret, 1)
+    });
+
+    TestAssertions.expectSuccess(response);
+    expect(response.data.token).toBeDefined();
+  });
+
+  test('should accept a recovery code only once', async () => {
+    const loginResponse = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'totpuser',
+      password: 'totpuser123'
+    });
+
+    const first = await TestUtils.makeRequest('POST', '/api/auth/login/2fa', {
+      challengeToken: loginResponse.data.challengeToken,
+      recoveryCode: recoveryCodes[0]
+    });
+    const second = await TestUtils.makeRequest('POST', '/api/auth/login/2fa', {
+      challengeToken: loginResponse.data.challengeToken,
+      recoveryCode: recoveryCodes[0]
+    });
+
+    TestAssertions.expectSuccess(first);
+    expect(first.data.recoveryCodesRemaining).toBe(9);
+    expect(second.status).toBe(401);
+  });
+
+  test('should require the password to disable 2FA', async () => {
+    const response = await TestUtils.makeRequest('POST', '/api/auth/2fa/disable', {
+      password: 'wrongpassword',
+      recoveryCode: recoveryCodes[1]
+    }, userToken);
+
+    expect(response.status).toBe(401);
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { TestUtils, TestAssertions } from '../setup.js';
+
+describe('User Administration API', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    const loginResponse = await TestUtils.makeRequest('POST', '/api/auth/login', {
+      username: 'admin',
+      password: 'admin123'
+    });
+    adminToken = loginResponse.data.token;
+  });
+
+  describe('GET /api/users', () => {
+    test('should list users for admins', async () => {
+      const response = await TestUtils.makeRequest('GET', '/api/users', null, adminToken);
+
+      expect(response.status).toBe(200);
+      expect(response.data.users.length).toBeGreaterThan(0);
+      expect(response.data.users[0].password).toBeUndefined();
+    });
+
+    test('should reject non-admin users', async () => {
+      await TestUtils.makeRequest('POST', '/api/users', {
+        username: 'plaindev',
+        email: 'plaindev@example.com',
+        password: 'plaindev123'
+      }, adminToken);
+
+      const loginResponse = await TestUtils.makeRequest('POST', '/api/auth/login', {
+        username: 'plaindev',
+        password: 'plaindev123'
+      });
+
+      const response = await TestUtils.makeRequest('GET', '/api/users', null, loginResponse.data.token);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should reject missing token', async () => {
+      const response = await TestUtils.makeRequest('GET', '/api/users');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/users', () => {
+    test('should invite a user with a temporary password', async () => {
+      const response = await TestUtils.makeRequest('POST', '/api/users', {
+        username: 'invited',
+        email: 'invited@example.com',
+        role: 'developer'
+      }, adminToken);
+
+      expect(response.status).toBe(201);
+      expect(response.data.temporaryPassword).toBeDefined();
+      expect(response.data.user.permissions).toEqual(['read', 'write']);
+    });
+
+    test('should reject unknown roles and permissions', async () => {
+      const response = await TestUtils.makeRequest('POST', '/api/users', {
+        username: 'badrole',
+        email: 'badrole@example.com',
+        role: 'root',
+        permissions: ['everything']
+      }, adminToken);
+
+      expect(response.status).toBe(400);
+      expect(response.data.error).toBe('Validation failed');
+      expect(response.data.details).toBeDefined();
+    });
+  });
+
+  describe('Account state changes', () => {
+    test('should block login for disabled users', async () => {
+      const created = await TestUtils.makeRequest('POST', '/api/users', {
+        username: 'tobedisabled',
+        email: 'tobedisabled@example.com',
+        password: 'disabled123'
+      }, adminToken);
+
+      await TestUtils.makeRequest('PUT', `/api/users/${created.data.user.id}`, {
+        disabled: true
+      }, adminToken);
+
+      const response = await TestUtils.makeRequest('POST', '/api/auth/login', {
+        username: 'tobedisabled',
+        password: 'disabled123'
+      });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should unlock an account locked by failed logins', async () => {
+      const created = await TestUtils.makeRequest('POST', '/api/users', {
+        username: 'lockme',
+        email: 'lockme@example.com',
+        password: 'lockme123'
+      }, adminToken);
+
+      for (let i = 0; i < 5; i++) {
+        await TestUtils.makeRequest('POST', '/api/auth/login', {
+          username: 'lockme',
+          password: 'wrongpassword'
+        });
+      }
+
+      await TestUtils.makeRequest('POST', `/api/users/${created.data.user.id}/unlock`, {}, adminToken);
+
+      const response = await TestUtils.makeRequest('POST', '/api/auth/login', {
+        username: 'lockme',
+        password: 'lockme123'
+      });
+
+      TestAssertions.expectSuccess(response);
+    });
+
+    test('should not allow admins to delete themselves', async () => {
+      const response = await TestUtils.makeRequest('DELETE', '/api/users/1', null, adminToken);
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
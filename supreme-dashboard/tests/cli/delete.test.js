@@ -0,0 +1,84 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { spawnSync, execFileSync } from 'child_process';
+import { mkdirSync, writeFileSync, existsSync, readFileSync, rmSync } from 'fs';
+import path from 'path';
+import { TEST_CONFIG } from '../setup.js';
+
+const SANDBOX = path.join(TEST_CONFIG.HOME, 'cli');
+const HTDOCS = path.join(SANDBOX, 'htdocs');
+const ARCHIVE = path.join(SANDBOX, 'archives', 'blog.tar.gz');
+
+const supreme = (...args) => spawnSync(path.join(TEST_CONFIG.MOCK_BIN, 'supreme'), args, {
+  cwd: SANDBOX,
+  env: { ...process.env, HOME: SANDBOX, PATH: `${TEST_CONFIG.MOCK_BIN}:${process.env.PATH}` },
+  encoding: 'utf8',
+  timeout: 30000
+});
+
+const droppedDatabases = () => {
+  const log = path.join(SANDBOX, 'mysql.log');
+  return existsSync(log) ? readFileSync(log, 'utf8').split('\n').filter(line => line.includes('DROP DATABASE')) : [];
+};
+
+describe('supreme delete', () => {
+  beforeEach(() => {
+    rmSync(SANDBOX, { recursive: true, force: true });
+    mkdirSync(path.join(SANDBOX, '.supreme'), { recursive: true });
+    writeFileSync(path.join(SANDBOX, '.supreme', 'config.env'), [
+      `HTDOCS_ROOT=${HTDOCS}`,
+      'TLD=test',
+      'APACHE_RESTART_CMD=true',
+      'ENABLE_DB=Y',
+      'DB_TYPE=mysql',
+      'DB_CMD=mysql',
+      'DB_ROOT_USER=root'
+    ].join('\n'));
+    mkdirSync(path.join(HTDOCS, 'blog', 'public'), { recursive: true });
+    writeFileSync(path.join(HTDOCS, 'blog', 'public', 'index.php'), '<?php echo "blog";\n');
+  });
+
+  test('should archive a dump of each database before dropping it', () => {
+    const result = supreme('delete', 'blog', '--archive', ARCHIVE, '--db', 'blog_db', '--yes');
+
+    expect(result.status).toBe(0);
+    const entries = execFileSync('tar', ['-tzf', ARCHIVE], { encoding: 'utf8' }).split('\n');
+    expect(entries).toContain('blog/public/index.php');
+    const dump = entries.find(entry => /^databases\/blog_db_\d{8}_\d{6}\.sql$/.test(entry));
+    expect(execFileSync('tar', ['-xzOf', ARCHIVE, dump], { encoding: 'utf8' })).toContain('Hello from blog_db');
+    expect(droppedDatabases()).toHaveLength(1);
+    expect(existsSync(path.join(HTDOCS, 'blog'))).toBe(false);
+  });
+
+  test('should keep the databases and the folder when a dump fails', () => {
+    writeFileSync(path.join(SANDBOX, 'mysqldump.fail'), '');
+
+    const result = supreme('delete', 'blog', '--archive', ARCHIVE, '--db', 'blog_db', '--yes');
+
+    expect(result.status).toBe(1);
+    expect(result.stdout + result.stderr).toContain('Dump of blog_db failed; nothing was removed');
+    expect(droppedDatabases()).toHaveLength(0);
+    expect(existsSync(path.join(HTDOCS, 'blog', 'public', 'index.php'))).toBe(true);
+    expect(existsSync(ARCHIVE)).toBe(false);
+  });
+
+  test('should keep the folder and vhost when a database cannot be dropped', () => {
+    writeFileSync(path.join(SANDBOX, 'mysql.fail'), '');
+
+    const result = supreme('delete', 'blog', '--db', 'blog_db', '--yes');
+
+    expect(result.status).toBe(1);
+    expect(result.stdout + result.stderr).toContain('Dropping blog_db failed; the project folder and vhost were left in place');
+    expect(existsSync(path.join(HTDOCS, 'blog', 'public', 'index.php'))).toBe(true);
+  });
+
+  test('should refuse options that are missing their value', () => {
+    const archive = supreme('delete', 'blog', '--yes', '--archive');
+    const database = supreme('delete', 'blog', '--db', '--yes');
+
+    expect(archive.status).toBe(1);
+    expect(archive.stderr + archive.stdout).toContain('--archive needs a file name');
+    expect(database.status).toBe(1);
+    expect(database.stderr + database.stdout).toContain('--db needs a database name');
+    expect(existsSync(path.join(HTDOCS, 'blog'))).toBe(true);
+  });
+});
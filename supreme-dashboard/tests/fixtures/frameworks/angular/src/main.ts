@@ -0,0 +1 @@
+import { bootstrapApplication } from '@angular/platform-browser';
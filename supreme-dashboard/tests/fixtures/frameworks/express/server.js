@@ -0,0 +1 @@
+const express = require('express');
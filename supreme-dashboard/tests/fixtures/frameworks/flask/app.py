@@ -0,0 +1 @@
+from flask import Flask
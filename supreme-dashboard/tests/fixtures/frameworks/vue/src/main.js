@@ -0,0 +1 @@
+import { createApp } from 'vue';
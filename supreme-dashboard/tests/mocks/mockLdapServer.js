@@ -0,0 +1,69 @@
+import ldap from 'ldapjs';
+import { pathToFileURL } from 'url';
+
+// In-memory directory for trying LDAP login locally and in tests.
+//
+//   node tests/mocks/mockLdapServer.js        # ldap://localhost:3890
+//
+// Settings → Authentication: base DN dc=example,dc=com, bind DN
+// cn=service,dc=example,dc=com / service-password, admin group "admins".
+
+export const MOCK_LDAP_BASE_DN = 'dc=example,dc=com';
+export const MOCK_LDAP_SERVICE = { dn: `cn=service,${MOCK_LDAP_BASE_DN}`, password: 'service-password' };
+
+export const MOCK_LDAP_USERS = [
+  {
+    dn: `uid=alice,ou=people,${MOCK_LDAP_BASE_DN}`,
+    password: 'alice-password',
+    attributes: { uid: 'alice', mail: 'alice@example.com', objectClass: 'inetOrgPerson', memberOf: [`cn=admins,ou=groups,${MOCK_LDAP_BASE_DN}`] }
+  },
+  {
+    dn: `uid=bob,ou=people,${MOCK_LDAP_BASE_DN}`,
+    password: 'bob-password',
+    attributes: { uid: 'bob', mail: 'bob@example.com', objectClass: 'inetOrgPerson', memberOf: [`cn=developers,ou=groups,${MOCK_LDAP_BASE_DN}`] }
+  },
+  {
+    dn: `uid=carol,ou=people,${MOCK_LDAP_BASE_DN}`,
+    password: 'carol-password',
+    attributes: { uid: 'carol', mail: 'carol@example.com', objectClass: 'inetOrgPerson', memberOf: [] }
+  }
+];
+
+const sameDN = (a, b) => a.replace(/\s+/g, '').toLowerCase() === b.replace(/\s+/g, '').toLowerCase();
+
+export const startMockLdapServer = ({ port = 3890, users = MOCK_LDAP_USERS } = {}) => {
+  const server = ldap.createServer();
+  const accounts = [MOCK_LDAP_SERVICE, ...users];
+
+  server.bind(MOCK_LDAP_BASE_DN, (req, res, next) => {
+    const account = accounts.find(entry => sameDN(entry.dn, req.dn.toString()));
+    if (!account || account.password !== req.credentials) {
+      return next(new ldap.InvalidCredentialsError());
+    }
+    res.end();
+    return next();
+  });
+
+  server.search(MOCK_LDAP_BASE_DN, (req, res, next) => {
+    // ldapjs compares requested attributes against lower-cased names
+    res.attributes = res.attributes.map(name => name.toLowerCase());
+    for (const user of users) {
+      if (req.filter.matches(user.attributes, false)) {
+        res.send({ dn: user.dn, attributes: user.attributes });
+      }
+    }
+    res.end();
+    return next();
+  });
+
+  return new Promise(resolve => server.listen(port, '127.0.0.1', () => resolve({
+    url: `ldap://127.0.0.1:${port}`,
+    server
+  })));
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { url } = await startMockLdapServer({ port: Number(process.env.MOCK_LDAP_PORT) || 3890 });
+  console.log(`Mock LDAP server at ${url} (base DN ${MOCK_LDAP_BASE_DN})`);
+  console.log(`Users: ${MOCK_LDAP_USERS.map(user => `${user.attributes.uid}/${user.password}`).join(', ')}`);
+}
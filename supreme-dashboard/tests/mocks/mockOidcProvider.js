@@ -0,0 +1,119 @@
+import http from 'http';
+import crypto from 'crypto';
+import { pathToFileURL } from 'url';
+
+// Minimal OpenID Connect provider for trying the SSO login locally and in tests.
+// /authorize signs in immediately as `login_hint` (or the first user) — no login form.
+//
+//   node tests/mocks/mockOidcProvider.js        # http://localhost:5556, client "supreme-dashboard"
+
+export const MOCK_OIDC_USERS = {
+  jane: { sub: 'user-jane', preferred_username: 'jane', email: 'jane@example.com', groups: ['dashboard-admins'] },
+  dev: { sub: 'user-dev', preferred_username: 'dev', email: 'dev@example.com', groups: ['engineering'] },
+  guest: { sub: 'user-guest', preferred_username: 'guest', email: 'guest@example.com', groups: [] }
+};
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+export const startMockOidcProvider = ({ port = 5556, clientId = 'supreme-dashboard', clientSecret = null, users = MOCK_OIDC_USERS } = {}) => {
+  const issuer = `http://localhost:${port}`;
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomUUID();
+  const codes = new Map();
+  const accessTokens = new Map();
+
+  const signIdToken = (claims) => {
+    const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid }));
+    const payload = base64url(JSON.stringify(claims));
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+    return `${header}.${payload}.${signature}`;
+  };
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  const readForm = (req) => new Promise(resolve => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(body))));
+  });
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, issuer);
+
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return send(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        userinfo_endpoint: `${issuer}/userinfo`,
+        jwks_uri: `${issuer}/jwks`,
+        response_types_supported: ['code'],
+        code_challenge_methods_supported: ['S256'],
+        id_token_signing_alg_values_supported: ['RS256']
+      });
+    }
+
+    if (url.pathname === '/jwks') {
+      return send(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+    }
+
+    if (url.pathname === '/authorize') {
+      const params = Object.fromEntries(url.searchParams);
+      const user = users[params.login_hint] || Object.values(users)[0];
+      if (params.client_id !== clientId || params.code_challenge_method !== 'S256' || !params.code_challenge) {
+        return send(res, 400, { error: 'invalid_request' });
+      }
+
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, { ...params, user });
+      const redirect = new URL(params.redirect_uri);
+      redirect.searchParams.set('code', code);
+      redirect.searchParams.set('state', params.state);
+      res.writeHead(302, { Location: redirect.toString() });
+      return res.end();
+    }
+
+    if (url.pathname === '/token' && req.method === 'POST') {
+      const form = await readForm(req);
+      const grant = codes.get(form.code);
+      codes.delete(form.code);
+
+      const challenge = crypto.createHash('sha256').update(form.code_verifier || '').digest('base64url');
+      if (!grant || grant.redirect_uri !== form.redirect_uri || grant.code_challenge !== challenge ||
+          form.client_id !== clientId || (clientSecret && form.client_secret !== clientSecret)) {
+        return send(res, 400, { error: 'invalid_grant' });
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      const accessToken = crypto.randomBytes(16).toString('hex');
+      const { groups, ...profile } = grant.user;
+      accessTokens.set(accessToken, grant.user);
+
+      // Groups only come from userinfo, like many real providers
+      return send(res, 200, {
+        token_type: 'Bearer',
+        access_token: accessToken,
+        expires_in: 300,
+        id_token: signIdToken({ ...profile, iss: issuer, aud: clientId, iat: now, exp: now + 300, nonce: grant.nonce })
+      });
+    }
+
+    if (url.pathname === '/userinfo') {
+      const user = accessTokens.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+      return user ? send(res, 200, user) : send(res, 401, { error: 'invalid_token' });
+    }
+
+    send(res, 404, { error: 'not_found' });
+  });
+
+  return new Promise(resolve => server.listen(port, () => resolve({ issuer, clientId, server })));
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { issuer, clientId } = await startMockOidcProvider({ port: Number(process.env.MOCK_OIDC_PORT) || 5556 });
+  console.log(`Mock OIDC provider at ${issuer} (client id: ${clientId})`);
+  console.log(`Users: ${Object.keys(MOCK_OIDC_USERS).join(', ')} — pass login_hint to pick one`);
+}
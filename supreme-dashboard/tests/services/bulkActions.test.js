@@ -0,0 +1,44 @@
+import { describe, test, expect } from '@jest/globals';
+import jobRunner from '../../server/services/jobs.js';
+import { startBulkJob, runCommand } from '../../server/services/bulkActions.js';
+
+const waitFor = async (check) => {
+  for (let attempt = 0; attempt < 100 && !check(); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return check();
+};
+
+describe('Bulk jobs', () => {
+  test('should stop the command a project is on when the job is cancelled', async () => {
+    const job = startBulkJob({
+      action: 'delete',
+      projects: ['slow-site', 'next-site'],
+      user: null,
+      run: (name, log, bulkJob) => runCommand(bulkJob, 'sh', ['-c', 'sleep 30; echo finished'], log)
+    });
+    const child = await waitFor(() => job.child);
+    const closed = new Promise(resolve => child.once('close', (code, signal) => resolve(signal)));
+
+    expect(jobRunner.cancel(job.id)).toBe(true);
+
+    expect(await closed).toBe('SIGTERM');
+    // Let the project's step see its command fail
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(job.status).toBe('cancelled');
+    expect(job.meta.results).toEqual({
+      'slow-site': { status: 'cancelled', error: null },
+      'next-site': { status: 'cancelled', error: null }
+    });
+    expect(jobRunner.linesAfter(job).some(line => line.text.startsWith('✗ slow-site'))).toBe(false);
+  });
+
+  test('should give the job a timeout sized to the batch', async () => {
+    const projects = Array.from({ length: 40 }, (item, index) => `site-${index}`);
+    const job = startBulkJob({ action: 'archive', projects, user: null, run: async () => {} });
+
+    await waitFor(() => job.status !== 'running');
+    expect(job.status).toBe('succeeded');
+    expect(job.timeoutMs).toBe(40 * 10 * 60 * 1000);
+  });
+});
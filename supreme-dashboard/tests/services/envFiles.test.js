@@ -0,0 +1,123 @@
+import { describe, test, expect } from '@jest/globals';
+import { TestUtils } from '../setup.js';
+import { parseEnv, serializeEnv, applyChanges, diffEnv, readEnvFile, MASK } from '../../server/services/envFiles.js';
+
+const edit = (content, changes) => serializeEnv(applyChanges(parseEnv(content), changes));
+
+const valueOf = (content, key) => parseEnv(content).entries.find(entry => entry.key === key).value;
+
+describe('Environment file editing', () => {
+  test('should change values in place and keep comments, blank lines and order', () => {
+    const content = [
+      '# Application',
+      'APP_NAME=Shop',
+      "APP_ENV='local' # switch to production when live",
+      '',
+      'export DB_HOST=127.0.0.1',
+      'DB_PORT=3306',
+      ''
+    ].join('\n');
+
+    const result = edit(content, { set: { APP_ENV: 'staging', DB_HOST: 'db.internal', MAIL_FROM: 'shop@example.test' }, unset: ['DB_PORT'] });
+
+    expect(result).toBe([
+      '# Application',
+      'APP_NAME=Shop',
+      "APP_ENV='staging' # switch to production when live",
+      '',
+      'export DB_HOST=db.internal',
+      'MAIL_FROM=shop@example.test',
+      ''
+    ].join('\n'));
+  });
+
+  test('should write untouched lines back byte for byte, CRLF endings included', () => {
+    const content = 'APP_NAME = "Shop"   # spaced out\r\nKEY="line one\r\nline two"\r\nDEBUG=true';
+
+    expect(edit(content, {})).toBe(content);
+    expect(edit(content, { set: { DEBUG: 'false' } })).toBe('APP_NAME = "Shop"   # spaced out\r\nKEY="line one\r\nline two"\r\nDEBUG=false');
+  });
+
+  test('should quote and escape values that would not survive unquoted', () => {
+    const values = {
+      SPACED: 'Fern and Kite',
+      HASHED: 'pa#ss',
+      QUOTED: 'say "hi"',
+      DOLLAR: 'cost $5',
+      BACKSLASH: 'C:\\shop',
+      MULTILINE: '-----BEGIN KEY-----\nabc\n-----END KEY-----'
+    };
+
+    const result = edit('', { set: values });
+
+    expect(result).toBe([
+      'SPACED="Fern and Kite"',
+      'HASHED="pa#ss"',
+      'QUOTED="say \\"hi\\""',
+      'DOLLAR="cost \\$5"',
+      'BACKSLASH="C:\\\\shop"',
+      'MULTILINE="-----BEGIN KEY-----\\nabc\\n-----END KEY-----"',
+      ''
+    ].join('\n'));
+    for (const [key, value] of Object.entries(values)) {
+      expect(valueOf(result, key)).toBe(value);
+    }
+  });
+
+  test('should keep single quotes unless the value needs double ones', () => {
+    expect(edit("GREETING='hello'\n", { set: { GREETING: 'hello world' } })).toBe("GREETING='hello world'\n");
+    expect(edit("GREETING='hello'\n", { set: { GREETING: "it's here" } })).toBe('GREETING="it\'s here"\n');
+  });
+
+  test('should read multi-line double-quoted values and leave single-quoted ones alone', () => {
+    const parsed = parseEnv('PRIVATE_KEY="first\nsecond"\nRAW=\'a\\nb $HOME\'\nNOTE=plain # trailing\n');
+
+    expect(parsed.entries.map(({ key, value, comment }) => ({ key, value, comment }))).toEqual([
+      { key: 'PRIVATE_KEY', value: 'first\nsecond', comment: '' },
+      { key: 'RAW', value: 'a\\nb $HOME', comment: '' },
+      { key: 'NOTE', value: 'plain', comment: '# trailing' }
+    ]);
+  });
+
+  test('should preview the change as a line diff with secrets masked', () => {
+    const before = parseEnv('APP_NAME=Shop\nDB_PASSWORD=hunter2\nDEBUG=true\n');
+    const after = applyChanges(before, { set: { DB_PASSWORD: 'correct-horse', APP_URL: 'http://shop.test' }, unset: ['DEBUG'] });
+
+    expect(diffEnv(before, after)).toEqual([
+      { type: 'context', text: 'APP_NAME=Shop' },
+      { type: 'removed', text: `DB_PASSWORD=${MASK}` },
+      { type: 'added', text: `DB_PASSWORD=${MASK}` },
+      { type: 'removed', text: 'DEBUG=true' },
+      { type: 'added', text: 'APP_URL=http://shop.test' }
+    ]);
+    expect(JSON.stringify(diffEnv(before, after))).not.toMatch(/hunter2|correct-horse/);
+  });
+
+  test('should list the keys .env.example has and .env lacks, without secret suggestions', () => {
+    const project = TestUtils.createProject('env-example-site', {
+      '.env': 'APP_NAME=Shop\nLOCAL_ONLY=1\n',
+      '.env.example': 'APP_NAME=Example\nAPP_URL=http://localhost\nSTRIPE_SECRET=sk_test_example\n'
+    });
+
+    const env = readEnvFile(project);
+
+    expect(env.example).toEqual({
+      file: '.env.example',
+      missing: [
+        { key: 'APP_URL', value: 'http://localhost' },
+        { key: 'STRIPE_SECRET', value: '' }
+      ]
+    });
+    expect(env.entries.find(entry => entry.key === 'LOCAL_ONLY').missingFromExample).toBe(true);
+    expect(env.entries.find(entry => entry.key === 'APP_NAME').missingFromExample).toBe(false);
+  });
+
+  test('should not compare against an example that is not there', () => {
+    const project = TestUtils.createProject('env-no-example-site', { '.env': 'APP_NAME=Shop\n' });
+
+    const env = readEnvFile(project);
+
+    expect(env.example).toBeNull();
+    expect(env.entries[0].missingFromExample).toBe(false);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, test, expect } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { TestUtils } from '../setup.js';
+import { detectFramework, resolveDevCommand } from '../../server/services/frameworks.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'frameworks');
+const detect = (fixture) => detectFramework(path.join(FIXTURES, fixture));
+
+describe('Framework detection', () => {
+  test.each([
+    ['laravel', {
+      id: 'laravel', name: 'Laravel', language: 'php', version: '11.9.2', versionSource: 'composer.lock',
+      entryPoints: ['public/index.php', 'artisan', 'routes/web.php'],
+      commands: {
+        dev: 'php artisan serve --host=127.0.0.1 --port=<port>',
+        test: 'php artisan test',
+        install: ['composer install --no-interaction --no-progress', 'cp .env.example .env', 'php artisan key:generate --no-interaction']
+      }
+    }],
+    ['symfony', {
+      id: 'symfony', name: 'Symfony', language: 'php', version: '7.1', versionSource: 'composer.json',
+      entryPoints: ['public/index.php', 'bin/console'],
+      commands: { dev: 'php -S 127.0.0.1:<port> -t public', test: 'php bin/phpunit', install: ['composer install --no-interaction --no-progress'] }
+    }],
+    ['wordpress', {
+      id: 'wordpress', name: 'WordPress', language: 'php', version: '6.5.3', versionSource: 'wp-includes/version.php',
+      entryPoints: ['index.php', 'wp-config.php'],
+      commands: { dev: 'php -S 127.0.0.1:<port>', test: null, install: [] }
+    }],
+    ['nextjs', {
+      id: 'nextjs', name: 'Next.js', language: 'node', version: '14.1.4', versionSource: 'package-lock.json',
+      entryPoints: ['next.config.mjs', 'app'],
+      commands: { dev: 'npm run dev -- --port <port>', test: 'npm test', install: ['npm ci --no-audit --no-fund'] }
+    }],
+    ['vue', {
+      id: 'vue', name: 'Vue', language: 'node', version: '3.4.21', versionSource: 'yarn.lock',
+      entryPoints: ['src/main.js', 'index.html', 'vite.config.js'],
+      commands: { dev: 'npm run dev -- --port <port>', test: null, install: ['yarn install --frozen-lockfile'] }
+    }],
+    ['react', {
+      id: 'react', name: 'Vite + React', language: 'node', version: '18.3.1', versionSource: 'pnpm-lock.yaml',
+      entryPoints: ['src/main.jsx', 'index.html'],
+      commands: { dev: 'npm run dev -- --port <port>', test: 'npm test', install: ['pnpm install --frozen-lockfile'] }
+    }],
+    ['angular', {
+      id: 'angular', name: 'Angular', language: 'node', version: '17.3.0', versionSource: 'pnpm-lock.yaml',
+      entryPoints: ['angular.json', 'src/main.ts'],
+      commands: { dev: 'npx ng serve --port <port>', test: null, install: ['pnpm install --frozen-lockfile'] }
+    }],
+    ['express', {
+      id: 'express', name: 'Express', language: 'node', version: '4.19.2', versionSource: 'package.json',
+      entryPoints: ['server.js'],
+      commands: { dev: 'node server.js', test: 'npm test', install: ['npm install --no-audit --no-fund'] }
+    }],
+    ['django', {
+      id: 'django', name: 'Django', language: 'python', version: '5.0.4', versionSource: 'requirements.txt',
+      entryPoints: ['manage.py', 'shop/wsgi.py'],
+      commands: {
+        dev: 'python3 manage.py runserver 127.0.0.1:<port>',
+        test: 'python3 -m pytest',
+        install: ['python3 -m venv venv', 'venv/bin/python -m pip install -r requirements.txt']
+      }
+    }],
+    ['flask', {
+      id: 'flask', name: 'Flask', language: 'python', version: '3.0.3', versionSource: 'poetry.lock',
+      entryPoints: ['app.py'],
+      commands: { dev: 'python3 -m flask run --host=127.0.0.1 --port=<port>', test: null, install: ['poetry install --no-interaction'] }
+    }]
+  ])('should describe the %s fixture', (fixture, expected) => {
+    expect(detect(fixture)).toEqual({ ...expected, icon: expect.any(String) });
+  });
+
+  test('should hand dev servers their port the way each tool expects it', () => {
+    expect(resolveDevCommand(path.join(FIXTURES, 'nextjs'), 4100))
+      .toEqual({ command: 'npm', args: ['run', 'dev', '--', '--port', '4100'], env: { PORT: '4100', BROWSER: 'none' } });
+    expect(resolveDevCommand(path.join(FIXTURES, 'express'), 4101))
+      .toEqual({ command: 'node', args: ['server.js'], env: { PORT: '4101', BROWSER: 'none' } });
+    expect(resolveDevCommand(path.join(FIXTURES, 'flask'), 4102))
+      .toEqual({ command: 'python3', args: ['-m', 'flask', 'run', '--host=127.0.0.1', '--port=4102'], env: { FLASK_APP: 'app.py', FLASK_DEBUG: '1' } });
+  });
+
+  test('should read versions from older package-lock and Yarn 2+ lock files', () => {
+    const npm6 = TestUtils.createProject('npm6-lock-site', {
+      'package.json': JSON.stringify({ dependencies: { express: '^4.17.0' } }),
+      'package-lock.json': JSON.stringify({ lockfileVersion: 1, dependencies: { express: { version: '4.17.3' } } })
+    });
+    const berry = TestUtils.createProject('yarn-berry-site', {
+      'package.json': JSON.stringify({ dependencies: { next: '^14.0.0' } }),
+      'yarn.lock': '__metadata:\n  version: 8\n\n"next@npm:^14.0.0":\n  version: 14.2.3\n  resolution: "next@npm:14.2.3"\n'
+    });
+
+    expect(detectFramework(npm6)).toMatchObject({ id: 'express', version: '4.17.3', versionSource: 'package-lock.json' });
+    expect(detectFramework(berry)).toMatchObject({ id: 'nextjs', version: '14.2.3', versionSource: 'yarn.lock' });
+  });
+
+  test('should fall back to the manifest range when the lock file does not list the package', () => {
+    const project = TestUtils.createProject('unlocked-site', {
+      'composer.json': JSON.stringify({ require: { 'laravel/framework': '^10.48' } }),
+      'composer.lock': JSON.stringify({ packages: [{ name: 'guzzlehttp/guzzle', version: '7.8.1' }] }),
+      artisan: ''
+    });
+
+    expect(detectFramework(project)).toMatchObject({ id: 'laravel', version: '10.48', versionSource: 'composer.json' });
+  });
+});
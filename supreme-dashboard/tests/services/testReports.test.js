@@ -0,0 +1,57 @@
+import { describe, test, expect } from '@jest/globals';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseJUnit, parseTap, summarize } from '../../server/services/testReports.js';
+
+const REPORTS = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'reports');
+const report = (file) => readFileSync(path.join(REPORTS, file), 'utf8');
+
+describe('Test report parsers', () => {
+  test('should read a PHPUnit JUnit report, entities and skipped cases included', () => {
+    const cases = parseJUnit(report('phpunit.xml'));
+
+    expect(cases.map(({ name, status }) => [name, status])).toEqual([
+      ['test_adds_an_item', 'passed'],
+      ['test_prices "Fish & Chips" at <£9>', 'passed'],
+      ['test_applies_a_discount', 'failed'],
+      ['test_ships_abroad', 'skipped']
+    ]);
+    expect(cases[2]).toEqual({
+      suite: 'Tests.Unit.CartTest',
+      name: 'test_applies_a_discount',
+      status: 'failed',
+      durationMs: 5,
+      message: 'PHPUnit\\Framework\\ExpectationFailedException',
+      details: 'Tests\\Unit\\CartTest::test_applies_a_discount\nFailed asserting that 90 is identical to 85.\n\n/srv/shop/tests/Unit/CartTest.php:27'
+    });
+    expect(summarize(cases)).toEqual({ total: 4, passed: 2, failed: 1, skipped: 1 });
+  });
+
+  test('should take failure details from CDATA and leave system-out alone', () => {
+    const cases = parseJUnit(report('mocha-junit.xml'));
+
+    expect(cases).toHaveLength(3);
+    expect(cases[1].message).toBe("expected 'accepted' to equal 'declined'");
+    expect(cases[1].details).toBe([
+      "AssertionError: expected 'accepted' to equal 'declined'",
+      '    at Context.<anonymous> (test/checkout.spec.js:31:12)',
+      '    at process.processImmediate (node:internal/timers:478:21)'
+    ].join('\n'));
+    expect(cases[2]).toMatchObject({ name: 'checkout skips 3-D Secure in test mode', status: 'skipped', durationMs: 0 });
+    expect(summarize(cases)).toEqual({ total: 3, passed: 1, failed: 1, skipped: 1 });
+  });
+
+  test('should read node --test TAP with subtests under their parent and SKIP directives', () => {
+    const cases = parseTap(report('node-test.tap').split('\n'));
+
+    expect(cases.map(({ suite, name, status, durationMs, message }) => ({ suite, name, status, durationMs, message }))).toEqual([
+      { suite: 'cart', name: 'adds an item', status: 'passed', durationMs: 2, message: null },
+      { suite: 'cart', name: 'applies a discount', status: 'failed', durationMs: 2, message: 'discount should be 15%' },
+      { suite: 'cart', name: 'ships abroad', status: 'skipped', durationMs: 0, message: 'no carrier yet' },
+      { suite: null, name: 'checkout', status: 'passed', durationMs: 0, message: null }
+    ]);
+    expect(cases[1].details).toContain("location: '/srv/shop/test/cart.test.js:8:11'");
+    expect(summarize(cases)).toEqual({ total: 4, passed: 2, failed: 1, skipped: 1 });
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { mkdirSync, writeFileSync } from 'fs';
+import path from 'path';
+import { TestUtils, TEST_CONFIG } from '../setup.js';
+
+const REPORT = '/tmp/supreme-tests-x/junit.xml';
+const NPM_TEST = { command: 'npm', args: ['test'], env: { CI: 'true' } };
+
+const npmProject = (name, script, files = {}) => TestUtils.createProject(name, {
+  'package.json': JSON.stringify({ name, scripts: { test: script } }),
+  ...files
+});
+
+describe('Test runner report flags', () => {
+  let withReport;
+
+  beforeAll(async () => {
+    // Its own run history, apart from the test server's
+    process.env.SUPREME_DATA_DIR = path.join(TEST_CONFIG.HOME, 'test-runs');
+    mkdirSync(process.env.SUPREME_DATA_DIR, { recursive: true });
+    ({ withReport } = await import('../../server/services/testRuns.js'));
+  });
+
+  test('should ask pytest and PHPUnit for a JUnit file', () => {
+    expect(withReport({ command: 'python3', args: ['-m', 'pytest'], env: {} }, '/srv/app', REPORT))
+      .toEqual({ command: 'python3', args: ['-m', 'pytest', `--junitxml=${REPORT}`], env: {}, format: 'junit' });
+    expect(withReport({ command: 'vendor/bin/phpunit', args: [], env: {} }, '/srv/app', REPORT).args)
+      .toEqual(['--log-junit', REPORT]);
+    expect(withReport({ command: 'php', args: ['artisan', 'test'], env: {} }, '/srv/app', REPORT).args)
+      .toEqual(['artisan', 'test', '--log-junit', REPORT]);
+  });
+
+  test('should pass reporter flags through npm test for vitest and mocha', () => {
+    const vitest = withReport(NPM_TEST, npmProject('vitest-runs', 'vitest run'), REPORT);
+    const mocha = withReport(NPM_TEST, npmProject('mocha-runs', 'mocha test/**/*.spec.js'), REPORT);
+
+    expect(vitest).toMatchObject({ args: ['test', '--', '--reporter=default', '--reporter=junit', `--outputFile.junit=${REPORT}`], format: 'junit' });
+    expect(mocha).toMatchObject({ args: ['test', '--', '--reporter', 'tap'], format: 'tap' });
+  });
+
+  test('should only use jest-junit when the project has it installed', () => {
+    const bare = npmProject('jest-runs', 'jest --ci');
+
+    expect(withReport(NPM_TEST, bare, REPORT)).toEqual({ ...NPM_TEST, format: null });
+
+    mkdirSync(path.join(bare, 'node_modules', 'jest-junit'), { recursive: true });
+    expect(withReport(NPM_TEST, bare, REPORT)).toEqual({
+      command: 'npm',
+      args: ['test', '--', '--reporters=default', '--reporters=jest-junit'],
+      env: { CI: 'true', JEST_JUNIT_OUTPUT_FILE: REPORT },
+      format: 'junit'
+    });
+  });
+
+  test('should ask node --test for TAP through NODE_OPTIONS and leave its arguments alone', () => {
+    const result = withReport(NPM_TEST, npmProject('node-runs', 'node --test test/'), REPORT);
+
+    expect(result.args).toEqual(['test']);
+    expect(result.env.NODE_OPTIONS.split(' ')).toContain('--test-reporter=tap');
+    expect(result.format).toBe('tap');
+  });
+
+  test('should run anything else as it is', () => {
+    const project = npmProject('custom-runs', './run-tests.sh');
+    writeFileSync(path.join(project, 'run-tests.sh'), '#!/bin/sh\n');
+
+    expect(withReport(NPM_TEST, project, REPORT)).toEqual({ ...NPM_TEST, format: null });
+    expect(withReport({ command: 'cargo', args: ['test'], env: {} }, project, REPORT).format).toBeNull();
+  });
+});
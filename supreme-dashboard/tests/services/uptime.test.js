@@ -0,0 +1,137 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { execFileSync } from 'child_process';
+import { mkdirSync, readFileSync } from 'fs';
+import http from 'http';
+import https from 'https';
+import path from 'path';
+import { TEST_CONFIG } from '../setup.js';
+
+const DIR = path.join(TEST_CONFIG.HOME, 'uptime');
+const SLOW_MS = 150;
+// Whether the stand-in site answers /status with 200 or 503
+let healthy = true;
+
+// A stand-in site: /ok, /slow, /moved (to /ok), /loop (to itself), /down and /status
+const routes = (req, res) => {
+  if (req.url === '/status') {
+    res.writeHead(healthy ? 200 : 503).end();
+  } else if (req.url === '/moved') {
+    res.writeHead(301, { location: '/ok' }).end();
+  } else if (req.url === '/loop') {
+    res.writeHead(302, { location: '/loop' }).end();
+  } else if (req.url === '/down') {
+    res.writeHead(503).end('Service Unavailable');
+  } else if (req.url === '/slow') {
+    setTimeout(() => res.writeHead(200).end('late'), SLOW_MS);
+  } else {
+    res.writeHead(200).end('ok');
+  }
+};
+
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+describe('Uptime prober', () => {
+  let probeUrl;
+  let uptime;
+  let alertManager;
+  let site;
+  let secureSite;
+  let certificate;
+  let base;
+  let secureBase;
+
+  beforeAll(async () => {
+    // Its own history store, apart from the test server's
+    process.env.SUPREME_DATA_DIR = path.join(DIR, 'data');
+    mkdirSync(process.env.SUPREME_DATA_DIR, { recursive: true });
+    ({ default: uptime, probeUrl } = await import('../../server/services/uptime.js'));
+    ({ alertManager } = (await import('../../server/middleware/monitoring.js')).globalMonitor);
+
+    // A self-signed certificate that runs out in 30 days
+    execFileSync('openssl', [
+      'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-days', '30',
+      '-subj', '/CN=localhost', '-addext', 'subjectAltName=IP:127.0.0.1,DNS:localhost',
+      '-keyout', path.join(DIR, 'key.pem'), '-out', path.join(DIR, 'cert.pem')
+    ], { stdio: 'ignore' });
+    certificate = readFileSync(path.join(DIR, 'cert.pem'), 'utf8');
+
+    site = http.createServer(routes);
+    secureSite = https.createServer({ key: readFileSync(path.join(DIR, 'key.pem')), cert: certificate }, routes);
+    base = `http://127.0.0.1:${await listen(site)}`;
+    secureBase = `https://127.0.0.1:${await listen(secureSite)}`;
+  });
+
+  afterAll(() => {
+    site.close();
+    secureSite.close();
+  });
+
+  test('should report the status of a site that is up or down', async () => {
+    const up = await probeUrl(`${base}/ok`);
+    const down = await probeUrl(`${base}/down`);
+
+    expect(up).toMatchObject({ ok: true, status: 200, error: null, redirects: [], finalUrl: `${base}/ok`, tls: null });
+    expect(down).toMatchObject({ ok: false, status: 503, error: 'HTTP 503' });
+  });
+
+  test('should report a site nothing is listening on as refused', async () => {
+    const closed = http.createServer();
+    const port = await listen(closed);
+    await new Promise(resolve => closed.close(resolve));
+
+    const result = await probeUrl(`http://127.0.0.1:${port}/`);
+
+    expect(result).toMatchObject({ ok: false, status: null, error: 'Connection refused' });
+  });
+
+  test('should follow redirects and give up on a loop', async () => {
+    const moved = await probeUrl(`${base}/moved`);
+    const loop = await probeUrl(`${base}/loop`);
+
+    expect(moved).toMatchObject({ ok: true, status: 200, finalUrl: `${base}/ok`, redirects: [{ url: `${base}/moved`, status: 301 }] });
+    expect(loop).toMatchObject({ ok: false, status: null, error: 'More than 5 redirects' });
+    expect(loop.redirects).toHaveLength(6);
+  });
+
+  test('should time the whole request', async () => {
+    const result = await probeUrl(`${base}/slow`);
+
+    expect(result.latencyMs).toBeGreaterThanOrEqual(SLOW_MS - 5);
+    expect(result.latencyMs).toBeLessThan(SLOW_MS + 2000);
+  });
+
+  test('should report when the certificate runs out and whether it is trusted', async () => {
+    const untrusted = await probeUrl(`${secureBase}/ok`);
+    const trusted = await probeUrl(`${secureBase}/ok`, { ca: [certificate] });
+
+    expect(untrusted).toMatchObject({ ok: true, status: 200 });
+    expect(untrusted.tls).toMatchObject({ valid: false, subject: 'localhost' });
+    expect(untrusted.tls.error).toMatch(/self.signed/i);
+    expect([29, 30]).toContain(untrusted.tls.daysRemaining);
+    expect(Date.parse(untrusted.tls.validTo) - Date.now()).toBeGreaterThan(29 * 24 * 60 * 60 * 1000);
+    expect(trusted.tls).toMatchObject({ valid: true, error: null });
+  });
+
+  test('should alert after two failed checks in a row and resolve the alert on recovery', async () => {
+    const siteDown = () => alertManager.getActiveAlerts().filter(alert => alert.name === 'site_down:status-site');
+
+    healthy = false;
+    await uptime.check('status-site', `${base}/status`);
+    expect(siteDown()).toHaveLength(0);
+
+    const second = await uptime.check('status-site', `${base}/status`);
+    expect(second.status).toBe('down');
+    expect(siteDown()).toHaveLength(1);
+    expect(siteDown()[0]).toMatchObject({ severity: 'critical' });
+
+    // Further failures keep the one alert
+    await uptime.check('status-site', `${base}/status`);
+    expect(siteDown()).toHaveLength(1);
+
+    healthy = true;
+    const recovered = await uptime.check('status-site', `${base}/status`);
+    expect(recovered.status).toBe('up');
+    expect(recovered.uptime).toBe(25);
+    expect(siteDown()).toHaveLength(0);
+  });
+});
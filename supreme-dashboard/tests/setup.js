@@ -1,8 +1,16 @@
-import { beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
-import { exec } from 'child_process';
+import { jest, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import { exec, spawn } from 'child_process';
 import { promisify } from 'util';
+import { mkdirSync, writeFileSync, openSync, closeSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import jwt from 'jsonwebtoken';
 
 const execAsync = promisify(exec);
+const TESTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const SERVER_DIR = path.resolve(TESTS_DIR, '../server');
+
+const TEST_HOME = process.env.TEST_HOME || '/tmp/supreme-dashboard-test-home';
 
 // Test configuration
 export const TEST_CONFIG = {
@@ -10,37 +18,64 @@ export const TEST_CONFIG = {
   HOST: process.env.TEST_HOST || 'localhost',
   DATABASE_URL: process.env.TEST_DATABASE_URL || 'sqlite:test.db',
   JWT_SECRET: 'test-secret-key',
+  DATA_DIR: process.env.TEST_DATA_DIR || '/tmp/supreme-dashboard-test',
+  // The server runs with this as HOME, so ~/.supreme and the projects it sees are the tests' own
+  HOME: TEST_HOME,
+  HTDOCS_ROOT: path.join(TEST_HOME, 'htdocs'),
+  // The supreme CLI confined to HOME, with stand-ins for sudo and the database tools
+  MOCK_BIN: path.join(TESTS_DIR, 'mocks', 'bin'),
+  ADMIN_PASSWORD: 'admin123',
   NODE_ENV: 'test'
 };
 
+let serverProcess = null;
+
 // Test utilities
 export class TestUtils {
   static async startServer() {
-    try {
-      const { stdout, stderr } = await execAsync('npm run test:server');
-      console.log('Test server started:', stdout);
-      return true;
-    } catch (error) {
-      console.error('Failed to start test server:', error);
-      return false;
-    }
+    mkdirSync(TEST_CONFIG.HTDOCS_ROOT, { recursive: true });
+    mkdirSync(path.join(TEST_CONFIG.HOME, '.supreme'), { recursive: true });
+    writeFileSync(path.join(TEST_CONFIG.HOME, '.supreme', 'config.env'), `HTDOCS_ROOT=${TEST_CONFIG.HTDOCS_ROOT}\nTLD=test\nAPACHE_RESTART_CMD=true\n`);
+
+    const { NODE_OPTIONS, ...env } = process.env;
+    const log = openSync(path.join(TEST_CONFIG.HOME, 'server.log'), 'a');
+    serverProcess = spawn(process.execPath, ['index.js'], {
+      cwd: SERVER_DIR,
+      env: {
+        ...env,
+        NODE_ENV: TEST_CONFIG.NODE_ENV,
+        PORT: String(TEST_CONFIG.PORT),
+        JWT_SECRET: TEST_CONFIG.JWT_SECRET,
+        SUPREME_DATA_DIR: TEST_CONFIG.DATA_DIR,
+        SUPREME_ADMIN_PASSWORD: TEST_CONFIG.ADMIN_PASSWORD,
+        HOME: TEST_CONFIG.HOME,
+        // Jobs run the real CLI against the test home instead of Apache and /etc/hosts
+        PATH: `${TEST_CONFIG.MOCK_BIN}:${env.PATH}`
+      },
+      stdio: ['ignore', log, log]
+    });
+    closeSync(log);
+    console.log('Test server started:', serverProcess.pid);
+    return true;
   }
 
   static async stopServer() {
-    try {
-      await execAsync('pkill -f "node.*test.*server"');
-      console.log('Test server stopped');
+    if (!serverProcess || serverProcess.exitCode !== null) {
+      serverProcess = null;
       return true;
-    } catch (error) {
-      console.error('Failed to stop test server:', error);
-      return false;
     }
+    const exited = new Promise(resolve => serverProcess.once('exit', resolve));
+    serverProcess.kill('SIGTERM');
+    await exited;
+    serverProcess = null;
+    console.log('Test server stopped');
+    return true;
   }
 
   static async clearDatabase() {
     try {
-      // Clear test database
-      await execAsync('rm -f test.db');
+      // Clear test database and dashboard user store
+      await execAsync(`rm -rf test.db ${TEST_CONFIG.DATA_DIR} ${TEST_CONFIG.HOME}`);
       console.log('Test database cleared');
       return true;
     } catch (error) {
@@ -81,13 +116,35 @@ export class TestUtils {
     }
   }
 
+  // Lay out a project under the test server's HTDOCS_ROOT; files maps relative paths to contents
+  static createProject(name, files = {}) {
+    const projectPath = path.join(TEST_CONFIG.HTDOCS_ROOT, name);
+    mkdirSync(projectPath, { recursive: true });
+    for (const [file, content] of Object.entries(files)) {
+      mkdirSync(path.dirname(path.join(projectPath, file)), { recursive: true });
+      writeFileSync(path.join(projectPath, file), content);
+    }
+    return projectPath;
+  }
+
+  // Poll a job until it has finished and return it as GET /api/jobs/:id gives it
+  static async waitForJob(id, token, timeout = 10000) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      const response = await this.makeRequest('GET', `/api/jobs/${id}`, null, token);
+      if (response.data.job.status !== 'running') {
+        return response.data.job;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(`Job ${id} did not finish within ${timeout}ms`);
+  }
+
   static generateTestToken(userId = 1) {
-    const jwt = require('jsonwebtoken');
     return jwt.sign({ userId }, TEST_CONFIG.JWT_SECRET, { expiresIn: '1h' });
   }
 
   static async makeRequest(method, url, data = null, token = null) {
-    const fetch = require('node-fetch');
     const options = {
       method,
       headers: {
@@ -102,7 +159,14 @@ export class TestUtils {
 
     try {
       const response = await fetch(`http://${TEST_CONFIG.HOST}:${TEST_CONFIG.PORT}${url}`, options);
-      const responseData = await response.json();
+      // Streams and empty replies are not JSON; hand them back as text
+      const text = await response.text();
+      let responseData = text;
+      try {
+        responseData = JSON.parse(text);
+      } catch (error) {
+        // Not JSON
+      }
       
       return {
         status: response.status,
@@ -294,6 +358,8 @@ beforeAll(async () => {
   process.env.NODE_ENV = 'test';
   process.env.PORT = TEST_CONFIG.PORT;
   process.env.JWT_SECRET = TEST_CONFIG.JWT_SECRET;
+  process.env.SUPREME_DATA_DIR = TEST_CONFIG.DATA_DIR;
+  process.env.SUPREME_ADMIN_PASSWORD = TEST_CONFIG.ADMIN_PASSWORD;
   
   // Clear and seed test database
   await TestUtils.clearDatabase();
@@ -14,6 +14,8 @@ warn() { printf "\x1b[1;33m%s\x1b[0m\n" "$1"; }
 # User Interaction
 # ----------------------
 confirm() {
+  # --yes on commands that support it answers every prompt
+  [[ "${ASSUME_YES:-}" == "Y" ]] && return 0
   read -rp "$1 [Y/n]: " _r
   _r=${_r:-Y}
   case "$_r" in [Yy]* ) return 0;; * ) return 1;; esac
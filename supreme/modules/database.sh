@@ -51,20 +51,25 @@ db_drop() {
   
   log "Dropping database: $db_name"
   
+  local status=0
   if [[ "$DB_TYPE" == "postgresql" ]]; then
     if [[ "$DB_ROOT_PASSWORD" == "REQUIRED" ]]; then
-      PGPASSWORD="$DB_ROOT_PASSWORD" $DB_CMD -U "$DB_ROOT_USER" -c "DROP DATABASE IF EXISTS \"$db_name\";"
+      PGPASSWORD="$DB_ROOT_PASSWORD" $DB_CMD -U "$DB_ROOT_USER" -c "DROP DATABASE IF EXISTS \"$db_name\";" || status=$?
     else
-      $DB_CMD -U "$DB_ROOT_USER" -c "DROP DATABASE IF EXISTS \"$db_name\";"
+      $DB_CMD -U "$DB_ROOT_USER" -c "DROP DATABASE IF EXISTS \"$db_name\";" || status=$?
     fi
   else
     if [[ "$DB_ROOT_PASSWORD" == "REQUIRED" ]]; then
-      $DB_CMD -u "$DB_ROOT_USER" -p -e "DROP DATABASE IF EXISTS \`$db_name\`;"
+      $DB_CMD -u "$DB_ROOT_USER" -p -e "DROP DATABASE IF EXISTS \`$db_name\`;" || status=$?
     else
-      $DB_CMD -u "$DB_ROOT_USER" -e "DROP DATABASE IF EXISTS \`$db_name\`;"
+      $DB_CMD -u "$DB_ROOT_USER" -e "DROP DATABASE IF EXISTS \`$db_name\`;" || status=$?
     fi
   fi
   
+  if [[ $status -ne 0 ]]; then
+    err "Could not drop database '$db_name'"
+    return 1
+  fi
   ok "Database '$db_name' dropped successfully"
 }
 
@@ -122,10 +127,29 @@ db_export() {
   local output_file="${db_name}_$(date +%Y%m%d_%H%M%S).sql"
   log "Exporting database '$db_name' to: $output_file"
   
-  if [[ "$DB_ROOT_PASSWORD" == "REQUIRED" ]]; then
-    $DB_CMD -u "$DB_ROOT_USER" -p --single-transaction --routines --triggers "$db_name" > "$output_file"
+  # The dump tools live next to the client in DB_CMD (mysql -> mysqldump, psql -> pg_dump)
+  local status=0
+  if [[ "$DB_TYPE" == "postgresql" ]]; then
+    local dump_cmd="${DB_CMD%psql*}pg_dump${DB_CMD##*psql}"
+    if [[ "$DB_ROOT_PASSWORD" == "REQUIRED" ]]; then
+      PGPASSWORD="$DB_ROOT_PASSWORD" $dump_cmd -U "$DB_ROOT_USER" "$db_name" > "$output_file" || status=$?
+    else
+      $dump_cmd -U "$DB_ROOT_USER" "$db_name" > "$output_file" || status=$?
+    fi
   else
-    $DB_CMD -u "$DB_ROOT_USER" --single-transaction --routines --triggers "$db_name" > "$output_file"
+    local dump_cmd="${DB_CMD%mysql*}mysqldump${DB_CMD##*mysql}"
+    if [[ "$DB_ROOT_PASSWORD" == "REQUIRED" ]]; then
+      $dump_cmd -u "$DB_ROOT_USER" -p --single-transaction --routines --triggers "$db_name" > "$output_file" || status=$?
+    else
+      $dump_cmd -u "$DB_ROOT_USER" --single-transaction --routines --triggers "$db_name" > "$output_file" || status=$?
+    fi
+  fi
+  
+  # A dump that failed, or wrote nothing, must not pass for a backup
+  if [[ $status -ne 0 || ! -s "$output_file" ]]; then
+    rm -f "$output_file"
+    err "Export of '$db_name' failed"
+    return 1
   fi
   
   ok "Export completed: $output_file"
@@ -37,12 +37,20 @@ create_framework_project() {
   
   log "Creating $framework project: $name"
   
+  # Scaffolders prompt by default; --yes (e.g. from the dashboard) takes their defaults instead
+  local npx_flags=() composer_flags=()
+  if [[ "${ASSUME_YES:-}" == "Y" ]]; then
+    npx_flags=(--yes)
+    composer_flags=(--no-interaction)
+    export NG_CLI_ANALYTICS=false
+  fi
+  
   case "$framework" in
     laravel)
       if command -v composer &>/dev/null; then
-        composer create-project laravel/laravel "$project_dir"
+        composer create-project "${composer_flags[@]}" laravel/laravel "$project_dir"
       elif command -v docker &>/dev/null; then
-        docker run --rm -v "$(pwd)":/app composer create-project laravel/laravel "$name"
+        docker run --rm -v "$(pwd)":/app composer create-project "${composer_flags[@]}" laravel/laravel "$name"
         mv "$name" "$project_dir"
       else
         err "Composer or Docker not found. Please install Composer to create Laravel projects."
@@ -60,7 +68,7 @@ create_framework_project() {
       
       # Create database for WordPress
       if [[ "$ENABLE_DB" == "Y" ]]; then
-        local db_name="${name}_wp"
+        local db_name="${PROJECT_DB_NAME:-${name}_wp}"
         log "Creating database: $db_name"
         if [[ "$DB_ROOT_PASSWORD" == "REQUIRED" ]]; then
           $DB_CMD -u "$DB_ROOT_USER" -p -e "CREATE DATABASE IF NOT EXISTS \`$db_name\`;"
@@ -73,7 +81,7 @@ create_framework_project() {
       
     react)
       if command -v npx &>/dev/null; then
-        npx create-react-app "$project_dir"
+        npx "${npx_flags[@]}" create-react-app "$project_dir"
       else
         err "Node.js/npm not found. Please install Node.js to create React projects."
         return 1
@@ -82,9 +90,9 @@ create_framework_project() {
       
     vue)
       if command -v vue &>/dev/null; then
-        vue create "$project_dir"
+        vue create ${ASSUME_YES:+--default} "$project_dir"
       elif command -v npx &>/dev/null; then
-        npx @vue/cli create "$project_dir"
+        npx "${npx_flags[@]}" @vue/cli create ${ASSUME_YES:+--default} "$project_dir"
       else
         err "Vue CLI or Node.js not found. Please install Node.js to create Vue projects."
         return 1
@@ -93,9 +101,9 @@ create_framework_project() {
       
     angular)
       if command -v ng &>/dev/null; then
-        ng new "$name" --directory="$project_dir"
+        ng new "$name" --directory="$project_dir" ${ASSUME_YES:+--defaults}
       elif command -v npx &>/dev/null; then
-        npx @angular/cli new "$name" --directory="$project_dir"
+        npx "${npx_flags[@]}" @angular/cli new "$name" --directory="$project_dir" ${ASSUME_YES:+--defaults}
       else
         err "Angular CLI or Node.js not found. Please install Node.js to create Angular projects."
         return 1
@@ -104,7 +112,7 @@ create_framework_project() {
       
     nextjs)
       if command -v npx &>/dev/null; then
-        npx create-next-app@latest "$project_dir"
+        npx "${npx_flags[@]}" create-next-app@latest "$project_dir" ${ASSUME_YES:+--yes}
       else
         err "Node.js/npm not found. Please install Node.js to create Next.js projects."
         return 1
@@ -277,6 +285,90 @@ add_hosts_entry() {
   fi
 }
 
+remove_hosts_entry() {
+  local host="$1"
+  local pattern="[[:space:]]${host//./\\.}([[:space:]]|$)"
+  
+  if grep -qE "$pattern" /etc/hosts; then
+    local tmp_hosts
+    tmp_hosts=$(mktemp)
+    grep -vE "$pattern" /etc/hosts > "$tmp_hosts"
+    sudo cp "$tmp_hosts" /etc/hosts
+    rm -f "$tmp_hosts"
+    ok "Removed /etc/hosts entry for $host"
+  else
+    echo "/etc/hosts has no entry for $host"
+  fi
+}
+
+# ----------------------
+# Project Deletion
+# ----------------------
+# delete_project <name> <archive_file|""> [database...]
+delete_project() {
+  local name="$1"
+  local archive="$2"
+  shift 2
+  local project_dir="$HTDOCS_ROOT/$name"
+  local vfile="$site_available_dir/$name.conf"
+  local host="$name.$TLD"
+  
+  # Projects created with their own TLD only have it recorded in the vhost
+  if [[ -f "$vfile" ]]; then
+    local server_name
+    server_name=$(awk '$1 == "ServerName" { print $2; exit }' "$vfile")
+    host="${server_name:-$host}"
+  fi
+  
+  if [[ -n "$archive" ]] && [[ -d "$project_dir" || $# -gt 0 ]]; then
+    log "Archiving $name to $archive"
+    local dump_dir
+    dump_dir=$(mktemp -d)
+    mkdir -p "$dump_dir/databases"
+    for db_name in "$@"; do
+      if ! (cd "$dump_dir/databases" && db_export "$db_name"); then
+        rm -rf "$dump_dir"
+        err "Dump of $db_name failed; nothing was removed"
+        return 1
+      fi
+    done
+    mkdir -p "$(dirname "$archive")"
+    local sources=()
+    [[ -d "$project_dir" ]] && sources+=(-C "$HTDOCS_ROOT" "$name")
+    [[ $# -gt 0 ]] && sources+=(-C "$dump_dir" databases)
+    if ! tar -czf "$archive" "${sources[@]}"; then
+      rm -rf "$dump_dir"
+      err "Archive failed; nothing was removed"
+      return 1
+    fi
+    rm -rf "$dump_dir"
+    ok "Archived to $archive"
+  fi
+  
+  for db_name in "$@"; do
+    if ! db_drop "$db_name"; then
+      err "Dropping $db_name failed; the project folder and vhost were left in place"
+      return 1
+    fi
+  done
+  
+  if [[ -e "$site_enabled_dir/$name.conf" || -L "$site_enabled_dir/$name.conf" ]]; then
+    sudo rm -f "$site_enabled_dir/$name.conf"
+    ok "Disabled vhost for $host"
+  fi
+  if [[ -f "$vfile" ]]; then
+    sudo rm -f "$vfile"
+    ok "Removed vhost file: $vfile"
+  fi
+  
+  remove_hosts_entry "$host"
+  
+  if [[ -d "$project_dir" ]]; then
+    sudo rm -rf "$project_dir"
+    ok "Removed project folder: $project_dir"
+  fi
+}
+
 # ----------------------
 # Project Status
 # ----------------------
@@ -317,7 +409,7 @@ get_project_status() {
   
   # Check for database if enabled
   if [[ "$ENABLE_DB" == "Y" ]]; then
-    local db_name="${name}_wp"
+    local db_name="${PROJECT_DB_NAME:-${name}_wp}"
     if [[ "$DB_ROOT_PASSWORD" == "REQUIRED" ]]; then
       if echo "SHOW DATABASES;" | $DB_CMD -u "$DB_ROOT_USER" -p 2>/dev/null | grep -q "$db_name"; then
         echo "Database: ✓ Present ($db_name)"